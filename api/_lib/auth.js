@@ -0,0 +1,113 @@
+/**
+ * Request guards for the server functions: CORS, sessions and rate limits
+ * (Files under api/_lib are shared code, not routes.)
+ */
+
+import { createClient } from '@supabase/supabase-js'
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+// Other origins allowed to call the functions (comma-separated); the app's
+// own origin needs no CORS
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean)
+
+// For local development without Supabase: skip the session check
+const ALLOW_ANONYMOUS = process.env.ALLOW_ANONYMOUS_PROXY === 'true'
+
+export const admin = SUPABASE_URL && SERVICE_ROLE_KEY
+  ? createClient(SUPABASE_URL, SERVICE_ROLE_KEY, { auth: { persistSession: false } })
+  : null
+
+/**
+ * Error carrying the HTTP status to respond with
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+/**
+ * Answer an error thrown by a handler
+ */
+export function sendError(res, error, label) {
+  if (!error.status) {
+    console.error(`${label}:`, error)
+    return res.status(500).json({ error: label, message: error.message })
+  }
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter))
+  }
+  return res.status(error.status).json({ error: error.message })
+}
+
+/**
+ * Set CORS headers for the app and any ALLOWED_ORIGINS
+ */
+export function setCors(req, res, methods) {
+  const origin = req.headers.origin
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin)
+    res.setHeader('Vary', 'Origin')
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods)
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After')
+}
+
+/**
+ * The signed-in user sending a request (Authorization: Bearer <access token>)
+ * @returns {Promise<Object|null>} The Supabase user, or null if not signed in
+ */
+export async function getUser(req) {
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1]
+  if (!admin || !token) return null
+
+  const { data, error } = await admin.auth.getUser(token)
+  return error ? null : data.user
+}
+
+/**
+ * The signed-in user, or a 401
+ * Resolves with null only when ALLOW_ANONYMOUS_PROXY is set and the
+ * server has no Supabase to check sessions with.
+ */
+export async function requireUser(req) {
+  const user = await getUser(req)
+  if (user) return user
+  if (!admin && ALLOW_ANONYMOUS) return null
+
+  throw new HttpError(401, admin
+    ? 'Sign in to use this'
+    : 'The server needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY to check sessions')
+}
+
+/**
+ * Count a request against the user's limit, or throw a 429 with retryAfter
+ * (seconds) once they're over it
+ * @param {Object|null} user
+ * @param {string} bucket - What's being limited, e.g. 'wavespeed:submit'
+ * @param {{ limit: number, windowSeconds: number }} rule
+ */
+export async function rateLimit(user, bucket, { limit, windowSeconds }) {
+  if (!user) return
+
+  const { data: count, error } = await admin.rpc('hit_rate_limit', {
+    uid: user.id,
+    bucket_name: bucket,
+    window_seconds: windowSeconds,
+  })
+  if (error) throw error
+
+  if (count > limit) {
+    const retryAfter = windowSeconds - (Math.floor(Date.now() / 1000) % windowSeconds)
+    const limited = new HttpError(429, `Too many requests. Try again in ${retryAfter}s.`)
+    limited.retryAfter = retryAfter
+    throw limited
+  }
+}
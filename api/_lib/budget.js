@@ -0,0 +1,61 @@
+/**
+ * Project spending caps for the server functions
+ * The proxies charge a project for each call they pass on, in
+ * project_charges, before making it. A charge that would take the project
+ * past its cap is refused. Only the server writes charges, they're counted
+ * whether or not the client ever syncs its generations, and charge_project
+ * checks charges for the same project one at a time, so calling the proxies
+ * directly or many times at once can't get past a cap.
+ *
+ * A call is charged its estimate up front and settled once it's known what
+ * it came to: what the provider reported it used, or nothing if the
+ * provider refused it. Wavespeed reports no usage, so its generations stay
+ * charged at their estimate, even if they fail later on.
+ */
+
+import { admin, HttpError } from './auth.js'
+import { formatCost } from '../../src/lib/models/pricing.js'
+
+/**
+ * Charge a project for a call, or throw a 402 if that would take it past
+ * its spending cap
+ * A server without Supabase has no projects, so no caps to check.
+ * @param {Object} user - Who's making the call
+ * @param {string} projectId
+ * @param {string} source - The proxy charging, e.g. 'wavespeed'
+ * @param {number|null} estimate - What the call is estimated to cost (see estimateCost)
+ * @returns {Promise<string|null>} The charge's ID, for settleCharge
+ */
+export async function chargeProject(user, projectId, source, estimate) {
+  if (!admin) return null
+  if (typeof projectId !== 'string' || !projectId) {
+    throw new HttpError(400, 'projectId is required')
+  }
+
+  const { data: charge, error } = await admin.rpc('charge_project', {
+    pid: projectId,
+    uid: user?.id ?? null,
+    charge_source: source,
+    charge: estimate || 0,
+  })
+
+  if (error) throw error
+  if (!charge) throw new HttpError(404, 'Project not found. Sync it before generating.')
+  if (!charge.id) {
+    throw new HttpError(402, `This would take the project past its ${formatCost(charge.cap)} spending cap (${formatCost(charge.spent)} spent)`)
+  }
+  return charge.id
+}
+
+/**
+ * Set what a charged call came to
+ * The call has already gone through, so a failure here is only logged.
+ * @param {string|null} chargeId - From chargeProject
+ * @param {number} amount - USD; 0 if the provider refused the call
+ */
+export async function settleCharge(chargeId, amount) {
+  if (!admin || !chargeId) return
+
+  const { error } = await admin.from('project_charges').update({ amount }).eq('id', chargeId)
+  if (error) console.error('Failed to settle charge:', chargeId, error)
+}
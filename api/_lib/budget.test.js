@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const auth = vi.hoisted(() => {
+  class HttpError extends Error {
+    constructor(status, message) {
+      super(message)
+      this.status = status
+    }
+  }
+  const update = { eq: vi.fn(async () => ({ error: null })) }
+  const table = { update: vi.fn(() => update) }
+  return {
+    HttpError,
+    table,
+    update,
+    admin: {
+      rpc: vi.fn(),
+      from: vi.fn(() => table),
+    },
+  }
+})
+vi.mock('./auth.js', () => auth)
+
+const { chargeProject, settleCharge } = await import('./budget.js')
+
+const user = { id: 'u1' }
+
+beforeEach(() => {
+  vi.clearAllMocks()
+})
+
+describe('chargeProject', () => {
+  it('charges the estimate and returns the charge', async () => {
+    auth.admin.rpc.mockResolvedValue({ data: { id: 'c1', spent: 2, cap: 10 }, error: null })
+
+    expect(await chargeProject(user, 'p1', 'wavespeed', 0.5)).toBe('c1')
+    expect(auth.admin.rpc).toHaveBeenCalledWith('charge_project', {
+      pid: 'p1', uid: 'u1', charge_source: 'wavespeed', charge: 0.5,
+    })
+  })
+
+  it('refuses a call past the cap with a 402', async () => {
+    auth.admin.rpc.mockResolvedValue({ data: { id: null, spent: 9.8, cap: 10 }, error: null })
+
+    await expect(chargeProject(user, 'p1', 'llm', 0.5)).rejects.toMatchObject({
+      status: 402,
+      message: expect.stringContaining('$10.00 spending cap ($9.80 spent)'),
+    })
+  })
+
+  it('needs a project that has synced', async () => {
+    auth.admin.rpc.mockResolvedValue({ data: null, error: null })
+
+    await expect(chargeProject(user, 'p1', 'llm', 0.5)).rejects.toMatchObject({ status: 404 })
+    await expect(chargeProject(user, '', 'llm', 0.5)).rejects.toMatchObject({ status: 400 })
+  })
+})
+
+describe('settleCharge', () => {
+  it('sets what the call came to', async () => {
+    await settleCharge('c1', 0)
+
+    expect(auth.admin.from).toHaveBeenCalledWith('project_charges')
+    expect(auth.table.update).toHaveBeenCalledWith({ amount: 0 })
+    expect(auth.update.eq).toHaveBeenCalledWith('id', 'c1')
+  })
+
+  it('skips calls that were never charged', async () => {
+    await settleCharge(null, 0)
+
+    expect(auth.admin.from).not.toHaveBeenCalled()
+  })
+})
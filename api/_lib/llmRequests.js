@@ -0,0 +1,79 @@
+/**
+ * Messages API requests the LLM proxy allows
+ * Models come from the model registry's Anthropic text models. A request
+ * is the single forced tool call src/lib/providers/anthropic.js makes:
+ * a system prompt, user messages, one tool and a capped max_tokens.
+ */
+
+import { modelRegistry } from '../../src/lib/models/registry.js'
+
+const KB = 1024
+
+// Screenplays are the largest prompts
+export const MAX_BODY_BYTES = 1024 * KB
+export const MAX_TOKENS = 8192
+
+// Allowed models, keyed by API model name
+const MODELS = new Map(
+  modelRegistry.textGeneration
+    .filter((model) => model.provider === 'anthropic' && model.endpoint)
+    .map((model) => [model.endpoint, model])
+)
+
+const FIELDS = ['model', 'system', 'messages', 'tools', 'tool_choice', 'max_tokens']
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * The registry model a request names, if it's allowed
+ */
+export function findModel(name) {
+  return MODELS.get(name) || null
+}
+
+/**
+ * Check a request body's shape (findModel checks its model)
+ * @returns {string|null} What's wrong with it, if anything
+ */
+export function validateLlmBody(body) {
+  const unknown = Object.keys(body).find((key) => !FIELDS.includes(key))
+  if (unknown) return `Unexpected field: ${unknown}`
+
+  if (body.system !== undefined && typeof body.system !== 'string') {
+    return 'system must be a string'
+  }
+
+  const { messages } = body
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > 20) {
+    return 'messages must be a list of 1 to 20 messages'
+  }
+  const badMessage = messages.some((message) =>
+    !isObject(message) ||
+    !['user', 'assistant'].includes(message.role) ||
+    typeof message.content !== 'string'
+  )
+  if (badMessage) return 'Each message needs a user or assistant role and text content'
+
+  const { max_tokens: maxTokens } = body
+  if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS) {
+    return `max_tokens must be a whole number from 1 to ${MAX_TOKENS}`
+  }
+
+  const { tools, tool_choice: toolChoice } = body
+  if (tools === undefined) {
+    return toolChoice === undefined ? null : 'tool_choice needs tools'
+  }
+  const badTool = !Array.isArray(tools) || tools.length !== 1 || !tools.every((tool) =>
+    isObject(tool) &&
+    typeof tool.name === 'string' &&
+    (tool.description === undefined || typeof tool.description === 'string') &&
+    isObject(tool.input_schema) &&
+    Object.keys(tool).every((key) => ['name', 'description', 'input_schema'].includes(key))
+  )
+  if (badTool) return 'tools must be a single tool with a name, description and input_schema'
+
+  if (!isObject(toolChoice) || toolChoice.type !== 'tool' || toolChoice.name !== tools[0].name) {
+    return 'tool_choice must force the tool'
+  }
+  return null
+}
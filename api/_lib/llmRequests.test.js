@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { findModel, validateLlmBody, MAX_TOKENS } from './llmRequests.js'
+
+const tool = { name: 'submit_scenes', description: 'Submit scenes', input_schema: { type: 'object' } }
+
+function body(overrides = {}) {
+  return {
+    model: 'claude-sonnet-4-5',
+    system: 'You are a script supervisor.',
+    max_tokens: 4096,
+    messages: [{ role: 'user', content: 'Break this screenplay into scenes' }],
+    tools: [tool],
+    tool_choice: { type: 'tool', name: 'submit_scenes' },
+    ...overrides,
+  }
+}
+
+describe('findModel', () => {
+  it('allows the registry\'s Claude models only', () => {
+    expect(findModel('claude-sonnet-4-5')).toMatchObject({ id: 'claude-sonnet-4-5', pricing: { unit: 'mtok' } })
+    expect(findModel('claude-haiku-4-5')).toMatchObject({ id: 'claude-haiku-4-5' })
+    expect(findModel('claude-opus-4-1')).toBeNull()
+    expect(findModel('screenplay-parser')).toBeNull()
+    expect(findModel('bytedance/seedream-v4.5')).toBeNull()
+  })
+})
+
+describe('validateLlmBody', () => {
+  it('accepts the request the app sends', () => {
+    expect(validateLlmBody(body())).toBeNull()
+    expect(validateLlmBody(body({ system: undefined, tools: undefined, tool_choice: undefined }))).toBeNull()
+  })
+
+  it('rejects fields the app does not send', () => {
+    expect(validateLlmBody(body({ stream: true }))).toBe('Unexpected field: stream')
+    expect(validateLlmBody(body({ metadata: {} }))).toBe('Unexpected field: metadata')
+  })
+
+  it('rejects a malformed system prompt or messages', () => {
+    expect(validateLlmBody(body({ system: [{ type: 'text', text: 'x' }] }))).toBe('system must be a string')
+    expect(validateLlmBody(body({ messages: [] }))).toMatch(/^messages must be/)
+    expect(validateLlmBody(body({ messages: 'hello' }))).toMatch(/^messages must be/)
+    expect(validateLlmBody(body({ messages: Array(21).fill({ role: 'user', content: 'x' }) }))).toMatch(/^messages must be/)
+    expect(validateLlmBody(body({ messages: [{ role: 'system', content: 'x' }] }))).toMatch(/^Each message/)
+    expect(validateLlmBody(body({ messages: [{ role: 'user', content: [{ type: 'image' }] }] }))).toMatch(/^Each message/)
+    expect(validateLlmBody(body({ messages: [null] }))).toMatch(/^Each message/)
+  })
+
+  it('requires max_tokens within the ceiling', () => {
+    const problem = `max_tokens must be a whole number from 1 to ${MAX_TOKENS}`
+    expect(validateLlmBody(body({ max_tokens: undefined }))).toBe(problem)
+    expect(validateLlmBody(body({ max_tokens: MAX_TOKENS + 1 }))).toBe(problem)
+    expect(validateLlmBody(body({ max_tokens: 0 }))).toBe(problem)
+    expect(validateLlmBody(body({ max_tokens: 10.5 }))).toBe(problem)
+    expect(validateLlmBody(body({ max_tokens: '4096' }))).toBe(problem)
+    expect(validateLlmBody(body({ max_tokens: MAX_TOKENS }))).toBeNull()
+  })
+
+  it('allows only a single forced tool', () => {
+    const toolsProblem = 'tools must be a single tool with a name, description and input_schema'
+    expect(validateLlmBody(body({ tools: [tool, tool] }))).toBe(toolsProblem)
+    expect(validateLlmBody(body({ tools: [{ ...tool, type: 'web_search_20250305' }] }))).toBe(toolsProblem)
+    expect(validateLlmBody(body({ tools: [{ name: 'x' }] }))).toBe(toolsProblem)
+    expect(validateLlmBody(body({ tools: tool }))).toBe(toolsProblem)
+
+    expect(validateLlmBody(body({ tool_choice: { type: 'auto' } }))).toBe('tool_choice must force the tool')
+    expect(validateLlmBody(body({ tool_choice: { type: 'tool', name: 'other' } }))).toBe('tool_choice must force the tool')
+    expect(validateLlmBody(body({ tools: undefined }))).toBe('tool_choice needs tools')
+  })
+})
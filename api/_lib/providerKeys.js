@@ -0,0 +1,130 @@
+/**
+ * Provider keys for the server functions
+ * Keys never reach the browser. A request names the project it generates
+ * for, which must be in the database; only its owner and workspace members
+ * who can generate may use the workspace's key or, failing that, the
+ * deployment's own key.
+ * (Files under api/_lib are shared code, not routes.)
+ */
+
+import { admin, HttpError } from './auth.js'
+
+export const PROVIDERS = ['wavespeed', 'anthropic']
+
+// Deployment-wide keys, used for projects without a workspace key
+const ENV_KEYS = {
+  wavespeed: process.env.WAVESPEED_API_KEY,
+  anthropic: process.env.ANTHROPIC_API_KEY,
+}
+
+// Roles that can run generations (see src/lib/supabase/permissions.js)
+const GENERATE_ROLES = ['owner', 'editor']
+
+// The deployment's key for a provider, if set
+export function getEnvKey(provider) {
+  return ENV_KEYS[provider] || null
+}
+
+/**
+ * A user's role in a workspace, if a member
+ */
+export async function workspaceRole(workspaceId, userId) {
+  const { data, error } = await admin
+    .from('workspace_members')
+    .select('role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data?.role ?? null
+}
+
+/**
+ * Workspace whose keys a user's generations for a project use
+ * Throws a 404 for a project the database doesn't have and a 403 unless
+ * the user can generate in it.
+ * @returns {Promise<string|null>}
+ */
+async function workspaceForProject(projectId, user) {
+  const { data: project, error } = await admin
+    .from('projects')
+    .select('owner_id, workspace_id')
+    .eq('id', projectId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!project) throw new HttpError(404, 'Project not found. Sync it before generating.')
+
+  if (project.owner_id !== user.id) {
+    const role = project.workspace_id && await workspaceRole(project.workspace_id, user.id)
+    if (!GENERATE_ROLES.includes(role)) {
+      throw new HttpError(403, "Your role in this project doesn't allow you to generate")
+    }
+  }
+  return project.workspace_id
+}
+
+/**
+ * A workspace's stored key for a provider
+ */
+export async function getWorkspaceKey(workspaceId, provider) {
+  const { data, error } = await admin
+    .from('provider_keys')
+    .select('api_key')
+    .eq('workspace_id', workspaceId)
+    .eq('provider', provider)
+    .maybeSingle()
+
+  if (error) throw error
+  return data?.api_key ?? null
+}
+
+/**
+ * The key to call a provider with for a user's request
+ * Refuses requests without a project the user can generate in. A server
+ * without Supabase has no projects to check; requireUser only lets
+ * anonymous requests through there when ALLOW_ANONYMOUS_PROXY is set.
+ * @param {Object|null} user - Signed-in user (see requireUser)
+ * @param {string} provider - 'wavespeed' or 'anthropic'
+ * @param {string} projectId - Project the call is for
+ * @returns {Promise<string>}
+ */
+export async function resolveProviderKey(user, provider, projectId) {
+  if (admin) {
+    if (typeof projectId !== 'string' || !projectId) {
+      throw new HttpError(400, 'projectId is required')
+    }
+    const workspaceId = await workspaceForProject(projectId, user)
+    const key = workspaceId && await getWorkspaceKey(workspaceId, provider)
+    if (key) return key
+  }
+
+  const key = getEnvKey(provider)
+  if (!key) {
+    throw new HttpError(401, `No ${provider} API key is configured. A workspace owner can add one in Settings.`)
+  }
+  return key
+}
+
+/**
+ * Check a key against the provider
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+export async function verifyProviderKey(provider, apiKey) {
+  const response = provider === 'wavespeed'
+    ? await fetch('https://api.wavespeed.ai/api/v3/balance', {
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+    })
+    : await fetch('https://api.anthropic.com/v1/models?limit=1', {
+      headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+    })
+
+  if (response.ok) {
+    return { ok: true, message: 'Connection successful' }
+  }
+  if (response.status === 401 || response.status === 403) {
+    return { ok: false, message: 'The provider rejected this key' }
+  }
+  return { ok: false, message: `Provider responded with ${response.status}` }
+}
@@ -0,0 +1,160 @@
+/**
+ * Wavespeed routes the proxy allows
+ * Model endpoints come from the model registry, so adding a model there
+ * is enough to allow it; each category fixes the API version and the body
+ * fields it may send. Prediction status paths are the only GETs.
+ */
+
+import { modelRegistry } from '../../src/lib/models/registry.js'
+
+const KB = 1024
+const MB = 1024 * KB
+
+// Body fields by category (see src/lib/providers/wavespeed.js)
+// Types: string, number, boolean, strings (array of strings)
+const CATEGORY_RULES = {
+  imageGeneration: {
+    version: 'v2',
+    maxBytes: 64 * KB,
+    required: ['prompt'],
+    fields: {
+      prompt: 'string',
+      negative_prompt: 'string',
+      aspect_ratio: 'string',
+      resolution: 'string',
+      guidance_scale: 'number',
+      seed: 'number',
+    },
+  },
+  imageToVideo: {
+    version: 'v2',
+    maxBytes: 4 * MB,
+    required: [],
+    fields: {
+      prompt: 'string',
+      image_url: 'string',
+      image: 'string',
+      negative_prompt: 'string',
+      motion_type: 'string',
+      duration: 'number',
+      aspect_ratio: 'string',
+      resolution: 'string',
+    },
+  },
+  voice: {
+    version: 'v2',
+    maxBytes: 64 * KB,
+    required: ['text'],
+    fields: {
+      text: 'string',
+      voice: 'string',
+      language: 'string',
+      emotion: 'string',
+      pace: 'string',
+    },
+  },
+  lipsync: {
+    version: 'v2',
+    maxBytes: 4 * MB,
+    required: [],
+    fields: {
+      video_url: 'string',
+      video: 'string',
+      audio_url: 'string',
+      audio: 'string',
+    },
+  },
+  imageEdit: {
+    version: 'v3',
+    maxBytes: 4 * MB,
+    maxItems: 10,
+    required: ['prompt', 'images'],
+    fields: {
+      prompt: 'string',
+      images: 'strings',
+      aspect_ratio: 'string',
+      resolution: 'string',
+      output_format: 'string',
+      enable_sync_mode: 'boolean',
+    },
+  },
+  frameToVideo: {
+    version: 'v3',
+    maxBytes: 4 * MB,
+    required: ['image'],
+    fields: {
+      image: 'string',
+      prompt: 'string',
+      aspect_ratio: 'string',
+      duration: 'number',
+      resolution: 'string',
+      generate_audio: 'boolean',
+      camera_fixed: 'boolean',
+      seed: 'number',
+    },
+  },
+}
+
+// Allowed model endpoints, keyed by "<version>/<endpoint>"
+const MODEL_ROUTES = new Map(
+  Object.entries(modelRegistry).flatMap(([category, models]) => {
+    const rules = CATEGORY_RULES[category]
+    if (!rules) return []
+    return models
+      .filter((model) => model.provider === 'wavespeed' && model.endpoint)
+      .map((model) => [`${rules.version}/${model.endpoint}`, { ...rules, kind: 'submit', model }])
+  })
+)
+
+const TASK_ID = '[A-Za-z0-9_-]{1,128}'
+const STATUS_ROUTES = [
+  { version: 'v2', pattern: new RegExp(`^predictions/${TASK_ID}$`) },
+  { version: 'v3', pattern: new RegExp(`^predictions/${TASK_ID}/result$`) },
+]
+const STATUS_RULES = { method: 'GET', maxBytes: 1 * KB, required: [], fields: {}, kind: 'status' }
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  strings: (value) => Array.isArray(value) && value.every((item) => typeof item === 'string'),
+}
+
+/**
+ * Find the route for a request
+ * @returns {Object|null} Its rules: method, kind ('submit' or 'status'), maxBytes, fields...
+ *   and, for submits, the registry model it runs
+ */
+export function findRoute(version, endpoint) {
+  const model = MODEL_ROUTES.get(`${version}/${endpoint}`)
+  if (model) return { ...model, method: 'POST' }
+
+  const isStatus = STATUS_ROUTES.some((route) => route.version === version && route.pattern.test(endpoint))
+  return isStatus ? STATUS_RULES : null
+}
+
+/**
+ * Check a body's fields against a route's rules (route.maxBytes caps its size)
+ * @returns {string|null} What's wrong with it, if anything
+ */
+export function validateBody(route, body) {
+  for (const field of route.required) {
+    if (body[field] === undefined || body[field] === '') {
+      return `${field} is required`
+    }
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    const type = route.fields[field]
+    if (!type) {
+      return `Unexpected field: ${field}`
+    }
+    if (!TYPE_CHECKS[type](value)) {
+      return `${field} must be ${type === 'strings' ? 'a list of strings' : `a ${type}`}`
+    }
+    if (type === 'strings' && route.maxItems && value.length > route.maxItems) {
+      return `${field} can have at most ${route.maxItems} items`
+    }
+  }
+  return null
+}
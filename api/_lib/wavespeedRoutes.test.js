@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { findRoute, validateBody } from './wavespeedRoutes.js'
+
+describe('findRoute', () => {
+  it('allows registry model endpoints at their category version', () => {
+    const route = findRoute('v2', 'bytedance/seedream-v4.5')
+    expect(route).toMatchObject({ kind: 'submit', method: 'POST', model: { id: 'seedream-v4.5' } })
+    expect(findRoute('v3', 'google/nano-banana-pro/edit')).toMatchObject({ kind: 'submit', maxItems: 10 })
+  })
+
+  it('refuses endpoints outside the registry', () => {
+    expect(findRoute('v2', 'some-vendor/expensive-model')).toBeNull()
+    expect(findRoute('v3', 'balance')).toBeNull()
+    expect(findRoute('v2', '../v3/balance')).toBeNull()
+  })
+
+  it('refuses registry endpoints at the wrong version', () => {
+    expect(findRoute('v3', 'bytedance/seedream-v4.5')).toBeNull()
+    expect(findRoute('v2', 'google/nano-banana-pro/edit')).toBeNull()
+    expect(findRoute('v1', 'bytedance/seedream-v4.5')).toBeNull()
+  })
+
+  it('refuses models from other providers', () => {
+    expect(findRoute('v2', 'claude-sonnet-4-5')).toBeNull()
+    expect(findRoute('v3', 'claude-sonnet-4-5')).toBeNull()
+  })
+
+  it('allows prediction status paths as GETs only in their own shape', () => {
+    expect(findRoute('v2', 'predictions/abc-123')).toMatchObject({ kind: 'status', method: 'GET' })
+    expect(findRoute('v3', 'predictions/abc_123/result')).toMatchObject({ kind: 'status', method: 'GET' })
+    expect(findRoute('v2', 'predictions/abc-123/result')).toBeNull()
+    expect(findRoute('v3', 'predictions/abc-123')).toBeNull()
+    expect(findRoute('v2', 'predictions/../balance')).toBeNull()
+    expect(findRoute('v2', `predictions/${'a'.repeat(129)}`)).toBeNull()
+  })
+})
+
+describe('validateBody', () => {
+  const image = findRoute('v2', 'bytedance/seedream-v4.5')
+  const edit = findRoute('v3', 'google/nano-banana-pro/edit')
+  const status = findRoute('v2', 'predictions/abc')
+
+  it('accepts a well-formed body', () => {
+    expect(validateBody(image, { prompt: 'A pier at night', aspect_ratio: '16:9', seed: 42 })).toBeNull()
+    expect(validateBody(edit, { prompt: 'Make it rain', images: ['https://cdn.example/a.png'] })).toBeNull()
+    expect(validateBody(status, {})).toBeNull()
+  })
+
+  it('requires the category\'s required fields', () => {
+    expect(validateBody(image, {})).toBe('prompt is required')
+    expect(validateBody(image, { prompt: '' })).toBe('prompt is required')
+    expect(validateBody(edit, { prompt: 'x' })).toBe('images is required')
+  })
+
+  it('rejects fields the category does not send', () => {
+    expect(validateBody(image, { prompt: 'x', webhook_url: 'https://attacker.example' })).toBe('Unexpected field: webhook_url')
+    expect(validateBody(status, { prompt: 'x' })).toBe('Unexpected field: prompt')
+  })
+
+  it('rejects wrong-typed fields', () => {
+    expect(validateBody(image, { prompt: 42 })).toBe('prompt must be a string')
+    expect(validateBody(image, { prompt: 'x', seed: '42' })).toBe('seed must be a number')
+    expect(validateBody(image, { prompt: 'x', seed: Infinity })).toBe('seed must be a number')
+    expect(validateBody(edit, { prompt: 'x', images: 'https://cdn.example/a.png' })).toBe('images must be a list of strings')
+    expect(validateBody(edit, { prompt: 'x', images: [1] })).toBe('images must be a list of strings')
+    expect(validateBody(edit, { prompt: 'x', images: ['a'], enable_sync_mode: 'true' })).toBe('enable_sync_mode must be a boolean')
+  })
+
+  it('caps list lengths', () => {
+    const images = Array.from({ length: 11 }, (_, i) => `https://cdn.example/${i}.png`)
+    expect(validateBody(edit, { prompt: 'x', images })).toBe('images can have at most 10 items')
+  })
+})
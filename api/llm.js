@@ -0,0 +1,112 @@
+/**
+ * Vercel Serverless Function - Proxy for the Anthropic Messages API
+ * The Claude key comes from the project's workspace or the deployment
+ * (see _lib/providerKeys.js).
+ *
+ * Only signed-in users can call it, only for the registry's Claude models
+ * and the request shape the app sends (see _lib/llmRequests.js), and only
+ * so often (RATE_LIMIT). Each call is charged to its project, and refused
+ * once it could take the project past its spending cap (see _lib/budget.js).
+ */
+
+import { requireUser, rateLimit, setCors, sendError, HttpError } from './_lib/auth.js'
+import { resolveProviderKey } from './_lib/providerKeys.js'
+import { chargeProject, settleCharge } from './_lib/budget.js'
+import { findModel, validateLlmBody, MAX_BODY_BYTES } from './_lib/llmRequests.js'
+import { estimateCost, estimateTokens } from '../src/lib/models/pricing.js'
+
+const API_URL = 'https://api.anthropic.com/v1/messages'
+const API_VERSION = '2023-06-01'
+
+// Per user
+const RATE_LIMIT = { limit: 20, windowSeconds: 60 }
+
+export default async function handler(req, res) {
+  setCors(req, res, 'POST, OPTIONS')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await requireUser(req)
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      throw new HttpError(400, 'Expected a JSON object')
+    }
+    const { projectId, ...body } = req.body
+
+    const model = typeof body.model === 'string' && findModel(body.model)
+    if (!model) {
+      throw new HttpError(403, `Model not allowed: ${body.model}`)
+    }
+    if (typeof projectId !== 'string' || !projectId) {
+      throw new HttpError(400, 'projectId is required')
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(body))
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, `Request body is too large (${Math.ceil(size / 1024)} KB, at most ${MAX_BODY_BYTES / 1024} KB)`)
+    }
+    const problem = validateLlmBody(body)
+    if (problem) {
+      throw new HttpError(400, problem)
+    }
+
+    await rateLimit(user, 'llm', RATE_LIMIT)
+    const apiKey = await resolveProviderKey(user, 'anthropic', projectId)
+
+    // The prompt's size stands in for its tokens; output is priced at max_tokens
+    const { system, messages, tools, tool_choice, max_tokens } = body
+    const prompt = JSON.stringify({ system, messages, tools })
+    const chargeId = await chargeProject(user, projectId, 'llm', estimateCost(model, {
+      inputTokens: estimateTokens(prompt),
+      outputTokens: max_tokens,
+    }))
+
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION,
+      },
+      body: JSON.stringify({ model: body.model, system, messages, tools, tool_choice, max_tokens }),
+    }).catch(async (error) => {
+      await settleCharge(chargeId, 0)
+      throw error
+    })
+
+    if (!response.ok) {
+      await settleCharge(chargeId, 0)
+      const errorText = await response.text()
+      console.error('Anthropic error:', response.status, errorText)
+
+      const retryAfter = response.headers.get('retry-after')
+      if (retryAfter) {
+        res.setHeader('Retry-After', retryAfter)
+      }
+      return res.status(response.status).json({
+        error: `Anthropic API error: ${response.status}`,
+        details: errorText,
+      })
+    }
+
+    // Settle at the tokens it used
+    const result = await response.json()
+    if (result.usage) {
+      await settleCharge(chargeId, estimateCost(model, {
+        inputTokens: result.usage.input_tokens,
+        outputTokens: result.usage.output_tokens,
+      }))
+    }
+    return res.status(200).json(result)
+  } catch (error) {
+    return sendError(res, error, 'LLM proxy error')
+  }
+}
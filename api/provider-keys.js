@@ -0,0 +1,127 @@
+/**
+ * Vercel Serverless Function - Manage a workspace's provider keys
+ *
+ * GET    ?workspaceId=                     Which keys are set (never the keys)
+ * PUT    { workspaceId, provider, apiKey } Verify and save a key (owners)
+ * DELETE { workspaceId, provider }         Remove a key (owners)
+ * POST   { workspaceId?, provider, apiKey? } Test a key: the one given, else
+ *                                          the workspace's, else the deployment's
+ */
+
+import { admin, HttpError, requireUser, rateLimit, setCors, sendError } from './_lib/auth.js'
+import {
+  PROVIDERS,
+  getEnvKey,
+  workspaceRole,
+  getWorkspaceKey,
+  verifyProviderKey,
+} from './_lib/providerKeys.js'
+
+// Per user; tests and saves call the provider
+const VERIFY_RATE_LIMIT = { limit: 10, windowSeconds: 60 }
+
+export default async function handler(req, res) {
+  setCors(req, res, 'GET, PUT, POST, DELETE, OPTIONS')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Without Supabase there are only the deployment's keys
+    const user = await requireUser(req)
+
+    const { workspaceId, provider, apiKey } = req.method === 'GET' ? req.query : req.body || {}
+    if (req.method !== 'GET' && !PROVIDERS.includes(provider)) {
+      throw new HttpError(400, `provider must be one of ${PROVIDERS.join(', ')}`)
+    }
+
+    // Members can see and test a workspace's keys; owners change them
+    const role = workspaceId ? await requireMember(workspaceId, user) : null
+    const requireOwner = () => {
+      if (role !== 'owner') throw new HttpError(403, 'Only workspace owners can change API keys')
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({ storage: !!admin, keys: await keyStatus(workspaceId) })
+
+      case 'PUT': {
+        requireOwner()
+        if (!apiKey?.trim()) throw new HttpError(400, 'apiKey is required')
+
+        await rateLimit(user, 'provider-keys:verify', VERIFY_RATE_LIMIT)
+        const check = await verifyProviderKey(provider, apiKey.trim())
+        if (!check.ok) throw new HttpError(400, check.message)
+
+        const { error } = await admin.from('provider_keys').upsert({
+          workspace_id: workspaceId,
+          provider,
+          api_key: apiKey.trim(),
+          updated_by: user.id,
+          updated_at: new Date().toISOString(),
+        })
+        if (error) throw error
+        return res.status(200).json({ keys: await keyStatus(workspaceId) })
+      }
+
+      case 'DELETE': {
+        requireOwner()
+        const { error } = await admin
+          .from('provider_keys')
+          .delete()
+          .eq('workspace_id', workspaceId)
+          .eq('provider', provider)
+        if (error) throw error
+        return res.status(200).json({ keys: await keyStatus(workspaceId) })
+      }
+
+      case 'POST': {
+        const key = apiKey?.trim()
+          || (workspaceId && await getWorkspaceKey(workspaceId, provider))
+          || getEnvKey(provider)
+        if (!key) throw new HttpError(400, `No ${provider} API key is configured`)
+
+        await rateLimit(user, 'provider-keys:verify', VERIFY_RATE_LIMIT)
+        return res.status(200).json(await verifyProviderKey(provider, key))
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' })
+    }
+  } catch (error) {
+    return sendError(res, error, 'Provider keys error')
+  }
+}
+
+async function requireMember(workspaceId, user) {
+  if (!admin) throw new HttpError(501, 'Workspace keys need Supabase to be configured')
+  const role = await workspaceRole(workspaceId, user.id)
+  if (!role) throw new HttpError(403, 'Not a member of this workspace')
+  return role
+}
+
+/**
+ * Which keys are set, per provider, for the workspace and the deployment
+ */
+async function keyStatus(workspaceId) {
+  let stored = []
+  if (workspaceId) {
+    const { data, error } = await admin
+      .from('provider_keys')
+      .select('provider, updated_at')
+      .eq('workspace_id', workspaceId)
+    if (error) throw error
+    stored = data
+  }
+
+  return Object.fromEntries(PROVIDERS.map((provider) => {
+    const row = stored.find((r) => r.provider === provider)
+    return [provider, {
+      workspace: !!row,
+      updatedAt: row?.updated_at ?? null,
+      server: !!getEnvKey(provider),
+    }]
+  }))
+}
@@ -5,13 +5,15 @@
  * Handles both image URLs and base64 images
  */
 
+import { requireUser, rateLimit, setCors, sendError } from './_lib/auth.js'
+
 const MODAL_ENDPOINT = 'https://chartin80--apple-sharp-sharpmodel-generate.modal.run'
 
+// Per user; each reconstruction runs a GPU job
+const RATE_LIMIT = { limit: 10, windowSeconds: 60 }
+
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  setCors(req, res, 'POST, OPTIONS')
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -23,6 +25,9 @@ export default async function handler(req, res) {
   }
 
   try {
+    const user = await requireUser(req)
+    await rateLimit(user, 'reconstruct', RATE_LIMIT)
+
     const { image_url, image_base64 } = req.body
 
     if (!image_url && !image_base64) {
@@ -80,10 +85,6 @@ export default async function handler(req, res) {
     return res.status(200).json(result)
 
   } catch (error) {
-    console.error('Proxy error:', error)
-    return res.status(500).json({
-      error: 'Proxy error',
-      message: error.message
-    })
+    return sendError(res, error, 'Proxy error')
   }
 }
@@ -1,47 +1,111 @@
 /**
  * Vercel Serverless Function - Proxy for Wavespeed API
- * Handles Nano Banana Pro Edit and other Wavespeed endpoints
+ * Every Wavespeed call goes through here: v2 generations and status, and
+ * v3 endpoints such as Nano Banana Pro Edit. Each call names its project
+ * (_projectId); the key comes from the project's workspace or the
+ * deployment (see _lib/providerKeys.js).
+ *
+ * Only signed-in users can call it, only for the model endpoints in the
+ * registry and prediction status paths (see _lib/wavespeedRoutes.js), and
+ * only so often (RATE_LIMITS). New generations are charged to their
+ * project, and refused once they'd take it past its spending cap (see
+ * _lib/budget.js).
  */
 
-const WAVESPEED_API_KEY = process.env.WAVESPEED_API_KEY || 'df60bb6a3229d10abe24f8947d49c43aa93102628557fc33a31980c9c662dc3e'
-const BASE_URL = 'https://api.wavespeed.ai/api/v3'
+import { requireUser, rateLimit, setCors, sendError, HttpError } from './_lib/auth.js'
+import { resolveProviderKey } from './_lib/providerKeys.js'
+import { chargeProject, settleCharge } from './_lib/budget.js'
+import { findRoute, validateBody } from './_lib/wavespeedRoutes.js'
+import { estimateCost, costParams } from '../src/lib/models/pricing.js'
+
+const BASE_URLS = {
+  v2: 'https://api.wavespeed.ai/api/v2',
+  v3: 'https://api.wavespeed.ai/api/v3',
+}
+
+// Per user: new generations, and status polls (several tasks poll at once)
+const RATE_LIMITS = {
+  submit: { limit: 30, windowSeconds: 60 },
+  status: { limit: 600, windowSeconds: 60 },
+}
 
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+  setCors(req, res, 'POST, OPTIONS')
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
     return res.status(200).end()
   }
 
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
   try {
-    const { endpoint, _method, ...body } = req.body
+    const user = await requireUser(req)
 
-    if (!endpoint) {
-      return res.status(400).json({ error: 'endpoint is required' })
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      throw new HttpError(400, 'Expected a JSON object')
     }
+    const { endpoint, _method = 'POST', _version = 'v3', _projectId, ...body } = req.body
 
-    const url = `${BASE_URL}/${endpoint}`
-    const method = _method || req.method
-    console.log('Proxying to Wavespeed:', method, url)
+    if (typeof endpoint !== 'string' || !endpoint) {
+      throw new HttpError(400, 'endpoint is required')
+    }
+    const route = findRoute(_version, endpoint)
+    if (!route) {
+      throw new HttpError(403, `Endpoint not allowed: ${_version}/${endpoint}`)
+    }
+    if (_method !== route.method) {
+      throw new HttpError(405, `${endpoint} only accepts ${route.method}`)
+    }
+    if (typeof _projectId !== 'string' || !_projectId) {
+      throw new HttpError(400, '_projectId is required')
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(body))
+    if (size > route.maxBytes) {
+      throw new HttpError(413, `Request body is too large (${Math.ceil(size / 1024)} KB, at most ${route.maxBytes / 1024} KB)`)
+    }
+    const problem = validateBody(route, body)
+    if (problem) {
+      throw new HttpError(400, problem)
+    }
+
+    await rateLimit(user, `wavespeed:${route.kind}`, RATE_LIMITS[route.kind])
+
+    const apiKey = await resolveProviderKey(user, 'wavespeed', _projectId)
+    const chargeId = route.kind === 'submit'
+      ? await chargeProject(user, _projectId, 'wavespeed', estimateCost(route.model, costParams(body)))
+      : null
+    const url = `${BASE_URLS[_version]}/${endpoint}`
+    console.log('Proxying to Wavespeed:', route.method, url)
 
     const response = await fetch(url, {
-      method: method,
+      method: route.method,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${WAVESPEED_API_KEY}`,
+        'Authorization': `Bearer ${apiKey}`,
       },
-      body: method !== 'GET' ? JSON.stringify(body) : undefined,
+      body: route.method !== 'GET' ? JSON.stringify(body) : undefined,
+    }).catch(async (error) => {
+      await settleCharge(chargeId, 0)
+      throw error
     })
 
     const contentType = response.headers.get('content-type')
 
     if (!response.ok) {
+      // Refused generations cost nothing
+      await settleCharge(chargeId, 0)
       const errorText = await response.text()
       console.error('Wavespeed error:', response.status, errorText)
+
+      // Pass rate-limit hints through so the client queue can back off
+      const retryAfter = response.headers.get('retry-after')
+      if (retryAfter) {
+        res.setHeader('Retry-After', retryAfter)
+      }
       return res.status(response.status).json({
         error: `Wavespeed API error: ${response.status}`,
         details: errorText
@@ -57,10 +121,6 @@ export default async function handler(req, res) {
     }
 
   } catch (error) {
-    console.error('Proxy error:', error)
-    return res.status(500).json({
-      error: 'Proxy error',
-      message: error.message
-    })
+    return sendError(res, error, 'Proxy error')
   }
 }
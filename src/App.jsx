@@ -1,6 +1,8 @@
 import { Routes, Route, Navigate } from 'react-router-dom'
 import { useEffect } from 'react'
-import { initDB } from './lib/db'
+import { initDB, getSettings, clearLegacyApiKeys } from './lib/db'
+import { generationQueue } from './lib/jobs'
+import { useGenerationStore, useSyncStore } from './lib/store'
 
 // Layout components
 import { AppLayout } from './components/layout/AppLayout'
@@ -17,11 +19,25 @@ import { VoicePage } from './components/voice'
 import { AssemblyPage } from './components/assembly'
 import { SettingsPage } from './components/settings'
 import { CameraExplorerPage } from './components/camera-explorer'
+import { BudgetPage } from './components/budget'
+import { InvitePage } from './components/auth'
 
 export default function App() {
-  // Initialize IndexedDB on app start
+  // Initialize IndexedDB on app start, then pick up generations left in flight
+  // and start syncing with the cloud
   useEffect(() => {
-    initDB().catch(console.error)
+    generationQueue.configure(getSettings().queueLimits)
+    clearLegacyApiKeys()
+
+    let stopSync = () => {}
+    initDB()
+      .then(() => {
+        stopSync = useSyncStore.getState().start()
+        return useGenerationStore.getState().resumeActiveTasks()
+      })
+      .catch(console.error)
+
+    return () => stopSync()
   }, [])
 
   return (
@@ -34,6 +50,9 @@ export default function App() {
         {/* Settings */}
         <Route path="/settings" element={<SettingsPage />} />
 
+        {/* Workspace invite links */}
+        <Route path="/invite/:token" element={<InvitePage />} />
+
         {/* Project routes */}
         <Route path="/project/:id" element={<ProjectLayout />}>
           {/* Redirect to script by default */}
@@ -48,6 +67,7 @@ export default function App() {
           <Route path="voice" element={<VoicePage />} />
           <Route path="assembly" element={<AssemblyPage />} />
           <Route path="camera" element={<CameraExplorerPage />} />
+          <Route path="budget" element={<BudgetPage />} />
         </Route>
 
         {/* Catch-all redirect */}
@@ -1,56 +1,25 @@
 import { useState, useMemo } from 'react'
 import { Layers, Download, Play, Pause, SkipBack, SkipForward, Wand2 } from 'lucide-react'
-import { useProjectStore, useUIStore, useGenerationStore } from '@/lib/store'
-import { Button, EmptyState, ProgressBar, Badge } from '../common'
+import { useProjectStore, useUIStore, useGenerationStore, useWorkspaceStore } from '@/lib/store'
+import { gatherClips } from '@/lib/export'
+import { Button, EmptyState, ProgressBar, Badge, Input } from '../common'
 import { Panel, PanelHeader, PanelContent, SplitView } from '../layout'
 import { Timeline } from './Timeline'
 import { PreviewPlayer } from './PreviewPlayer'
 import { ExportPanel } from './ExportPanel'
 
 export function AssemblyPage() {
-  const { currentProject, updateProject } = useProjectStore()
+  const { currentProject, updateProject, updateShot } = useProjectStore()
   const { addNotification } = useUIStore()
   const { generateLipsync, activeTasks } = useGenerationStore()
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
 
   const [selectedClipIndex, setSelectedClipIndex] = useState(null)
   const [isPlaying, setIsPlaying] = useState(false)
   const [showExport, setShowExport] = useState(false)
 
   // Gather all approved shots with videos
-  const availableClips = useMemo(() => {
-    if (!currentProject?.scenes) return []
-
-    return currentProject.scenes.flatMap((scene) =>
-      (scene.shots || [])
-        .filter((shot) => shot.videoTakes?.length > 0 || shot.keyframes?.length > 0)
-        .map((shot) => {
-          const selectedVideo = shot.selectedVideo
-            ? shot.videoTakes?.find((v) => v.id === shot.selectedVideo)
-            : shot.videoTakes?.[0]
-
-          const selectedKeyframe = shot.selectedKeyframe
-            ? shot.keyframes?.find((k) => k.id === shot.selectedKeyframe)
-            : shot.keyframes?.[0]
-
-          const selectedAudio = shot.selectedAudio
-            ? shot.audioTakes?.find((a) => a.id === shot.selectedAudio)
-            : shot.audioTakes?.[0]
-
-          return {
-            id: shot.id,
-            sceneNumber: scene.sceneNumber,
-            shotNumber: shot.shotNumber,
-            shotType: shot.shotType,
-            description: shot.description,
-            video: selectedVideo,
-            keyframe: selectedKeyframe,
-            audio: selectedAudio,
-            duration: selectedVideo?.settings?.duration || 5,
-            hasLipsync: !!shot.lipsyncVideo,
-          }
-        })
-    )
-  }, [currentProject?.scenes])
+  const availableClips = useMemo(() => gatherClips(currentProject), [currentProject?.scenes])
 
   // Timeline clips - use assembly timeline or default to available clips
   const timelineClips = useMemo(() => {
@@ -74,12 +43,14 @@ export function AssemblyPage() {
     }
 
     try {
-      const result = await generateLipsync({
+      await generateLipsync({
         projectId: currentProject.id,
+        sceneId: clip.sceneId,
         shotId: clip.id,
         modelId: 'longcat',
         videoUrl: clip.video.url || clip.video.outputs?.[0],
         audioUrl: clip.audio.url || clip.audio.outputs?.[0],
+        attach: { as: 'lipsync' },
       })
 
       addNotification({
@@ -87,6 +58,10 @@ export function AssemblyPage() {
         message: 'Lipsync generated successfully',
       })
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addNotification({ type: 'info', message: 'Generation cancelled' })
+        return
+      }
       addNotification({
         type: 'error',
         message: `Lipsync failed: ${error.message}`,
@@ -103,6 +78,10 @@ export function AssemblyPage() {
     })
   }
 
+  const handleTrimClip = (clip, trim) => {
+    updateShot(clip.sceneId, clip.id, trim)
+  }
+
   const totalDuration = timelineClips.reduce((sum, clip) => sum + (clip.duration || 5), 0)
 
   if (availableClips.length === 0) {
@@ -140,8 +119,10 @@ export function AssemblyPage() {
               {selectedClipIndex !== null && timelineClips[selectedClipIndex] ? (
                 <ClipDetails
                   clip={timelineClips[selectedClipIndex]}
-                  onGenerateLipsync={handleGenerateLipsync}
+                  onTrim={handleTrimClip}
+                  onGenerateLipsync={canGenerate ? handleGenerateLipsync : null}
                   isGenerating={!!currentLipsyncTask}
+                  queuePosition={currentLipsyncTask?.queuePosition}
                 />
               ) : (
                 <div className="text-center text-white/40 py-8">
@@ -186,7 +167,7 @@ export function AssemblyPage() {
               </button>
             </div>
             <span className="text-sm text-white/50">
-              {timelineClips.length} clips • {totalDuration}s total
+              {timelineClips.length} clips • {+totalDuration.toFixed(1)}s total
             </span>
           </div>
           <Button onClick={() => setShowExport(true)}>
@@ -214,7 +195,18 @@ export function AssemblyPage() {
   )
 }
 
-function ClipDetails({ clip, onGenerateLipsync, isGenerating }) {
+function ClipDetails({ clip, onTrim, onGenerateLipsync, isGenerating, queuePosition }) {
+  const handleTrimChange = (field, value) => {
+    const seconds = parseFloat(value)
+    if (Number.isNaN(seconds)) return
+
+    const trim = { trimIn: clip.trimIn, trimOut: clip.trimOut, [field]: seconds }
+    // Keep at least a tenth of a second between the in and out points
+    if (trim.trimIn >= 0 && trim.trimOut <= clip.sourceDuration && trim.trimOut - trim.trimIn >= 0.1) {
+      onTrim(clip, trim)
+    }
+  }
+
   return (
     <div className="space-y-4">
       {/* Thumbnail */}
@@ -250,6 +242,40 @@ function ClipDetails({ clip, onGenerateLipsync, isGenerating }) {
         </p>
       </div>
 
+      {/* Trim */}
+      {clip.video && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-white/50">Trim</span>
+            <span className="text-white/40">
+              {clip.duration.toFixed(1)}s of {clip.sourceDuration}s
+            </span>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <Input
+              key={`in-${clip.id}-${clip.trimIn}`}
+              type="number"
+              label="In (s)"
+              min={0}
+              max={clip.sourceDuration}
+              step={0.1}
+              defaultValue={clip.trimIn}
+              onBlur={(e) => handleTrimChange('trimIn', e.target.value)}
+            />
+            <Input
+              key={`out-${clip.id}-${clip.trimOut}`}
+              type="number"
+              label="Out (s)"
+              min={0}
+              max={clip.sourceDuration}
+              step={0.1}
+              defaultValue={clip.trimOut}
+              onBlur={(e) => handleTrimChange('trimOut', e.target.value)}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Status */}
       <div className="space-y-2 text-sm">
         <div className="flex items-center justify-between">
@@ -273,7 +299,7 @@ function ClipDetails({ clip, onGenerateLipsync, isGenerating }) {
       </div>
 
       {/* Lipsync button */}
-      {clip.video && clip.audio && !clip.hasLipsync && (
+      {onGenerateLipsync && clip.video && clip.audio && !clip.hasLipsync && (
         <Button
           onClick={() => onGenerateLipsync(clip)}
           loading={isGenerating}
@@ -281,7 +307,7 @@ function ClipDetails({ clip, onGenerateLipsync, isGenerating }) {
           variant="secondary"
         >
           <Wand2 className="w-4 h-4" />
-          Generate Lipsync
+          {queuePosition ? `Queued (#${queuePosition})` : 'Generate Lipsync'}
         </Button>
       )}
     </div>
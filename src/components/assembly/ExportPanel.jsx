@@ -1,47 +1,80 @@
-import { useState } from 'react'
+import { useState, useRef } from 'react'
 import { Download, X, FileVideo, FileText, Package } from 'lucide-react'
 import { Button, Select, Modal, ProgressBar } from '../common'
-import { useUIStore } from '@/lib/store'
+import { useUIStore, useProjectStore } from '@/lib/store'
+import {
+  renderSequence,
+  generateEDL,
+  generateFCPXML,
+  generateOTIO,
+  clipFileName,
+  clipPictureUrl,
+  clipAudioUrl,
+  SEQUENCE_RESOLUTIONS,
+  FRAME_RATES,
+} from '@/lib/export'
+import { downloadBlob } from '@/lib/utils'
 
 export function ExportPanel({ clips, onClose }) {
   const { addNotification } = useUIStore()
+  const { currentProject } = useProjectStore()
   const [exportType, setExportType] = useState('clips')
   const [format, setFormat] = useState('mp4')
+  const [resolution, setResolution] = useState('1080p')
+  const [frameRate, setFrameRate] = useState('24')
   const [isExporting, setIsExporting] = useState(false)
   const [progress, setProgress] = useState(0)
+  const [stage, setStage] = useState(null)
+  const abortRef = useRef(null)
 
   const exportTypeOptions = [
     { value: 'clips', label: 'Individual Clips', description: 'Download each shot separately' },
     { value: 'sequence', label: 'Full Sequence', description: 'Combine all clips into one video' },
-    { value: 'edl', label: 'EDL/XML', description: 'For Premiere Pro / DaVinci Resolve' },
+    { value: 'edl', label: 'EDL (CMX3600)', description: 'For Premiere Pro / DaVinci Resolve' },
+    { value: 'fcpxml', label: 'FCPXML 1.10', description: 'For Final Cut Pro / DaVinci Resolve' },
+    { value: 'otio', label: 'OpenTimelineIO', description: 'For Resolve, Premiere and OTIO tools' },
   ]
 
+  // Timeline interchange formats, written next to the downloaded clips
+  const interchangeFormats = {
+    edl: { generate: generateEDL, extension: 'edl', label: 'EDL' },
+    fcpxml: { generate: generateFCPXML, extension: 'fcpxml', label: 'FCPXML' },
+    otio: { generate: generateOTIO, extension: 'otio', label: 'OTIO' },
+  }
+  const interchange = interchangeFormats[exportType]
+
   const formatOptions = [
     { value: 'mp4', label: 'MP4 (H.264)' },
     { value: 'webm', label: 'WebM (VP9)' },
-    { value: 'mov', label: 'MOV (ProRes)' },
   ]
 
+  const resolutionOptions = Object.entries(SEQUENCE_RESOLUTIONS).map(([value, { label }]) => ({
+    value,
+    label,
+  }))
+
+  const frameRateOptions = Object.entries(FRAME_RATES).map(([value, { label }]) => ({ value, label }))
+
   const handleExport = async () => {
     setIsExporting(true)
     setProgress(0)
 
     try {
-      if (exportType === 'edl') {
-        // Generate EDL
-        const edl = generateEDL(clips)
-        downloadText(edl, 'sequence.edl')
+      if (interchange) {
+        const title = currentProject?.name || undefined
+        downloadText(interchange.generate(clips, { title, frameRate }), `sequence.${interchange.extension}`)
         addNotification({
           type: 'success',
-          message: 'EDL exported successfully',
+          message: `${interchange.label} exported - keep it in the same folder as the exported clips`,
         })
       } else if (exportType === 'clips') {
-        // Download each clip
+        // Download each clip's picture and audio, named as the EDL references them
         for (let i = 0; i < clips.length; i++) {
           const clip = clips[i]
-          const url = clip.video?.url || clip.video?.outputs?.[0]
-          if (url) {
-            await downloadFile(url, `scene${clip.sceneNumber}_shot${clip.shotNumber}.${format}`)
+          await downloadFile(clipPictureUrl(clip), clipFileName(clip, 'video'))
+          const audioUrl = clipAudioUrl(clip)
+          if (audioUrl) {
+            await downloadFile(audioUrl, clipFileName(clip, 'audio'))
           }
           setProgress(((i + 1) / clips.length) * 100)
         }
@@ -50,25 +83,52 @@ export function ExportPanel({ clips, onClose }) {
           message: `Exported ${clips.length} clips`,
         })
       } else {
-        // Sequence export would require server-side processing
+        // Render the timeline to a single video in the browser
+        abortRef.current = new AbortController()
+        const { blob, extension } = await renderSequence(clips, {
+          format,
+          resolution,
+          signal: abortRef.current.signal,
+          onProgress: (percent, nextStage) => {
+            setProgress(percent)
+            setStage(nextStage)
+          },
+        })
+        downloadBlob(blob, `sequence.${extension}`)
         addNotification({
-          type: 'info',
-          message: 'Full sequence export requires server-side processing (coming soon)',
+          type: 'success',
+          message: extension === format
+            ? 'Sequence exported successfully'
+            : `Sequence exported as ${extension.toUpperCase()} (this browser cannot record ${format.toUpperCase()})`,
         })
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addNotification({ type: 'info', message: 'Export cancelled' })
+        return
+      }
       addNotification({
         type: 'error',
         message: `Export failed: ${error.message}`,
       })
     } finally {
+      abortRef.current = null
       setIsExporting(false)
       setProgress(0)
+      setStage(null)
+    }
+  }
+
+  const handleCancel = () => {
+    if (abortRef.current) {
+      abortRef.current.abort()
+    } else {
+      onClose()
     }
   }
 
   return (
-    <Modal isOpen onClose={onClose} title="Export Project" size="md">
+    <Modal isOpen onClose={handleCancel} title="Export Project" size="md">
       <div className="space-y-6">
         {/* Export type */}
         <Select
@@ -78,8 +138,8 @@ export function ExportPanel({ clips, onClose }) {
           onChange={setExportType}
         />
 
-        {/* Format (for video exports) */}
-        {exportType !== 'edl' && (
+        {/* Format (for sequence render) */}
+        {exportType === 'sequence' && (
           <Select
             label="Format"
             options={formatOptions}
@@ -88,6 +148,26 @@ export function ExportPanel({ clips, onClose }) {
           />
         )}
 
+        {/* Timecode rate (for EDL / XML / OTIO) */}
+        {interchange && (
+          <Select
+            label="Frame Rate"
+            options={frameRateOptions}
+            value={frameRate}
+            onChange={setFrameRate}
+          />
+        )}
+
+        {/* Output size (for sequence render) */}
+        {exportType === 'sequence' && (
+          <Select
+            label="Resolution"
+            options={resolutionOptions}
+            value={resolution}
+            onChange={setResolution}
+          />
+        )}
+
         {/* Summary */}
         <div className="p-4 bg-white/5 rounded-lg space-y-2">
           <div className="flex items-center gap-2 text-sm">
@@ -97,11 +177,14 @@ export function ExportPanel({ clips, onClose }) {
           <div className="text-sm text-white/50">
             <p>{clips.length} clips</p>
             <p>
-              {clips.reduce((sum, c) => sum + (c.duration || 5), 0)}s total duration
+              {+clips.reduce((sum, c) => sum + (c.duration || 5), 0).toFixed(1)}s total duration
             </p>
-            {exportType === 'clips' && (
+            {!interchange && (
               <p>{clips.filter((c) => c.video).length} videos, {clips.filter((c) => c.audio).length} audio files</p>
             )}
+            {exportType === 'sequence' && (
+              <p>Renders in real time - keep this tab open until it finishes</p>
+            )}
           </div>
         </div>
 
@@ -109,7 +192,9 @@ export function ExportPanel({ clips, onClose }) {
         {isExporting && (
           <div className="space-y-2">
             <div className="flex justify-between text-sm">
-              <span className="text-white/60">Exporting...</span>
+              <span className="text-white/60">
+                {stage === 'loading' ? 'Loading clips...' : stage === 'rendering' ? 'Rendering sequence...' : 'Exporting...'}
+              </span>
               <span className="text-white/60">{Math.round(progress)}%</span>
             </div>
             <ProgressBar value={progress} />
@@ -118,7 +203,7 @@ export function ExportPanel({ clips, onClose }) {
 
         {/* Actions */}
         <div className="flex justify-end gap-3">
-          <Button variant="secondary" onClick={onClose}>
+          <Button variant="secondary" onClick={handleCancel} disabled={isExporting && !abortRef.current}>
             Cancel
           </Button>
           <Button onClick={handleExport} loading={isExporting}>
@@ -131,42 +216,6 @@ export function ExportPanel({ clips, onClose }) {
   )
 }
 
-function generateEDL(clips) {
-  let edl = 'TITLE: AI Native Studio Export\nFCM: NON-DROP FRAME\n\n'
-  let timecodeCurrent = 0
-
-  clips.forEach((clip, index) => {
-    const duration = clip.duration || 5
-    const timecodeStart = formatTimecode(timecodeCurrent)
-    const timecodeEnd = formatTimecode(timecodeCurrent + duration)
-
-    edl += `${String(index + 1).padStart(3, '0')}  `
-    edl += `SCENE${clip.sceneNumber}_SHOT${clip.shotNumber} `
-    edl += `V     C        `
-    edl += `${timecodeStart} ${timecodeEnd} ${timecodeStart} ${timecodeEnd}\n`
-
-    if (clip.video) {
-      edl += `* FROM CLIP NAME: ${clip.video.url || clip.video.outputs?.[0]}\n`
-    }
-    edl += '\n'
-
-    timecodeCurrent += duration
-  })
-
-  return edl
-}
-
-function formatTimecode(seconds) {
-  const hours = Math.floor(seconds / 3600)
-  const minutes = Math.floor((seconds % 3600) / 60)
-  const secs = Math.floor(seconds % 60)
-  const frames = Math.floor((seconds % 1) * 24)
-
-  return [hours, minutes, secs, frames]
-    .map((n) => String(n).padStart(2, '0'))
-    .join(':')
-}
-
 function downloadText(content, filename) {
   const blob = new Blob([content], { type: 'text/plain' })
   const url = URL.createObjectURL(blob)
@@ -107,7 +107,7 @@ export function Timeline({ clips, selectedIndex, onSelectClip, onReorder }) {
               <div className="text-xs font-medium truncate">
                 S{clip.sceneNumber}/{clip.shotNumber}
               </div>
-              <div className="text-xs text-white/50">{clip.duration || 5}s</div>
+              <div className="text-xs text-white/50">{+(clip.duration || 5).toFixed(1)}s</div>
             </div>
           </div>
         )
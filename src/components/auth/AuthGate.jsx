@@ -0,0 +1,126 @@
+/**
+ * AuthGate - Sign in with Supabase Auth before using the app
+ * Without Supabase configured, projects stay in this browser and no
+ * account is needed.
+ */
+
+import { useState, useEffect } from 'react'
+import { Lock } from 'lucide-react'
+import { useAuthStore } from '@/lib/store'
+
+export function AuthGate({ children }) {
+  const { enabled, session, loading, error, init, signIn, signUp } = useAuthStore()
+  const [mode, setMode] = useState('signIn') // 'signIn' | 'signUp'
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [message, setMessage] = useState('')
+
+  useEffect(() => init(), [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setMessage('')
+    setSubmitting(true)
+    try {
+      if (mode === 'signIn') {
+        await signIn(email, password)
+      } else {
+        const { needsConfirmation } = await signUp(email, password)
+        if (needsConfirmation) {
+          setMessage('Check your email to confirm your account, then sign in')
+          setMode('signIn')
+        }
+      }
+      setPassword('')
+    } catch {
+      // Shown from the store's error
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  // Still loading the saved session
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-studio-bg flex items-center justify-center">
+        <div className="w-8 h-8 border-2 border-accent-primary border-t-transparent rounded-full animate-spin" />
+      </div>
+    )
+  }
+
+  // Signed in, or running locally - render app
+  if (!enabled || session) {
+    return children
+  }
+
+  const inputClass =
+    'w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-white/30 focus:outline-none focus:border-accent-primary focus:ring-1 focus:ring-accent-primary'
+
+  // Show sign in form
+  return (
+    <div className="min-h-screen bg-studio-bg flex items-center justify-center p-4">
+      <div className="w-full max-w-sm">
+        <div className="bg-studio-surface border border-studio-border rounded-xl p-8">
+          {/* Logo/Header */}
+          <div className="text-center mb-8">
+            <div className="w-16 h-16 bg-accent-primary/20 rounded-2xl flex items-center justify-center mx-auto mb-4">
+              <Lock className="w-8 h-8 text-accent-primary" />
+            </div>
+            <h1 className="text-xl font-bold text-white">AI Native Studio</h1>
+            <p className="text-sm text-white/50 mt-1">
+              {mode === 'signIn' ? 'Sign in to continue' : 'Create an account'}
+            </p>
+          </div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email"
+              className={inputClass}
+              autoComplete="email"
+              required
+              autoFocus
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              className={inputClass}
+              autoComplete={mode === 'signIn' ? 'current-password' : 'new-password'}
+              minLength={6}
+              required
+            />
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+            {message && <p className="text-accent-success text-sm">{message}</p>}
+
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full py-3 bg-accent-primary hover:bg-accent-primary/90 disabled:opacity-50 text-white font-medium rounded-lg transition-colors"
+            >
+              {mode === 'signIn' ? 'Sign In' : 'Create Account'}
+            </button>
+          </form>
+        </div>
+
+        <p className="text-center text-white/50 text-sm mt-4">
+          {mode === 'signIn' ? 'No account yet? ' : 'Already have an account? '}
+          <button
+            onClick={() => {
+              setMode(mode === 'signIn' ? 'signUp' : 'signIn')
+              setMessage('')
+            }}
+            className="text-accent-primary hover:underline"
+          >
+            {mode === 'signIn' ? 'Create one' : 'Sign in'}
+          </button>
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,56 @@
+/**
+ * InvitePage - Join a workspace from an invite link (/invite/:token)
+ * AuthGate has the user sign in first; the link survives sign in.
+ */
+
+import { useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { Users } from 'lucide-react'
+import { useWorkspaceStore, useUIStore } from '@/lib/store'
+import { ROLE_LABELS } from '@/lib/supabase'
+import { Button, EmptyState, Spinner } from '../common'
+
+export function InvitePage() {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const { enabled, acceptInvite } = useWorkspaceStore()
+  const { addNotification } = useUIStore()
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!enabled) {
+      setError('Workspaces need Supabase to be configured')
+      return
+    }
+
+    acceptInvite(token)
+      .then((workspace) => {
+        addNotification({
+          type: 'success',
+          message: workspace
+            ? `Joined "${workspace.name}" as ${ROLE_LABELS[workspace.role].toLowerCase()}`
+            : 'Joined workspace',
+        })
+        navigate('/', { replace: true })
+      })
+      .catch((err) => setError(err.message))
+  }, [token])
+
+  if (!error) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <Spinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <EmptyState
+      icon={Users}
+      title="Couldn't join workspace"
+      description={error}
+      action={<Button onClick={() => navigate('/', { replace: true })}>Go to projects</Button>}
+      className="flex-1"
+    />
+  )
+}
@@ -1 +1,2 @@
-export { AccessGate } from './AccessGate'
+export { AuthGate } from './AuthGate'
+export { InvitePage } from './InvitePage'
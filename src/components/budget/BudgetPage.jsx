@@ -0,0 +1,227 @@
+/**
+ * BudgetPage - What a project's generations have cost
+ * Totals by scene, shot and model, and the project's spending cap. Costs
+ * are priced from the model registry: text models from the tokens they
+ * reported using, everything else from estimates, marked as such.
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { Wallet } from 'lucide-react'
+import { Panel, PanelHeader, PanelContent } from '../layout'
+import { Button, Input, EmptyState, ProgressBar } from '../common'
+import { useProjectStore, useGenerationStore, useUIStore, useWorkspaceStore } from '@/lib/store'
+import { dataService } from '@/lib/supabase'
+import { modelRegistry, generationCost, isEstimatedCost, totalCost, formatCost } from '@/lib/models'
+
+const MODEL_NAMES = Object.fromEntries(
+  Object.values(modelRegistry).flat().map((model) => [model.id, model.name])
+)
+
+// Add a generation's cost to the row for key
+function addTo(rows, key, label, generation) {
+  const row = rows.get(key) || { key, label, cost: 0, count: 0, estimated: false }
+  row.cost += generationCost(generation)
+  row.count += 1
+  row.estimated ||= isEstimatedCost(generation)
+  rows.set(key, row)
+}
+
+function byCost(rows) {
+  return [...rows.values()].sort((a, b) => b.cost - a.cost)
+}
+
+function CostTable({ title, rows, emptyText }) {
+  return (
+    <Panel>
+      <PanelHeader title={title} />
+      <PanelContent>
+        {rows.length === 0 ? (
+          <p className="text-sm text-white/40">{emptyText}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key} className="border-b border-studio-border last:border-0">
+                  <td className="py-2 truncate">{row.label}</td>
+                  <td className="py-2 text-right text-white/50">{row.count}</td>
+                  <td
+                    className="py-2 pl-4 text-right font-medium tabular-nums"
+                    title={row.estimated ? 'Includes estimated costs' : undefined}
+                  >
+                    {row.estimated && '~'}{formatCost(row.cost)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </PanelContent>
+    </Panel>
+  )
+}
+
+export function BudgetPage() {
+  const { currentProject, setSpendingCap } = useProjectStore()
+  const { activeTasks, taskHistory } = useGenerationStore()
+  const { addNotification } = useUIStore()
+  const canSetCap = useWorkspaceStore((s) => s.can(currentProject, 'budget'))
+
+  const [stored, setStored] = useState([])
+  const [capInput, setCapInput] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const projectId = currentProject?.id
+  const spendingCap = currentProject?.spendingCap ?? null
+
+  // Reload as this tab's generations settle; other users' arrive by sync
+  useEffect(() => {
+    if (!projectId) return
+    dataService.getGenerationsByProject(projectId).then(setStored).catch(console.error)
+  }, [projectId, taskHistory.length])
+
+  useEffect(() => {
+    setCapInput(spendingCap == null ? '' : String(spendingCap))
+  }, [spendingCap])
+
+  // Running tasks in this tab are newer than their stored records
+  const generations = useMemo(() => {
+    const running = activeTasks.filter((task) => task.projectId === projectId)
+    const runningIds = new Set(running.map((task) => task.id))
+    return [...stored.filter((g) => !runningIds.has(g.id)), ...running]
+  }, [stored, activeTasks, projectId])
+
+  const breakdown = useMemo(() => {
+    const scenes = new Map()
+    const shots = new Map()
+    const models = new Map()
+
+    // Shots are placed by where they are now, not where they were generated
+    const shotPlaces = new Map()
+    for (const scene of currentProject?.scenes || []) {
+      for (const shot of scene.shots) {
+        shotPlaces.set(shot.id, { scene, shot })
+      }
+    }
+
+    for (const generation of generations) {
+      const place = shotPlaces.get(generation.shotId)
+      if (place) {
+        addTo(scenes, place.scene.id, `Scene ${place.scene.sceneNumber}`, generation)
+        addTo(
+          shots,
+          place.shot.id,
+          `Scene ${place.scene.sceneNumber} / Shot ${place.shot.shotNumber}`,
+          generation
+        )
+      } else {
+        addTo(scenes, 'none', 'No shot (frames, script analysis, removed shots)', generation)
+      }
+      addTo(models, generation.modelId, MODEL_NAMES[generation.modelId] || generation.modelId, generation)
+    }
+
+    return { scenes: byCost(scenes), shots: byCost(shots), models: byCost(models) }
+  }, [generations, currentProject?.scenes])
+
+  const spent = totalCost(generations)
+  const estimated = generations.filter(isEstimatedCost).length
+  const unpriced = generations.filter(
+    (g) => g.status === 'completed' && g.actualCost == null && g.estimatedCost == null
+  ).length
+  const overCap = spendingCap != null && spent >= spendingCap
+
+  const handleSaveCap = async () => {
+    const value = capInput.trim() === '' ? null : Number(capInput)
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      addNotification({ type: 'warning', message: 'Enter a spending cap in dollars, or leave it empty for none' })
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await setSpendingCap(value)
+      addNotification({
+        type: 'success',
+        message: value === null ? 'Spending cap removed' : `Spending cap set to ${formatCost(value)}`,
+      })
+    } catch (error) {
+      addNotification({ type: 'error', message: `Failed to save spending cap: ${error.message}` })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!currentProject) return null
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-4">
+      <Panel>
+        <PanelHeader title="Budget" />
+        <PanelContent className="space-y-4">
+          <div className="flex items-end justify-between gap-4">
+            <div>
+              <p className="text-3xl font-semibold tabular-nums">
+                {estimated > 0 && '~'}{formatCost(spent)}
+              </p>
+              <p className="text-sm text-white/50">
+                {spendingCap == null
+                  ? `Spent on ${generations.length} generation${generations.length === 1 ? '' : 's'}`
+                  : `of ${formatCost(spendingCap)} spending cap`}
+              </p>
+            </div>
+
+            {canSetCap && (
+              <div className="flex items-end gap-2">
+                <Input
+                  label="Spending cap (USD)"
+                  type="number"
+                  min="0"
+                  step="1"
+                  placeholder="No cap"
+                  value={capInput}
+                  onChange={(e) => setCapInput(e.target.value)}
+                  className="w-36"
+                />
+                <Button variant="secondary" onClick={handleSaveCap} loading={isSaving}>
+                  Save
+                </Button>
+              </div>
+            )}
+          </div>
+
+          {spendingCap != null && (
+            <ProgressBar value={spent} max={spendingCap || 1} />
+          )}
+          {overCap && (
+            <p className="text-sm text-accent-error">
+              {'The spending cap is reached; new generations are blocked until it\'s raised.'}
+            </p>
+          )}
+          {estimated > 0 && (
+            <p className="text-xs text-white/40">
+              {`~ Includes ${estimated} estimated cost${estimated === 1 ? '' : 's'}, priced from the model registry because the provider doesn't report what it bills.`}
+            </p>
+          )}
+          {unpriced > 0 && (
+            <p className="text-xs text-white/40">
+              {`${unpriced} generation${unpriced === 1 ? ' was' : 's were'} made before costs were tracked and ${unpriced === 1 ? 'isn\'t' : 'aren\'t'} counted.`}
+            </p>
+          )}
+        </PanelContent>
+      </Panel>
+
+      {generations.length === 0 ? (
+        <EmptyState
+          icon={Wallet}
+          title="Nothing spent yet"
+          description="Generation costs show here, by scene, shot and model, as you generate."
+        />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <CostTable title="By Scene" rows={breakdown.scenes} emptyText="No generations for shots yet" />
+          <CostTable title="By Shot" rows={breakdown.shots} emptyText="No generations for shots yet" />
+          <CostTable title="By Model" rows={breakdown.models} emptyText="No generations yet" />
+        </div>
+      )}
+    </div>
+  )
+}
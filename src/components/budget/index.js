@@ -0,0 +1 @@
+export { BudgetPage } from './BudgetPage'
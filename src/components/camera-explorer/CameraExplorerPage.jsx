@@ -14,10 +14,10 @@ import { useState, useRef, useMemo } from 'react'
 import { useSearchParams } from 'react-router-dom'
 import { Box, Camera, Aperture, Sparkles, AlertCircle, RefreshCw, Upload } from 'lucide-react'
 
-import { useProjectStore, useUIStore } from '../../lib/store'
+import { useProjectStore, useUIStore, useGenerationStore, useWorkspaceStore } from '../../lib/store'
 import { useCameraExplorerStore } from '../../lib/store/cameraExplorerStore'
 import { modalProvider } from '../../lib/providers/modal'
-import { aiService } from '../../lib/providers'
+import { storageService } from '../../lib/supabase'
 
 import { Panel, PanelHeader, PanelContent, SplitView } from '../layout'
 import { Button, Select, ProgressBar, EmptyState, Spinner } from '../common'
@@ -32,8 +32,10 @@ export function CameraExplorerPage() {
   const captureRef = useRef(null)
 
   // Project store
-  const { currentProject, currentScene, currentShot, addKeyframe } = useProjectStore()
+  const { currentProject, currentScene, currentShot } = useProjectStore()
   const { addNotification } = useUIStore()
+  const { generateImage } = useGenerationStore()
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
 
   // Camera explorer store
   const {
@@ -122,7 +124,24 @@ export function CameraExplorerPage() {
     try {
       const result = await modalProvider.generate3DReconstruction(imageData)
 
-      setReconstructionCompleted(result.plyUrl)
+      // Keep a copy in project storage; the returned URL may be temporary
+      let plyUrl = result.plyUrl
+      if (currentProject) {
+        try {
+          const stored = result.plyBlob
+            ? await storageService.uploadFile(
+                new File([result.plyBlob], 'scene.ply', { type: 'application/octet-stream' }),
+                'ply',
+                currentProject.id
+              )
+            : await storageService.uploadFromUrl(result.plyUrl, 'ply', currentProject.id)
+          plyUrl = stored.url
+        } catch (error) {
+          console.warn('Failed to store PLY, using original:', error)
+        }
+      }
+
+      setReconstructionCompleted(plyUrl)
       addNotification({
         type: 'success',
         message: '3D scene reconstructed successfully',
@@ -181,9 +200,12 @@ Keep all environmental details, lighting, and style consistent with the original
 Maintain character appearances, props, and set design exactly as shown in the original.
 Use a ${snapshot.lens} lens perspective with natural depth of field.`
 
-      // Call AI service for frame generation
+      // Run through the generation job engine
       // Using the existing image generation with reference image
-      const result = await aiService.generateImage({
+      const result = await generateImage({
+        projectId: currentProject?.id,
+        sceneId: currentScene?.id,
+        shotId: currentShot?.id,
         modelId: 'seedream-v4.5', // or make this configurable
         prompt,
         // Pass both original and reference for consistency
@@ -192,23 +214,26 @@ Use a ${snapshot.lens} lens perspective with natural depth of field.`
         compositionReference: snapshot.thumbnailDataUrl,
         aspectRatio: '16:9',
         resolution: '2K',
-      })
-
-      if (result.outputs?.length > 0) {
         // Save as new keyframe variant
-        await addKeyframe(currentScene.id, currentShot.id, {
-          url: result.outputs[0],
-          prompt,
-          modelId: 'seedream-v4.5',
-          settings: {
-            sourceKeyframe: sourceKeyframeId,
-            cameraPosition: snapshot.position,
-            cameraRotation: snapshot.rotation,
-            lens: snapshot.lens,
-            type: 'camera-explorer-variant',
+        ...(currentScene && currentShot && {
+          attach: {
+            as: 'keyframe',
+            data: {
+              prompt,
+              modelId: 'seedream-v4.5',
+              settings: {
+                sourceKeyframe: sourceKeyframeId,
+                cameraPosition: snapshot.position,
+                cameraRotation: snapshot.rotation,
+                lens: snapshot.lens,
+                type: 'camera-explorer-variant',
+              },
+            },
           },
-        })
+        }),
+      })
 
+      if (result.outputs?.length > 0) {
         setGenerationCompleted(result.outputs[0])
         addNotification({
           type: 'success',
@@ -216,6 +241,10 @@ Use a ${snapshot.lens} lens perspective with natural depth of field.`
         })
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        setGenerationError('Generation cancelled')
+        return
+      }
       console.error('Generation error:', error)
       setGenerationError(error.message)
       addNotification({
@@ -319,17 +348,19 @@ Use a ${snapshot.lens} lens perspective with natural depth of field.`
 
                 {/* Reconstruction Button */}
                 <div>
-                  <Button
-                    onClick={handleReconstruct}
-                    disabled={!hasSourceImage || reconstructionStatus === 'processing'}
-                    loading={reconstructionStatus === 'processing'}
-                    className="w-full"
-                  >
-                    <Aperture className="w-4 h-4 mr-2" />
-                    {reconstructionStatus === 'processing'
-                      ? 'Reconstructing 3D...'
-                      : 'Reconstruct 3D Scene'}
-                  </Button>
+                  {canGenerate && (
+                    <Button
+                      onClick={handleReconstruct}
+                      disabled={!hasSourceImage || reconstructionStatus === 'processing'}
+                      loading={reconstructionStatus === 'processing'}
+                      className="w-full"
+                    >
+                      <Aperture className="w-4 h-4 mr-2" />
+                      {reconstructionStatus === 'processing'
+                        ? 'Reconstructing 3D...'
+                        : 'Reconstruct 3D Scene'}
+                    </Button>
+                  )}
 
                   {reconstructionStatus === 'processing' && (
                     <div className="mt-2">
@@ -390,7 +421,7 @@ Use a ${snapshot.lens} lens perspective with natural depth of field.`
                     </div>
 
                     {/* Generate Frame Button */}
-                    {snapshots.length > 0 && (
+                    {canGenerate && snapshots.length > 0 && (
                       <div>
                         <Button
                           onClick={handleGenerateFrame}
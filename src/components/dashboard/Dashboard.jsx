@@ -1,18 +1,26 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useState, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { Plus, Folder, Clock, Trash2, MoreVertical } from 'lucide-react'
-import { useProjectStore, useUIStore } from '@/lib/store'
-import { Button, Card, EmptyState, Modal, Input, Spinner } from '../common'
+import { Plus, Folder, Clock, Trash2, MoreVertical, Download, Upload, Share2 } from 'lucide-react'
+import { useProjectStore, useUIStore, useWorkspaceStore } from '@/lib/store'
+import { ROLE_LABELS } from '@/lib/supabase'
+import { exportProjectPackage, PACKAGE_EXTENSION } from '@/lib/package'
+import { downloadBlob } from '@/lib/utils'
+import { Button, Card, EmptyState, Modal, Input, Spinner, ProgressBar, Badge } from '../common'
+import { ShareProjectModal } from './ShareProjectModal'
 
 export function Dashboard() {
   const navigate = useNavigate()
-  const { projects, loading, loadProjects, createProject, deleteProject } =
+  const { projects, loading, loadProjects, createProject, deleteProject, importProject } =
     useProjectStore()
   const { addNotification } = useUIStore()
+  const { enabled: sharingEnabled, workspaces, roleFor, can } = useWorkspaceStore()
   const [showNewProject, setShowNewProject] = useState(false)
   const [newProjectName, setNewProjectName] = useState('')
   const [isCreating, setIsCreating] = useState(false)
   const [menuOpen, setMenuOpen] = useState(null)
+  const [sharing, setSharing] = useState(null) // project being shared
+  const [packageProgress, setPackageProgress] = useState(null) // { label, done, total }
+  const importInputRef = useRef(null)
 
   useEffect(() => {
     loadProjects()
@@ -58,6 +66,54 @@ export function Dashboard() {
     }
   }
 
+  const handleExportProject = async (project) => {
+    setPackageProgress({ label: `Packaging "${project.name}"...`, done: 0, total: 0 })
+    try {
+      const blob = await exportProjectPackage(project, {
+        onProgress: ({ done, total }) => setPackageProgress((p) => p && { ...p, done, total }),
+      })
+      const fileName = project.name.replace(/[^\w\- ]+/g, '').trim() || 'project'
+      downloadBlob(blob, `${fileName}.${PACKAGE_EXTENSION}`)
+      addNotification({
+        type: 'success',
+        message: `Project "${project.name}" exported`,
+      })
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: `Failed to export project: ${error.message}`,
+      })
+    } finally {
+      setPackageProgress(null)
+    }
+  }
+
+  const handleImportProject = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setPackageProgress({ label: `Importing ${file.name}...`, done: 0, total: 0 })
+    try {
+      const { project, missing } = await importProject(file, {
+        onProgress: ({ done, total }) => setPackageProgress((p) => p && { ...p, done, total }),
+      })
+      addNotification({
+        type: missing.length > 0 ? 'warning' : 'success',
+        message: missing.length > 0
+          ? `Project "${project.name}" imported; ${missing.length} media files were not in the package`
+          : `Project "${project.name}" imported`,
+      })
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: `Failed to import project: ${error.message}`,
+      })
+    } finally {
+      setPackageProgress(null)
+    }
+  }
+
   const formatDate = (dateString) => {
     const date = new Date(dateString)
     const now = new Date()
@@ -91,10 +147,23 @@ export function Dashboard() {
               Cinematic AI pipeline for filmmakers
             </p>
           </div>
-          <Button onClick={() => setShowNewProject(true)}>
-            <Plus className="w-4 h-4" />
-            New Project
-          </Button>
+          <div className="flex items-center gap-3">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept={`.${PACKAGE_EXTENSION},.zip`}
+              onChange={handleImportProject}
+              className="hidden"
+            />
+            <Button variant="secondary" onClick={() => importInputRef.current?.click()}>
+              <Upload className="w-4 h-4" />
+              Import
+            </Button>
+            <Button onClick={() => setShowNewProject(true)}>
+              <Plus className="w-4 h-4" />
+              New Project
+            </Button>
+          </div>
         </div>
 
         {/* Projects grid */}
@@ -136,8 +205,15 @@ export function Dashboard() {
                       {formatDate(project.updatedAt)}
                     </span>
                     <span>
-                      {project.scenes?.length || 0} scenes
+                      {project.sceneCount ?? project.scenes?.length ?? 0} scenes
                     </span>
+                    {project.workspaceId && (
+                      <Badge>
+                        {workspaces.find((w) => w.id === project.workspaceId)?.name ?? 'Shared'}
+                        {' · '}
+                        {ROLE_LABELS[roleFor(project)] ?? 'No access'}
+                      </Badge>
+                    )}
                   </div>
                 </div>
 
@@ -160,14 +236,38 @@ export function Dashboard() {
                     >
                       <button
                         onClick={() => {
-                          handleDeleteProject(project.id, project.name)
+                          handleExportProject(project)
                           setMenuOpen(null)
                         }}
-                        className="w-full flex items-center gap-2 px-3 py-2 text-left text-accent-error hover:bg-white/5"
+                        className="w-full flex items-center gap-2 px-3 py-2 text-left hover:bg-white/5"
                       >
-                        <Trash2 className="w-4 h-4" />
-                        Delete
+                        <Download className="w-4 h-4" />
+                        Export
                       </button>
+                      {sharingEnabled && can(project, 'share') && (
+                        <button
+                          onClick={() => {
+                            setSharing(project)
+                            setMenuOpen(null)
+                          }}
+                          className="w-full flex items-center gap-2 px-3 py-2 text-left hover:bg-white/5"
+                        >
+                          <Share2 className="w-4 h-4" />
+                          Share
+                        </button>
+                      )}
+                      {can(project, 'delete') && (
+                        <button
+                          onClick={() => {
+                            handleDeleteProject(project.id, project.name)
+                            setMenuOpen(null)
+                          }}
+                          className="w-full flex items-center gap-2 px-3 py-2 text-left text-accent-error hover:bg-white/5"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                          Delete
+                        </button>
+                      )}
                     </div>
                   )}
                 </div>
@@ -176,6 +276,37 @@ export function Dashboard() {
           </div>
         )}
 
+        {/* Share project */}
+        <ShareProjectModal
+          project={sharing && projects.find((p) => p.id === sharing.id)}
+          onClose={() => setSharing(null)}
+        />
+
+        {/* Package export/import progress */}
+        <Modal
+          isOpen={!!packageProgress}
+          onClose={() => {}}
+          title="Project Package"
+          size="sm"
+          showClose={false}
+        >
+          {packageProgress && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-white/60">{packageProgress.label}</span>
+                {packageProgress.total > 0 && (
+                  <span className="text-white/60">
+                    {packageProgress.done} / {packageProgress.total}
+                  </span>
+                )}
+              </div>
+              <ProgressBar
+                value={packageProgress.total ? (packageProgress.done / packageProgress.total) * 100 : 0}
+              />
+            </div>
+          )}
+        </Modal>
+
         {/* New project modal */}
         <Modal
           isOpen={showNewProject}
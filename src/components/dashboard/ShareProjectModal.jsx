@@ -0,0 +1,216 @@
+/**
+ * ShareProjectModal - Share a project with a workspace
+ * Owners pick the workspace, manage its members' roles and create
+ * invite links.
+ */
+
+import { useEffect, useState } from 'react'
+import { Copy, Link, Plus, Users, X } from 'lucide-react'
+import { useProjectStore, useWorkspaceStore, useAuthStore, useUIStore } from '@/lib/store'
+import { workspaceService, ROLES, ROLE_LABELS } from '@/lib/supabase'
+import { Button, Modal, Input, Select, Badge } from '../common'
+
+const ROLE_OPTIONS = ROLES.map((role) => ({ value: role, label: ROLE_LABELS[role] }))
+const INVITE_ROLE_OPTIONS = ROLE_OPTIONS.filter((option) => option.value !== 'owner')
+
+export function ShareProjectModal({ project, onClose }) {
+  const { shareProject } = useProjectStore()
+  const { enabled, workspaces, createWorkspace } = useWorkspaceStore()
+  const userId = useAuthStore((s) => s.user?.id ?? null)
+  const { addNotification } = useUIStore()
+  const [workspaceId, setWorkspaceId] = useState(project?.workspaceId ?? '')
+  const [newWorkspaceName, setNewWorkspaceName] = useState('')
+  const [members, setMembers] = useState([])
+  const [inviteRole, setInviteRole] = useState('editor')
+  const [inviteLink, setInviteLink] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  // Projects can only be moved into workspaces the user edits in
+  const workspaceOptions = [
+    { value: '', label: 'Only me' },
+    ...workspaces
+      .filter((w) => w.role === 'owner' || w.role === 'editor')
+      .map((w) => ({ value: w.id, label: w.name })),
+  ]
+  const workspaceRole = workspaces.find((w) => w.id === workspaceId)?.role
+  const isWorkspaceOwner = workspaceRole === 'owner'
+
+  useEffect(() => {
+    setWorkspaceId(project?.workspaceId ?? '')
+    setInviteLink('')
+  }, [project?.id])
+
+  useEffect(() => {
+    setMembers([])
+    setInviteLink('')
+    if (!workspaceId) return
+    workspaceService.getMembers(workspaceId)
+      .then(setMembers)
+      .catch((error) => addNotification({ type: 'error', message: `Failed to load members: ${error.message}` }))
+  }, [workspaceId])
+
+  const run = async (action, failure) => {
+    setBusy(true)
+    try {
+      await action()
+    } catch (error) {
+      addNotification({ type: 'error', message: `${failure}: ${error.message}` })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleShare = (id) => run(async () => {
+    await shareProject(project.id, id || null)
+    setWorkspaceId(id)
+    addNotification({
+      type: 'success',
+      message: id ? `Project "${project.name}" shared` : `Project "${project.name}" is no longer shared`,
+    })
+  }, 'Failed to share project')
+
+  const handleCreateWorkspace = () => run(async () => {
+    const workspace = await createWorkspace(newWorkspaceName.trim())
+    setNewWorkspaceName('')
+    await shareProject(project.id, workspace.id)
+    setWorkspaceId(workspace.id)
+  }, 'Failed to create workspace')
+
+  const handleRoleChange = (member, role) => run(async () => {
+    await workspaceService.setMemberRole(workspaceId, member.userId, role)
+    setMembers((list) => list.map((m) => (m.userId === member.userId ? { ...m, role } : m)))
+  }, 'Failed to change role')
+
+  const handleRemove = (member) => {
+    if (!confirm(`Remove ${member.email || 'this member'} from the workspace?`)) return
+    run(async () => {
+      await workspaceService.removeMember(workspaceId, member.userId)
+      setMembers((list) => list.filter((m) => m.userId !== member.userId))
+    }, 'Failed to remove member')
+  }
+
+  const handleCreateInvite = () => run(async () => {
+    setInviteLink(await workspaceService.createInvite(workspaceId, inviteRole))
+  }, 'Failed to create invite link')
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(inviteLink)
+    addNotification({ type: 'success', message: 'Invite link copied' })
+  }
+
+  return (
+    <Modal isOpen={!!project} onClose={onClose} title={`Share "${project?.name}"`} size="md">
+      {!enabled ? (
+        <p className="text-sm text-white/60">
+          Sharing needs Supabase. Configure it to invite collaborators.
+        </p>
+      ) : (
+        <div className="space-y-5">
+          {/* Workspace */}
+          <div className="space-y-3">
+            <Select
+              label="Workspace"
+              options={workspaceOptions}
+              value={workspaceId}
+              onChange={handleShare}
+            />
+            <div className="flex gap-2">
+              <Input
+                placeholder="New workspace name"
+                value={newWorkspaceName}
+                onChange={(e) => setNewWorkspaceName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && newWorkspaceName.trim()) handleCreateWorkspace()
+                }}
+              />
+              <Button
+                variant="secondary"
+                onClick={handleCreateWorkspace}
+                disabled={busy || !newWorkspaceName.trim()}
+              >
+                <Plus className="w-4 h-4" />
+                Create
+              </Button>
+            </div>
+          </div>
+
+          {/* Members */}
+          {workspaceId && (
+            <div>
+              <h4 className="text-sm font-medium text-white/70 mb-2 flex items-center gap-2">
+                <Users className="w-4 h-4" />
+                Members
+              </h4>
+              <ul className="space-y-2">
+                {members.map((member) => (
+                  <li key={member.userId} className="flex items-center justify-between gap-3 p-2 rounded-lg bg-white/5">
+                    <span className="text-sm truncate">
+                      {member.email || member.userId}
+                      {member.userId === userId && <span className="text-white/40"> (you)</span>}
+                    </span>
+                    {isWorkspaceOwner && member.userId !== userId ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-32">
+                          <Select
+                            options={ROLE_OPTIONS}
+                            value={member.role}
+                            onChange={(role) => handleRoleChange(member, role)}
+                          />
+                        </div>
+                        <button
+                          onClick={() => handleRemove(member)}
+                          className="p-1 rounded text-white/40 hover:text-accent-error"
+                          title="Remove"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <Badge>{ROLE_LABELS[member.role]}</Badge>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Invite link */}
+          {isWorkspaceOwner && (
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-white/70 flex items-center gap-2">
+                <Link className="w-4 h-4" />
+                Invite link
+              </h4>
+              <div className="flex gap-2">
+                <div className="w-36">
+                  <Select
+                    options={INVITE_ROLE_OPTIONS}
+                    value={inviteRole}
+                    onChange={(role) => {
+                      setInviteRole(role)
+                      setInviteLink('')
+                    }}
+                  />
+                </div>
+                <Button variant="secondary" onClick={handleCreateInvite} disabled={busy}>
+                  Create Link
+                </Button>
+              </div>
+              {inviteLink && (
+                <div className="flex gap-2">
+                  <Input value={inviteLink} readOnly onFocus={(e) => e.target.select()} />
+                  <Button variant="secondary" onClick={handleCopy}>
+                    <Copy className="w-4 h-4" />
+                  </Button>
+                </div>
+              )}
+              <p className="text-xs text-white/40">
+                Anyone with the link can join as {ROLE_LABELS[inviteRole].toLowerCase()} for 7 days.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  )
+}
@@ -9,8 +9,7 @@ import { Image, Upload, X, Move, ZoomIn, MoreVertical, Video, Camera, Layers, Gr
 import { Panel, PanelHeader, PanelContent } from '../layout'
 import { Button, Textarea, Spinner, EmptyState } from '../common'
 import { VideoGenerationModal } from './VideoGenerationModal'
-import { wavespeedProvider } from '@/lib/providers/wavespeed'
-import { useUIStore, useProjectStore } from '@/lib/store'
+import { useUIStore, useProjectStore, useGenerationStore, useWorkspaceStore } from '@/lib/store'
 
 const ASPECT_RATIOS = [
   { value: '16:9', label: '16:9 (Landscape)' },
@@ -21,8 +20,11 @@ export function FramesPage() {
   const navigate = useNavigate()
 
   // Project store - frames are persisted here
-  const { currentProject, addFrame, updateFrame, updateFrames, deleteFrame, addClip } = useProjectStore()
+  const { currentProject, updateFrame, updateFrames, deleteFrame } = useProjectStore()
   const frames = currentProject?.frames || []
+  const { editImage, generateFrameVideo, cancelTask, activeTasks } = useGenerationStore()
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
+  const canEdit = useWorkspaceStore((s) => s.can(currentProject, 'edit'))
 
   // Input state
   const [prompt, setPrompt] = useState('')
@@ -36,7 +38,6 @@ export function FramesPage() {
   // Video generation state
   const [videoModalFrame, setVideoModalFrame] = useState(null)
   const [isGeneratingVideo, setIsGeneratingVideo] = useState(false)
-  const [videoProgress, setVideoProgress] = useState(0)
 
   // UI state
   const [selectedFrameId, setSelectedFrameId] = useState(null)
@@ -112,32 +113,39 @@ export function FramesPage() {
     setIsGenerating(true)
 
     try {
-      const result = await wavespeedProvider.editImageWithNanoBanana({
+      // Output is added to the canvas with an initial position when the task completes
+      const result = await editImage({
+        projectId: currentProject.id,
         prompt: prompt.trim(),
         images: sourceImages.map(img => img.dataUrl),
         aspectRatio,
+        attach: {
+          as: 'frame',
+          data: {
+            name: `Frame ${frames.length + 1}`,
+            notes: '',
+            position: { x: 50 + (frames.length % 3) * 320, y: 50 + Math.floor(frames.length / 3) * 220 },
+            prompt: prompt.trim(),
+            sourceImages: sourceImages.map(img => img.name),
+            aspectRatio,
+          },
+        },
       })
 
-      if (result.imageUrl) {
-        // Add to canvas with initial position - persisted to database
-        await addFrame({
-          imageUrl: result.imageUrl,
-          name: `Frame ${frames.length + 1}`,
-          notes: '',
-          position: { x: 50 + (frames.length % 3) * 320, y: 50 + Math.floor(frames.length / 3) * 220 },
-          prompt: prompt.trim(),
-          sourceImages: sourceImages.map(img => img.name),
-          aspectRatio,
-        })
+      if (result.outputs?.length > 0) {
         addNotification({ type: 'success', message: 'Frame generated and saved!' })
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addNotification({ type: 'info', message: 'Generation cancelled' })
+        return
+      }
       console.error('Generation error:', error)
       addNotification({ type: 'error', message: error.message || 'Generation failed' })
     } finally {
       setIsGenerating(false)
     }
-  }, [prompt, sourceImages, aspectRatio, frames.length, addNotification, currentProject, addFrame])
+  }, [prompt, sourceImages, aspectRatio, frames.length, addNotification, currentProject, editImage])
 
   // Frame actions
   const handleFrameAction = useCallback(async (frameId, action) => {
@@ -168,37 +176,37 @@ export function FramesPage() {
     if (!videoModalFrame || !currentProject) return
 
     setIsGeneratingVideo(true)
-    setVideoProgress(0)
 
     try {
-      const result = await wavespeedProvider.generateVideoWithSeedance({
+      // Get current clips count for positioning
+      const clips = currentProject.clips || []
+
+      // Output is added to the project as a clip when the task completes
+      // Clip copies metadata from the source frame
+      const result = await generateFrameVideo({
+        projectId: currentProject.id,
+        frameId: videoModalFrame.id,
         imageUrl: videoModalFrame.imageUrl,
         prompt: videoParams.prompt,
         aspectRatio: videoParams.aspectRatio,
         duration: videoParams.duration,
         generateAudio: videoParams.generateAudio,
         cameraFixed: videoParams.cameraFixed,
-        onProgress: ({ progress }) => {
-          setVideoProgress(progress)
+        attach: {
+          as: 'clip',
+          data: {
+            name: videoModalFrame.name,
+            notes: videoModalFrame.notes || '',
+            position: { x: 50 + (clips.length % 3) * 320, y: 50 + Math.floor(clips.length / 3) * 220 },
+            sourceFrameId: videoModalFrame.id,
+            prompt: videoParams.prompt,
+            duration: videoParams.duration,
+            aspectRatio: videoParams.aspectRatio,
+          },
         },
       })
 
-      if (result.videoUrl) {
-        // Get current clips count for positioning
-        const clips = currentProject.clips || []
-
-        // Add video clip to project - copy metadata from source frame
-        await addClip({
-          videoUrl: result.videoUrl,
-          name: videoModalFrame.name,
-          notes: videoModalFrame.notes || '',
-          position: { x: 50 + (clips.length % 3) * 320, y: 50 + Math.floor(clips.length / 3) * 220 },
-          sourceFrameId: videoModalFrame.id,
-          prompt: videoParams.prompt,
-          duration: videoParams.duration,
-          aspectRatio: videoParams.aspectRatio,
-        })
-
+      if (result.outputs?.length > 0) {
         addNotification({ type: 'success', message: 'Video generated successfully!' })
         setVideoModalFrame(null)
 
@@ -206,13 +214,25 @@ export function FramesPage() {
         navigate(`/project/${currentProject.id}/shots`)
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addNotification({ type: 'info', message: 'Video generation cancelled' })
+        return
+      }
       console.error('Video generation error:', error)
       addNotification({ type: 'error', message: error.message || 'Video generation failed' })
     } finally {
       setIsGeneratingVideo(false)
-      setVideoProgress(0)
     }
-  }, [videoModalFrame, currentProject, addClip, addNotification, navigate])
+  }, [videoModalFrame, currentProject, addNotification, navigate, generateFrameVideo])
+
+  // Progress of the video task for the frame in the modal
+  const videoTask = activeTasks.find(
+    (t) => t.type === 'frameVideo' && t.frameId === videoModalFrame?.id
+  )
+  const videoProgress = videoTask?.progress || 0
+  const editTask = activeTasks.find(
+    (t) => t.type === 'edit' && t.projectId === currentProject?.id
+  )
 
   // Update frame properties (name, notes) - wrapper for store method
   const handleUpdateFrame = useCallback(async (frameId, updates) => {
@@ -395,23 +415,25 @@ export function FramesPage() {
             </div>
 
             {/* Generate Button */}
-            <Button
-              onClick={handleGenerate}
-              disabled={isGenerating || !prompt.trim() || sourceImages.length === 0}
-              className="w-full mt-auto"
-            >
-              {isGenerating ? (
-                <>
-                  <Spinner size="sm" className="mr-2" />
-                  Generating...
-                </>
-              ) : (
-                <>
-                  <Image className="w-4 h-4 mr-2" />
-                  Generate Frame
-                </>
-              )}
-            </Button>
+            {canGenerate && (
+              <Button
+                onClick={handleGenerate}
+                disabled={isGenerating || !prompt.trim() || sourceImages.length === 0}
+                className="w-full mt-auto"
+              >
+                {isGenerating ? (
+                  <>
+                    <Spinner size="sm" className="mr-2" />
+                    {editTask?.status === 'queued' ? `Queued (#${editTask.queuePosition})` : 'Generating...'}
+                  </>
+                ) : (
+                  <>
+                    <Image className="w-4 h-4 mr-2" />
+                    Generate Frame
+                  </>
+                )}
+              </Button>
+            )}
           </PanelContent>
         </Panel>
       </div>
@@ -452,6 +474,8 @@ export function FramesPage() {
                         onUpdate={(updates) => handleUpdateFrame(frame.id, updates)}
                         onAction={(action) => handleFrameAction(frame.id, action)}
                         onDragStart={(e) => handleDragStart(e, frame.id)}
+                        canGenerate={canGenerate}
+                        canDelete={canEdit}
                       />
                     )
                   })}
@@ -482,6 +506,8 @@ export function FramesPage() {
           onGenerate={handleVideoGenerate}
           isGenerating={isGeneratingVideo}
           progress={videoProgress}
+          queuePosition={videoTask?.status === 'queued' ? videoTask.queuePosition : null}
+          onCancelGeneration={videoTask ? () => cancelTask(videoTask.id) : undefined}
         />
       )}
     </div>
@@ -489,7 +515,7 @@ export function FramesPage() {
 }
 
 // Frame Card Component with drag support
-function FrameCard({ frame, isSelected, isDragging, zIndex, onSelect, onMagnify, onUpdate, onAction, onDragStart }) {
+function FrameCard({ frame, isSelected, isDragging, zIndex, onSelect, onMagnify, onUpdate, onAction, onDragStart, canGenerate, canDelete }) {
   const [showDropdown, setShowDropdown] = useState(false)
   const [isEditingName, setIsEditingName] = useState(false)
   const [isEditingNotes, setIsEditingNotes] = useState(false)
@@ -601,17 +627,19 @@ function FrameCard({ frame, isSelected, isDragging, zIndex, onSelect, onMagnify,
             ref={dropdownRef}
             className="absolute top-2 right-2 bg-studio-surface border border-studio-border rounded-lg shadow-xl z-20 py-1 min-w-[160px]"
           >
-            <button
-              onClick={(e) => {
-                e.stopPropagation()
-                onAction('create-video')
-                setShowDropdown(false)
-              }}
-              className="w-full px-3 py-2 text-left text-sm hover:bg-white/10 flex items-center gap-2"
-            >
-              <Video className="w-4 h-4" />
-              Create Video
-            </button>
+            {canGenerate && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onAction('create-video')
+                  setShowDropdown(false)
+                }}
+                className="w-full px-3 py-2 text-left text-sm hover:bg-white/10 flex items-center gap-2"
+              >
+                <Video className="w-4 h-4" />
+                Create Video
+              </button>
+            )}
             <button
               onClick={(e) => {
                 e.stopPropagation()
@@ -623,17 +651,19 @@ function FrameCard({ frame, isSelected, isDragging, zIndex, onSelect, onMagnify,
               <Camera className="w-4 h-4" />
               Step Into Frame
             </button>
-            <button
-              onClick={(e) => {
-                e.stopPropagation()
-                onAction('new-angles')
-                setShowDropdown(false)
-              }}
-              className="w-full px-3 py-2 text-left text-sm hover:bg-white/10 flex items-center gap-2"
-            >
-              <Layers className="w-4 h-4" />
-              Create New Angles
-            </button>
+            {canGenerate && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onAction('new-angles')
+                  setShowDropdown(false)
+                }}
+                className="w-full px-3 py-2 text-left text-sm hover:bg-white/10 flex items-center gap-2"
+              >
+                <Layers className="w-4 h-4" />
+                Create New Angles
+              </button>
+            )}
             <button
               onClick={async (e) => {
                 e.stopPropagation()
@@ -661,18 +691,22 @@ function FrameCard({ frame, isSelected, isDragging, zIndex, onSelect, onMagnify,
               <Download className="w-4 h-4" />
               Download Image
             </button>
-            <div className="border-t border-studio-border my-1" />
-            <button
-              onClick={(e) => {
-                e.stopPropagation()
-                onAction('delete')
-                setShowDropdown(false)
-              }}
-              className="w-full px-3 py-2 text-left text-sm hover:bg-red-500/20 text-red-400 flex items-center gap-2"
-            >
-              <X className="w-4 h-4" />
-              Delete
-            </button>
+            {canDelete && (
+              <>
+                <div className="border-t border-studio-border my-1" />
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    onAction('delete')
+                    setShowDropdown(false)
+                  }}
+                  className="w-full px-3 py-2 text-left text-sm hover:bg-red-500/20 text-red-400 flex items-center gap-2"
+                >
+                  <X className="w-4 h-4" />
+                  Delete
+                </button>
+              </>
+            )}
           </div>
         )}
       </div>
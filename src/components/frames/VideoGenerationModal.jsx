@@ -6,7 +6,15 @@ import { useState } from 'react'
 import { X, Video, Loader2 } from 'lucide-react'
 import { Button } from '../common'
 
-export function VideoGenerationModal({ frame, onClose, onGenerate, isGenerating, progress }) {
+export function VideoGenerationModal({
+  frame,
+  onClose,
+  onGenerate,
+  onCancelGeneration,
+  isGenerating,
+  progress,
+  queuePosition,
+}) {
   const [prompt, setPrompt] = useState('')
   const [duration, setDuration] = useState(5)
   const [generateAudio, setGenerateAudio] = useState(false)
@@ -126,7 +134,9 @@ export function VideoGenerationModal({ frame, onClose, onGenerate, isGenerating,
           {isGenerating && (
             <div className="space-y-2">
               <div className="flex items-center justify-between text-sm">
-                <span className="text-white/60">Generating video...</span>
+                <span className="text-white/60">
+                  {queuePosition ? `Queued (#${queuePosition})` : 'Generating video...'}
+                </span>
                 <span className="text-accent-primary">{progress || 0}%</span>
               </div>
               <div className="h-2 bg-white/10 rounded-full overflow-hidden">
@@ -146,10 +156,10 @@ export function VideoGenerationModal({ frame, onClose, onGenerate, isGenerating,
         <div className="flex justify-end gap-3 px-6 py-4 border-t border-studio-border bg-white/5">
           <Button
             variant="secondary"
-            onClick={onClose}
-            disabled={isGenerating}
+            onClick={isGenerating ? onCancelGeneration : onClose}
+            disabled={isGenerating && !onCancelGeneration}
           >
-            Cancel
+            {isGenerating ? 'Cancel Generation' : 'Cancel'}
           </Button>
           <Button
             onClick={handleGenerate}
@@ -1,11 +1,78 @@
 import { Link, useLocation, useParams } from 'react-router-dom'
-import { Settings, Home, ChevronRight } from 'lucide-react'
-import { useProjectStore } from '@/lib/store'
+import { Settings, Home, ChevronRight, Cloud, CloudOff, RefreshCw, AlertCircle, LogOut } from 'lucide-react'
+import { useProjectStore, useSyncStore, useAuthStore, useUIStore, useWorkspaceStore } from '@/lib/store'
+import { ROLE_LABELS } from '@/lib/supabase'
+import { Badge } from '../common'
+
+function SyncIndicator() {
+  const { enabled, online, status, pending, error, syncNow } = useSyncStore()
+  if (!enabled) return null
+
+  let Icon = Cloud
+  let label = 'Synced'
+  let color = ''
+  if (!online) {
+    Icon = CloudOff
+    label = pending > 0 ? `Offline - ${pending} changes waiting` : 'Offline'
+    color = 'text-white/40'
+  } else if (status === 'syncing') {
+    Icon = RefreshCw
+    label = 'Syncing...'
+  } else if (status === 'error') {
+    Icon = AlertCircle
+    label = `Sync failed: ${error}`
+    color = 'text-red-400'
+  } else if (pending > 0) {
+    label = `${pending} changes waiting to sync`
+  }
+
+  return (
+    <button
+      onClick={syncNow}
+      disabled={!online || status === 'syncing'}
+      title={label}
+      className={`btn-icon flex items-center gap-1 ${color}`}
+    >
+      <Icon className={`w-5 h-5 ${Icon === RefreshCw ? 'animate-spin' : ''}`} />
+      {pending > 0 && <span className="text-xs">{pending}</span>}
+    </button>
+  )
+}
+
+function UserMenu() {
+  const { user, signOut } = useAuthStore()
+  const pending = useSyncStore((s) => s.pending)
+  const addNotification = useUIStore((s) => s.addNotification)
+  if (!user) return null
+
+  // Signing out removes this user's projects from the device
+  const handleSignOut = async () => {
+    if (pending > 0 && !confirm(`${pending} changes haven't synced yet and will be lost. Sign out anyway?`)) {
+      return
+    }
+
+    try {
+      await signOut()
+    } catch (error) {
+      addNotification({ type: 'error', message: `Failed to sign out: ${error.message}` })
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2 pl-2 border-l border-studio-border">
+      <span className="text-sm text-white/50 hidden md:inline">{user.email}</span>
+      <button onClick={handleSignOut} className="btn-icon" title="Sign out">
+        <LogOut className="w-5 h-5" />
+      </button>
+    </div>
+  )
+}
 
 export function Header() {
   const location = useLocation()
   const params = useParams()
   const currentProject = useProjectStore((s) => s.currentProject)
+  const role = useWorkspaceStore((s) => s.roleFor(currentProject))
 
   const isProjectPage = location.pathname.startsWith('/project/')
   const currentPage = location.pathname.split('/').pop()
@@ -44,6 +111,7 @@ export function Header() {
             >
               {currentProject.name}
             </Link>
+            {role !== 'owner' && <Badge>{ROLE_LABELS[role] ?? 'No access'}</Badge>}
             {pageNames[currentPage] && (
               <>
                 <ChevronRight className="w-4 h-4 text-white/30" />
@@ -56,12 +124,14 @@ export function Header() {
 
       {/* Right: Navigation */}
       <div className="flex items-center gap-2">
+        <SyncIndicator />
         <Link to="/" className="btn-icon">
           <Home className="w-5 h-5" />
         </Link>
         <Link to="/settings" className="btn-icon">
           <Settings className="w-5 h-5" />
         </Link>
+        <UserMenu />
       </div>
     </header>
   )
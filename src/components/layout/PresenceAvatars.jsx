@@ -0,0 +1,59 @@
+import { useProjectStore, usePresenceStore } from '@/lib/store'
+
+const pageNames = {
+  script: 'Script',
+  storyboard: 'Storyboard',
+  frames: 'Frames',
+  shots: 'Shots',
+  video: 'Video',
+  voice: 'Voice',
+  camera: 'Camera 3D',
+  assembly: 'Assembly',
+}
+
+export function PresenceAvatars({ expanded }) {
+  const peers = usePresenceStore((s) => s.peers)
+  const currentProject = useProjectStore((s) => s.currentProject)
+
+  if (peers.length === 0) return null
+
+  const shotLabel = (shotId) => {
+    for (const scene of currentProject?.scenes || []) {
+      const shot = scene.shots.find((s) => s.id === shotId)
+      if (shot) return `Scene ${scene.sceneNumber} / Shot ${shot.shotNumber}`
+    }
+    return null
+  }
+
+  const describe = (peer) => {
+    const where = [pageNames[peer.page] || peer.page, peer.shotId && shotLabel(peer.shotId)]
+      .filter(Boolean)
+      .join(' - ')
+    const generating = peer.generating?.length > 0
+      ? `, generating for ${peer.generating.length} shot${peer.generating.length === 1 ? '' : 's'}`
+      : ''
+    return `${where || 'In project'}${generating}`
+  }
+
+  return (
+    <div className="px-4 py-3 border-t border-studio-border space-y-2">
+      {expanded && <div className="text-xs text-white/40">Also here</div>}
+      {peers.map((peer) => (
+        <div key={peer.key} className="flex items-center gap-2" title={`${peer.name}: ${describe(peer)}`}>
+          <div
+            className="w-6 h-6 rounded-full flex-shrink-0 flex items-center justify-center text-xs font-semibold text-white"
+            style={{ backgroundColor: peer.color }}
+          >
+            {peer.name?.[0]?.toUpperCase() || '?'}
+          </div>
+          {expanded && (
+            <div className="min-w-0">
+              <div className="text-sm truncate">{peer.name}</div>
+              <div className="text-xs text-white/40 truncate">{describe(peer)}</div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -8,11 +8,13 @@ import {
   Mic2,
   Layers,
   Box,
+  Wallet,
   ChevronLeft,
   ChevronRight,
 } from 'lucide-react'
-import { useProjectStore, useUIStore } from '@/lib/store'
+import { useProjectStore, useUIStore, useGenerationStore, usePresenceStore } from '@/lib/store'
 import { Spinner } from '../common'
+import { PresenceAvatars } from './PresenceAvatars'
 
 const navItems = [
   { path: 'script', icon: FileText, label: 'Script' },
@@ -22,19 +24,60 @@ const navItems = [
   { path: 'voice', icon: Mic2, label: 'Voice' },
   { path: 'camera', icon: Box, label: 'Camera 3D' },
   { path: 'assembly', icon: Layers, label: 'Assembly' },
+  { path: 'budget', icon: Wallet, label: 'Budget' },
 ]
 
+// Projects whose media has been checked this session
+const repairedProjects = new Set()
+
 export function ProjectLayout() {
   const { id } = useParams()
   const location = useLocation()
   const navigate = useNavigate()
-  const { currentProject, loading, error, loadProject, clearCurrentProject } =
-    useProjectStore()
-  const { sidebarOpen, toggleSidebar } = useUIStore()
+  const {
+    currentProject,
+    currentShot,
+    loading,
+    error,
+    loadProject,
+    clearCurrentProject,
+    repairMedia,
+    subscribeToProject,
+  } = useProjectStore()
+  const { sidebarOpen, toggleSidebar, addNotification } = useUIStore()
+  const activeTasks = useGenerationStore((s) => s.activeTasks)
+  const { join, setLocation, setGenerating } = usePresenceStore()
+  const currentPath = location.pathname.split('/').pop()
+
+  // Copy provider-hosted media into project storage in the background
+  const repairInBackground = async (projectId) => {
+    if (repairedProjects.has(projectId)) return
+    repairedProjects.add(projectId)
+
+    try {
+      const { repaired, missing } = await repairMedia(projectId)
+      if (missing.length > 0) {
+        addNotification({
+          type: 'warning',
+          message: `${missing.length} media file${missing.length === 1 ? '' : 's'} could not be recovered and may show as broken`,
+          duration: 8000,
+        })
+      } else if (repaired > 0) {
+        addNotification({
+          type: 'info',
+          message: `Copied ${repaired} media file${repaired === 1 ? '' : 's'} into project storage`,
+        })
+      }
+    } catch (error) {
+      console.error('Media repair failed:', error)
+    }
+  }
 
   useEffect(() => {
     if (id && (!currentProject || currentProject.id !== id)) {
-      loadProject(id)
+      loadProject(id).then(() => repairInBackground(id)).catch(() => {})
+    } else if (id) {
+      repairInBackground(id)
     }
 
     return () => {
@@ -42,6 +85,28 @@ export function ProjectLayout() {
     }
   }, [id])
 
+  // Merge other users' edits live and share where this user is
+  useEffect(() => {
+    if (!id) return
+    const unsubscribe = subscribeToProject(id)
+    const leave = join(id)
+    return () => {
+      unsubscribe()
+      leave()
+    }
+  }, [id])
+
+  useEffect(() => {
+    setLocation(currentPath, currentShot?.id)
+  }, [currentPath, currentShot?.id])
+
+  // Shots this user is generating for are soft-locked for everyone else
+  useEffect(() => {
+    setGenerating(
+      activeTasks.filter((task) => task.projectId === id && task.shotId).map((task) => task.shotId)
+    )
+  }, [activeTasks, id])
+
   if (loading) {
     return (
       <div className="flex-1 flex items-center justify-center">
@@ -69,8 +134,6 @@ export function ProjectLayout() {
     )
   }
 
-  const currentPath = location.pathname.split('/').pop()
-
   return (
     <div className="flex-1 flex overflow-hidden">
       {/* Sidebar Navigation */}
@@ -108,6 +171,9 @@ export function ProjectLayout() {
           })}
         </nav>
 
+        {/* Who else is here */}
+        <PresenceAvatars expanded={sidebarOpen} />
+
         {/* Toggle button */}
         <button
           onClick={toggleSidebar}
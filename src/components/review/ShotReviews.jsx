@@ -0,0 +1,147 @@
+/**
+ * ShotReviews - Comments and approvals on a shot
+ * Owners, editors and reviewers can comment, approve or request changes;
+ * viewers see the thread. The latest approval sets the shot's status.
+ */
+
+import { useState } from 'react'
+import { CheckCircle, AlertCircle, MessageSquare, X } from 'lucide-react'
+import { Badge, Button, Textarea } from '../common'
+import { useProjectStore, useWorkspaceStore, useAuthStore, useUIStore } from '@/lib/store'
+
+const STATUS_BADGES = {
+  approved: { variant: 'success', label: 'Approved', icon: CheckCircle },
+  changes_requested: { variant: 'warning', label: 'Changes requested', icon: AlertCircle },
+}
+
+// Latest approval or change request on a shot, if any
+function latestApproval(reviews, shotId) {
+  return reviews.filter((r) => r.shotId === shotId && r.kind === 'approval').pop() || null
+}
+
+export function ApprovalBadge({ shotId, className = '' }) {
+  const approval = useProjectStore((s) => latestApproval(s.reviews, shotId))
+  if (!approval) return null
+
+  const { variant, label, icon: Icon } = STATUS_BADGES[approval.status]
+  return (
+    <Badge variant={variant} className={className}>
+      <span className="flex items-center gap-1" title={`${label} by ${approval.authorName}`}>
+        <Icon className="w-3 h-3" />
+        {label}
+      </span>
+    </Badge>
+  )
+}
+
+export function ShotReviews({ shotId }) {
+  const { currentProject, reviews, addReview, deleteReview } = useProjectStore()
+  const canReview = useWorkspaceStore((s) => s.can(currentProject, 'review'))
+  const userId = useAuthStore((s) => s.user?.id ?? null)
+  const { addNotification } = useUIStore()
+  const [comment, setComment] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const thread = reviews.filter((r) => r.shotId === shotId)
+
+  const submit = async (kind, status = null) => {
+    setSaving(true)
+    try {
+      await addReview(shotId, { kind, status, body: comment.trim() })
+      setComment('')
+    } catch (error) {
+      addNotification({ type: 'error', message: `Failed to save review: ${error.message}` })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (review) => {
+    try {
+      await deleteReview(review)
+    } catch (error) {
+      addNotification({ type: 'error', message: `Failed to delete review: ${error.message}` })
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      {thread.length === 0 ? (
+        <p className="text-sm text-white/40 flex items-center gap-2">
+          <MessageSquare className="w-4 h-4" />
+          No comments yet
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {thread.map((review) => (
+            <li key={review.id} className="group p-2 rounded-lg bg-white/5 text-sm">
+              <div className="flex items-center justify-between gap-2 mb-1">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className="font-medium truncate">{review.authorName || 'Unknown'}</span>
+                  <span className="text-xs text-white/40">
+                    {new Date(review.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                {review.authorId === userId && canReview && (
+                  <button
+                    onClick={() => handleDelete(review)}
+                    className="p-0.5 rounded text-white/30 hover:text-accent-error opacity-0 group-hover:opacity-100 transition-opacity"
+                    title="Delete"
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                )}
+              </div>
+              {review.kind === 'approval' && (
+                <Badge variant={STATUS_BADGES[review.status].variant} className="mb-1">
+                  {STATUS_BADGES[review.status].label}
+                </Badge>
+              )}
+              {review.body && <p className="text-white/70 whitespace-pre-wrap">{review.body}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canReview && (
+        <div className="space-y-2">
+          <Textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Leave a comment..."
+            rows={2}
+          />
+          <div className="flex gap-2">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => submit('comment')}
+              disabled={saving || !comment.trim()}
+              className="flex-1"
+            >
+              <MessageSquare className="w-4 h-4" />
+              Comment
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => submit('approval', 'changes_requested')}
+              disabled={saving}
+            >
+              <AlertCircle className="w-4 h-4" />
+              Request Changes
+            </Button>
+            <Button
+              size="sm"
+              onClick={() => submit('approval', 'approved')}
+              disabled={saving}
+            >
+              <CheckCircle className="w-4 h-4" />
+              Approve
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1 @@
+export { ShotReviews, ApprovalBadge } from './ShotReviews'
@@ -1,8 +1,12 @@
 import { useState } from 'react'
-import { Plus, Wand2, Camera, Users } from 'lucide-react'
-import { useProjectStore, useUIStore } from '@/lib/store'
+import { Plus, Wand2, Camera, Users, Image, MessageSquare } from 'lucide-react'
+import { useProjectStore, useUIStore, useWorkspaceStore } from '@/lib/store'
+import { runTextJob } from '@/lib/jobs'
+import { SHOT_TYPES } from '@/lib/script'
+import { getSettings } from '@/lib/db'
 import { Button, Input, Textarea, Select, Badge } from '../common'
 import { Panel, PanelHeader, PanelContent } from '../layout'
+import { BatchKeyframesModal } from '../visuals'
 
 const timeOptions = [
   { value: 'day', label: 'Day' },
@@ -11,21 +15,18 @@ const timeOptions = [
   { value: 'dusk', label: 'Dusk' },
 ]
 
-const shotTypes = [
-  { value: 'wide', label: 'Wide Shot' },
-  { value: 'medium', label: 'Medium Shot' },
-  { value: 'close', label: 'Close Up' },
-  { value: 'extreme-close', label: 'Extreme Close Up' },
-  { value: 'over-shoulder', label: 'Over the Shoulder' },
-  { value: 'pov', label: 'POV' },
-  { value: 'two-shot', label: 'Two Shot' },
-  { value: 'establishing', label: 'Establishing Shot' },
-]
-
 export function SceneBreakdown({ scene }) {
-  const { updateScene, addShot, currentProject } = useProjectStore()
+  const { updateScene, addShot, addShots, currentProject } = useProjectStore()
   const { addNotification } = useUIStore()
+  const canEdit = useWorkspaceStore((s) => s.can(currentProject, 'edit'))
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
   const [isGenerating, setIsGenerating] = useState(false)
+  const [showBatchModal, setShowBatchModal] = useState(false)
+
+  // Parsed scenes list their speaking characters; manual scenes show everyone
+  const sceneCharacters = scene.characterIds
+    ? (currentProject?.characters || []).filter((c) => scene.characterIds.includes(c.id))
+    : currentProject?.characters
 
   const handleUpdateScene = (updates) => {
     updateScene(scene.id, updates)
@@ -42,12 +43,29 @@ export function SceneBreakdown({ scene }) {
   const handleGenerateShots = async () => {
     setIsGenerating(true)
     try {
-      // Mock AI shot generation - would call Claude API
-      const mockShots = generateMockShots(scene)
-      handleUpdateScene({ shots: [...(scene.shots || []), ...mockShots] })
+      const { shots } = await runTextJob('shotList', {
+        modelId: getSettings().textModelId,
+        scene,
+        characters: (sceneCharacters || []).map((c) => c.name),
+        projectId: currentProject?.id,
+        sceneId: scene.id,
+      })
+
+      // Shots reference characters by ID
+      const characterIds = new Map(
+        (currentProject?.characters || []).map((c) => [c.name.toLowerCase(), c.id])
+      )
+      const added = await addShots(
+        scene.id,
+        shots.map(({ characters = [], ...shot }) => ({
+          ...shot,
+          characters: characters.map((name) => characterIds.get(name.toLowerCase())).filter(Boolean),
+        }))
+      )
+
       addNotification({
         type: 'success',
-        message: `Generated ${mockShots.length} shots`,
+        message: `Generated ${added.length} shots`,
       })
     } catch (error) {
       addNotification({
@@ -66,14 +84,29 @@ export function SceneBreakdown({ scene }) {
           title={`Scene ${scene.sceneNumber}`}
           actions={
             <div className="flex gap-2">
-              <Button variant="secondary" size="sm" onClick={handleAddShot}>
-                <Plus className="w-4 h-4" />
-                Add Shot
-              </Button>
-              <Button size="sm" onClick={handleGenerateShots} loading={isGenerating}>
-                <Wand2 className="w-4 h-4" />
-                Generate Shots
-              </Button>
+              {canEdit && (
+                <Button variant="secondary" size="sm" onClick={handleAddShot}>
+                  <Plus className="w-4 h-4" />
+                  Add Shot
+                </Button>
+              )}
+              {canGenerate && (
+                <>
+                  <Button size="sm" onClick={handleGenerateShots} loading={isGenerating}>
+                    <Wand2 className="w-4 h-4" />
+                    Generate Shots
+                  </Button>
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => setShowBatchModal(true)}
+                    disabled={!scene.shots?.length}
+                  >
+                    <Image className="w-4 h-4" />
+                    Generate Keyframes
+                  </Button>
+                </>
+              )}
             </div>
           }
         />
@@ -104,11 +137,15 @@ export function SceneBreakdown({ scene }) {
                 Characters
               </label>
               <div className="flex flex-wrap gap-1">
-                {currentProject?.characters?.map((char) => (
-                  <Badge key={char.id} variant="default">
-                    {char.name}
-                  </Badge>
-                )) || <span className="text-white/40 text-sm">No characters</span>}
+                {sceneCharacters?.length > 0 ? (
+                  sceneCharacters.map((char) => (
+                    <Badge key={char.id} variant="default">
+                      {char.name}
+                    </Badge>
+                  ))
+                ) : (
+                  <span className="text-white/40 text-sm">No characters</span>
+                )}
               </div>
             </div>
           </div>
@@ -121,6 +158,30 @@ export function SceneBreakdown({ scene }) {
             rows={3}
           />
 
+          {/* Dialogue */}
+          {scene.dialogueLines?.length > 0 && (
+            <div className="mt-6">
+              <h4 className="font-medium flex items-center gap-2 mb-3">
+                <MessageSquare className="w-4 h-4 text-white/50" />
+                Dialogue ({scene.dialogueLines.length})
+              </h4>
+              <div className="space-y-2">
+                {scene.dialogueLines.map((line) => (
+                  <div key={line.id} className="p-3 bg-white/5 rounded-lg text-sm">
+                    <div className="text-xs font-medium text-white/60 mb-1">
+                      {line.characterName}
+                      {line.extensions?.length > 0 && ` (${line.extensions.join(', ')})`}
+                      {line.parenthetical && (
+                        <span className="text-white/40 italic"> ({line.parenthetical})</span>
+                      )}
+                    </div>
+                    <p className="text-white/80">{line.text}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Shot list */}
           <div className="mt-6">
             <div className="flex items-center justify-between mb-4">
@@ -151,6 +212,12 @@ export function SceneBreakdown({ scene }) {
           </div>
         </PanelContent>
       </Panel>
+
+      <BatchKeyframesModal
+        isOpen={showBatchModal}
+        onClose={() => setShowBatchModal(false)}
+        sceneId={scene.id}
+      />
     </div>
   )
 }
@@ -180,7 +247,7 @@ function ShotCard({ shot, index, sceneId }) {
 
       <div className="grid grid-cols-3 gap-3 mb-3">
         <Select
-          options={shotTypes}
+          options={SHOT_TYPES}
           value={shot.shotType || 'wide'}
           onChange={(value) => handleUpdate({ shotType: value })}
         />
@@ -205,27 +272,3 @@ function ShotCard({ shot, index, sceneId }) {
     </div>
   )
 }
-
-// Mock shot generation
-function generateMockShots(scene) {
-  const shotTemplates = [
-    { shotType: 'establishing', description: `Wide establishing shot of ${scene.location}` },
-    { shotType: 'medium', description: 'Medium shot of main character entering' },
-    { shotType: 'close', description: 'Close up reaction shot' },
-    { shotType: 'over-shoulder', description: 'Over the shoulder dialogue coverage' },
-    { shotType: 'wide', description: 'Wide master shot of the scene' },
-  ]
-
-  return shotTemplates.slice(0, 3).map((template, i) => ({
-    id: crypto.randomUUID(),
-    shotNumber: (scene.shots?.length || 0) + i + 1,
-    ...template,
-    cameraAngle: 'eye-level',
-    lens: '35mm',
-    movement: 'static',
-    characters: [],
-    keyframes: [],
-    videoTakes: [],
-    audioTakes: [],
-  }))
-}
@@ -1,17 +1,23 @@
-import { useState } from 'react'
-import { FileText, Wand2, Upload, Plus } from 'lucide-react'
-import { useProjectStore, useUIStore } from '@/lib/store'
+import { useState, useRef } from 'react'
+import { FileText, Wand2, Upload, Plus, Download } from 'lucide-react'
+import { useProjectStore, useUIStore, useWorkspaceStore } from '@/lib/store'
+import { fdxToFountain, toFountain, toFdx, fromScriptAnalysis } from '@/lib/script'
+import { runTextJob } from '@/lib/jobs'
+import { getSettings } from '@/lib/db'
+import { downloadBlob } from '@/lib/utils'
 import { Button, Textarea, EmptyState, Card } from '../common'
 import { Panel, PanelHeader, PanelContent, SplitView } from '../layout'
 import { SceneList } from './SceneList'
 import { SceneBreakdown } from './SceneBreakdown'
 
 export function ScriptPage() {
-  const { currentProject, updateProject, addScene } = useProjectStore()
+  const { currentProject, updateProject, addScene, importScreenplay } = useProjectStore()
   const { addNotification } = useUIStore()
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
   const [script, setScript] = useState(currentProject?.script || '')
   const [isAnalyzing, setIsAnalyzing] = useState(false)
-  const [selectedScene, setSelectedScene] = useState(null)
+  const [selectedSceneId, setSelectedSceneId] = useState(null)
+  const fileInputRef = useRef(null)
 
   const handleSaveScript = async () => {
     await updateProject({ script })
@@ -21,6 +27,17 @@ export function ScriptPage() {
     })
   }
 
+  // Analysis and import replace every scene, deleting their shots and takes
+  const confirmReplaceScenes = () => {
+    const scenes = currentProject?.scenes || []
+    if (scenes.length === 0) return true
+
+    const shotCount = scenes.reduce((sum, scene) => sum + scene.shots.length, 0)
+    return confirm(
+      `Replace the ${scenes.length} scenes and ${shotCount} shots in this project? Their keyframes, video and audio takes will be deleted.`
+    )
+  }
+
   const handleAnalyzeScript = async () => {
     if (!script.trim()) {
       addNotification({
@@ -29,20 +46,22 @@ export function ScriptPage() {
       })
       return
     }
+    if (!confirmReplaceScenes()) return
 
     setIsAnalyzing(true)
     try {
-      // Mock AI analysis - in real implementation, this would call Claude API
-      const mockScenes = parseScriptMock(script)
-
-      await updateProject({
+      const analysis = await runTextJob('scriptAnalysis', {
+        modelId: getSettings().textModelId,
         script,
-        scenes: mockScenes,
+        projectId: currentProject?.id,
       })
+      const { scenes } = await importScreenplay(script, fromScriptAnalysis(analysis))
+      setSelectedSceneId(null)
 
+      const characterCount = new Set(scenes.flatMap((s) => s.characterIds)).size
       addNotification({
         type: 'success',
-        message: `Analyzed script: found ${mockScenes.length} scenes`,
+        message: `Analyzed script: found ${scenes.length} scenes and ${characterCount} speaking characters`,
       })
     } catch (error) {
       addNotification({
@@ -54,15 +73,64 @@ export function ScriptPage() {
     }
   }
 
+  // Import a .fountain, .fdx or plain-text script file
+  // FDX is converted to Fountain so the editor shows readable text
+  const handleFileUpload = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file || !confirmReplaceScenes()) return
+
+    setIsAnalyzing(true)
+    try {
+      const text = await file.text()
+      const imported = /\.fdx$/i.test(file.name) ? fdxToFountain(text) : text
+      const { scenes } = await importScreenplay(imported)
+
+      setScript(imported)
+      setSelectedSceneId(null)
+      addNotification({
+        type: 'success',
+        message: `Imported ${file.name}: ${scenes.length} scenes`,
+      })
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: `Import failed: ${error.message}`,
+      })
+    } finally {
+      setIsAnalyzing(false)
+    }
+  }
+
+  const handleExport = (format) => {
+    const name = (currentProject.name || 'script').replace(/[^\w\s-]/g, '').trim() || 'script'
+
+    if (format === 'fdx') {
+      downloadBlob(new Blob([toFdx(currentProject)], { type: 'application/xml' }), `${name}.fdx`)
+    } else {
+      downloadBlob(new Blob([toFountain(currentProject)], { type: 'text/plain' }), `${name}.fountain`)
+    }
+  }
+
   const handleAddScene = async () => {
     const scene = await addScene()
-    setSelectedScene(scene)
+    setSelectedSceneId(scene?.id)
   }
 
   const hasScenes = currentProject?.scenes?.length > 0
+  // Looked up on each render so the breakdown reflects store updates
+  const selectedScene = currentProject?.scenes?.find((s) => s.id === selectedSceneId)
 
   return (
     <div className="flex-1 flex flex-col overflow-hidden">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".fountain,.spmd,.fdx,.txt"
+        onChange={handleFileUpload}
+        className="hidden"
+      />
+
       {hasScenes ? (
         <SplitView
           left={
@@ -72,13 +140,27 @@ export function ScriptPage() {
                   title="Script"
                   actions={
                     <div className="flex gap-2">
+                      <Button variant="ghost" size="sm" onClick={() => fileInputRef.current?.click()}>
+                        <Upload className="w-4 h-4" />
+                        Import
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleExport('fountain')}>
+                        <Download className="w-4 h-4" />
+                        .fountain
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleExport('fdx')}>
+                        <Download className="w-4 h-4" />
+                        .fdx
+                      </Button>
                       <Button variant="secondary" size="sm" onClick={handleSaveScript}>
                         Save
                       </Button>
-                      <Button size="sm" onClick={handleAnalyzeScript} loading={isAnalyzing}>
-                        <Wand2 className="w-4 h-4" />
-                        Re-analyze
-                      </Button>
+                      {canGenerate && (
+                        <Button size="sm" onClick={handleAnalyzeScript} loading={isAnalyzing}>
+                          <Wand2 className="w-4 h-4" />
+                          Re-analyze
+                        </Button>
+                      )}
                     </div>
                   }
                 />
@@ -101,7 +183,7 @@ export function ScriptPage() {
                 <SceneList
                   scenes={currentProject?.scenes || []}
                   selectedScene={selectedScene}
-                  onSelectScene={setSelectedScene}
+                  onSelectScene={(scene) => setSelectedSceneId(scene.id)}
                   onAddScene={handleAddScene}
                 />
               </div>
@@ -132,7 +214,12 @@ export function ScriptPage() {
               title="Import Script"
               actions={
                 <div className="flex gap-2">
-                  <Button variant="secondary" size="sm">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => fileInputRef.current?.click()}
+                    loading={isAnalyzing}
+                  >
                     <Upload className="w-4 h-4" />
                     Upload File
                   </Button>
@@ -169,7 +256,7 @@ The barista leaves. Sarah turns back to her laptop, takes a deep breath, and beg
               />
               <div className="flex justify-between items-center mt-4 pt-4 border-t border-studio-border">
                 <p className="text-sm text-white/50">
-                  Supports Final Draft format, plain text, and PDF
+                  Supports Fountain, Final Draft (.fdx), and plain text
                 </p>
                 <div className="flex gap-3">
                   <Button
@@ -179,14 +266,16 @@ The barista leaves. Sarah turns back to her laptop, takes a deep breath, and beg
                     <Plus className="w-4 h-4" />
                     Manual Scene
                   </Button>
-                  <Button
-                    onClick={handleAnalyzeScript}
-                    loading={isAnalyzing}
-                    disabled={!script.trim()}
-                  >
-                    <Wand2 className="w-4 h-4" />
-                    Analyze Script
-                  </Button>
+                  {canGenerate && (
+                    <Button
+                      onClick={handleAnalyzeScript}
+                      loading={isAnalyzing}
+                      disabled={!script.trim()}
+                    >
+                      <Wand2 className="w-4 h-4" />
+                      Analyze Script
+                    </Button>
+                  )}
                 </div>
               </div>
             </PanelContent>
@@ -196,53 +285,3 @@ The barista leaves. Sarah turns back to her laptop, takes a deep breath, and beg
     </div>
   )
 }
-
-// Mock script parser - would be replaced with actual LLM parsing
-function parseScriptMock(script) {
-  const scenes = []
-  const lines = script.split('\n')
-  let currentScene = null
-
-  const sceneHeadingRegex = /^(INT\.|EXT\.|INT\/EXT\.)\s+(.+?)\s*[-–]\s*(\w+)/i
-
-  for (const line of lines) {
-    const match = line.match(sceneHeadingRegex)
-    if (match) {
-      if (currentScene) {
-        scenes.push(currentScene)
-      }
-      currentScene = {
-        id: crypto.randomUUID(),
-        sceneNumber: scenes.length + 1,
-        location: match[2].trim(),
-        timeOfDay: match[3].toLowerCase(),
-        mood: '',
-        description: '',
-        dialogueLines: [],
-        shots: [],
-      }
-    } else if (currentScene && line.trim()) {
-      currentScene.description += line.trim() + ' '
-    }
-  }
-
-  if (currentScene) {
-    scenes.push(currentScene)
-  }
-
-  // If no scenes found, create a default one
-  if (scenes.length === 0) {
-    scenes.push({
-      id: crypto.randomUUID(),
-      sceneNumber: 1,
-      location: 'LOCATION',
-      timeOfDay: 'day',
-      mood: '',
-      description: script.substring(0, 200),
-      dialogueLines: [],
-      shots: [],
-    })
-  }
-
-  return scenes
-}
@@ -1,77 +1,84 @@
 import { useState, useEffect } from 'react'
-import { Key, Moon, Sun, Monitor, Info, ExternalLink, CheckCircle } from 'lucide-react'
-import { useUIStore } from '@/lib/store'
-import { getApiKey, saveApiKey, getSettings, saveSettings } from '@/lib/db'
-import { Button, Input, Card, CardHeader, CardContent, Badge, Tabs, TabsList, TabsTrigger, TabsContent } from '../common'
+import { Key, Moon, Sun, Monitor, Info, ExternalLink, CheckCircle, Cloud } from 'lucide-react'
+import { useUIStore, useSyncStore, useWorkspaceStore } from '@/lib/store'
+import { getSettings, saveSettings } from '@/lib/db'
+import { getProviderKeys, saveProviderKey, removeProviderKey, testProviderKey } from '@/lib/providers'
+import { generationQueue, DEFAULT_QUEUE_LIMITS } from '@/lib/jobs'
+import { Button, Input, Select, Card, CardHeader, CardContent, Badge, Tabs, TabsList, TabsTrigger, TabsContent, ModelSelector } from '../common'
 
 export function SettingsPage() {
   const { addNotification } = useUIStore()
-  const [wavespeedKey, setWavespeedKey] = useState('')
-  const [claudeKey, setClaudeKey] = useState('')
-  const [isSaving, setIsSaving] = useState(false)
+  const { workspaces } = useWorkspaceStore()
+  const [keysWorkspaceId, setKeysWorkspaceId] = useState(workspaces[0]?.id ?? '')
+  const [keyStatus, setKeyStatus] = useState(null) // { provider: { workspace, server, updatedAt } }
   const [theme, setTheme] = useState('dark')
   const [autoSave, setAutoSave] = useState(true)
+  const [queueLimits, setQueueLimits] = useState(DEFAULT_QUEUE_LIMITS)
+  const [textModelId, setTextModelId] = useState(null)
+  const [isUploading, setIsUploading] = useState(false)
+  const [displayName, setDisplayName] = useState('')
+  const sync = useSyncStore()
 
   useEffect(() => {
-    // Load saved keys
-    setWavespeedKey(getApiKey('wavespeed') || '')
-    setClaudeKey(getApiKey('claude') || '')
-
     // Load settings
     const settings = getSettings()
     setTheme(settings.theme || 'dark')
     setAutoSave(settings.autoSave !== false)
+    setTextModelId(settings.textModelId || null)
+    setDisplayName(settings.displayName || '')
+    setQueueLimits({
+      providers: { ...DEFAULT_QUEUE_LIMITS.providers, ...settings.queueLimits?.providers },
+      categories: { ...DEFAULT_QUEUE_LIMITS.categories, ...settings.queueLimits?.categories },
+    })
   }, [])
 
-  const handleSaveKeys = async () => {
-    setIsSaving(true)
-    try {
-      saveApiKey('wavespeed', wavespeedKey)
-      saveApiKey('claude', claudeKey)
-      addNotification({
-        type: 'success',
-        message: 'API keys saved securely',
-      })
-    } catch (error) {
-      addNotification({
-        type: 'error',
-        message: `Failed to save: ${error.message}`,
-      })
-    } finally {
-      setIsSaving(false)
-    }
+  // Keys are kept on the server; this only learns which are set
+  useEffect(() => {
+    setKeyStatus(null)
+    getProviderKeys(keysWorkspaceId || null)
+      .then(({ keys }) => setKeyStatus(keys))
+      .catch((error) => addNotification({ type: 'error', message: `Failed to load API keys: ${error.message}` }))
+  }, [keysWorkspaceId])
+
+  // Image/video limits cover both the generate and frame-canvas categories
+  const setQueueLimit = (group, keys, value) => {
+    const limit = Math.max(1, parseInt(value) || 1)
+    setQueueLimits((limits) => ({
+      ...limits,
+      [group]: {
+        ...limits[group],
+        ...Object.fromEntries(keys.map((key) => [key, limit])),
+      },
+    }))
   }
 
   const handleSaveSettings = () => {
-    saveSettings({ theme, autoSave })
+    saveSettings({ ...getSettings(), theme, autoSave, queueLimits, textModelId, displayName: displayName.trim() })
+    generationQueue.configure(queueLimits)
     addNotification({
       type: 'success',
       message: 'Settings saved',
     })
   }
 
-  const testConnection = async (provider) => {
-    const key = provider === 'wavespeed' ? wavespeedKey : claudeKey
-    if (!key) {
+  const handleUploadProjects = async () => {
+    setIsUploading(true)
+    try {
+      const count = await sync.uploadLocalProjects()
+      const { status, error } = useSyncStore.getState()
+      if (status === 'error') throw new Error(error)
       addNotification({
-        type: 'warning',
-        message: `Please enter your ${provider} API key first`,
+        type: 'success',
+        message: `Uploaded ${count} project${count === 1 ? '' : 's'} to the cloud`,
       })
-      return
-    }
-
-    addNotification({
-      type: 'info',
-      message: `Testing ${provider} connection...`,
-    })
-
-    // TODO: Actually test the connection
-    setTimeout(() => {
+    } catch (error) {
       addNotification({
-        type: 'success',
-        message: `${provider} connection successful`,
+        type: 'error',
+        message: `Upload failed: ${error.message}`,
       })
-    }, 1000)
+    } finally {
+      setIsUploading(false)
+    }
   }
 
   return (
@@ -88,109 +95,33 @@ export function SettingsPage() {
 
           {/* API Keys Tab */}
           <TabsContent value="api" className="space-y-6">
-            {/* Wavespeed API */}
-            <Card>
-              <CardHeader className="flex flex-row items-center justify-between">
-                <div className="flex items-center gap-3">
-                  <div className="w-10 h-10 rounded-lg bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center">
-                    <Key className="w-5 h-5" />
-                  </div>
-                  <div>
-                    <h3 className="font-semibold">Wavespeed.ai</h3>
-                    <p className="text-sm text-white/50">Image, video, voice, and lipsync generation</p>
-                  </div>
-                </div>
-                {wavespeedKey && (
-                  <Badge variant="success">
-                    <CheckCircle className="w-3 h-3 mr-1" />
-                    Configured
-                  </Badge>
-                )}
-              </CardHeader>
-              <CardContent className="space-y-4">
-                <Input
-                  label="API Key"
-                  type="password"
-                  value={wavespeedKey}
-                  onChange={(e) => setWavespeedKey(e.target.value)}
-                  placeholder="Enter your Wavespeed API key"
-                />
-                <div className="flex items-center justify-between">
-                  <a
-                    href="https://wavespeed.ai"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-sm text-accent-primary hover:underline flex items-center gap-1"
-                  >
-                    Get API key
-                    <ExternalLink className="w-3 h-3" />
-                  </a>
-                  <Button
-                    variant="secondary"
-                    size="sm"
-                    onClick={() => testConnection('wavespeed')}
-                    disabled={!wavespeedKey}
-                  >
-                    Test Connection
-                  </Button>
-                </div>
-              </CardContent>
-            </Card>
+            {workspaces.length > 0 && (
+              <Select
+                label="Keys for"
+                options={[
+                  { value: '', label: 'Personal projects' },
+                  ...workspaces.map((w) => ({ value: w.id, label: w.name })),
+                ]}
+                value={keysWorkspaceId}
+                onChange={setKeysWorkspaceId}
+              />
+            )}
+            <p className="text-sm text-white/50">
+              {keysWorkspaceId
+                ? "Generations in this workspace's projects use its keys, or the server's where it has none."
+                : 'Personal projects use the keys set on the server (WAVESPEED_API_KEY and ANTHROPIC_API_KEY).'}
+              {' '}Keys are stored on the server and never sent back to the browser.
+            </p>
 
-            {/* Claude API (for script parsing) */}
-            <Card>
-              <CardHeader className="flex flex-row items-center justify-between">
-                <div className="flex items-center gap-3">
-                  <div className="w-10 h-10 rounded-lg bg-gradient-to-br from-orange-500 to-amber-600 flex items-center justify-center">
-                    <Key className="w-5 h-5" />
-                  </div>
-                  <div>
-                    <h3 className="font-semibold">Anthropic Claude</h3>
-                    <p className="text-sm text-white/50">Script parsing and shot suggestions</p>
-                  </div>
-                </div>
-                {claudeKey && (
-                  <Badge variant="success">
-                    <CheckCircle className="w-3 h-3 mr-1" />
-                    Configured
-                  </Badge>
-                )}
-              </CardHeader>
-              <CardContent className="space-y-4">
-                <Input
-                  label="API Key"
-                  type="password"
-                  value={claudeKey}
-                  onChange={(e) => setClaudeKey(e.target.value)}
-                  placeholder="Enter your Claude API key"
-                />
-                <div className="flex items-center justify-between">
-                  <a
-                    href="https://console.anthropic.com"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-sm text-accent-primary hover:underline flex items-center gap-1"
-                  >
-                    Get API key
-                    <ExternalLink className="w-3 h-3" />
-                  </a>
-                  <Button
-                    variant="secondary"
-                    size="sm"
-                    onClick={() => testConnection('claude')}
-                    disabled={!claudeKey}
-                  >
-                    Test Connection
-                  </Button>
-                </div>
-              </CardContent>
-            </Card>
-
-            <div className="flex justify-end">
-              <Button onClick={handleSaveKeys} loading={isSaving}>
-                Save API Keys
-              </Button>
-            </div>
+            {PROVIDER_CARDS.map((card) => (
+              <ProviderKeyCard
+                key={card.provider}
+                {...card}
+                workspace={workspaces.find((w) => w.id === keysWorkspaceId)}
+                status={keyStatus?.[card.provider]}
+                onStatusChange={setKeyStatus}
+              />
+            ))}
           </TabsContent>
 
           {/* Preferences Tab */}
@@ -265,6 +196,107 @@ export function SettingsPage() {
               </CardContent>
             </Card>
 
+            <Card>
+              <CardHeader>
+                <h3 className="font-semibold">Script Assistant</h3>
+                <p className="text-sm text-white/50">
+                  Model used to analyze scripts and suggest shot lists
+                </p>
+              </CardHeader>
+              <CardContent>
+                <ModelSelector
+                  category="textGeneration"
+                  value={textModelId}
+                  onChange={setTextModelId}
+                  label="Model"
+                />
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <h3 className="font-semibold">Generation Queue</h3>
+                <p className="text-sm text-white/50">
+                  Maximum generations running at once. Extra requests wait in the queue.
+                </p>
+              </CardHeader>
+              <CardContent className="grid grid-cols-2 gap-4">
+                {[
+                  { label: 'Wavespeed (all types)', group: 'providers', keys: ['wavespeed'] },
+                  { label: 'Images', group: 'categories', keys: ['imageGeneration', 'imageEdit'] },
+                  { label: 'Video', group: 'categories', keys: ['imageToVideo', 'frameToVideo'] },
+                  { label: 'Voice', group: 'categories', keys: ['voice'] },
+                  { label: 'Lipsync', group: 'categories', keys: ['lipsync'] },
+                ].map(({ label, group, keys }) => (
+                  <Input
+                    key={label}
+                    label={label}
+                    type="number"
+                    min="1"
+                    value={queueLimits[group][keys[0]]}
+                    onChange={(e) => setQueueLimit(group, keys, e.target.value)}
+                  />
+                ))}
+              </CardContent>
+            </Card>
+
+            {sync.enabled && (
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <Cloud className="w-5 h-5 text-accent-primary" />
+                    <div>
+                      <h3 className="font-semibold">Cloud Sync</h3>
+                      <p className="text-sm text-white/50">
+                        Projects are saved on this device and synced to Supabase in the background
+                      </p>
+                    </div>
+                  </div>
+                  {sync.status === 'error' ? (
+                    <Badge variant="error">Sync failed</Badge>
+                  ) : !sync.online ? (
+                    <Badge variant="warning">Offline</Badge>
+                  ) : (
+                    <Badge variant="success">
+                      <CheckCircle className="w-3 h-3 mr-1" />
+                      Online
+                    </Badge>
+                  )}
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <Input
+                    label="Display Name"
+                    placeholder="Guest"
+                    value={displayName}
+                    onChange={(e) => setDisplayName(e.target.value)}
+                  />
+                  <p className="text-xs text-white/40 -mt-2">
+                    Shown to others working on the same project
+                  </p>
+                  <p className="text-sm text-white/60">
+                    {sync.pending > 0
+                      ? `${sync.pending} changes waiting to sync.`
+                      : 'All changes are synced.'}
+                    {sync.lastSyncedAt && ` Last synced ${new Date(sync.lastSyncedAt).toLocaleTimeString()}.`}
+                  </p>
+                  {sync.error && (
+                    <p className="text-sm text-red-400">{sync.error}</p>
+                  )}
+                  <p className="text-sm text-white/50">
+                    Projects created before sync was set up stay on this device until you upload them.
+                  </p>
+                  <Button
+                    variant="secondary"
+                    onClick={handleUploadProjects}
+                    loading={isUploading}
+                    disabled={!sync.online}
+                  >
+                    Upload Local Projects
+                  </Button>
+                </CardContent>
+              </Card>
+            )}
+
             <div className="flex justify-end">
               <Button onClick={handleSaveSettings}>
                 Save Preferences
@@ -329,3 +361,139 @@ export function SettingsPage() {
     </div>
   )
 }
+
+const PROVIDER_CARDS = [
+  {
+    provider: 'wavespeed',
+    name: 'Wavespeed.ai',
+    description: 'Image, video, voice, and lipsync generation',
+    gradient: 'from-blue-500 to-purple-600',
+    keyUrl: 'https://wavespeed.ai',
+  },
+  {
+    provider: 'anthropic',
+    name: 'Anthropic Claude',
+    description: 'Script parsing and shot suggestions',
+    gradient: 'from-orange-500 to-amber-600',
+    keyUrl: 'https://console.anthropic.com',
+  },
+]
+
+// One provider's key: workspace owners set, test and remove it
+function ProviderKeyCard({ provider, name, description, gradient, keyUrl, workspace, status, onStatusChange }) {
+  const { addNotification } = useUIStore()
+  const [apiKey, setApiKey] = useState('')
+  const [busy, setBusy] = useState(null) // 'save' | 'remove' | 'test'
+  const canManage = workspace?.role === 'owner'
+
+  const run = async (action, work) => {
+    setBusy(action)
+    try {
+      await work()
+    } catch (error) {
+      addNotification({ type: 'error', message: `${name}: ${error.message}` })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleSave = () => run('save', async () => {
+    onStatusChange(await saveProviderKey(workspace.id, provider, apiKey.trim()))
+    setApiKey('')
+    addNotification({ type: 'success', message: `${name} key verified and saved` })
+  })
+
+  const handleRemove = () => {
+    if (!confirm(`Remove the ${name} key from "${workspace.name}"?`)) return
+    run('remove', async () => {
+      onStatusChange(await removeProviderKey(workspace.id, provider))
+      addNotification({ type: 'success', message: `${name} key removed` })
+    })
+  }
+
+  // Tests the key being entered, or else the one in use
+  const handleTest = () => run('test', async () => {
+    const { ok, message } = await testProviderKey(workspace?.id ?? null, provider, apiKey.trim() || undefined)
+    addNotification({ type: ok ? 'success' : 'error', message: `${name}: ${message}` })
+  })
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className={`w-10 h-10 rounded-lg bg-gradient-to-br ${gradient} flex items-center justify-center`}>
+            <Key className="w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="font-semibold">{name}</h3>
+            <p className="text-sm text-white/50">{description}</p>
+          </div>
+        </div>
+        {status?.workspace ? (
+          <Badge variant="success">
+            <CheckCircle className="w-3 h-3 mr-1" />
+            Workspace key
+          </Badge>
+        ) : status?.server ? (
+          <Badge>
+            <CheckCircle className="w-3 h-3 mr-1" />
+            Server key
+          </Badge>
+        ) : status && (
+          <Badge variant="warning">Not configured</Badge>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {canManage ? (
+          <Input
+            label={status?.workspace ? 'Replace API Key' : 'API Key'}
+            type="password"
+            value={apiKey}
+            onChange={(e) => setApiKey(e.target.value)}
+            placeholder={`Enter a ${name} API key`}
+            autoComplete="off"
+          />
+        ) : workspace && (
+          <p className="text-sm text-white/50">Only workspace owners can change keys.</p>
+        )}
+        {status?.updatedAt && (
+          <p className="text-xs text-white/40">
+            Saved {new Date(status.updatedAt).toLocaleString()}
+          </p>
+        )}
+        <div className="flex items-center justify-between">
+          <a
+            href={keyUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sm text-accent-primary hover:underline flex items-center gap-1"
+          >
+            Get API key
+            <ExternalLink className="w-3 h-3" />
+          </a>
+          <div className="flex gap-2">
+            {canManage && status?.workspace && (
+              <Button variant="ghost" size="sm" onClick={handleRemove} loading={busy === 'remove'}>
+                Remove
+              </Button>
+            )}
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={handleTest}
+              loading={busy === 'test'}
+              disabled={!apiKey.trim() && !status?.workspace && !status?.server}
+            >
+              Test Connection
+            </Button>
+            {canManage && (
+              <Button size="sm" onClick={handleSave} loading={busy === 'save'} disabled={!apiKey.trim()}>
+                Save
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
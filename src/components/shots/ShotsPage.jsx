@@ -5,7 +5,7 @@
 
 import { useState, useCallback, useRef, useEffect } from 'react'
 import { Video, X, ZoomIn, MoreVertical, GripVertical, Download, Play, Pause, Trash2 } from 'lucide-react'
-import { useProjectStore, useUIStore } from '@/lib/store'
+import { useProjectStore, useUIStore, useWorkspaceStore } from '@/lib/store'
 import { EmptyState } from '../common'
 import { Panel, PanelHeader, PanelContent } from '../layout'
 
@@ -13,6 +13,7 @@ export function ShotsPage() {
   // Project store - clips are persisted here
   const { currentProject, updateClip, deleteClip } = useProjectStore()
   const clips = currentProject?.clips || []
+  const canEdit = useWorkspaceStore((s) => s.can(currentProject, 'edit'))
 
   // UI state
   const [selectedClipId, setSelectedClipId] = useState(null)
@@ -159,6 +160,7 @@ export function ShotsPage() {
                         onMagnify={() => setMagnifiedClipId(clip.id)}
                         onUpdate={(updates) => handleUpdateClip(clip.id, updates)}
                         onAction={(action) => handleClipAction(clip.id, action)}
+                        canDelete={canEdit}
                         onDragStart={(e) => handleDragStart(e, clip.id)}
                       />
                     )
@@ -182,7 +184,7 @@ export function ShotsPage() {
 }
 
 // Clip Card Component with drag support
-function ClipCard({ clip, isSelected, isDragging, zIndex, onSelect, onMagnify, onUpdate, onAction, onDragStart }) {
+function ClipCard({ clip, isSelected, isDragging, zIndex, onSelect, onMagnify, onUpdate, onAction, onDragStart, canDelete }) {
   const [showDropdown, setShowDropdown] = useState(false)
   const [isEditingName, setIsEditingName] = useState(false)
   const [isEditingNotes, setIsEditingNotes] = useState(false)
@@ -355,18 +357,22 @@ function ClipCard({ clip, isSelected, isDragging, zIndex, onSelect, onMagnify, o
               <Download className="w-4 h-4" />
               Download Video
             </button>
-            <div className="border-t border-studio-border my-1" />
-            <button
-              onClick={(e) => {
-                e.stopPropagation()
-                onAction('delete')
-                setShowDropdown(false)
-              }}
-              className="w-full px-3 py-2 text-left text-sm hover:bg-red-500/20 text-red-400 flex items-center gap-2"
-            >
-              <Trash2 className="w-4 h-4" />
-              Delete
-            </button>
+            {canDelete && (
+              <>
+                <div className="border-t border-studio-border my-1" />
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    onAction('delete')
+                    setShowDropdown(false)
+                  }}
+                  className="w-full px-3 py-2 text-left text-sm hover:bg-red-500/20 text-red-400 flex items-center gap-2"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Delete
+                </button>
+              </>
+            )}
           </div>
         )}
       </div>
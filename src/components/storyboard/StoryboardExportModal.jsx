@@ -0,0 +1,132 @@
+/**
+ * StoryboardExportModal - Printable boards as a paginated PDF or a PNG contact sheet
+ */
+
+import { useState, useMemo } from 'react'
+import { Download } from 'lucide-react'
+import { useProjectStore, useUIStore } from '@/lib/store'
+import {
+  gatherClips,
+  exportStoryboardPdf,
+  exportContactSheet,
+  PANEL_LAYOUTS,
+  BOARD_ASPECT_RATIOS,
+} from '@/lib/export'
+import { downloadBlob } from '@/lib/utils'
+import { Modal, Button, Select, ProgressBar } from '../common'
+
+const formatOptions = [
+  { value: 'pdf', label: 'PDF', description: 'Paginated boards for printing' },
+  { value: 'png', label: 'Contact Sheet (PNG)', description: 'Every panel on one image' },
+]
+
+const panelOptions = Object.entries(PANEL_LAYOUTS).map(([count, [columns, rows]]) => ({
+  value: count,
+  label: `${count} per page (${columns} x ${rows})`,
+}))
+
+const aspectRatioOptions = Object.keys(BOARD_ASPECT_RATIOS).map((ar) => ({ value: ar, label: ar }))
+
+export function StoryboardExportModal({ isOpen, onClose }) {
+  const { currentProject } = useProjectStore()
+  const { addNotification } = useUIStore()
+
+  const [format, setFormat] = useState('pdf')
+  const [panelsPerPage, setPanelsPerPage] = useState('6')
+  const [aspectRatio, setAspectRatio] = useState('16:9')
+  const [progress, setProgress] = useState(null)
+
+  const isExporting = progress !== null
+  const panelCount = useMemo(() => gatherClips(currentProject).length, [currentProject?.scenes])
+
+  const handleClose = () => {
+    if (isExporting) return
+    onClose()
+  }
+
+  const handleExport = async () => {
+    setProgress({ done: 0, total: panelCount })
+    const options = { panelsPerPage: parseInt(panelsPerPage), aspectRatio, onProgress: setProgress }
+    const baseName = `${currentProject.name || 'storyboard'}-storyboard`
+
+    try {
+      if (format === 'pdf') {
+        downloadBlob(await exportStoryboardPdf(currentProject, options), `${baseName}.pdf`)
+      } else {
+        downloadBlob(await exportContactSheet(currentProject, options), `${baseName}.png`)
+      }
+
+      addNotification({
+        type: 'success',
+        message: `Exported ${panelCount} panels`,
+      })
+      onClose()
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: `Export failed: ${error.message}`,
+      })
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const pageCount = Math.ceil(panelCount / parseInt(panelsPerPage))
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Export Storyboard" showClose={!isExporting}>
+      <div className="space-y-4">
+        <Select label="Format" options={formatOptions} value={format} onChange={setFormat} />
+
+        <div className="grid grid-cols-2 gap-3">
+          <Select
+            label={format === 'pdf' ? 'Panels per Page' : 'Columns'}
+            options={format === 'pdf'
+              ? panelOptions
+              : panelOptions.map((o) => ({ ...o, label: `${PANEL_LAYOUTS[o.value][0]} columns` }))}
+            value={panelsPerPage}
+            onChange={setPanelsPerPage}
+          />
+          <Select
+            label="Aspect Ratio"
+            options={aspectRatioOptions}
+            value={aspectRatio}
+            onChange={setAspectRatio}
+          />
+        </div>
+
+        <p className="text-sm text-white/50">
+          {panelCount === 0
+            ? 'No shots have keyframes yet.'
+            : format === 'pdf'
+              ? `${panelCount} panels on ${pageCount} page${pageCount === 1 ? '' : 's'}`
+              : `${panelCount} panels on one sheet`}
+        </p>
+
+        {/* Progress */}
+        {isExporting && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-white/60">Rendering panels...</span>
+              <span className="text-white/60">
+                {progress.done} / {progress.total}
+              </span>
+            </div>
+            <ProgressBar value={progress.total ? (progress.done / progress.total) * 100 : 0} />
+          </div>
+        )}
+
+        {/* Actions */}
+        <div className="flex justify-end gap-3 pt-2">
+          <Button variant="secondary" onClick={handleClose} disabled={isExporting}>
+            Cancel
+          </Button>
+          <Button onClick={handleExport} loading={isExporting} disabled={panelCount === 0}>
+            <Download className="w-4 h-4" />
+            Export
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
@@ -1,25 +1,174 @@
 /**
  * StoryboardPage - Visual storyboard layout for shot planning
- * Placeholder for now
+ * One row per scene showing each shot's selected keyframe. Panels can be
+ * dragged to reorder shots within a scene or move them to another scene.
  */
 
-import { LayoutGrid } from 'lucide-react'
+import { useState } from 'react'
+import { LayoutGrid, Plus, Sparkles, Download } from 'lucide-react'
 import { Panel, PanelHeader, PanelContent } from '../layout'
-import { EmptyState } from '../common'
+import { Button, EmptyState, Modal } from '../common'
+import { BatchKeyframesModal } from '../visuals'
+import { ShotReviews } from '../review'
+import { StoryboardPanel } from './StoryboardPanel'
+import { StoryboardExportModal } from './StoryboardExportModal'
+import { useProjectStore, useWorkspaceStore } from '@/lib/store'
 
 export function StoryboardPage() {
+  const { currentProject, addShot, moveShot, updateShot } = useProjectStore()
+  const scenes = [...(currentProject?.scenes || [])].sort((a, b) => a.sceneNumber - b.sceneNumber)
+  const shotCount = scenes.reduce((sum, scene) => sum + scene.shots.length, 0)
+  const canEdit = useWorkspaceStore((s) => s.can(currentProject, 'edit'))
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
+
+  const [showBatchModal, setShowBatchModal] = useState(false)
+  const [showExportModal, setShowExportModal] = useState(false)
+  const [dragging, setDragging] = useState(null) // { shotId, sceneId, index }
+  const [dragOver, setDragOver] = useState(null) // { sceneId, index }
+  const [reviewing, setReviewing] = useState(null) // { scene, shot }
+
+  const handleDragStart = (e, sceneId, shotId, index) => {
+    setDragging({ shotId, sceneId, index })
+    e.dataTransfer.effectAllowed = 'move'
+  }
+
+  const handleDragOver = (e, sceneId, index) => {
+    e.preventDefault()
+    e.stopPropagation()
+    if (!dragging) return
+    if (dragOver?.sceneId !== sceneId || dragOver?.index !== index) {
+      setDragOver({ sceneId, index })
+    }
+  }
+
+  const handleDragEnd = () => {
+    setDragging(null)
+    setDragOver(null)
+  }
+
+  // Drop inserts before the panel at index (or at the end of the row)
+  const handleDrop = (e, sceneId, index) => {
+    e.preventDefault()
+    e.stopPropagation()
+    if (dragging) {
+      const sameScene = dragging.sceneId === sceneId
+      const toIndex = sameScene && dragging.index < index ? index - 1 : index
+      if (!sameScene || toIndex !== dragging.index) {
+        moveShot(dragging.shotId, sceneId, toIndex)
+      }
+    }
+    handleDragEnd()
+  }
+
+  if (!currentProject) return null
+
   return (
     <div className="flex-1 flex flex-col overflow-hidden p-4">
-      <Panel className="flex-1">
-        <PanelHeader title="Storyboard" />
-        <PanelContent className="flex-1 flex items-center justify-center">
-          <EmptyState
-            icon={LayoutGrid}
-            title="Storyboard Coming Soon"
-            description="Visual storyboard layout for planning your shots and sequences."
-          />
+      <Panel className="flex-1 flex flex-col overflow-hidden">
+        <PanelHeader
+          title={`Storyboard${shotCount > 0 ? ` (${shotCount} shots)` : ''}`}
+          actions={
+            shotCount > 0 && (
+              <>
+                {canGenerate && (
+                  <Button variant="ghost" size="sm" onClick={() => setShowBatchModal(true)}>
+                    <Sparkles className="w-4 h-4" />
+                    Generate Missing Keyframes
+                  </Button>
+                )}
+                <Button variant="ghost" size="sm" onClick={() => setShowExportModal(true)}>
+                  <Download className="w-4 h-4" />
+                  Export
+                </Button>
+              </>
+            )
+          }
+        />
+        <PanelContent className="flex-1 overflow-y-auto">
+          {scenes.length === 0 ? (
+            <div className="h-full flex items-center justify-center">
+              <EmptyState
+                icon={LayoutGrid}
+                title="No scenes yet"
+                description="Analyze a script on the Script page to lay out your storyboard."
+              />
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {scenes.map((scene) => {
+                const isRowTarget = dragOver?.sceneId === scene.id
+
+                return (
+                  <section key={scene.id}>
+                    <div className="flex items-baseline gap-3 mb-2">
+                      <h4 className="text-sm font-medium">Scene {scene.sceneNumber}</h4>
+                      <span className="text-xs text-white/50 truncate">
+                        {scene.location || 'Untitled'} - {scene.timeOfDay || 'day'}
+                      </span>
+                    </div>
+
+                    <div
+                      onDragOver={(e) => handleDragOver(e, scene.id, scene.shots.length)}
+                      onDrop={(e) => handleDrop(e, scene.id, scene.shots.length)}
+                      className={`flex gap-3 overflow-x-auto pb-2 rounded-lg transition-colors ${
+                        isRowTarget ? 'bg-white/5' : ''
+                      }`}
+                    >
+                      {scene.shots.map((shot, index) => (
+                        <StoryboardPanel
+                          key={shot.id}
+                          shot={shot}
+                          isDragging={dragging?.shotId === shot.id}
+                          isDragOver={isRowTarget && dragOver.index === index && dragging?.shotId !== shot.id}
+                          onDragStart={(e) => handleDragStart(e, scene.id, shot.id, index)}
+                          onDragOver={(e) => handleDragOver(e, scene.id, index)}
+                          onDrop={(e) => handleDrop(e, scene.id, index)}
+                          onDragEnd={handleDragEnd}
+                          onUpdate={(updates) => updateShot(scene.id, shot.id, updates)}
+                          onReview={() => setReviewing({ scene, shot })}
+                          readOnly={!canEdit}
+                        />
+                      ))}
+
+                      {canEdit && (
+                        <button
+                          onClick={() => addShot(scene.id)}
+                          className={`flex-shrink-0 w-40 aspect-video rounded-lg border-2 border-dashed flex flex-col items-center justify-center gap-1 text-xs transition-colors ${
+                            isRowTarget && dragOver.index === scene.shots.length
+                              ? 'border-accent-primary text-accent-primary'
+                              : 'border-studio-border text-white/40 hover:text-white/70 hover:border-studio-border-strong'
+                          }`}
+                        >
+                          <Plus className="w-5 h-5" />
+                          {dragging ? 'Drop here' : 'Add Shot'}
+                        </button>
+                      )}
+                    </div>
+                  </section>
+                )
+              })}
+            </div>
+          )}
         </PanelContent>
       </Panel>
+
+      <BatchKeyframesModal
+        isOpen={showBatchModal}
+        onClose={() => setShowBatchModal(false)}
+      />
+
+      <Modal
+        isOpen={!!reviewing}
+        onClose={() => setReviewing(null)}
+        title={reviewing ? `Review Scene ${reviewing.scene.sceneNumber} / Shot ${reviewing.shot.shotNumber}` : ''}
+      >
+        {reviewing && <ShotReviews shotId={reviewing.shot.id} />}
+      </Modal>
+
+      <StoryboardExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+      />
     </div>
   )
 }
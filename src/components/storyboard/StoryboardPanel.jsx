@@ -0,0 +1,173 @@
+import { useState } from 'react'
+import { Camera, ChevronLeft, ChevronRight, GripVertical, Lock, MessageSquare } from 'lucide-react'
+import { Badge, Textarea } from '../common'
+import { ApprovalBadge } from '../review'
+import { usePresenceStore, useProjectStore } from '@/lib/store'
+import { SHOT_TYPES, CAMERA_MOVEMENTS } from '@/lib/script/shots'
+
+const labelFor = (options, value) => options.find((o) => o.value === value)?.label || value
+
+export function StoryboardPanel({
+  shot,
+  isDragging,
+  isDragOver,
+  onDragStart,
+  onDragOver,
+  onDrop,
+  onDragEnd,
+  onUpdate,
+  onReview,
+  readOnly,
+}) {
+  const [isEditing, setIsEditing] = useState(false)
+  const [description, setDescription] = useState(shot.description || '')
+  const lock = usePresenceStore((s) => s.lockFor(shot.id))
+  const commentCount = useProjectStore((s) => s.reviews.filter((r) => r.shotId === shot.id && r.body).length)
+
+  const keyframes = shot.keyframes || []
+  const selectedIndex = Math.max(0, keyframes.findIndex((kf) => kf.id === shot.selectedKeyframe))
+  const keyframe = keyframes[selectedIndex]
+  const imageUrl = keyframe?.url || keyframe?.outputs?.[0]
+
+  const cycleKeyframe = (step) => {
+    const next = keyframes[(selectedIndex + step + keyframes.length) % keyframes.length]
+    onUpdate({ selectedKeyframe: next.id })
+  }
+
+  const startEditing = () => {
+    setDescription(shot.description || '')
+    setIsEditing(true)
+  }
+
+  const saveDescription = () => {
+    setIsEditing(false)
+    if (description !== (shot.description || '')) {
+      onUpdate({ description })
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.currentTarget.blur()
+    } else if (e.key === 'Escape') {
+      setDescription(shot.description || '')
+      setIsEditing(false)
+    }
+  }
+
+  return (
+    <div
+      draggable={!isEditing && !readOnly}
+      onDragStart={onDragStart}
+      onDragOver={onDragOver}
+      onDrop={onDrop}
+      onDragEnd={onDragEnd}
+      className={`
+        flex-shrink-0 w-64 rounded-lg bg-studio-surface border border-studio-border
+        transition-all duration-200 group
+        ${isDragging ? 'opacity-50' : ''}
+        ${isDragOver ? 'ml-6' : ''}
+      `}
+    >
+      {/* Frame */}
+      <div className="aspect-video rounded-t-lg overflow-hidden bg-gradient-to-br from-white/5 to-white/10 relative">
+        {imageUrl ? (
+          <img src={imageUrl} alt={`Shot ${shot.shotNumber}`} className="w-full h-full object-cover" />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center text-white/20">
+            <Camera className="w-8 h-8" />
+          </div>
+        )}
+
+        {/* Someone else is generating for this shot */}
+        {lock && (
+          <div
+            className="absolute bottom-1 left-1 px-1.5 py-0.5 rounded bg-black/60 text-xs flex items-center gap-1"
+            title={`${lock.name} is generating for this shot`}
+          >
+            <Lock className="w-3 h-3" style={{ color: lock.color }} />
+            {lock.name}
+          </div>
+        )}
+
+        {/* Drag handle */}
+        {!readOnly && (
+          <div className="absolute top-1 left-1 p-1 rounded bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity cursor-grab">
+            <GripVertical className="w-3 h-3" />
+          </div>
+        )}
+
+        <span className="absolute top-1 right-1 px-1.5 py-0.5 rounded bg-black/60 text-xs font-medium">
+          {shot.shotNumber}
+        </span>
+
+        {/* Keyframe picker */}
+        {keyframes.length > 1 && !readOnly && (
+          <div className="absolute inset-x-1 top-1/2 -translate-y-1/2 flex justify-between opacity-0 group-hover:opacity-100 transition-opacity">
+            <button
+              onClick={() => cycleKeyframe(-1)}
+              className="p-1 rounded bg-black/60 hover:bg-black/80"
+              title="Previous keyframe"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => cycleKeyframe(1)}
+              className="p-1 rounded bg-black/60 hover:bg-black/80"
+              title="Next keyframe"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+        {keyframes.length > 1 && (
+          <span className="absolute bottom-1 right-1 px-1.5 py-0.5 rounded bg-black/60 text-xs text-white/70">
+            {selectedIndex + 1}/{keyframes.length}
+          </span>
+        )}
+      </div>
+
+      {/* Caption */}
+      <div className="p-2 space-y-2">
+        <div className="flex flex-wrap gap-1">
+          <Badge>{labelFor(SHOT_TYPES, shot.shotType)}</Badge>
+          {shot.lens && <Badge>{shot.lens}</Badge>}
+          {shot.movement && <Badge>{labelFor(CAMERA_MOVEMENTS, shot.movement)}</Badge>}
+          <ApprovalBadge shotId={shot.id} />
+        </div>
+
+        {isEditing ? (
+          <Textarea
+            autoFocus
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            onBlur={saveDescription}
+            onKeyDown={handleKeyDown}
+            rows={3}
+            className="text-xs"
+          />
+        ) : readOnly ? (
+          <p className="text-xs text-white/70 line-clamp-3 min-h-[3rem]">
+            {shot.description}
+          </p>
+        ) : (
+          <p
+            onClick={startEditing}
+            className="text-xs text-white/70 line-clamp-3 min-h-[3rem] cursor-text rounded px-1 -mx-1 hover:bg-white/5"
+            title="Click to edit"
+          >
+            {shot.description || <span className="text-white/30 italic">Add a description...</span>}
+          </p>
+        )}
+
+        <button
+          onClick={onReview}
+          className="flex items-center gap-1 text-xs text-white/40 hover:text-white/70 transition-colors"
+        >
+          <MessageSquare className="w-3 h-3" />
+          {commentCount > 0 ? `${commentCount} comment${commentCount === 1 ? '' : 's'}` : 'Review'}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1 +1,3 @@
 export { StoryboardPage } from './StoryboardPage'
+export { StoryboardPanel } from './StoryboardPanel'
+export { StoryboardExportModal } from './StoryboardExportModal'
@@ -1,16 +1,19 @@
 import { useState, useMemo, useEffect } from 'react'
-import { Video, Wand2, Play, Pause, Download } from 'lucide-react'
-import { useProjectStore, useUIStore, useGenerationStore } from '@/lib/store'
+import { Video, Wand2, Play, Pause, Download, X, ChevronsUp } from 'lucide-react'
+import { useProjectStore, useUIStore, useGenerationStore, useWorkspaceStore } from '@/lib/store'
 import { getModelSchema, getDefaultModel } from '@/lib/models'
 import { Button, Textarea, Select, ModelSelector, EmptyState, ProgressBar } from '../common'
 import { Panel, PanelHeader, PanelContent, SplitView } from '../layout'
 import { ShotSelector } from '../visuals/ShotSelector'
+import { ShotReviews } from '../review'
 import { VideoTakesGrid } from './VideoTakesGrid'
 
 export function VideoPage() {
-  const { currentProject, currentScene, currentShot, addVideoTake } = useProjectStore()
+  const { currentProject, currentScene, currentShot } = useProjectStore()
   const { addNotification } = useUIStore()
-  const { generateVideo, activeTasks } = useGenerationStore()
+  const { generateVideo, cancelTask, prioritizeTask, activeTasks } = useGenerationStore()
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
+  const canEdit = useWorkspaceStore((s) => s.can(currentProject, 'edit'))
 
   const [prompt, setPrompt] = useState('')
   const [negativePrompt, setNegativePrompt] = useState('')
@@ -74,7 +77,8 @@ export function VideoPage() {
     try {
       const imageUrl = selectedKeyframe.url || selectedKeyframe.outputs?.[0]
 
-      const result = await generateVideo({
+      // Output is added to the shot as a video take when the task completes
+      await generateVideo({
         projectId: currentProject.id,
         sceneId: currentScene.id,
         shotId: currentShot.id,
@@ -85,24 +89,26 @@ export function VideoPage() {
         motionType,
         duration,
         resolution,
+        attach: {
+          as: 'videoTake',
+          data: {
+            sourceKeyframe: selectedKeyframe.id,
+            prompt,
+            modelId: selectedModelId,
+            settings: { motionType, duration, resolution },
+          },
+        },
       })
 
-      // Add video take to shot
-      if (result.outputs?.length > 0) {
-        await addVideoTake(currentScene.id, currentShot.id, {
-          url: result.outputs[0],
-          sourceKeyframe: selectedKeyframe.id,
-          prompt,
-          modelId: selectedModelId,
-          settings: { motionType, duration, resolution },
-        })
-      }
-
       addNotification({
         type: 'success',
         message: 'Video generated successfully',
       })
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addNotification({ type: 'info', message: 'Generation cancelled' })
+        return
+      }
       addNotification({
         type: 'error',
         message: `Generation failed: ${error.message}`,
@@ -157,86 +163,114 @@ export function VideoPage() {
             )}
 
             {/* Generation controls */}
-            <Panel className="flex-1 flex flex-col border-0 rounded-none border-t border-studio-border">
-              <PanelHeader title="Generate Video" />
-              <PanelContent className="flex-1 overflow-auto space-y-4">
-                {/* Model selector */}
-                <ModelSelector
-                  category="imageToVideo"
-                  value={selectedModelId}
-                  onChange={setSelectedModelId}
-                  label="Model"
-                />
-
-                {/* Motion type */}
-                <Select
-                  label="Camera Motion"
-                  options={motionOptions}
-                  value={motionType}
-                  onChange={setMotionType}
-                />
-
-                {/* Settings */}
-                <div className="grid grid-cols-2 gap-3">
-                  <Select
-                    label="Duration"
-                    options={durationOptions}
-                    value={duration}
-                    onChange={setDuration}
+            {canGenerate && (
+              <Panel className="flex-1 flex flex-col border-0 rounded-none border-t border-studio-border">
+                <PanelHeader title="Generate Video" />
+                <PanelContent className="flex-1 overflow-auto space-y-4">
+                  {/* Model selector */}
+                  <ModelSelector
+                    category="imageToVideo"
+                    value={selectedModelId}
+                    onChange={setSelectedModelId}
+                    label="Model"
                   />
+
+                  {/* Motion type */}
                   <Select
-                    label="Resolution"
-                    options={resolutionOptions}
-                    value={resolution}
-                    onChange={setResolution}
+                    label="Camera Motion"
+                    options={motionOptions}
+                    value={motionType}
+                    onChange={setMotionType}
                   />
-                </div>
 
-                {/* Motion prompt */}
-                {modelSchema.supportsMotionPrompt && (
-                  <Textarea
-                    label="Motion Description"
-                    value={prompt}
-                    onChange={(e) => setPrompt(e.target.value)}
-                    placeholder="Describe the motion and action..."
-                    rows={3}
-                  />
-                )}
+                  {/* Settings */}
+                  <div className="grid grid-cols-2 gap-3">
+                    <Select
+                      label="Duration"
+                      options={durationOptions}
+                      value={duration}
+                      onChange={setDuration}
+                    />
+                    <Select
+                      label="Resolution"
+                      options={resolutionOptions}
+                      value={resolution}
+                      onChange={setResolution}
+                    />
+                  </div>
 
-                {/* Negative prompt */}
-                {modelSchema.supportsNegativePrompt && (
-                  <Textarea
-                    label="Negative Prompt (optional)"
-                    value={negativePrompt}
-                    onChange={(e) => setNegativePrompt(e.target.value)}
-                    placeholder="What to avoid..."
-                    rows={2}
-                  />
-                )}
+                  {/* Motion prompt */}
+                  {modelSchema.supportsMotionPrompt && (
+                    <Textarea
+                      label="Motion Description"
+                      value={prompt}
+                      onChange={(e) => setPrompt(e.target.value)}
+                      placeholder="Describe the motion and action..."
+                      rows={3}
+                    />
+                  )}
 
-                {/* Progress */}
-                {currentTask && (
-                  <div className="space-y-2">
-                    <div className="flex items-center justify-between text-sm">
-                      <span className="text-white/60">Generating video...</span>
-                      <span className="text-white/60">{currentTask.progress || 0}%</span>
+                  {/* Negative prompt */}
+                  {modelSchema.supportsNegativePrompt && (
+                    <Textarea
+                      label="Negative Prompt (optional)"
+                      value={negativePrompt}
+                      onChange={(e) => setNegativePrompt(e.target.value)}
+                      placeholder="What to avoid..."
+                      rows={2}
+                    />
+                  )}
+
+                  {/* Progress */}
+                  {currentTask && (
+                    <div className="space-y-2">
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-white/60">
+                          {currentTask.status === 'queued'
+                            ? `Queued (#${currentTask.queuePosition})`
+                            : 'Generating video...'}
+                        </span>
+                        <span className="text-white/60">{currentTask.progress || 0}%</span>
+                      </div>
+                      <ProgressBar value={currentTask.progress || 0} />
+                      <div className="flex gap-2">
+                        {currentTask.status === 'queued' && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => prioritizeTask(currentTask.id)}
+                            className="flex-1"
+                          >
+                            <ChevronsUp className="w-4 h-4" />
+                            Run Next
+                          </Button>
+                        )}
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => cancelTask(currentTask.id)}
+                          className="flex-1"
+                        >
+                          <X className="w-4 h-4" />
+                          Cancel
+                        </Button>
+                      </div>
                     </div>
-                    <ProgressBar value={currentTask.progress || 0} />
-                  </div>
-                )}
+                  )}
 
-                {/* Generate button */}
-                <Button
-                  onClick={handleGenerate}
-                  loading={isGenerating}
-                  disabled={!currentShot || !selectedKeyframe}
-                  className="w-full"
-                >
-                  <Wand2 className="w-4 h-4" />
-                  Generate Video
-                </Button>
-              </PanelContent>
-            </Panel>
+                  {/* Generate button */}
+                  <Button
+                    onClick={handleGenerate}
+                    loading={isGenerating}
+                    disabled={!currentShot || !selectedKeyframe}
+                    className="w-full"
+                  >
+                    <Wand2 className="w-4 h-4" />
+                    Generate Video
+                  </Button>
+                </PanelContent>
+              </Panel>
+            )}
           </div>
         }
         right={
@@ -254,6 +288,7 @@ export function VideoPage() {
                       onSelect={(take) => {
                         // TODO: Update selected video
                       }}
+                      canDelete={canEdit}
                     />
                   ) : (
                     <EmptyState
@@ -277,6 +312,16 @@ export function VideoPage() {
                 )}
               </PanelContent>
             </Panel>
+
+            {/* Review */}
+            {currentShot && (
+              <Panel className="h-72 flex flex-col border-0 rounded-none border-t border-studio-border">
+                <PanelHeader title="Review" />
+                <PanelContent className="flex-1 overflow-auto">
+                  <ShotReviews shotId={currentShot.id} />
+                </PanelContent>
+              </Panel>
+            )}
           </div>
         }
         defaultLeftWidth={380}
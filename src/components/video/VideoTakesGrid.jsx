@@ -2,7 +2,7 @@ import { useState, useRef } from 'react'
 import { Play, Pause, Star, Download, Trash2, Check, Volume2, VolumeX } from 'lucide-react'
 import { Card, Modal, Button } from '../common'
 
-export function VideoTakesGrid({ takes, selectedTake, onSelect, onDelete }) {
+export function VideoTakesGrid({ takes, selectedTake, onSelect, onDelete, canDelete = true }) {
   const [previewVideo, setPreviewVideo] = useState(null)
 
   const handleDownload = (take) => {
@@ -33,7 +33,7 @@ export function VideoTakesGrid({ takes, selectedTake, onSelect, onDelete }) {
               onPreview={() => setPreviewVideo(take)}
               onSelect={() => onSelect?.(take)}
               onDownload={() => handleDownload(take)}
-              onDelete={() => onDelete?.(take)}
+              onDelete={canDelete ? () => onDelete?.(take) : null}
             />
           )
         })}
@@ -209,13 +209,15 @@ function VideoTakeCard({
             >
               <Download className="w-4 h-4" />
             </button>
-            <button
-              onClick={onDelete}
-              className="p-1.5 rounded text-white/40 hover:text-accent-error transition-colors"
-              title="Delete"
-            >
-              <Trash2 className="w-4 h-4" />
-            </button>
+            {onDelete && (
+              <button
+                onClick={onDelete}
+                className="p-1.5 rounded text-white/40 hover:text-accent-error transition-colors"
+                title="Delete"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,201 @@
+/**
+ * BatchKeyframesModal - Generate keyframes for every shot that is missing one
+ * Scoped to a single scene when sceneId is given, otherwise the whole project
+ */
+
+import { useState, useMemo } from 'react'
+import { Wand2, CheckCircle, AlertCircle } from 'lucide-react'
+import { useProjectStore, useUIStore, useGenerationStore } from '@/lib/store'
+import { getModelSchema, getDefaultModel } from '@/lib/models'
+import { Modal, Button, Select, ModelSelector, ProgressBar } from '../common'
+
+const variationOptions = [1, 2, 3, 4].map((n) => ({
+  value: String(n),
+  label: n === 1 ? '1 per shot' : `${n} per shot`,
+}))
+
+export function BatchKeyframesModal({ isOpen, onClose, sceneId }) {
+  const { currentProject } = useProjectStore()
+  const { addNotification } = useUIStore()
+  const { generateMissingKeyframes, cancelTask, activeTasks } = useGenerationStore()
+
+  const [modelId, setModelId] = useState(() => getDefaultModel('imageGeneration')?.id)
+  const [variations, setVariations] = useState('1')
+  const [aspectRatio, setAspectRatio] = useState('16:9')
+  const [resolution, setResolution] = useState('2K')
+  const [progress, setProgress] = useState(null)
+  const [summary, setSummary] = useState(null)
+
+  const isRunning = progress !== null && !summary
+  const modelSchema = getModelSchema(modelId) || {}
+
+  const missingCount = useMemo(() => {
+    const scenes = (currentProject?.scenes || []).filter((s) => !sceneId || s.id === sceneId)
+    return scenes.reduce(
+      (count, scene) => count + (scene.shots || []).filter((shot) => !shot.keyframes?.length).length,
+      0
+    )
+  }, [currentProject?.scenes, sceneId])
+
+  const scene = currentProject?.scenes.find((s) => s.id === sceneId)
+  const scopeLabel = scene ? `Scene ${scene.sceneNumber}` : 'the whole project'
+
+  const handleClose = () => {
+    if (isRunning) return
+    setProgress(null)
+    setSummary(null)
+    onClose()
+  }
+
+  const handleGenerate = async () => {
+    setSummary(null)
+    setProgress({ done: 0, total: 0 })
+
+    try {
+      const result = await generateMissingKeyframes({
+        sceneId,
+        modelId,
+        variations: parseInt(variations),
+        aspectRatio,
+        resolution,
+        onProgress: setProgress,
+      })
+      setSummary(result)
+
+      addNotification({
+        type: result.failed.length > 0 ? 'warning' : 'success',
+        message: `Generated ${result.succeeded} of ${result.total} keyframes`,
+      })
+    } catch (error) {
+      setProgress(null)
+      addNotification({
+        type: 'error',
+        message: `Batch generation failed: ${error.message}`,
+      })
+    }
+  }
+
+  // Cancel every batch job still queued or running
+  const handleCancel = () => {
+    activeTasks
+      .filter((t) => t.projectId === currentProject?.id && t.attach?.data?.settings?.batch)
+      .forEach((t) => cancelTask(t.id))
+  }
+
+  const aspectRatioOptions = (modelSchema.aspectRatios || ['16:9', '9:16', '1:1']).map(
+    (ar) => ({ value: ar, label: ar })
+  )
+
+  const resolutionOptions = (modelSchema.resolutions || ['1K', '2K']).map(
+    (r) => ({ value: r, label: r })
+  )
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Generate Missing Keyframes" showClose={!isRunning}>
+      <div className="space-y-4">
+        <p className="text-sm text-white/60">
+          {missingCount > 0
+            ? `${missingCount} shot${missingCount === 1 ? '' : 's'} in ${scopeLabel} ${missingCount === 1 ? 'has' : 'have'} no keyframes.`
+            : `Every shot in ${scopeLabel} already has keyframes.`}
+        </p>
+
+        {!summary && (
+          <>
+            <ModelSelector
+              category="imageGeneration"
+              value={modelId}
+              onChange={setModelId}
+              label="Model"
+            />
+
+            <div className="grid grid-cols-3 gap-3">
+              <Select
+                label="Variations"
+                options={variationOptions}
+                value={variations}
+                onChange={setVariations}
+              />
+              <Select
+                label="Aspect Ratio"
+                options={aspectRatioOptions}
+                value={aspectRatio}
+                onChange={setAspectRatio}
+              />
+              <Select
+                label="Resolution"
+                options={resolutionOptions}
+                value={resolution}
+                onChange={setResolution}
+              />
+            </div>
+          </>
+        )}
+
+        {/* Progress */}
+        {isRunning && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-white/60">Generating keyframes...</span>
+              <span className="text-white/60">
+                {progress.done} / {progress.total}
+              </span>
+            </div>
+            <ProgressBar value={progress.total ? (progress.done / progress.total) * 100 : 0} />
+          </div>
+        )}
+
+        {/* Summary */}
+        {summary && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 text-sm">
+              <CheckCircle className="w-4 h-4 text-green-400" />
+              <span>
+                {summary.succeeded} of {summary.total} keyframes generated across {summary.shots} shots
+                {summary.cancelled > 0 && ` (${summary.cancelled} cancelled)`}
+              </span>
+            </div>
+
+            {summary.failed.length > 0 && (
+              <div className="space-y-1">
+                <div className="flex items-center gap-2 text-sm text-red-400">
+                  <AlertCircle className="w-4 h-4" />
+                  <span>{summary.failed.length} failed</span>
+                </div>
+                <ul className="max-h-40 overflow-auto text-xs text-white/60 space-y-1">
+                  {summary.failed.map((failure, index) => (
+                    <li key={index} className="p-2 bg-white/5 rounded">
+                      <span className="font-medium text-white/80">{failure.label}</span>: {failure.error}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Actions */}
+        <div className="flex justify-end gap-3 pt-2">
+          {isRunning ? (
+            <Button variant="secondary" onClick={handleCancel}>
+              Cancel Batch
+            </Button>
+          ) : (
+            <Button variant="secondary" onClick={handleClose}>
+              {summary ? 'Close' : 'Cancel'}
+            </Button>
+          )}
+          {!summary && (
+            <Button
+              onClick={handleGenerate}
+              loading={isRunning}
+              disabled={missingCount === 0}
+            >
+              <Wand2 className="w-4 h-4" />
+              Generate
+            </Button>
+          )}
+        </div>
+      </div>
+    </Modal>
+  )
+}
@@ -2,7 +2,7 @@ import { useState } from 'react'
 import { Star, Download, Trash2, ZoomIn, Check } from 'lucide-react'
 import { Card, Modal, Button } from '../common'
 
-export function KeyframeGrid({ keyframes, selectedKeyframe, onSelect, onDelete }) {
+export function KeyframeGrid({ keyframes, selectedKeyframe, onSelect, onDelete, canDelete = true }) {
   const [previewImage, setPreviewImage] = useState(null)
 
   const handleDownload = (keyframe) => {
@@ -87,13 +87,15 @@ export function KeyframeGrid({ keyframes, selectedKeyframe, onSelect, onDelete }
                     >
                       <Download className="w-4 h-4" />
                     </button>
-                    <button
-                      onClick={() => onDelete?.(keyframe)}
-                      className="p-1.5 rounded text-white/40 hover:text-accent-error transition-colors"
-                      title="Delete"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
+                    {canDelete && (
+                      <button
+                        onClick={() => onDelete?.(keyframe)}
+                        className="p-1.5 rounded text-white/40 hover:text-accent-error transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1,9 +1,10 @@
 import { useMemo } from 'react'
-import { Camera, Check } from 'lucide-react'
-import { useProjectStore } from '@/lib/store'
+import { Camera, Check, Lock } from 'lucide-react'
+import { useProjectStore, usePresenceStore } from '@/lib/store'
 
 export function ShotSelector() {
   const { currentProject, currentScene, currentShot, setCurrentShot } = useProjectStore()
+  const { lockFor, viewersOf } = usePresenceStore()
 
   // Flatten all shots with scene info
   const allShots = useMemo(() => {
@@ -26,6 +27,8 @@ export function ShotSelector() {
           allShots.map((shot) => {
             const isSelected = currentShot?.id === shot.id
             const hasKeyframes = shot.keyframes?.length > 0
+            const lock = lockFor(shot.id)
+            const viewers = viewersOf(shot.id)
 
             return (
               <button
@@ -62,6 +65,21 @@ export function ShotSelector() {
                   </div>
                 </div>
 
+                {/* Other users on this shot */}
+                {viewers.map((peer) => (
+                  <span
+                    key={peer.key}
+                    title={`${peer.name} is on this shot`}
+                    className="w-2 h-2 rounded-full flex-shrink-0"
+                    style={{ backgroundColor: peer.color }}
+                  />
+                ))}
+                {lock && (
+                  <span title={`${lock.name} is generating for this shot`}>
+                    <Lock className="w-4 h-4 flex-shrink-0" style={{ color: lock.color }} />
+                  </span>
+                )}
+
                 {/* Selected indicator */}
                 {isSelected && <Check className="w-4 h-4 text-accent-primary" />}
               </button>
@@ -1,20 +1,24 @@
 import { useState, useMemo, useEffect } from 'react'
 import { useSearchParams } from 'react-router-dom'
-import { Image, Wand2, Star, Download, Trash2 } from 'lucide-react'
-import { useProjectStore, useUIStore, useGenerationStore } from '@/lib/store'
+import { Image, Wand2, Star, Download, Trash2, X, ChevronsUp, Layers } from 'lucide-react'
+import { useProjectStore, useUIStore, useGenerationStore, useWorkspaceStore } from '@/lib/store'
 import { getModelSchema, getDefaultModel } from '@/lib/models'
+import { buildShotPrompt } from '@/lib/utils'
 import { Button, Textarea, Select, ModelSelector, EmptyState, ProgressBar, Spinner } from '../common'
 import { Panel, PanelHeader, PanelContent, SplitView } from '../layout'
 import { ShotSelector } from './ShotSelector'
 import { KeyframeGrid } from './KeyframeGrid'
+import { BatchKeyframesModal } from './BatchKeyframesModal'
 
 export function VisualsPage() {
   const [searchParams] = useSearchParams()
   const shotIdParam = searchParams.get('shot')
 
-  const { currentProject, setCurrentShot, currentScene, currentShot, addKeyframe } = useProjectStore()
+  const { currentProject, setCurrentShot, currentScene, currentShot } = useProjectStore()
   const { addNotification } = useUIStore()
-  const { generateImage, activeTasks } = useGenerationStore()
+  const { generateImage, cancelTask, prioritizeTask, activeTasks } = useGenerationStore()
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
+  const canEdit = useWorkspaceStore((s) => s.can(currentProject, 'edit'))
 
   const [prompt, setPrompt] = useState('')
   const [negativePrompt, setNegativePrompt] = useState('')
@@ -22,6 +26,7 @@ export function VisualsPage() {
   const [aspectRatio, setAspectRatio] = useState('16:9')
   const [resolution, setResolution] = useState('2K')
   const [isGenerating, setIsGenerating] = useState(false)
+  const [showBatchModal, setShowBatchModal] = useState(false)
 
   const modelSchema = useMemo(
     () => getModelSchema(selectedModelId) || {},
@@ -38,16 +43,7 @@ export function VisualsPage() {
   // Build prompt from shot description
   useEffect(() => {
     if (currentShot && !prompt) {
-      const scene = currentScene
-      const parts = []
-
-      if (scene?.location) parts.push(scene.location)
-      if (scene?.timeOfDay) parts.push(scene.timeOfDay)
-      if (scene?.mood) parts.push(scene.mood + ' mood')
-      if (currentShot.shotType) parts.push(currentShot.shotType + ' shot')
-      if (currentShot.description) parts.push(currentShot.description)
-
-      setPrompt(parts.filter(Boolean).join(', '))
+      setPrompt(buildShotPrompt(currentScene, currentShot))
     }
   }, [currentShot?.id])
 
@@ -74,7 +70,8 @@ export function VisualsPage() {
 
     setIsGenerating(true)
     try {
-      const result = await generateImage({
+      // Output is added to the shot as a keyframe when the task completes
+      await generateImage({
         projectId: currentProject.id,
         sceneId: currentScene.id,
         shotId: currentShot.id,
@@ -83,23 +80,25 @@ export function VisualsPage() {
         negativePrompt,
         aspectRatio,
         resolution,
+        attach: {
+          as: 'keyframe',
+          data: {
+            prompt,
+            modelId: selectedModelId,
+            settings: { aspectRatio, resolution },
+          },
+        },
       })
 
-      // Add keyframe to shot
-      if (result.outputs?.length > 0) {
-        await addKeyframe(currentScene.id, currentShot.id, {
-          url: result.outputs[0],
-          prompt,
-          modelId: selectedModelId,
-          settings: { aspectRatio, resolution },
-        })
-      }
-
       addNotification({
         type: 'success',
         message: 'Image generated successfully',
       })
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addNotification({ type: 'info', message: 'Generation cancelled' })
+        return
+      }
       addNotification({
         type: 'error',
         message: `Generation failed: ${error.message}`,
@@ -127,7 +126,17 @@ export function VisualsPage() {
 
             {/* Generation controls */}
             <Panel className="flex-1 flex flex-col border-0 rounded-none border-t border-studio-border">
-              <PanelHeader title="Generate Keyframe" />
+              <PanelHeader
+                title="Generate Keyframe"
+                actions={
+                  canGenerate && (
+                    <Button variant="ghost" size="sm" onClick={() => setShowBatchModal(true)}>
+                      <Layers className="w-4 h-4" />
+                      Batch
+                    </Button>
+                  )
+                }
+              />
               <PanelContent className="flex-1 overflow-auto space-y-4">
                 {/* Model selector */}
                 <ModelSelector
@@ -177,23 +186,51 @@ export function VisualsPage() {
                 {currentTask && (
                   <div className="space-y-2">
                     <div className="flex items-center justify-between text-sm">
-                      <span className="text-white/60">Generating...</span>
+                      <span className="text-white/60">
+                        {currentTask.status === 'queued'
+                          ? `Queued (#${currentTask.queuePosition})`
+                          : 'Generating...'}
+                      </span>
                       <span className="text-white/60">{currentTask.progress || 0}%</span>
                     </div>
                     <ProgressBar value={currentTask.progress || 0} />
+                    <div className="flex gap-2">
+                      {currentTask.status === 'queued' && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => prioritizeTask(currentTask.id)}
+                          className="flex-1"
+                        >
+                          <ChevronsUp className="w-4 h-4" />
+                          Run Next
+                        </Button>
+                      )}
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => cancelTask(currentTask.id)}
+                        className="flex-1"
+                      >
+                        <X className="w-4 h-4" />
+                        Cancel
+                      </Button>
+                    </div>
                   </div>
                 )}
 
                 {/* Generate button */}
-                <Button
-                  onClick={handleGenerate}
-                  loading={isGenerating}
-                  disabled={!currentShot || !prompt.trim()}
-                  className="w-full"
-                >
-                  <Wand2 className="w-4 h-4" />
-                  Generate Keyframe
-                </Button>
+                {canGenerate && (
+                  <Button
+                    onClick={handleGenerate}
+                    loading={isGenerating}
+                    disabled={!currentShot || !prompt.trim()}
+                    className="w-full"
+                  >
+                    <Wand2 className="w-4 h-4" />
+                    Generate Keyframe
+                  </Button>
+                )}
               </PanelContent>
             </Panel>
           </div>
@@ -213,6 +250,7 @@ export function VisualsPage() {
                       onSelect={(kf) => {
                         // TODO: Update selected keyframe
                       }}
+                      canDelete={canEdit}
                     />
                   ) : (
                     <EmptyState
@@ -238,6 +276,11 @@ export function VisualsPage() {
         minLeftWidth={300}
         maxLeftWidth={500}
       />
+
+      <BatchKeyframesModal
+        isOpen={showBatchModal}
+        onClose={() => setShowBatchModal(false)}
+      />
     </div>
   )
 }
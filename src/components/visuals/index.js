@@ -1,3 +1,4 @@
 export { VisualsPage } from './VisualsPage'
 export { ShotSelector } from './ShotSelector'
 export { KeyframeGrid } from './KeyframeGrid'
+export { BatchKeyframesModal } from './BatchKeyframesModal'
@@ -2,7 +2,7 @@ import { useState, useRef } from 'react'
 import { Play, Pause, Star, Download, Trash2, Check, User } from 'lucide-react'
 import { Card, Badge } from '../common'
 
-export function AudioTakesGrid({ takes, selectedTake, characters, onSelect, onDelete }) {
+export function AudioTakesGrid({ takes, selectedTake, characters, onSelect, onDelete, canDelete = true }) {
   return (
     <div className="space-y-3">
       {takes.map((take) => {
@@ -18,7 +18,7 @@ export function AudioTakesGrid({ takes, selectedTake, characters, onSelect, onDe
             isSelected={isSelected}
             character={character}
             onSelect={() => onSelect?.(take)}
-            onDelete={() => onDelete?.(take)}
+            onDelete={canDelete ? () => onDelete?.(take) : null}
           />
         )
       })}
@@ -171,13 +171,15 @@ function AudioTakeCard({ take, audioUrl, isSelected, character, onSelect, onDele
             >
               <Download className="w-4 h-4" />
             </button>
-            <button
-              onClick={onDelete}
-              className="p-1.5 rounded text-white/40 hover:text-accent-error transition-colors"
-              title="Delete"
-            >
-              <Trash2 className="w-4 h-4" />
-            </button>
+            {onDelete && (
+              <button
+                onClick={onDelete}
+                className="p-1.5 rounded text-white/40 hover:text-accent-error transition-colors"
+                title="Delete"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
           </div>
         </div>
       </div>
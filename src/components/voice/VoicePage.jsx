@@ -1,6 +1,6 @@
 import { useState, useMemo } from 'react'
-import { Mic2, Wand2, Play, Pause, Users } from 'lucide-react'
-import { useProjectStore, useUIStore, useGenerationStore } from '@/lib/store'
+import { Mic2, Wand2, Play, Pause, Users, X, ChevronsUp } from 'lucide-react'
+import { useProjectStore, useUIStore, useGenerationStore, useWorkspaceStore } from '@/lib/store'
 import { getModelSchema, getDefaultModel } from '@/lib/models'
 import { Button, Textarea, Select, ModelSelector, EmptyState, ProgressBar, Input } from '../common'
 import { Panel, PanelHeader, PanelContent, SplitView } from '../layout'
@@ -8,9 +8,11 @@ import { CharacterVoices } from './CharacterVoices'
 import { AudioTakesGrid } from './AudioTakesGrid'
 
 export function VoicePage() {
-  const { currentProject, currentScene, currentShot, addAudioTake, addCharacter } = useProjectStore()
+  const { currentProject, currentScene, currentShot, addCharacter } = useProjectStore()
   const { addNotification } = useUIStore()
-  const { generateVoice, activeTasks } = useGenerationStore()
+  const { generateVoice, cancelTask, prioritizeTask, activeTasks } = useGenerationStore()
+  const canGenerate = useWorkspaceStore((s) => s.can(currentProject, 'generate'))
+  const canEdit = useWorkspaceStore((s) => s.can(currentProject, 'edit'))
 
   const [text, setText] = useState('')
   const [selectedCharacter, setSelectedCharacter] = useState(null)
@@ -40,7 +42,8 @@ export function VoicePage() {
 
     setIsGenerating(true)
     try {
-      const result = await generateVoice({
+      // Output is added to the shot as an audio take when the task completes
+      await generateVoice({
         projectId: currentProject.id,
         sceneId: currentScene?.id,
         shotId: currentShot?.id,
@@ -49,26 +52,28 @@ export function VoicePage() {
         voice: selectedVoice,
         emotion,
         pace,
+        ...(currentShot && currentScene && {
+          attach: {
+            as: 'audioTake',
+            data: {
+              text,
+              characterId: selectedCharacter?.id,
+              modelId: selectedModelId,
+              settings: { voice: selectedVoice, emotion, pace },
+            },
+          },
+        }),
       })
 
-      // Add audio take
-      if (result.outputs?.length > 0) {
-        if (currentShot && currentScene) {
-          await addAudioTake(currentScene.id, currentShot.id, {
-            url: result.outputs[0],
-            text,
-            characterId: selectedCharacter?.id,
-            modelId: selectedModelId,
-            settings: { voice: selectedVoice, emotion, pace },
-          })
-        }
-      }
-
       addNotification({
         type: 'success',
         message: 'Voice generated successfully',
       })
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addNotification({ type: 'info', message: 'Generation cancelled' })
+        return
+      }
       addNotification({
         type: 'error',
         message: `Generation failed: ${error.message}`,
@@ -176,23 +181,51 @@ export function VoicePage() {
                 {currentTask && (
                   <div className="space-y-2">
                     <div className="flex items-center justify-between text-sm">
-                      <span className="text-white/60">Generating voice...</span>
+                      <span className="text-white/60">
+                        {currentTask.status === 'queued'
+                          ? `Queued (#${currentTask.queuePosition})`
+                          : 'Generating voice...'}
+                      </span>
                       <span className="text-white/60">{currentTask.progress || 0}%</span>
                     </div>
                     <ProgressBar value={currentTask.progress || 0} />
+                    <div className="flex gap-2">
+                      {currentTask.status === 'queued' && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => prioritizeTask(currentTask.id)}
+                          className="flex-1"
+                        >
+                          <ChevronsUp className="w-4 h-4" />
+                          Run Next
+                        </Button>
+                      )}
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => cancelTask(currentTask.id)}
+                        className="flex-1"
+                      >
+                        <X className="w-4 h-4" />
+                        Cancel
+                      </Button>
+                    </div>
                   </div>
                 )}
 
                 {/* Generate button */}
-                <Button
-                  onClick={handleGenerate}
-                  loading={isGenerating}
-                  disabled={!text.trim()}
-                  className="w-full"
-                >
-                  <Wand2 className="w-4 h-4" />
-                  Generate Voice
-                </Button>
+                {canGenerate && (
+                  <Button
+                    onClick={handleGenerate}
+                    loading={isGenerating}
+                    disabled={!text.trim()}
+                    className="w-full"
+                  >
+                    <Wand2 className="w-4 h-4" />
+                    Generate Voice
+                  </Button>
+                )}
               </PanelContent>
             </Panel>
           </div>
@@ -212,6 +245,7 @@ export function VoicePage() {
                     onSelect={(take) => {
                       // TODO: Update selected audio
                     }}
+                    canDelete={canEdit}
                   />
                 ) : (
                   <EmptyState
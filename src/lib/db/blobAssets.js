@@ -0,0 +1,133 @@
+/**
+ * Blob assets - Local-mode media kept as Blobs in the IndexedDB assets store
+ * Saved projects reference media as "local-asset:<id>". Reading a project
+ * swaps each reference for a cached object URL; saving swaps object URLs
+ * back and moves any inline data URLs into new blob assets.
+ */
+
+import { v4 as uuid } from 'uuid'
+import { replaceStrings } from '../utils'
+
+export const ASSET_REF = 'local-asset:'
+
+// Asset ID -> object URL for blobs resolved this session
+const objectUrls = new Map()
+// Object URL or data URL -> asset ref, so saving reuses the stored blob
+const assetRefs = new Map()
+
+function collectStrings(value, test) {
+  const found = new Set()
+  replaceStrings(value, (s) => {
+    if (test(s)) found.add(s)
+    return s
+  })
+  return found
+}
+
+function objectUrlFor(id, blob) {
+  if (!objectUrls.has(id)) {
+    const url = URL.createObjectURL(blob)
+    objectUrls.set(id, url)
+    assetRefs.set(url, `${ASSET_REF}${id}`)
+  }
+  return objectUrls.get(id)
+}
+
+/**
+ * Store a blob as a project asset
+ * @returns {Promise<{ ref: string, url: string }>} Asset ref and an object URL for it
+ */
+export async function saveBlobAsset(db, blob, projectId) {
+  const id = uuid()
+  await db.put('assets', {
+    id,
+    projectId,
+    type: 'blob',
+    mimeType: blob.type || 'application/octet-stream',
+    size: blob.size,
+    blob,
+    createdAt: new Date().toISOString(),
+  })
+  return { ref: `${ASSET_REF}${id}`, url: objectUrlFor(id, blob) }
+}
+
+/**
+ * Replace asset refs in a value with object URLs
+ * Refs whose blob is gone are left as they are.
+ */
+export async function resolveAssetRefs(db, value) {
+  for (const ref of collectStrings(value, (s) => s.startsWith(ASSET_REF))) {
+    const id = ref.slice(ASSET_REF.length)
+    if (objectUrls.has(id)) continue
+
+    const asset = await db.get('assets', id)
+    if (asset?.blob) objectUrlFor(id, asset.blob)
+  }
+
+  return replaceStrings(value, (s) =>
+    s.startsWith(ASSET_REF) ? objectUrls.get(s.slice(ASSET_REF.length)) ?? s : s
+  )
+}
+
+/**
+ * Replace object URLs and data URLs in a value with asset refs
+ * Data URLs are stored as new blob assets of projectId first.
+ */
+export async function storeAssetRefs(db, value, projectId) {
+  const dataUrls = collectStrings(value, (s) => s.startsWith('data:') && !assetRefs.has(s))
+  for (const dataUrl of dataUrls) {
+    const blob = await (await fetch(dataUrl)).blob()
+    const { ref } = await saveBlobAsset(db, blob, projectId)
+    assetRefs.set(dataUrl, ref)
+  }
+
+  return replaceStrings(value, (s) => assetRefs.get(s) ?? s)
+}
+
+/**
+ * Whether a URL is local media: an asset ref or an object URL
+ * Only this browser can read it.
+ */
+export function isLocalMediaUrl(url) {
+  return typeof url === 'string' && (url.startsWith(ASSET_REF) || url.startsWith('blob:'))
+}
+
+/**
+ * Get the blob behind local media (see isLocalMediaUrl)
+ * Object URLs for stored blobs are read from the store, so they still
+ * work after releaseAssetUrls revoked them.
+ * @returns {Promise<Blob|null>} null if the blob is gone
+ */
+export async function loadLocalBlob(db, url) {
+  const ref = url.startsWith(ASSET_REF) ? url : assetRefs.get(url)
+  if (ref) {
+    const asset = await db.get('assets', ref.slice(ASSET_REF.length))
+    if (asset?.blob) return asset.blob
+  }
+  if (!url.startsWith('blob:')) return null
+
+  try {
+    return await (await fetch(url)).blob()
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Whether a URL is an object URL for a stored blob asset
+ */
+export function hasAssetRef(url) {
+  return assetRefs.has(url)
+}
+
+/**
+ * Revoke the object URLs handed out so far
+ * Their refs are remembered, so a stale URL that gets saved still maps back.
+ */
+export function releaseAssetUrls() {
+  for (const url of objectUrls.values()) URL.revokeObjectURL(url)
+  objectUrls.clear()
+  for (const key of assetRefs.keys()) {
+    if (key.startsWith('data:')) assetRefs.delete(key)
+  }
+}
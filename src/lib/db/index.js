@@ -1,12 +1,17 @@
 /**
  * IndexedDB wrapper for persistent storage
- * Stores projects, assets, and generation history
+ * Stores projects, scene records, assets, generation history, shot
+ * reviews, and the log of local changes waiting to sync
  */
 
 import { openDB } from 'idb'
+import { SCENE_STORES, TAKE_KINDS, emptyChanges, hasChanges, flattenScenes, assembleScenes } from './sceneRecords'
+import { saveBlobAsset, resolveAssetRefs, storeAssetRefs, releaseAssetUrls, loadLocalBlob } from './blobAssets'
+
+export { releaseAssetUrls, hasAssetRef, isLocalMediaUrl, ASSET_REF } from './blobAssets'
 
 const DB_NAME = 'ai-native-studio'
-const DB_VERSION = 1
+const DB_VERSION = 5
 
 let dbPromise = null
 
@@ -41,6 +46,41 @@ export async function initDB() {
         genStore.createIndex('type', 'type')
         genStore.createIndex('createdAt', 'createdAt')
       }
+
+      // v2: status index for resuming in-flight generations
+      const generationStore = transaction.objectStore('generations')
+      if (!generationStore.indexNames.contains('status')) {
+        generationStore.createIndex('status', 'status')
+      }
+
+      // v3: scenes, shots, keyframes and takes as their own records
+      if (!db.objectStoreNames.contains('scenes')) {
+        db.createObjectStore('scenes', { keyPath: 'id' }).createIndex('projectId', 'projectId')
+      }
+      if (!db.objectStoreNames.contains('shots')) {
+        const shotStore = db.createObjectStore('shots', { keyPath: 'id' })
+        shotStore.createIndex('projectId', 'projectId')
+        shotStore.createIndex('sceneId', 'sceneId')
+      }
+      for (const kind of TAKE_KINDS) {
+        if (!db.objectStoreNames.contains(kind)) {
+          const takeStore = db.createObjectStore(kind, { keyPath: 'id' })
+          takeStore.createIndex('projectId', 'projectId')
+          takeStore.createIndex('shotId', 'shotId')
+        }
+      }
+
+      // v4: local changes waiting to sync, one entry per record ("store:id")
+      if (!db.objectStoreNames.contains('changes')) {
+        db.createObjectStore('changes', { keyPath: 'key' })
+      }
+
+      // v5: review comments and approvals on shots
+      if (!db.objectStoreNames.contains('reviews')) {
+        const reviewStore = db.createObjectStore('reviews', { keyPath: 'id' })
+        reviewStore.createIndex('projectId', 'projectId')
+        reviewStore.createIndex('shotId', 'shotId')
+      }
     },
   })
 
@@ -56,42 +96,167 @@ export async function getDB() {
 
 // ==================== Projects ====================
 
+/**
+ * Queue a scene change set on a transaction covering SCENE_STORES
+ */
+function queueSceneChanges(tx, changes) {
+  const requests = []
+  for (const store of SCENE_STORES) {
+    for (const record of changes.put[store]) requests.push(tx.objectStore(store).put(record))
+    for (const id of changes.remove[store]) requests.push(tx.objectStore(store).delete(id))
+  }
+  return requests
+}
+
+/**
+ * Swap media in a scene change set for asset refs (see storeAssetRefs)
+ */
+async function storeChangeRefs(db, changes) {
+  const updatedAt = new Date().toISOString()
+  for (const store of SCENE_STORES) {
+    const records = []
+    for (const record of changes.put[store]) {
+      records.push(await storeAssetRefs(db, { ...record, updatedAt }, record.projectId))
+    }
+    changes.put[store] = records
+  }
+  return changes
+}
+
+/**
+ * Move scenes saved inline on a project (before v3) into scene records
+ */
+async function migrateInlineScenes(project) {
+  if (!Array.isArray(project.scenes)) return project
+
+  const db = await getDB()
+  const { scenes, ...stored } = project
+  const tx = db.transaction(['projects', ...SCENE_STORES], 'readwrite')
+  await Promise.all([
+    ...queueSceneChanges(tx, flattenScenes(project.id, scenes)),
+    tx.objectStore('projects').put(stored),
+    tx.done,
+  ])
+  return stored
+}
+
+/**
+ * Move data URLs saved inline (before blob assets) into the assets store
+ * Only the records that held data URLs are rewritten.
+ */
+async function migrateInlineMedia(db, project, records) {
+  const stored = await storeAssetRefs(db, project, project.id)
+  if (stored !== project) {
+    await db.put('projects', stored)
+  }
+
+  const changes = emptyChanges()
+  const storedRecords = {}
+  for (const store of SCENE_STORES) {
+    storedRecords[store] = []
+    for (const record of records[store]) {
+      const next = await storeAssetRefs(db, record, project.id)
+      if (next !== record) changes.put[store].push(next)
+      storedRecords[store].push(next)
+    }
+  }
+  if (hasChanges(changes)) {
+    const tx = db.transaction(SCENE_STORES, 'readwrite')
+    await Promise.all([...queueSceneChanges(tx, changes), tx.done])
+  }
+
+  return { project: stored, records: storedRecords }
+}
+
 /**
  * Create a new project
  */
 export async function createProject(project) {
   const db = await getDB()
-  await db.put('projects', project)
+  const { scenes, ...fields } = project
+  const stored = await storeAssetRefs(db, fields, project.id)
+  const changes = await storeChangeRefs(db, flattenScenes(project.id, scenes))
+
+  const tx = db.transaction(['projects', ...SCENE_STORES], 'readwrite')
+  await Promise.all([
+    ...queueSceneChanges(tx, changes),
+    tx.objectStore('projects').put(stored),
+    tx.done,
+  ])
   return project
 }
 
 /**
- * Get project by ID
+ * Get project by ID, with its scene tree
+ * Media refs are resolved to object URLs.
  */
 export async function getProject(id) {
   const db = await getDB()
-  return db.get('projects', id)
+  const stored = await db.get('projects', id)
+  if (!stored) return undefined
+
+  const project = await migrateInlineScenes(stored)
+  const records = {}
+  for (const store of SCENE_STORES) {
+    records[store] = await db.getAllFromIndex(store, 'projectId', id)
+  }
+  const migrated = await migrateInlineMedia(db, project, records)
+
+  return resolveAssetRefs(db, { ...migrated.project, scenes: assembleScenes(migrated.records) })
 }
 
 /**
  * Get all projects, sorted by updatedAt desc
+ * Projects are listed without their scene tree; sceneCount is set instead.
  */
 export async function getAllProjects() {
   const db = await getDB()
-  const projects = await db.getAll('projects')
+  const projects = []
+  for (const stored of await db.getAll('projects')) {
+    const project = await storeAssetRefs(db, await migrateInlineScenes(stored), stored.id)
+    if (project !== stored) {
+      await db.put('projects', project)
+    }
+    const sceneCount = await db.countFromIndex('scenes', 'projectId', project.id)
+    projects.push({ ...project, sceneCount })
+  }
   return projects.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
 }
 
 /**
- * Update project
+ * Update project fields
+ * Scenes are saved separately (see applySceneChanges).
  */
 export async function updateProject(project) {
   const db = await getDB()
   project.updatedAt = new Date().toISOString()
-  await db.put('projects', project)
+  const fields = { ...project }
+  delete fields.scenes
+  delete fields.sceneCount
+  await db.put('projects', await storeAssetRefs(db, fields, project.id))
   return project
 }
 
+/**
+ * Bump a project's updatedAt
+ */
+export async function touchProject(id) {
+  const db = await getDB()
+  const stored = await db.get('projects', id)
+  if (!stored) return
+  await db.put('projects', { ...stored, updatedAt: new Date().toISOString() })
+}
+
+/**
+ * Write a scene change set (see diffScenes) in one transaction
+ */
+export async function applySceneChanges(changes) {
+  const db = await getDB()
+  await storeChangeRefs(db, changes)
+  const tx = db.transaction(SCENE_STORES, 'readwrite')
+  await Promise.all([...queueSceneChanges(tx, changes), tx.done])
+}
+
 /**
  * Delete project and all associated data
  */
@@ -101,6 +266,14 @@ export async function deleteProject(id) {
   // Delete project
   await db.delete('projects', id)
 
+  // Delete its scenes, shots, keyframes and takes
+  for (const store of SCENE_STORES) {
+    const keys = await db.getAllKeysFromIndex(store, 'projectId', id)
+    for (const key of keys) {
+      await db.delete(store, key)
+    }
+  }
+
   // Delete associated assets
   const assets = await db.getAllFromIndex('assets', 'projectId', id)
   for (const asset of assets) {
@@ -112,6 +285,12 @@ export async function deleteProject(id) {
   for (const gen of generations) {
     await db.delete('generations', gen.id)
   }
+
+  // Delete its reviews
+  const reviewKeys = await db.getAllKeysFromIndex('reviews', 'projectId', id)
+  for (const key of reviewKeys) {
+    await db.delete('reviews', key)
+  }
 }
 
 // ==================== Assets ====================
@@ -121,7 +300,7 @@ export async function deleteProject(id) {
  */
 export async function saveAsset(asset) {
   const db = await getDB()
-  await db.put('assets', asset)
+  await db.put('assets', { ...asset, updatedAt: new Date().toISOString() })
   return asset
 }
 
@@ -138,7 +317,26 @@ export async function getAsset(id) {
  */
 export async function getAssetsByProject(projectId) {
   const db = await getDB()
-  return db.getAllFromIndex('assets', 'projectId', projectId)
+  const assets = await db.getAllFromIndex('assets', 'projectId', projectId)
+  return assets.filter((asset) => asset.type !== 'blob')
+}
+
+/**
+ * Store a file as a blob asset of a project
+ * @returns {Promise<{ ref: string, url: string }>} Asset ref and an object URL for it
+ */
+export async function saveBlob(blob, projectId) {
+  const db = await getDB()
+  return saveBlobAsset(db, blob, projectId)
+}
+
+/**
+ * Get the blob behind an asset ref or an object URL for one
+ * @returns {Promise<Blob|null>}
+ */
+export async function getLocalBlob(url) {
+  const db = await getDB()
+  return loadLocalBlob(db, url)
 }
 
 /**
@@ -161,10 +359,12 @@ export async function deleteAsset(id) {
 
 /**
  * Save generation record
+ * Stored outputs are saved as asset refs, like project media.
  */
 export async function saveGeneration(generation) {
   const db = await getDB()
-  await db.put('generations', generation)
+  const stored = { ...generation, updatedAt: new Date().toISOString() }
+  await db.put('generations', await storeAssetRefs(db, stored, generation.projectId))
   return generation
 }
 
@@ -173,7 +373,7 @@ export async function saveGeneration(generation) {
  */
 export async function getGeneration(id) {
   const db = await getDB()
-  return db.get('generations', id)
+  return resolveAssetRefs(db, await db.get('generations', id))
 }
 
 /**
@@ -182,7 +382,8 @@ export async function getGeneration(id) {
 export async function getGenerationsByProject(projectId) {
   const db = await getDB()
   const generations = await db.getAllFromIndex('generations', 'projectId', projectId)
-  return generations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  generations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  return resolveAssetRefs(db, generations)
 }
 
 /**
@@ -191,7 +392,18 @@ export async function getGenerationsByProject(projectId) {
 export async function getGenerationsByShot(shotId) {
   const db = await getDB()
   const generations = await db.getAllFromIndex('generations', 'shotId', shotId)
-  return generations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  generations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  return resolveAssetRefs(db, generations)
+}
+
+/**
+ * Get generations that were still pending or processing
+ */
+export async function getActiveGenerations() {
+  const db = await getDB()
+  const pending = await db.getAllFromIndex('generations', 'status', 'pending')
+  const processing = await db.getAllFromIndex('generations', 'status', 'processing')
+  return [...pending, ...processing]
 }
 
 /**
@@ -202,6 +414,115 @@ export async function deleteGeneration(id) {
   await db.delete('generations', id)
 }
 
+// ==================== Reviews ====================
+
+/**
+ * Save a review comment or approval
+ */
+export async function saveReview(review) {
+  const db = await getDB()
+  const stored = { ...review, updatedAt: new Date().toISOString() }
+  await db.put('reviews', stored)
+  return stored
+}
+
+/**
+ * Get a project's reviews, oldest first
+ */
+export async function getReviewsByProject(projectId) {
+  const db = await getDB()
+  const reviews = await db.getAllFromIndex('reviews', 'projectId', projectId)
+  return reviews.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+}
+
+export async function deleteReview(id) {
+  const db = await getDB()
+  await db.delete('reviews', id)
+}
+
+// ==================== Sync ====================
+
+/**
+ * Get a stored record as saved (asset refs unresolved)
+ */
+export async function getRecord(store, id) {
+  const db = await getDB()
+  return db.get(store, id)
+}
+
+/**
+ * Get a project's stored records from a store
+ */
+export async function getRecordsByProject(store, projectId) {
+  const db = await getDB()
+  return db.getAllFromIndex(store, 'projectId', projectId)
+}
+
+/**
+ * Write a record as given, e.g. one pulled from the cloud
+ */
+export async function putRecord(store, record) {
+  const db = await getDB()
+  await db.put(store, record)
+}
+
+export async function deleteRecord(store, id) {
+  const db = await getDB()
+  await db.delete(store, id)
+}
+
+/**
+ * Record local changes to sync
+ * A later change to the same record replaces the earlier entry.
+ * @param {{ store: string, id: string, op: 'put' | 'delete', projectId?: string }[]} entries
+ */
+export async function logChanges(entries) {
+  if (entries.length === 0) return
+  const db = await getDB()
+  const tx = db.transaction('changes', 'readwrite')
+  const at = new Date().toISOString()
+  await Promise.all([
+    ...entries.map((entry) => tx.store.put({ ...entry, key: `${entry.store}:${entry.id}`, at })),
+    tx.done,
+  ])
+}
+
+export async function getLoggedChanges() {
+  const db = await getDB()
+  return db.getAll('changes')
+}
+
+export async function countLoggedChanges() {
+  const db = await getDB()
+  return db.count('changes')
+}
+
+/**
+ * Drop synced entries, unless the record changed again since they were read
+ */
+export async function removeLoggedChanges(entries) {
+  const db = await getDB()
+  const tx = db.transaction('changes', 'readwrite')
+  for (const entry of entries) {
+    const current = await tx.store.get(entry.key)
+    if (current && current.at === entry.at && current.op === entry.op) {
+      await tx.store.delete(entry.key)
+    }
+  }
+  await tx.done
+}
+
+/**
+ * Delete every project, record and logged change stored on this device
+ * Used when a user signs out, so the next user starts with an empty copy.
+ */
+export async function clearAllData() {
+  const db = await getDB()
+  const tx = db.transaction([...db.objectStoreNames], 'readwrite')
+  await Promise.all([...[...db.objectStoreNames].map((store) => tx.objectStore(store).clear()), tx.done])
+  releaseAssetUrls()
+}
+
 // ==================== Settings (localStorage) ====================
 
 const SETTINGS_KEY = 'ai-native-studio-settings'
@@ -222,15 +543,10 @@ export function saveSettings(settings) {
 }
 
 /**
- * Get API key for provider
- */
-export function getApiKey(provider) {
-  return localStorage.getItem(`${provider}_api_key`)
-}
-
-/**
- * Save API key for provider
+ * Remove API keys older versions saved in this browser
+ * Provider keys now live on the server (see api/provider-keys.js)
  */
-export function saveApiKey(provider, key) {
-  localStorage.setItem(`${provider}_api_key`, key)
+export function clearLegacyApiKeys() {
+  localStorage.removeItem('wavespeed_api_key')
+  localStorage.removeItem('claude_api_key')
 }
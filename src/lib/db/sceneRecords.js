@@ -0,0 +1,163 @@
+/**
+ * Scene records - Store a project's scene tree as separate records
+ * Scenes, shots, keyframes, video takes and audio takes each get their own
+ * record, so an edit writes only the records that changed. Projects keep
+ * the nested shape (project.scenes[].shots[].keyframes[]) in memory.
+ */
+
+export const SCENE_STORES = ['scenes', 'shots', 'keyframes', 'videoTakes', 'audioTakes']
+export const TAKE_KINDS = ['keyframes', 'videoTakes', 'audioTakes']
+
+/**
+ * Empty change set: records to write and IDs to delete, per store
+ */
+export function emptyChanges() {
+  return {
+    put: Object.fromEntries(SCENE_STORES.map((store) => [store, []])),
+    remove: Object.fromEntries(SCENE_STORES.map((store) => [store, []])),
+  }
+}
+
+export function hasChanges(changes) {
+  return SCENE_STORES.some((store) => changes.put[store].length > 0 || changes.remove[store].length > 0)
+}
+
+function sceneRecord(projectId, scene, position) {
+  const record = { ...scene, projectId, position }
+  delete record.shots
+  return record
+}
+
+function shotRecord(projectId, sceneId, shot, position) {
+  const record = { ...shot, projectId, sceneId, position }
+  for (const kind of TAKE_KINDS) delete record[kind]
+  return record
+}
+
+function takeRecord(projectId, shotId, take, position) {
+  return { ...take, projectId, shotId, position }
+}
+
+/**
+ * Whether two objects differ in any key outside `ignore`
+ */
+function fieldsChanged(before, after, ignore) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  for (const key of keys) {
+    if (!ignore.includes(key) && before[key] !== after[key]) return true
+  }
+  return false
+}
+
+/**
+ * Change set that writes a whole scene tree
+ */
+export function flattenScenes(projectId, scenes = []) {
+  return diffScenes(projectId, [], scenes)
+}
+
+/**
+ * Change set that turns one scene tree into another
+ * Relies on immutable updates: anything still the same object is unchanged.
+ * Records are written with their current position, so order is kept as long
+ * as reordering creates new objects (as moveShot's renumbering does).
+ */
+export function diffScenes(projectId, before = [], after = []) {
+  const changes = emptyChanges()
+  const oldScenes = new Map(before.map((scene) => [scene.id, scene]))
+  const oldShots = new Map()
+  for (const scene of before) {
+    for (const shot of scene.shots || []) oldShots.set(shot.id, { shot, sceneId: scene.id })
+  }
+
+  const keptScenes = new Set()
+  const keptShots = new Set()
+
+  for (const [sceneIndex, scene] of after.entries()) {
+    keptScenes.add(scene.id)
+    const oldScene = oldScenes.get(scene.id)
+    if (oldScene === scene) {
+      for (const shot of scene.shots || []) keptShots.add(shot.id)
+      continue
+    }
+
+    if (!oldScene || fieldsChanged(oldScene, scene, ['shots'])) {
+      changes.put.scenes.push(sceneRecord(projectId, scene, sceneIndex))
+    }
+
+    for (const [shotIndex, shot] of (scene.shots || []).entries()) {
+      keptShots.add(shot.id)
+      const old = oldShots.get(shot.id)
+      if (old?.shot === shot && old.sceneId === scene.id) continue
+
+      if (!old || old.sceneId !== scene.id || fieldsChanged(old.shot, shot, TAKE_KINDS)) {
+        changes.put.shots.push(shotRecord(projectId, scene.id, shot, shotIndex))
+      }
+
+      for (const kind of TAKE_KINDS) {
+        const oldTakes = new Map((old?.shot[kind] || []).map((take) => [take.id, take]))
+        for (const [takeIndex, take] of (shot[kind] || []).entries()) {
+          if (oldTakes.get(take.id) !== take) {
+            changes.put[kind].push(takeRecord(projectId, shot.id, take, takeIndex))
+          }
+          oldTakes.delete(take.id)
+        }
+        changes.remove[kind].push(...oldTakes.keys())
+      }
+    }
+  }
+
+  // Removed shots take their keyframes and takes with them
+  for (const [id, { shot }] of oldShots) {
+    if (keptShots.has(id)) continue
+    changes.remove.shots.push(id)
+    for (const kind of TAKE_KINDS) {
+      changes.remove[kind].push(...(shot[kind] || []).map((take) => take.id))
+    }
+  }
+  for (const id of oldScenes.keys()) {
+    if (!keptScenes.has(id)) changes.remove.scenes.push(id)
+  }
+
+  return changes
+}
+
+/**
+ * Rebuild a project's scene tree from its records
+ * @param {Object} records - Records per store (see SCENE_STORES)
+ * @returns {Object[]} scenes
+ */
+export function assembleScenes(records) {
+  const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0)
+  const groupBy = (items, key) => {
+    const groups = new Map()
+    for (const item of [...items].sort(byPosition)) {
+      if (!groups.has(item[key])) groups.set(item[key], [])
+      groups.get(item[key]).push(item)
+    }
+    return groups
+  }
+
+  const shotsByScene = groupBy(records.shots || [], 'sceneId')
+  const takesByShot = Object.fromEntries(
+    TAKE_KINDS.map((kind) => [kind, groupBy(records[kind] || [], 'shotId')])
+  )
+
+  // Drop the record-only fields
+  const strip = (record, ...keys) => {
+    const item = { ...record }
+    for (const key of ['projectId', 'position', 'updatedAt', ...keys]) delete item[key]
+    return item
+  }
+
+  return [...(records.scenes || [])].sort(byPosition).map((record) => ({
+    ...strip(record),
+    shots: (shotsByScene.get(record.id) || []).map((record) => {
+      const shot = strip(record, 'sceneId')
+      for (const kind of TAKE_KINDS) {
+        shot[kind] = (takesByShot[kind].get(shot.id) || []).map((take) => strip(take, 'shotId'))
+      }
+      return shot
+    }),
+  }))
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { diffScenes, flattenScenes, hasChanges, assembleScenes, SCENE_STORES } from './sceneRecords'
+
+function buildScenes() {
+  return [
+    {
+      id: 'scene-1',
+      sceneNumber: 1,
+      location: 'Kitchen',
+      shots: [
+        {
+          id: 'shot-1',
+          shotNumber: 1,
+          keyframes: [{ id: 'kf-1', url: 'a.png' }, { id: 'kf-2', url: 'b.png' }],
+          videoTakes: [],
+          audioTakes: [],
+        },
+        { id: 'shot-2', shotNumber: 2, keyframes: [], videoTakes: [], audioTakes: [] },
+      ],
+    },
+    { id: 'scene-2', sceneNumber: 2, location: 'Garden', shots: [] },
+  ]
+}
+
+describe('diffScenes', () => {
+  it('writes every record of a new tree', () => {
+    const changes = flattenScenes('project-1', buildScenes())
+
+    expect(changes.put.scenes.map((r) => r.id)).toEqual(['scene-1', 'scene-2'])
+    expect(changes.put.shots.map((r) => r.id)).toEqual(['shot-1', 'shot-2'])
+    expect(changes.put.keyframes.map((r) => [r.id, r.shotId, r.position])).toEqual([
+      ['kf-1', 'shot-1', 0],
+      ['kf-2', 'shot-1', 1],
+    ])
+    expect(changes.put.shots[0]).not.toHaveProperty('keyframes')
+    expect(changes.put.scenes[0]).toMatchObject({ projectId: 'project-1', position: 0 })
+    expect(changes.put.scenes[0]).not.toHaveProperty('shots')
+  })
+
+  it('finds nothing to write when the tree is unchanged', () => {
+    const scenes = buildScenes()
+    expect(hasChanges(diffScenes('project-1', scenes, scenes))).toBe(false)
+  })
+
+  it('writes only the shot whose fields changed', () => {
+    const before = buildScenes()
+    const [scene] = before
+    const after = [
+      { ...scene, shots: [{ ...scene.shots[0], description: 'Close on hands' }, scene.shots[1]] },
+      before[1],
+    ]
+
+    const changes = diffScenes('project-1', before, after)
+
+    expect(changes.put.scenes).toEqual([])
+    expect(changes.put.shots.map((r) => r.id)).toEqual(['shot-1'])
+    expect(changes.put.keyframes).toEqual([])
+    expect(SCENE_STORES.every((store) => changes.remove[store].length === 0)).toBe(true)
+  })
+
+  it('adds and removes takes without rewriting the shot', () => {
+    const before = buildScenes()
+    const [scene] = before
+    const shot = scene.shots[0]
+    const after = [
+      {
+        ...scene,
+        shots: [{ ...shot, keyframes: [shot.keyframes[0], { id: 'kf-3', url: 'c.png' }] }, scene.shots[1]],
+      },
+      before[1],
+    ]
+
+    const changes = diffScenes('project-1', before, after)
+
+    expect(changes.put.shots).toEqual([])
+    expect(changes.put.keyframes.map((r) => r.id)).toEqual(['kf-3'])
+    expect(changes.remove.keyframes).toEqual(['kf-2'])
+  })
+
+  it('removes a deleted shot along with its takes', () => {
+    const before = buildScenes()
+    const [scene] = before
+    const after = [{ ...scene, shots: [scene.shots[1]] }, before[1]]
+
+    const changes = diffScenes('project-1', before, after)
+
+    expect(changes.remove.shots).toEqual(['shot-1'])
+    expect(changes.remove.keyframes).toEqual(['kf-1', 'kf-2'])
+    // Unchanged objects aren't rewritten; renumbering creates new ones
+    expect(changes.put.shots).toEqual([])
+  })
+
+  it('rewrites a shot moved to another scene under its new scene', () => {
+    const before = buildScenes()
+    const [scene, garden] = before
+    const moved = { ...scene.shots[1], shotNumber: 1 }
+    const after = [{ ...scene, shots: [scene.shots[0]] }, { ...garden, shots: [moved] }]
+
+    const changes = diffScenes('project-1', before, after)
+
+    expect(changes.put.shots.map((r) => [r.id, r.sceneId])).toEqual([['shot-2', 'scene-2']])
+    expect(changes.remove.shots).toEqual([])
+  })
+
+  it('removes deleted scenes and everything in them', () => {
+    const before = buildScenes()
+    const changes = diffScenes('project-1', before, [before[1]])
+
+    expect(changes.remove.scenes).toEqual(['scene-1'])
+    expect(changes.remove.shots).toEqual(['shot-1', 'shot-2'])
+    expect(changes.remove.keyframes).toEqual(['kf-1', 'kf-2'])
+  })
+})
+
+describe('assembleScenes', () => {
+  it('rebuilds the tree the records were flattened from', () => {
+    const scenes = buildScenes()
+    const { put } = flattenScenes('project-1', scenes)
+
+    expect(assembleScenes(put)).toEqual(scenes)
+  })
+
+  it('orders records by position', () => {
+    const { put } = flattenScenes('project-1', buildScenes())
+    const shuffled = Object.fromEntries(
+      Object.entries(put).map(([store, records]) => [store, [...records].reverse()])
+    )
+
+    expect(assembleScenes(shuffled).map((s) => s.id)).toEqual(['scene-1', 'scene-2'])
+    expect(assembleScenes(shuffled)[0].shots[0].keyframes.map((k) => k.id)).toEqual(['kf-1', 'kf-2'])
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * Clips - Flatten project scenes into one entry per shot with its selected
+ * takes resolved. Shared by the assembly timeline and the exporters, which
+ * also share the media file names defined here.
+ */
+
+/**
+ * Pick the selected take, falling back to the first one
+ */
+function selectedTake(takes, selectedId) {
+  return selectedId ? takes?.find((t) => t.id === selectedId) : takes?.[0]
+}
+
+/**
+ * Gather every shot that has a keyframe or video take
+ */
+export function gatherClips(project) {
+  if (!project?.scenes) return []
+
+  return project.scenes.flatMap((scene) =>
+    (scene.shots || [])
+      .filter((shot) => shot.videoTakes?.length > 0 || shot.keyframes?.length > 0)
+      .map((shot) => {
+        const selectedVideo = selectedTake(shot.videoTakes, shot.selectedVideo)
+        const characters = shot.characters || []
+
+        // Trims (seconds into the take) are ignored if they don't leave a usable range
+        const sourceDuration = selectedVideo?.settings?.duration || 5
+        const trimIn = Math.min(Math.max(shot.trimIn || 0, 0), sourceDuration)
+        const trimOut = Math.min(shot.trimOut ?? sourceDuration, sourceDuration)
+        const isTrimmed = trimOut > trimIn
+
+        return {
+          id: shot.id,
+          sceneId: scene.id,
+          sceneNumber: scene.sceneNumber,
+          shotNumber: shot.shotNumber,
+          shotType: shot.shotType,
+          cameraAngle: shot.cameraAngle,
+          lens: shot.lens,
+          movement: shot.movement,
+          description: shot.description,
+          // Lines spoken by the characters in frame
+          dialogue: (scene.dialogueLines || []).filter((line) => characters.includes(line.characterId)),
+          video: selectedVideo,
+          keyframe: selectedTake(shot.keyframes, shot.selectedKeyframe),
+          audio: selectedTake(shot.audioTakes, shot.selectedAudio),
+          sourceDuration,
+          trimIn: isTrimmed ? trimIn : 0,
+          trimOut: isTrimmed ? trimOut : sourceDuration,
+          duration: isTrimmed ? trimOut - trimIn : sourceDuration,
+          hasLipsync: !!shot.lipsyncVideo,
+          lipsyncVideo: shot.lipsyncVideo || null,
+        }
+      })
+  )
+}
+
+/**
+ * Picture source for a clip: lipsync render, video take or keyframe still
+ */
+export function clipPictureUrl(clip) {
+  return clip.lipsyncVideo || clip.video?.url || clip.video?.outputs?.[0] ||
+    clip.keyframe?.url || clip.keyframe?.outputs?.[0] || null
+}
+
+/**
+ * Audio take URL, unless a lipsync render already carries the sound
+ */
+export function clipAudioUrl(clip) {
+  if (clip.lipsyncVideo) return null
+  return clip.audio?.url || clip.audio?.outputs?.[0] || null
+}
+
+function extensionOf(url, fallback) {
+  if (!url || url.startsWith('data:')) {
+    return url?.match(/^data:\w+\/(\w+)/)?.[1]?.replace('jpeg', 'jpg') || fallback
+  }
+  const path = url.split(/[?#]/)[0]
+  return path.match(/\.(\w{2,4})$/)?.[1]?.toLowerCase() || fallback
+}
+
+/**
+ * File name for a clip's picture or audio source
+ * @param {Object} clip
+ * @param {'video' | 'audio'} kind
+ */
+export function clipFileName(clip, kind = 'video') {
+  const base = `scene${clip.sceneNumber}_shot${clip.shotNumber}`
+  if (kind === 'audio') {
+    return `${base}_audio.${extensionOf(clipAudioUrl(clip), 'mp3')}`
+  }
+
+  const isStill = !clip.lipsyncVideo && !clip.video
+  const suffix = clip.lipsyncVideo ? '_lipsync' : ''
+  return `${base}${suffix}.${extensionOf(clipPictureUrl(clip), isStill ? 'png' : 'mp4')}`
+}
+
+/**
+ * Shot description and generation prompts, for markers in editorial exports
+ * @returns {{ name: string, note: string }[]}
+ */
+export function clipNotes(clip) {
+  return [
+    { name: `Scene ${clip.sceneNumber} Shot ${clip.shotNumber}`, note: clip.description },
+    { name: 'Keyframe prompt', note: clip.keyframe?.prompt },
+    { name: 'Video prompt', note: clip.video?.prompt },
+    { name: 'Dialogue', note: clip.audio?.text },
+  ].filter((entry) => entry.note)
+}
@@ -0,0 +1,78 @@
+/**
+ * EDL - CMX3600 edit decision lists for conforming in Resolve / Premiere
+ * Each source file gets its own reel, and its clip name matches the file
+ * written by the "Individual Clips" export so an NLE can relink it.
+ */
+
+import { getFrameRate, framesToTimecode, timecodeToFrames, layoutClips } from './timecode'
+import { clipFileName, clipAudioUrl } from './clips'
+
+// Record timecode conventionally starts at one hour
+const RECORD_START = '01:00:00:00'
+
+/**
+ * Eight-character reel name, unique per clip and track: V01S003 / A01S003
+ */
+function reelName(clip, kind) {
+  const scene = String(clip.sceneNumber).padStart(2, '0')
+  const shot = String(clip.shotNumber).padStart(3, '0')
+  return `${kind === 'audio' ? 'A' : 'V'}${scene}S${shot}`.slice(0, 8)
+}
+
+/**
+ * One fixed-column CMX3600 event line
+ */
+function eventLine(number, reel, channel, sourceIn, sourceOut, recordIn, recordOut) {
+  const event = String(number).padStart(3, '0')
+  // Transition (C = cut) and its empty duration field precede the timecodes
+  return `${event}  ${reel.padEnd(8)} ${channel.padEnd(4)}  ${'C'.padEnd(4)}     ` +
+    `${sourceIn} ${sourceOut} ${recordIn} ${recordOut}`
+}
+
+/**
+ * Generate a CMX3600 EDL for timeline clips
+ * @param {Object[]} clips - Timeline clips (see gatherClips)
+ * @param {Object} options
+ * @param {string} [options.title]
+ * @param {string} [options.frameRate='24'] - A key of FRAME_RATES
+ * @returns {string}
+ */
+export function generateEDL(clips, { title = 'AI Native Studio Export', frameRate = '24' } = {}) {
+  const rate = getFrameRate(frameRate)
+  const tc = (frames) => framesToTimecode(frames, rate)
+  const lines = [
+    `TITLE: ${title.toUpperCase().replace(/[^\x20-\x7e]/g, '').slice(0, 70)}`,
+    `FCM: ${rate.dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+    '',
+  ]
+
+  const recordStart = timecodeToFrames(RECORD_START, rate)
+  let event = 1
+
+  for (const { clip, sourceIn, audioIn, duration, recordIn } of layoutClips(clips, rate)) {
+    const sourceOut = sourceIn + duration
+    const record = recordStart + recordIn
+    const recordOut = record + duration
+    const hasAudio = !!clipAudioUrl(clip)
+
+    // A lipsync render carries picture and sound on one source (channel B)
+    lines.push(
+      eventLine(event++, reelName(clip, 'video'), clip.lipsyncVideo ? 'B' : 'V',
+        tc(sourceIn), tc(sourceOut), tc(record), tc(recordOut)),
+      `* FROM CLIP NAME: ${clipFileName(clip, 'video')}`,
+      `* SCENE ${clip.sceneNumber} SHOT ${clip.shotNumber}`,
+      ''
+    )
+
+    if (hasAudio) {
+      lines.push(
+        eventLine(event++, reelName(clip, 'audio'), 'A',
+          tc(audioIn), tc(audioIn + duration), tc(record), tc(recordOut)),
+        `* FROM CLIP NAME: ${clipFileName(clip, 'audio')}`,
+        ''
+      )
+    }
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { generateEDL } from './edl'
+
+const clips = [
+  {
+    sceneNumber: 1,
+    shotNumber: 1,
+    trimIn: 1,
+    duration: 2,
+    video: { url: 'https://cdn.example/s1.mp4' },
+    audio: { url: 'https://cdn.example/s1.mp3', trimIn: 0.5 },
+  },
+  {
+    sceneNumber: 1,
+    shotNumber: 2,
+    duration: 1,
+    keyframe: { url: 'https://cdn.example/s2.png' },
+  },
+  {
+    sceneNumber: 12,
+    shotNumber: 3,
+    duration: 1.5,
+    lipsyncVideo: 'https://cdn.example/s3.mp4',
+    audio: { url: 'https://cdn.example/s3.mp3' },
+  },
+]
+
+// Event lines only, split into their fields
+function events(edl) {
+  return edl.split('\n').filter((line) => /^\d{3} /.test(line)).map((line) => line.split(/\s+/))
+}
+
+describe('generateEDL', () => {
+  it('writes the header for the frame rate', () => {
+    const edl = generateEDL(clips, { title: 'My Film — Cut 2', frameRate: '29.97DF' })
+    expect(edl.split('\n').slice(0, 2)).toEqual(['TITLE: MY FILM  CUT 2', 'FCM: DROP FRAME'])
+    expect(generateEDL([], {})).toContain('FCM: NON-DROP FRAME')
+  })
+
+  it('writes source and record in/out for each event', () => {
+    expect(events(generateEDL(clips))).toEqual([
+      ['001', 'V01S001', 'V', 'C', '00:00:01:00', '00:00:03:00', '01:00:00:00', '01:00:02:00'],
+      ['002', 'A01S001', 'A', 'C', '00:00:00:12', '00:00:02:12', '01:00:00:00', '01:00:02:00'],
+      ['003', 'V01S002', 'V', 'C', '00:00:00:00', '00:00:01:00', '01:00:02:00', '01:00:03:00'],
+      ['004', 'V12S003', 'B', 'C', '00:00:00:00', '00:00:01:12', '01:00:03:00', '01:00:04:12'],
+    ])
+  })
+
+  it('keeps the fixed CMX3600 columns', () => {
+    const [line] = generateEDL(clips).split('\n').filter((l) => l.startsWith('001'))
+    expect(line).toBe('001  V01S001  V     C        00:00:01:00 00:00:03:00 01:00:00:00 01:00:02:00')
+  })
+
+  it('names each event\'s source file', () => {
+    const edl = generateEDL(clips)
+    expect(edl).toContain('* FROM CLIP NAME: scene1_shot1.mp4')
+    expect(edl).toContain('* FROM CLIP NAME: scene1_shot1_audio.mp3')
+    expect(edl).toContain('* FROM CLIP NAME: scene1_shot2.png')
+    expect(edl).toContain('* FROM CLIP NAME: scene12_shot3_lipsync.mp4')
+  })
+
+  it('starts drop-frame records at one hour', () => {
+    const [video] = events(generateEDL(clips.slice(0, 1), { frameRate: '29.97DF' }))
+    expect(video.slice(4)).toEqual(['00:00:01;00', '00:00:03;00', '01:00:00;00', '01:00:02;00'])
+  })
+})
@@ -0,0 +1,173 @@
+/**
+ * FCPXML - Final Cut Pro XML 1.10 export of the assembly timeline
+ * Media is referenced by relative paths matching the "Individual Clips"
+ * export, so the .fcpxml should sit in the same folder as those files.
+ */
+
+import { getFrameRate, timecodeToFrames, secondsToFrames, layoutClips } from './timecode'
+import { clipFileName, clipAudioUrl, clipNotes } from './clips'
+
+const RECORD_START = '01:00:00:00'
+const WIDTH = 1920
+const HEIGHT = 1080
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;')
+}
+
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+    .join(' ')
+}
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b))
+
+/**
+ * Frame count as an FCPXML rational time, e.g. "1001/24000s" or "5s"
+ */
+function rationalTime(frames, rate) {
+  const [num, den] = rate.frameDuration
+  const value = frames * num
+  if (value === 0) return '0s'
+
+  const divisor = gcd(value, den)
+  return den / divisor === 1 ? `${value / divisor}s` : `${value / divisor}/${den / divisor}s`
+}
+
+/**
+ * Generate an FCPXML 1.10 document for timeline clips
+ * @param {Object[]} clips - Timeline clips (see gatherClips)
+ * @param {Object} options
+ * @param {string} [options.title]
+ * @param {string} [options.frameRate='24'] - A key of FRAME_RATES
+ * @returns {string}
+ */
+export function generateFCPXML(clips, { title = 'AI Native Studio Export', frameRate = '24' } = {}) {
+  const rate = getFrameRate(frameRate)
+  const time = (frames) => rationalTime(frames, rate)
+  const tcStart = timecodeToFrames(RECORD_START, rate)
+  const layout = layoutClips(clips, rate)
+
+  // One asset per media file
+  const assets = []
+  const assetIds = new Map()
+  const addAsset = (fileName, props) => {
+    if (!assetIds.has(fileName)) {
+      const id = `r${assets.length + 2}`
+      assetIds.set(fileName, id)
+      assets.push(
+        `    <asset ${attrs({ id, name: fileName.replace(/\.\w+$/, ''), start: '0s', ...props })}>\n` +
+        `      <media-rep ${attrs({ kind: 'original-media', src: `./${encodeURIComponent(fileName)}` })}/>\n` +
+        '    </asset>'
+      )
+    }
+    return assetIds.get(fileName)
+  }
+
+  const spine = layout.map(({ clip, sourceIn, audioIn, duration, recordIn }) => {
+    const sourceDuration = time(secondsToFrames(clip.sourceDuration || clip.duration || 5, rate))
+    const isStill = !clip.lipsyncVideo && !clip.video
+    const pictureId = addAsset(clipFileName(clip, 'video'), isStill
+      ? { duration: '0s', hasVideo: 1, format: 'r1', videoSources: 1 }
+      : {
+          duration: sourceDuration,
+          hasVideo: 1,
+          format: 'r1',
+          videoSources: 1,
+          ...(clip.lipsyncVideo && { hasAudio: 1, audioSources: 1, audioChannels: 2, audioRate: 48000 }),
+        })
+
+    // Stills have no source time, so their children start at zero
+    const start = isStill ? 0 : sourceIn
+    const children = []
+
+    if (clipAudioUrl(clip)) {
+      const audioId = addAsset(clipFileName(clip, 'audio'), {
+        duration: sourceDuration,
+        hasAudio: 1,
+        audioSources: 1,
+        audioChannels: 2,
+        audioRate: 48000,
+      })
+      children.push(`        <asset-clip ${attrs({
+        ref: audioId,
+        lane: -1,
+        offset: time(start),
+        name: clipFileName(clip, 'audio'),
+        start: time(audioIn),
+        duration: time(duration),
+        audioRole: 'dialogue',
+      })}/>`)
+    }
+
+    clipNotes(clip).forEach((marker, i) => {
+      children.push(`        <marker ${attrs({
+        start: time(start + Math.min(i, duration - 1)),
+        duration: time(1),
+        value: marker.name,
+        note: marker.note,
+      })}/>`)
+    })
+
+    const element = isStill ? 'video' : 'asset-clip'
+    const props = attrs({
+      ref: pictureId,
+      offset: time(tcStart + recordIn),
+      name: `Scene ${clip.sceneNumber} Shot ${clip.shotNumber}`,
+      start: isStill ? undefined : time(sourceIn),
+      duration: time(duration),
+      ...(!isStill && { format: 'r1', tcFormat: rate.dropFrame ? 'DF' : 'NDF' }),
+    })
+
+    return children.length > 0
+      ? `      <${element} ${props}>\n${children.join('\n')}\n      </${element}>`
+      : `      <${element} ${props}/>`
+  })
+
+  const totalFrames = layout.reduce((sum, entry) => sum + entry.duration, 0)
+  const format = attrs({
+    id: 'r1',
+    frameDuration: time(1),
+    width: WIDTH,
+    height: HEIGHT,
+    colorSpace: '1-1-1 (Rec. 709)',
+  })
+  const sequence = attrs({
+    format: 'r1',
+    duration: time(totalFrames),
+    tcStart: time(tcStart),
+    tcFormat: rate.dropFrame ? 'DF' : 'NDF',
+    audioLayout: 'stereo',
+    audioRate: '48k',
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE fcpxml>',
+    '<fcpxml version="1.10">',
+    '  <resources>',
+    `    <format ${format}/>`,
+    ...assets,
+    '  </resources>',
+    '  <library>',
+    `    <event ${attrs({ name: title })}>`,
+    `      <project ${attrs({ name: title })}>`,
+    `        <sequence ${sequence}>`,
+    '          <spine>',
+    ...spine.map((block) => block.replace(/^/gm, '      ')),
+    '          </spine>',
+    '        </sequence>',
+    '      </project>',
+    '    </event>',
+    '  </library>',
+    '</fcpxml>',
+    '',
+  ].join('\n')
+}
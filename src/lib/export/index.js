@@ -0,0 +1,25 @@
+export { gatherClips, clipFileName, clipPictureUrl, clipAudioUrl, clipNotes } from './clips'
+export { createImagePdf } from './pdf'
+export {
+  PANEL_LAYOUTS,
+  BOARD_ASPECT_RATIOS,
+  renderStoryboardPages,
+  exportStoryboardPdf,
+  exportContactSheet,
+} from './storyboard'
+export {
+  SEQUENCE_RESOLUTIONS,
+  getSequenceMimeType,
+  renderSequence,
+} from './sequence'
+export {
+  FRAME_RATES,
+  getFrameRate,
+  secondsToFrames,
+  framesToTimecode,
+  timecodeToFrames,
+  layoutClips,
+} from './timecode'
+export { generateEDL } from './edl'
+export { generateFCPXML } from './fcpxml'
+export { generateOTIO } from './otio'
@@ -0,0 +1,155 @@
+/**
+ * OTIO - OpenTimelineIO (.otio JSON) export of the assembly timeline
+ * One video track and one audio track (gaps where a shot has no audio
+ * take). Media references are relative paths matching the "Individual
+ * Clips" export.
+ */
+
+import { getFrameRate, timecodeToFrames, secondsToFrames, layoutClips } from './timecode'
+import { clipFileName, clipAudioUrl, clipNotes } from './clips'
+
+const RECORD_START = '01:00:00:00'
+
+function rationalTime(value, rate) {
+  return { OTIO_SCHEMA: 'RationalTime.1', rate: rate.fps, value }
+}
+
+function timeRange(start, duration, rate) {
+  return {
+    OTIO_SCHEMA: 'TimeRange.1',
+    start_time: rationalTime(start, rate),
+    duration: rationalTime(duration, rate),
+  }
+}
+
+function externalReference(fileName, availableRange) {
+  return {
+    OTIO_SCHEMA: 'ExternalReference.1',
+    name: fileName,
+    target_url: fileName,
+    available_range: availableRange,
+    available_image_bounds: null,
+    metadata: {},
+  }
+}
+
+function clipItem({ name, fileName, sourceRange, availableRange, markers = [], metadata = {} }) {
+  return {
+    OTIO_SCHEMA: 'Clip.2',
+    name,
+    source_range: sourceRange,
+    media_references: {
+      DEFAULT_MEDIA: externalReference(fileName, availableRange),
+    },
+    active_media_reference_key: 'DEFAULT_MEDIA',
+    effects: [],
+    markers,
+    enabled: true,
+    metadata,
+  }
+}
+
+function gap(duration, rate) {
+  return {
+    OTIO_SCHEMA: 'Gap.1',
+    name: '',
+    source_range: timeRange(0, duration, rate),
+    effects: [],
+    markers: [],
+    enabled: true,
+    metadata: {},
+  }
+}
+
+function track(name, kind, children) {
+  return {
+    OTIO_SCHEMA: 'Track.1',
+    name,
+    kind,
+    source_range: null,
+    effects: [],
+    markers: [],
+    enabled: true,
+    metadata: {},
+    children,
+  }
+}
+
+/**
+ * Generate an OTIO timeline for timeline clips
+ * @param {Object[]} clips - Timeline clips (see gatherClips)
+ * @param {Object} options
+ * @param {string} [options.title]
+ * @param {string} [options.frameRate='24'] - A key of FRAME_RATES
+ * @returns {string} JSON
+ */
+export function generateOTIO(clips, { title = 'AI Native Studio Export', frameRate = '24' } = {}) {
+  const rate = getFrameRate(frameRate)
+  const videoClips = []
+  const audioClips = []
+
+  for (const { clip, sourceIn, audioIn, duration } of layoutClips(clips, rate)) {
+    const name = `Scene ${clip.sceneNumber} Shot ${clip.shotNumber}`
+    const sourceRange = timeRange(sourceIn, duration, rate)
+    const availableRange = clip.video || clip.lipsyncVideo
+      ? timeRange(0, secondsToFrames(clip.sourceDuration || clip.duration || 5, rate), rate)
+      : null
+
+    const markers = clipNotes(clip).map((marker, i) => ({
+      OTIO_SCHEMA: 'Marker.2',
+      name: marker.name,
+      marked_range: timeRange(sourceIn + Math.min(i, duration - 1), 1, rate),
+      color: i === 0 ? 'GREEN' : 'PURPLE',
+      comment: marker.note,
+      metadata: {},
+    }))
+
+    videoClips.push(clipItem({
+      name,
+      fileName: clipFileName(clip, 'video'),
+      sourceRange,
+      availableRange,
+      markers,
+      metadata: {
+        studio: {
+          shotId: clip.id,
+          sceneId: clip.sceneId,
+          shotType: clip.shotType,
+          lens: clip.lens,
+          movement: clip.movement,
+        },
+      },
+    }))
+
+    audioClips.push(clipAudioUrl(clip)
+      ? clipItem({
+          name: `${name} Audio`,
+          fileName: clipFileName(clip, 'audio'),
+          sourceRange: timeRange(audioIn, duration, rate),
+          availableRange: null,
+        })
+      : gap(duration, rate))
+  }
+
+  const timeline = {
+    OTIO_SCHEMA: 'Timeline.1',
+    name: title,
+    global_start_time: rationalTime(timecodeToFrames(RECORD_START, rate), rate),
+    metadata: {},
+    tracks: {
+      OTIO_SCHEMA: 'Stack.1',
+      name: 'tracks',
+      source_range: null,
+      effects: [],
+      markers: [],
+      enabled: true,
+      metadata: {},
+      children: [
+        track('V1', 'Video', videoClips),
+        track('A1', 'Audio', audioClips),
+      ],
+    },
+  }
+
+  return JSON.stringify(timeline, null, 2)
+}
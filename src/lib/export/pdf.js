@@ -0,0 +1,83 @@
+/**
+ * PDF - Minimal writer for image-only documents
+ * Each page is a single full-bleed JPEG (DCTDecode), which is all the
+ * storyboard export needs and avoids pulling in a PDF library.
+ */
+
+const encoder = new TextEncoder()
+
+/**
+ * Escape a string for a PDF literal: (text)
+ */
+function pdfString(text) {
+  return `(${String(text).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '?')})`
+}
+
+/**
+ * Build a PDF from rendered page images
+ * @param {{ jpeg: Uint8Array, width: number, height: number }[]} pages - Pixel size of each JPEG
+ * @param {Object} options
+ * @param {number} options.pageWidth - Page width in points (1/72 in)
+ * @param {number} options.pageHeight - Page height in points
+ * @param {string} [options.title] - Document title
+ * @returns {Blob}
+ */
+export function createImagePdf(pages, { pageWidth, pageHeight, title }) {
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  const object = (id, body, stream) => {
+    offsets[id] = length
+    write(`${id} 0 obj\n${body}\n`)
+    if (stream) {
+      write('stream\n')
+      write(stream)
+      write('\nendstream\n')
+    }
+    write('endobj\n')
+  }
+
+  // Catalog, page tree and info come first; each page then takes three ids
+  const pageId = (index) => 4 + index * 3
+  const kids = pages.map((_, i) => `${pageId(i)} 0 R`).join(' ')
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>')
+  object(2, `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`)
+  object(3, `<< /Title ${pdfString(title || 'Untitled')} /Producer (AI Native Studio) >>`)
+
+  pages.forEach((page, i) => {
+    const id = pageId(i)
+    const content = encoder.encode(`q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`)
+
+    object(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /XObject << /Im0 ${id + 1} 0 R >> >> /Contents ${id + 2} 0 R >>`
+    )
+    object(
+      id + 1,
+      `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+      page.jpeg
+    )
+    object(id + 2, `<< /Length ${content.length} >>`, content)
+  })
+
+  const size = pageId(pages.length)
+  const xrefOffset = length
+  write(`xref\n0 ${size}\n0000000000 65535 f \n`)
+  for (let id = 1; id < size; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`)
+  }
+  write(`trailer\n<< /Size ${size} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
@@ -0,0 +1,194 @@
+/**
+ * Sequence render - Concatenate timeline clips into one video in the browser
+ * Each clip is drawn onto a canvas at a fixed output size (letterboxed) while
+ * its audio plays into a WebAudio mix; MediaRecorder encodes both streams.
+ * Rendering runs in real time, so a sequence takes as long as it plays.
+ */
+
+import { delay } from '../utils'
+import { clipAudioUrl } from './clips'
+
+export const SEQUENCE_RESOLUTIONS = {
+  '1080p': { width: 1920, height: 1080, label: '1920 x 1080' },
+  '720p': { width: 1280, height: 720, label: '1280 x 720' },
+  vertical: { width: 1080, height: 1920, label: '1080 x 1920 (Vertical)' },
+}
+
+const MIME_TYPES = {
+  mp4: ['video/mp4;codecs=avc1.42E01E,mp4a.40.2', 'video/mp4'],
+  webm: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+}
+
+const FPS = 30
+const VIDEO_BITRATE = 8_000_000
+
+/**
+ * First MIME type MediaRecorder supports for a container, or null
+ */
+export function getSequenceMimeType(format) {
+  if (typeof MediaRecorder === 'undefined') return null
+  return (MIME_TYPES[format] || []).find((type) => MediaRecorder.isTypeSupported(type)) || null
+}
+
+/**
+ * Wait for a media element to be ready to play through
+ */
+function loadMedia(element, url, readyEvent) {
+  return new Promise((resolve, reject) => {
+    element.crossOrigin = 'anonymous'
+    element.preload = 'auto'
+    element.addEventListener(readyEvent, () => resolve(element), { once: true })
+    element.addEventListener('error', () => reject(new Error(`Could not load ${url}`)), { once: true })
+    element.src = url
+  })
+}
+
+/**
+ * Load the picture and sound for one clip
+ * A lipsync video already carries the dialogue, so it replaces both the
+ * video take and the audio take.
+ */
+async function loadClipMedia(clip) {
+  const videoUrl = clip.lipsyncVideo || clip.video?.url || clip.video?.outputs?.[0]
+  const imageUrl = clip.keyframe?.url || clip.keyframe?.outputs?.[0]
+  const audioUrl = clipAudioUrl(clip)
+  const label = `Scene ${clip.sceneNumber} shot ${clip.shotNumber}`
+
+  try {
+    const video = videoUrl && document.createElement('video')
+    if (video) video.playsInline = true
+
+    const [picture, audio] = await Promise.all([
+      video ? loadMedia(video, videoUrl, 'canplaythrough') : loadMedia(new Image(), imageUrl, 'load'),
+      audioUrl ? loadMedia(new Audio(), audioUrl, 'canplaythrough') : null,
+    ])
+    return { picture, isVideo: !!video, audio }
+  } catch (error) {
+    throw new Error(`${label}: ${error.message} (the host may not allow cross-origin access)`)
+  }
+}
+
+/**
+ * Draw a frame scaled to fit the canvas, letterboxed on black
+ */
+function drawContained(ctx, source, sourceWidth, sourceHeight) {
+  const { width, height } = ctx.canvas
+  ctx.fillStyle = '#000000'
+  ctx.fillRect(0, 0, width, height)
+  if (!sourceWidth || !sourceHeight) return
+
+  const scale = Math.min(width / sourceWidth, height / sourceHeight)
+  const w = sourceWidth * scale
+  const h = sourceHeight * scale
+  ctx.drawImage(source, (width - w) / 2, (height - h) / 2, w, h)
+}
+
+/**
+ * Render clips into a single video
+ * @param {Object[]} clips - Timeline clips (see gatherClips)
+ * @param {Object} options
+ * @param {string} [options.format='mp4'] - 'mp4' or 'webm'; falls back to the other if unsupported
+ * @param {string} [options.resolution='1080p'] - A key of SEQUENCE_RESOLUTIONS
+ * @param {AbortSignal} [options.signal] - Aborts the render
+ * @param {Function} [options.onProgress] - Called with (percent, stage) where stage is 'loading' or 'rendering'
+ * @returns {Promise<{ blob: Blob, extension: string }>}
+ */
+export async function renderSequence(clips, { format = 'mp4', resolution = '1080p', signal, onProgress } = {}) {
+  if (clips.length === 0) {
+    throw new Error('No clips to render')
+  }
+
+  const fallback = format === 'mp4' ? 'webm' : 'mp4'
+  const extension = getSequenceMimeType(format) ? format : fallback
+  const mimeType = getSequenceMimeType(extension)
+  if (!mimeType) {
+    throw new Error('This browser cannot record video (MediaRecorder is unavailable)')
+  }
+
+  // Load everything up front so playback doesn't stall mid-recording
+  const media = []
+  for (const clip of clips) {
+    signal?.throwIfAborted()
+    media.push(await loadClipMedia(clip))
+    onProgress?.((media.length / clips.length) * 100, 'loading')
+  }
+
+  const { width, height } = SEQUENCE_RESOLUTIONS[resolution] || SEQUENCE_RESOLUTIONS['1080p']
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  drawContained(ctx, null, 0, 0)
+
+  // Route every clip's sound into one recorded track
+  const audioContext = new AudioContext()
+  const mix = audioContext.createMediaStreamDestination()
+  for (const { picture, isVideo, audio } of media) {
+    if (isVideo) audioContext.createMediaElementSource(picture).connect(mix)
+    if (audio) audioContext.createMediaElementSource(audio).connect(mix)
+  }
+
+  const stream = new MediaStream([
+    ...canvas.captureStream(FPS).getVideoTracks(),
+    ...mix.stream.getAudioTracks(),
+  ])
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITRATE })
+  const chunks = []
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data)
+  }
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve
+  })
+
+  const totalDuration = clips.reduce((sum, clip) => sum + (clip.duration || 5), 0)
+  let offset = 0
+
+  try {
+    await audioContext.resume()
+    recorder.start(1000)
+
+    for (let i = 0; i < clips.length; i++) {
+      const duration = clips[i].duration || 5
+      const { picture, isVideo, audio } = media[i]
+      const elements = [isVideo && picture, audio].filter(Boolean)
+
+      // A separate audio take has its own trim
+      if (isVideo) picture.currentTime = clips[i].trimIn || 0
+      if (audio) audio.currentTime = clips[i].audio?.trimIn || 0
+      await Promise.all(elements.map((el) => el.play()))
+      const start = performance.now()
+
+      // Draw until the clip's timeline duration is reached; a video that
+      // ends early holds its last frame
+      let elapsed = 0
+      while (elapsed < duration) {
+        if (isVideo) {
+          drawContained(ctx, picture, picture.videoWidth, picture.videoHeight)
+        } else {
+          drawContained(ctx, picture, picture.naturalWidth, picture.naturalHeight)
+        }
+        onProgress?.(((offset + elapsed) / totalDuration) * 100, 'rendering')
+        await delay(1000 / FPS, signal)
+        elapsed = (performance.now() - start) / 1000
+      }
+
+      elements.forEach((el) => el.pause())
+      offset += duration
+    }
+
+    recorder.stop()
+    await stopped
+    onProgress?.(100, 'rendering')
+
+    return { blob: new Blob(chunks, { type: mimeType.split(';')[0] }), extension }
+  } finally {
+    if (recorder.state !== 'inactive') recorder.stop()
+    for (const { picture, isVideo, audio } of media) {
+      if (isVideo) picture.pause()
+      audio?.pause()
+    }
+    stream.getTracks().forEach((track) => track.stop())
+    audioContext.close()
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Storyboard export - Printable boards rendered client-side on canvas
+ * Pages become a PDF (one JPEG per page); the contact sheet is a single
+ * PNG with every panel. Both use the clips gathered by gatherClips.
+ */
+
+import { gatherClips } from './clips'
+import { createImagePdf } from './pdf'
+import { SHOT_TYPES, CAMERA_MOVEMENTS } from '../script/shots'
+import { formatCharacterCue } from '../script/paragraphs'
+
+// Grid (columns x rows) for each panels-per-page option
+export const PANEL_LAYOUTS = {
+  2: [2, 1],
+  3: [3, 1],
+  4: [2, 2],
+  6: [3, 2],
+  8: [4, 2],
+  9: [3, 3],
+  12: [4, 3],
+}
+
+export const BOARD_ASPECT_RATIOS = {
+  '16:9': 16 / 9,
+  '1.85:1': 1.85,
+  '2.39:1': 2.39,
+  '4:3': 4 / 3,
+  '1:1': 1,
+  '9:16': 9 / 16,
+}
+
+// US Letter landscape, in points
+const PAGE_WIDTH = 792
+const PAGE_HEIGHT = 612
+const PAGE_DPI = 150
+const MARGIN = 36
+const HEADER_HEIGHT = 28
+const GAP = 12
+
+const CONTACT_SHEET_WIDTH = 1200
+const CONTACT_SHEET_SCALE = 2
+const MAX_CANVAS_HEIGHT = 16384
+
+const LABEL_HEIGHT = 14
+const LINE_HEIGHT = 10
+const MIN_TEXT_HEIGHT = LABEL_HEIGHT * 2 + LINE_HEIGHT * 2
+
+const font = (size, style = '') => `${style} ${size}px Helvetica, Arial, sans-serif`.trim()
+const labelFor = (options, value) => options.find((o) => o.value === value)?.label || value
+
+/**
+ * Load an image for drawing; resolves null if it can't be used on a canvas
+ */
+function loadImage(url) {
+  if (!url) return Promise.resolve(null)
+
+  return new Promise((resolve) => {
+    const image = new Image()
+    image.crossOrigin = 'anonymous'
+    image.onload = () => resolve(image)
+    image.onerror = () => resolve(null)
+    image.src = url
+  })
+}
+
+/**
+ * Load every panel image, reporting progress as each one settles
+ */
+async function loadClipImages(clips, onProgress) {
+  let done = 0
+  onProgress?.({ done, total: clips.length })
+
+  return Promise.all(
+    clips.map(async (clip) => {
+      const image = await loadImage(clip.keyframe?.url || clip.keyframe?.outputs?.[0])
+      onProgress?.({ done: ++done, total: clips.length })
+      return image
+    })
+  )
+}
+
+/**
+ * Break text into lines that fit maxWidth, ellipsizing past maxLines
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = []
+
+  for (const paragraph of String(text).split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    lines.push(line)
+  }
+
+  if (lines.length <= maxLines) return lines
+
+  const kept = lines.slice(0, maxLines)
+  let last = kept[maxLines - 1]
+  while (last && ctx.measureText(`${last}...`).width > maxWidth) {
+    last = last.slice(0, -1)
+  }
+  kept[maxLines - 1] = `${last}...`
+  return kept
+}
+
+/**
+ * Draw an image cropped to fill the box
+ */
+function drawCover(ctx, image, x, y, width, height) {
+  const scale = Math.max(width / image.width, height / image.height)
+  const sw = width / scale
+  const sh = height / scale
+  ctx.drawImage(image, (image.width - sw) / 2, (image.height - sh) / 2, sw, sh, x, y, width, height)
+}
+
+/**
+ * Draw one panel: frame, shot label, camera info, description and dialogue
+ */
+function drawPanel(ctx, clip, image, { x, y, width, height, aspect }) {
+  const frameHeight = Math.min(width / aspect, height - MIN_TEXT_HEIGHT)
+  const frameWidth = frameHeight * aspect
+
+  // Frame
+  if (image) {
+    drawCover(ctx, image, x, y, frameWidth, frameHeight)
+  } else {
+    ctx.fillStyle = '#e5e5e5'
+    ctx.fillRect(x, y, frameWidth, frameHeight)
+    ctx.fillStyle = '#999999'
+    ctx.font = font(9)
+    ctx.textAlign = 'center'
+    ctx.fillText(clip.keyframe ? 'Image unavailable' : 'No keyframe', x + frameWidth / 2, y + frameHeight / 2)
+    ctx.textAlign = 'left'
+  }
+  ctx.strokeStyle = '#222222'
+  ctx.lineWidth = 0.75
+  ctx.strokeRect(x, y, frameWidth, frameHeight)
+
+  let cursor = y + frameHeight + LABEL_HEIGHT - 3
+
+  // Shot number and camera info
+  ctx.fillStyle = '#111111'
+  ctx.font = font(10, 'bold')
+  ctx.fillText(`Scene ${clip.sceneNumber} · Shot ${clip.shotNumber}`, x, cursor)
+  cursor += LABEL_HEIGHT
+
+  const camera = [
+    labelFor(SHOT_TYPES, clip.shotType),
+    clip.lens,
+    clip.movement && labelFor(CAMERA_MOVEMENTS, clip.movement),
+  ].filter(Boolean).join(' · ')
+  ctx.fillStyle = '#555555'
+  ctx.font = font(8)
+  ctx.fillText(wrapText(ctx, camera, width, 1)[0], x, cursor)
+
+  // Description and dialogue share the remaining lines
+  const available = Math.floor((y + height - cursor) / LINE_HEIGHT)
+  const dialogue = clip.dialogue
+    .map((line) => `${formatCharacterCue(line)}: ${line.parenthetical ? `(${line.parenthetical}) ` : ''}${line.text}`)
+    .join('\n')
+
+  ctx.fillStyle = '#222222'
+  ctx.font = font(8)
+  const descriptionLines = clip.description
+    ? wrapText(ctx, clip.description, width, dialogue ? Math.max(1, available - 2) : available)
+    : []
+  for (const line of descriptionLines) {
+    cursor += LINE_HEIGHT
+    ctx.fillText(line, x, cursor)
+  }
+
+  const remaining = available - descriptionLines.length
+  if (dialogue && remaining > 0) {
+    ctx.fillStyle = '#444444'
+    ctx.font = font(8, 'italic')
+    for (const line of wrapText(ctx, dialogue, width, remaining)) {
+      cursor += LINE_HEIGHT
+      ctx.fillText(line, x, cursor)
+    }
+  }
+}
+
+/**
+ * Create a white canvas drawn in point units
+ */
+function createCanvas(width, height, scale) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(width * scale)
+  canvas.height = Math.round(height * scale)
+
+  const ctx = canvas.getContext('2d')
+  ctx.scale(scale, scale)
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+  ctx.textBaseline = 'alphabetic'
+  return { canvas, ctx }
+}
+
+function drawHeader(ctx, title, detail, width) {
+  ctx.fillStyle = '#111111'
+  ctx.font = font(14, 'bold')
+  ctx.fillText(title, MARGIN, MARGIN + 12)
+  ctx.fillStyle = '#666666'
+  ctx.font = font(9)
+  ctx.textAlign = 'right'
+  ctx.fillText(detail, width - MARGIN, MARGIN + 12)
+  ctx.textAlign = 'left'
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not render storyboard'))), type, quality)
+  })
+}
+
+/**
+ * Render storyboard pages as canvases
+ * @param {Object} project
+ * @param {Object} options
+ * @param {number} [options.panelsPerPage=6] - A key of PANEL_LAYOUTS
+ * @param {string} [options.aspectRatio='16:9'] - A key of BOARD_ASPECT_RATIOS
+ * @param {Function} [options.onProgress] - Called with { done, total } as images load
+ * @returns {Promise<HTMLCanvasElement[]>}
+ */
+export async function renderStoryboardPages(project, { panelsPerPage = 6, aspectRatio = '16:9', onProgress } = {}) {
+  const clips = gatherClips(project)
+  if (clips.length === 0) {
+    throw new Error('No shots with keyframes to export')
+  }
+
+  const [columns, rows] = PANEL_LAYOUTS[panelsPerPage] || PANEL_LAYOUTS[6]
+  const aspect = BOARD_ASPECT_RATIOS[aspectRatio] || BOARD_ASPECT_RATIOS['16:9']
+  const images = await loadClipImages(clips, onProgress)
+
+  const gridTop = MARGIN + HEADER_HEIGHT
+  const cellWidth = (PAGE_WIDTH - MARGIN * 2 - GAP * (columns - 1)) / columns
+  const cellHeight = (PAGE_HEIGHT - gridTop - MARGIN - GAP * (rows - 1)) / rows
+  const perPage = columns * rows
+  const pageCount = Math.ceil(clips.length / perPage)
+  const pages = []
+
+  for (let page = 0; page < pageCount; page++) {
+    const { canvas, ctx } = createCanvas(PAGE_WIDTH, PAGE_HEIGHT, PAGE_DPI / 72)
+    drawHeader(ctx, project.name || 'Untitled', `Page ${page + 1} of ${pageCount}`, PAGE_WIDTH)
+
+    clips.slice(page * perPage, (page + 1) * perPage).forEach((clip, i) => {
+      drawPanel(ctx, clip, images[page * perPage + i], {
+        x: MARGIN + (i % columns) * (cellWidth + GAP),
+        y: gridTop + Math.floor(i / columns) * (cellHeight + GAP),
+        width: cellWidth,
+        height: cellHeight,
+        aspect,
+      })
+    })
+
+    pages.push(canvas)
+  }
+
+  return pages
+}
+
+/**
+ * Export the storyboard as a paginated PDF
+ * @returns {Promise<Blob>}
+ */
+export async function exportStoryboardPdf(project, options) {
+  const canvases = await renderStoryboardPages(project, options)
+
+  const pages = await Promise.all(
+    canvases.map(async (canvas) => {
+      const blob = await canvasToBlob(canvas, 'image/jpeg', 0.9)
+      return {
+        jpeg: new Uint8Array(await blob.arrayBuffer()),
+        width: canvas.width,
+        height: canvas.height,
+      }
+    })
+  )
+
+  return createImagePdf(pages, {
+    pageWidth: PAGE_WIDTH,
+    pageHeight: PAGE_HEIGHT,
+    title: `${project.name || 'Untitled'} - Storyboard`,
+  })
+}
+
+/**
+ * Export every panel on a single PNG contact sheet
+ * @param {Object} project
+ * @param {Object} options
+ * @param {number} [options.panelsPerPage=6] - Sets the column count via PANEL_LAYOUTS
+ * @param {string} [options.aspectRatio='16:9']
+ * @param {Function} [options.onProgress]
+ * @returns {Promise<Blob>}
+ */
+export async function exportContactSheet(project, { panelsPerPage = 6, aspectRatio = '16:9', onProgress } = {}) {
+  const clips = gatherClips(project)
+  if (clips.length === 0) {
+    throw new Error('No shots with keyframes to export')
+  }
+
+  const [columns] = PANEL_LAYOUTS[panelsPerPage] || PANEL_LAYOUTS[6]
+  const aspect = BOARD_ASPECT_RATIOS[aspectRatio] || BOARD_ASPECT_RATIOS['16:9']
+  const images = await loadClipImages(clips, onProgress)
+
+  const gridTop = MARGIN + HEADER_HEIGHT
+  const cellWidth = (CONTACT_SHEET_WIDTH - MARGIN * 2 - GAP * (columns - 1)) / columns
+  const cellHeight = cellWidth / Math.max(aspect, 1) + MIN_TEXT_HEIGHT + LINE_HEIGHT * 3
+  const rows = Math.ceil(clips.length / columns)
+  const height = gridTop + rows * cellHeight + (rows - 1) * GAP + MARGIN
+
+  // Very long projects are drawn smaller rather than exceeding canvas limits
+  const scale = Math.min(CONTACT_SHEET_SCALE, MAX_CANVAS_HEIGHT / height)
+  const { canvas, ctx } = createCanvas(CONTACT_SHEET_WIDTH, height, scale)
+  drawHeader(ctx, project.name || 'Untitled', `${clips.length} shots`, CONTACT_SHEET_WIDTH)
+
+  clips.forEach((clip, i) => {
+    drawPanel(ctx, clip, images[i], {
+      x: MARGIN + (i % columns) * (cellWidth + GAP),
+      y: gridTop + Math.floor(i / columns) * (cellHeight + GAP),
+      width: cellWidth,
+      height: cellHeight,
+      aspect,
+    })
+  })
+
+  return canvasToBlob(canvas, 'image/png')
+}
@@ -0,0 +1,90 @@
+/**
+ * Timecode - Frame rates and SMPTE timecode for editorial exports
+ */
+
+// frameDuration is [numerator, denominator] seconds, as FCPXML writes it
+export const FRAME_RATES = {
+  '23.976': { label: '23.976 fps', timebase: 24, fps: 24000 / 1001, frameDuration: [1001, 24000], dropFrame: false },
+  '24': { label: '24 fps', timebase: 24, fps: 24, frameDuration: [100, 2400], dropFrame: false },
+  '25': { label: '25 fps', timebase: 25, fps: 25, frameDuration: [100, 2500], dropFrame: false },
+  '29.97': { label: '29.97 fps NDF', timebase: 30, fps: 30000 / 1001, frameDuration: [1001, 30000], dropFrame: false },
+  '29.97DF': { label: '29.97 fps DF', timebase: 30, fps: 30000 / 1001, frameDuration: [1001, 30000], dropFrame: true },
+  '30': { label: '30 fps', timebase: 30, fps: 30, frameDuration: [100, 3000], dropFrame: false },
+}
+
+export function getFrameRate(key) {
+  return FRAME_RATES[key] || FRAME_RATES['24']
+}
+
+/**
+ * Whole frames in a duration at a frame rate
+ */
+export function secondsToFrames(seconds, rate) {
+  return Math.round(seconds * rate.fps)
+}
+
+/**
+ * Format a frame count as HH:MM:SS:FF (HH:MM:SS;FF for drop-frame)
+ * Drop-frame skips frame numbers 00 and 01 at the start of every minute
+ * except each tenth, so the timecode tracks wall-clock time at 29.97.
+ */
+export function framesToTimecode(frames, rate) {
+  const { timebase, dropFrame } = rate
+  let count = frames
+
+  if (dropFrame) {
+    const dropped = Math.round(timebase / 15) // 2 at 30, 4 at 60
+    const perMinute = timebase * 60 - dropped
+    const perTenMinutes = perMinute * 10 + dropped
+    const tens = Math.floor(count / perTenMinutes)
+    const remainder = count % perTenMinutes
+
+    count += dropped * 9 * tens
+    if (remainder > dropped) {
+      count += dropped * Math.floor((remainder - dropped) / perMinute)
+    }
+  }
+
+  const ff = count % timebase
+  const totalSeconds = Math.floor(count / timebase)
+  const pad = (n) => String(n).padStart(2, '0')
+
+  return [
+    pad(Math.floor(totalSeconds / 3600) % 24),
+    pad(Math.floor(totalSeconds / 60) % 60),
+    pad(totalSeconds % 60),
+  ].join(':') + (dropFrame ? ';' : ':') + pad(ff)
+}
+
+/**
+ * Parse HH:MM:SS:FF (or ;FF) back into a frame count
+ */
+export function timecodeToFrames(timecode, rate) {
+  const [hh, mm, ss, ff] = timecode.split(/[:;]/).map(Number)
+  const frames = ((hh * 60 + mm) * 60 + ss) * rate.timebase + ff
+  if (!rate.dropFrame) return frames
+
+  const totalMinutes = hh * 60 + mm
+  return frames - Math.round(rate.timebase / 15) * (totalMinutes - Math.floor(totalMinutes / 10))
+}
+
+/**
+ * Frame ranges for clips laid end to end from frame zero
+ * Source frames count from the start of each clip's own file; a separate
+ * audio take is its own file, so audioIn starts at zero unless it's trimmed.
+ * @returns {{ clip: Object, sourceIn: number, audioIn: number, duration: number, recordIn: number }[]}
+ */
+export function layoutClips(clips, rate) {
+  let recordIn = 0
+  return clips.map((clip) => {
+    const entry = {
+      clip,
+      sourceIn: secondsToFrames(clip.trimIn || 0, rate),
+      audioIn: secondsToFrames(clip.audio?.trimIn || 0, rate),
+      duration: Math.max(1, secondsToFrames(clip.duration || 5, rate)),
+      recordIn,
+    }
+    recordIn += entry.duration
+    return entry
+  })
+}
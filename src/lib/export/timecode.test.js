@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import { getFrameRate, framesToTimecode, timecodeToFrames, secondsToFrames, layoutClips } from './timecode'
+
+const DF = getFrameRate('29.97DF')
+const NDF = getFrameRate('29.97')
+
+describe('drop-frame timecode', () => {
+  it('skips frames 00 and 01 at each minute', () => {
+    expect(framesToTimecode(1799, DF)).toBe('00:00:59;29')
+    expect(framesToTimecode(1800, DF)).toBe('00:01:00;02')
+    expect(framesToTimecode(3597, DF)).toBe('00:01:59;29')
+    expect(framesToTimecode(3598, DF)).toBe('00:02:00;02')
+  })
+
+  it('keeps frames 00 and 01 at every tenth minute', () => {
+    expect(framesToTimecode(17981, DF)).toBe('00:09:59;29')
+    expect(framesToTimecode(17982, DF)).toBe('00:10:00;00')
+    expect(framesToTimecode(17984, DF)).toBe('00:10:00;02')
+    expect(framesToTimecode(19782, DF)).toBe('00:11:00;02')
+  })
+
+  it('puts one hour at 107892 frames', () => {
+    expect(framesToTimecode(107892, DF)).toBe('01:00:00;00')
+    expect(timecodeToFrames('01:00:00;00', DF)).toBe(107892)
+  })
+
+  it('round-trips frame counts', () => {
+    for (const frames of [0, 1, 1799, 1800, 1801, 17982, 17983, 107892, 123456]) {
+      expect(timecodeToFrames(framesToTimecode(frames, DF), DF)).toBe(frames)
+    }
+  })
+})
+
+describe('non-drop timecode', () => {
+  it('counts every frame number, with a colon', () => {
+    expect(framesToTimecode(1800, NDF)).toBe('00:01:00:00')
+    expect(framesToTimecode(86400, getFrameRate('24'))).toBe('01:00:00:00')
+    expect(timecodeToFrames('01:00:00:00', getFrameRate('25'))).toBe(90000)
+  })
+
+  it('falls back to 24 fps for unknown rates', () => {
+    expect(getFrameRate('48')).toBe(getFrameRate('24'))
+  })
+})
+
+describe('layoutClips', () => {
+  it('lays clips end to end with their own source and audio trims', () => {
+    const rate = getFrameRate('24')
+    const layout = layoutClips([
+      { trimIn: 1, duration: 2, audio: { trimIn: 0.5 } },
+      { duration: 0 },
+      {},
+    ], rate)
+
+    expect(layout.map(({ sourceIn, audioIn, duration, recordIn }) => [sourceIn, audioIn, duration, recordIn])).toEqual([
+      [24, 12, 48, 0],
+      [0, 0, 120, 48],
+      [0, 0, 120, 168],
+    ])
+    expect(secondsToFrames(1, DF)).toBe(30)
+  })
+})
@@ -0,0 +1,404 @@
+/**
+ * Job Engine - Shared lifecycle for every generation type
+ * pending → queued → processing → poll → history, with retry/backoff on transient errors
+ * Each task records its estimated cost when created, and its actual cost when the
+ * provider reports what it used (text models do; Wavespeed doesn't).
+ */
+
+import { v4 as uuid } from 'uuid'
+import { aiService } from '../providers'
+import { getDefaultModel, getModelById, estimateCost, costParams } from '../models'
+import { delay } from '../utils'
+import { dataService, storageService } from '../supabase'
+import { getJobStep } from './steps'
+import { generationQueue } from './queue'
+
+// Params that say where the output belongs rather than what to generate
+const CONTEXT_FIELDS = ['projectId', 'sceneId', 'shotId', 'frameId', 'attach', 'priority']
+
+// Request params that carry source media
+const MEDIA_FIELDS = ['imageUrl', 'videoUrl', 'audioUrl', 'images']
+
+const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 15000,
+}
+
+// Abort controllers for jobs running in this tab, keyed by task ID
+const controllers = new Map()
+
+// Resumed jobs running in this tab, keyed by task ID
+const resumed = new Map()
+
+// Budget checks run one at a time, so jobs started together can't all
+// pass the spending cap before any of them is saved
+let budgetChecks = Promise.resolve()
+
+/**
+ * Check whether an error is worth retrying
+ * Network failures, rate limits and server errors are transient
+ */
+export function isRetryableError(error) {
+  if (!error?.status) {
+    return error instanceof TypeError
+  }
+  return error.status === 429 || error.status >= 500
+}
+
+/**
+ * Run fn, retrying transient failures with exponential backoff
+ * A rate-limit error's retryAfter (ms) replaces the backoff and is reported
+ * through options.onRateLimit; options.signal cancels any pending wait
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries, baseDelay, maxDelay, signal, onRateLimit } = { ...RETRY_DEFAULTS, ...options }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn()
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error
+      }
+
+      const wait = error.retryAfter ?? Math.min(maxDelay, baseDelay * 2 ** attempt)
+      if (error.status === 429) {
+        onRateLimit?.(wait)
+      }
+      await delay(wait, signal)
+    }
+  }
+}
+
+/**
+ * Cancel a job running in this tab
+ * Returns false if no such job is running
+ */
+export function cancelGenerationJob(taskId) {
+  const controller = controllers.get(taskId)
+  if (!controller) {
+    return false
+  }
+  controller.abort()
+  return true
+}
+
+/**
+ * Move a queued job to the front of the queue
+ * Returns false if the job isn't waiting for a slot
+ */
+export function prioritizeGenerationJob(taskId) {
+  return generationQueue.prioritize(taskId)
+}
+
+/**
+ * Save a task record to generation history
+ */
+export async function persistTask(task) {
+  return dataService.saveGeneration(task)
+}
+
+/**
+ * Check a new task against its project's spending cap, then save it
+ * Saved pending tasks count their estimate toward the cap.
+ */
+function reserveBudget(task, save) {
+  const reserved = budgetChecks.then(async () => {
+    await dataService.checkBudget(task.projectId, task.estimatedCost)
+    await save()
+  })
+  budgetChecks = reserved.catch(() => {})
+  return reserved
+}
+
+/**
+ * Split job params into task context and provider request
+ */
+function splitParams(params) {
+  const context = {}
+  const request = {}
+
+  for (const [key, value] of Object.entries(params)) {
+    if (CONTEXT_FIELDS.includes(key)) {
+      context[key] = value
+    } else {
+      request[key] = value
+    }
+  }
+
+  return { context, request }
+}
+
+/**
+ * Poll a submitted task until the provider finishes it
+ */
+function pollJob(task, step, update, signal) {
+  const statusOptions = { statusMethod: step.statusMethod, projectId: task.projectId, signal }
+  const retryOptions = {
+    signal,
+    onRateLimit: (ms) => generationQueue.pause(task.provider, ms),
+  }
+
+  return aiService.pollTask(task.providerTaskId, task.provider, {
+    ...step.poll,
+    signal,
+    getStatus: (taskId) =>
+      withRetry(() => aiService.getTaskStatus(taskId, task.provider, statusOptions), retryOptions),
+    onProgress: (status) => update({ progress: status.progress }),
+  })
+}
+
+/**
+ * Copy a finished job's outputs into project storage before they're attached
+ * Provider URLs expire; an output that can't be copied keeps its URL.
+ */
+async function storeOutputs(task, step, result) {
+  if (!task.projectId || !result.outputs?.length) return result
+
+  const outputs = await Promise.all(result.outputs.map(async (url) => {
+    const stored = await storageService.uploadFromUrl(url, step.bucket, task.projectId)
+    return stored.url
+  }))
+  return { ...result, outputs }
+}
+
+/**
+ * Swap a request's local source media for URLs the provider can fetch
+ * Local-only projects keep theirs; the provider sends them inline.
+ */
+async function shareSourceMedia(request, projectId) {
+  if (!projectId) return request
+
+  const share = (url) => storageService.shareableUrl(url, projectId)
+  const shared = { ...request }
+  for (const field of MEDIA_FIELDS) {
+    if (Array.isArray(shared[field])) {
+      shared[field] = await Promise.all(shared[field].map(share))
+    } else if (shared[field]) {
+      shared[field] = await share(shared[field])
+    }
+  }
+  return shared
+}
+
+/**
+ * Tell the provider to stop a cancelled task, if it supports that
+ */
+export async function cancelOnProvider(task) {
+  if (!task.providerTaskId) return
+
+  try {
+    await aiService.cancelTask(task.providerTaskId, task.provider)
+  } catch (error) {
+    console.warn('Provider cancellation failed:', error)
+  }
+}
+
+/**
+ * Drive a task through work() and record the outcome in history
+ * work(update, signal) resolves with the provider result; update(changes, { persist })
+ * applies changes to the active task and returns it
+ */
+async function settleJob(task, work, hooks) {
+  const { onUpdate = () => {}, onSettled = () => {} } = hooks
+  const controller = new AbortController()
+  const { signal } = controller
+  let current = task
+
+  controllers.set(task.id, controller)
+
+  const update = async (changes, { persist = false } = {}) => {
+    current = { ...current, ...changes }
+    onUpdate(current)
+    if (persist) {
+      await persistTask(current)
+    }
+    return current
+  }
+
+  try {
+    const result = await work(update, signal)
+    signal.throwIfAborted()
+    current = {
+      ...current,
+      status: 'completed',
+      outputs: result.outputs,
+      completedAt: new Date().toISOString(),
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      current = {
+        ...current,
+        status: 'cancelled',
+        completedAt: new Date().toISOString(),
+      }
+      await cancelOnProvider(current)
+    } else {
+      current = {
+        ...current,
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date().toISOString(),
+      }
+    }
+    await persistTask(current)
+    onSettled(current)
+    throw error
+  } finally {
+    controllers.delete(task.id)
+  }
+
+  await persistTask(current)
+  onSettled(current)
+  return current
+}
+
+/**
+ * Run a generation job from submit to history
+ * The job waits in the generation queue for a provider/category slot first,
+ * and its outputs are copied into project storage once it completes.
+ * The task is persisted while active so it can be resumed after a reload;
+ * it's refused if its estimate would take the project past its spending cap
+ * @param {string} type - Step type (image, video, voice, lipsync, edit, frameVideo)
+ * @param {Object} params - Context fields (projectId, sceneId, shotId, frameId, attach, priority) plus request params
+ * @param {Object} hooks
+ * @param {Function} hooks.onUpdate - Called with the task whenever it changes while active
+ * @param {Function} hooks.onSettled - Called once with the completed, failed or cancelled task
+ * @returns {Promise<Object>} The completed task (rejects with an AbortError if cancelled)
+ */
+export async function runGenerationJob(type, params, hooks = {}) {
+  const step = getJobStep(type)
+  const { context, request } = splitParams(params)
+  const modelId = request.modelId || getDefaultModel(step.category)?.id
+  const model = getModelById(step.category, modelId)
+  const providerName = model?.provider || 'mock'
+
+  const task = {
+    id: uuid(),
+    ...context,
+    type,
+    modelId,
+    ...step.describe(request),
+    estimatedCost: estimateCost(model, (step.costParams || costParams)(request)),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  }
+
+  return settleJob(task, async (update, signal) => {
+    await reserveBudget(task, () => update({}, { persist: true }))
+
+    // Queued status is UI-only; the stored record stays pending until submitted
+    const release = await generationQueue.acquire({
+      taskId: task.id,
+      provider: providerName,
+      category: step.category,
+      priority: task.priority,
+      signal,
+      onPosition: (queuePosition) => update({ status: 'queued', queuePosition }),
+    })
+
+    let result
+    try {
+      await update({ status: 'pending', queuePosition: undefined })
+
+      const shared = await shareSourceMedia(request, task.projectId)
+      const submitted = await withRetry(
+        () => step.submit({ ...shared, modelId, projectId: task.projectId, signal }),
+        { signal, onRateLimit: (ms) => generationQueue.pause(providerName, ms) }
+      )
+      const processing = await update({
+        providerTaskId: submitted.taskId,
+        provider: submitted.provider,
+        status: 'processing',
+      }, { persist: true })
+
+      // Sync-mode providers return outputs straight away
+      result = submitted.status === 'completed'
+        ? submitted
+        : await pollJob(processing, step, update, signal)
+    } finally {
+      release()
+    }
+
+    signal.throwIfAborted()
+    return storeOutputs(task, step, result)
+  }, hooks)
+}
+
+/**
+ * Run a text model call (script analysis, shot lists) as a generation
+ * It's refused past the project's spending cap like any generation, and
+ * recorded with its actual cost, priced from the tokens the provider
+ * reports. It doesn't wait in the generation queue.
+ * @param {string} type - Text step type (scriptAnalysis, shotList)
+ * @param {Object} params - Context fields (projectId, sceneId) plus request params
+ * @returns {Promise<Object>} What the model returned
+ */
+export async function runTextJob(type, params) {
+  const step = getJobStep(type)
+  const { context, request } = splitParams(params)
+  const modelId = request.modelId || getDefaultModel(step.category)?.id
+  const model = getModelById(step.category, modelId)
+  let usage = null
+
+  const task = {
+    id: uuid(),
+    ...context,
+    type,
+    modelId,
+    provider: model?.provider || 'mock',
+    ...step.describe(request),
+    estimatedCost: estimateCost(model, step.costParams(request)),
+    status: 'processing',
+    createdAt: new Date().toISOString(),
+  }
+  const settle = (changes) => persistTask({
+    ...task,
+    ...changes,
+    actualCost: usage ? estimateCost(model, usage) : null,
+    completedAt: new Date().toISOString(),
+  })
+
+  await reserveBudget(task, () => persistTask(task))
+  try {
+    const result = await step.submit({
+      ...request,
+      modelId,
+      projectId: task.projectId,
+      onUsage: (used) => { usage = used },
+    })
+    await settle({ status: 'completed' })
+    return result
+  } catch (error) {
+    await settle({ status: 'failed', error: error.message })
+    throw error
+  }
+}
+
+/**
+ * Resume polling a persisted task that was in flight when the app closed
+ * Resumed tasks are already running on the provider, so they skip the queue.
+ * Tasks the provider never accepted cannot be resumed and are marked failed.
+ * Resuming a task that's already being resumed waits on the same job.
+ * @param {Object} task - Task record from the generations store
+ * @param {Object} hooks - Same hooks as runGenerationJob
+ * @returns {Promise<Object>} The completed task
+ */
+export async function resumeGenerationJob(task, hooks = {}) {
+  if (resumed.has(task.id)) return resumed.get(task.id)
+
+  const step = getJobStep(task.type)
+  const job = settleJob(task, async (update, signal) => {
+    const active = await update({})
+    if (!active.providerTaskId) {
+      throw new Error('Generation was interrupted before the provider accepted it')
+    }
+    const result = await pollJob(active, step, update, signal)
+    signal.throwIfAborted()
+    return storeOutputs(task, step, result)
+  }, hooks).finally(() => resumed.delete(task.id))
+
+  resumed.set(task.id, job)
+  return job
+}
@@ -0,0 +1,262 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const ai = vi.hoisted(() => ({
+  aiService: {
+    analyzeScript: vi.fn(),
+    generateShotList: vi.fn(),
+    generateImage: vi.fn(),
+    editImage: vi.fn(),
+    getTaskStatus: vi.fn(),
+    pollTask: vi.fn(),
+    cancelTask: vi.fn(),
+  },
+}))
+const saved = vi.hoisted(() => new Map())
+const data = vi.hoisted(() => ({
+  dataService: {
+    saveGeneration: vi.fn(async (task) => { saved.set(task.id, task); return task }),
+    checkBudget: vi.fn(async () => {}),
+  },
+  storageService: {
+    uploadFromUrl: vi.fn(async (url) => ({ url })),
+    shareableUrl: vi.fn(async (url) => url),
+  },
+}))
+
+vi.mock('../providers', () => ai)
+vi.mock('../supabase', () => data)
+
+const {
+  runTextJob,
+  resumeGenerationJob,
+  runGenerationJob,
+  cancelGenerationJob,
+  withRetry,
+} = await import('./engine')
+const { generationQueue } = await import('./queue')
+const { totalCost } = await import('../models')
+
+const { aiService } = ai
+const { dataService } = data
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  saved.clear()
+})
+
+describe('runTextJob', () => {
+  it('records a text call with the cost of the tokens it used', async () => {
+    aiService.analyzeScript.mockImplementation(async ({ onUsage }) => {
+      onUsage({ inputTokens: 10000, outputTokens: 2000 })
+      return { scenes: [] }
+    })
+
+    const result = await runTextJob('scriptAnalysis', {
+      projectId: 'p1',
+      modelId: 'claude-sonnet-4-5',
+      script: 'x'.repeat(4000),
+    })
+
+    expect(result).toEqual({ scenes: [] })
+    expect(aiService.analyzeScript).toHaveBeenCalledWith(expect.objectContaining({
+      modelId: 'claude-sonnet-4-5',
+      projectId: 'p1',
+      script: 'x'.repeat(4000),
+    }))
+
+    const [task] = saved.values()
+    expect(task).toMatchObject({
+      type: 'scriptAnalysis',
+      projectId: 'p1',
+      provider: 'anthropic',
+      status: 'completed',
+      actualCost: 0.06,
+    })
+    // 1000 prompt tokens and max_tokens of output at $3/$15 per million
+    expect(task.estimatedCost).toBe(0.1259)
+  })
+
+  it('checks the estimate against the spending cap before calling', async () => {
+    dataService.checkBudget.mockRejectedValueOnce(new Error('past its spending cap'))
+
+    await expect(runTextJob('shotList', { projectId: 'p1', modelId: 'claude-haiku-4-5', scene: {} }))
+      .rejects.toThrow('spending cap')
+
+    expect(dataService.checkBudget).toHaveBeenCalledWith('p1', expect.any(Number))
+    expect(aiService.generateShotList).not.toHaveBeenCalled()
+    expect(saved.size).toBe(0)
+  })
+
+  it('records a failed call, with its cost if the provider reported usage', async () => {
+    aiService.generateShotList.mockImplementation(async ({ onUsage }) => {
+      onUsage({ inputTokens: 1000000, outputTokens: 0 })
+      throw new Error('Model did not return structured output')
+    })
+
+    await expect(runTextJob('shotList', { projectId: 'p1', modelId: 'claude-haiku-4-5', sceneId: 's1', scene: {} }))
+      .rejects.toThrow('structured output')
+
+    const [task] = saved.values()
+    expect(task).toMatchObject({ status: 'failed', sceneId: 's1', actualCost: 1, error: 'Model did not return structured output' })
+  })
+
+  it('leaves the actual cost empty for providers that report no usage', async () => {
+    aiService.analyzeScript.mockResolvedValue({ scenes: [] })
+
+    await runTextJob('scriptAnalysis', { projectId: 'p1', modelId: 'screenplay-parser', script: '' })
+
+    const [task] = saved.values()
+    expect(task).toMatchObject({ provider: 'mock', status: 'completed', actualCost: null, estimatedCost: 0 })
+  })
+})
+
+describe('resumeGenerationJob', () => {
+  const inFlight = {
+    id: 't1',
+    projectId: 'p1',
+    type: 'image',
+    provider: 'wavespeed',
+    providerTaskId: 'w1',
+    status: 'processing',
+  }
+
+  it('polls a resumed task once however often it is resumed', async () => {
+    let finish
+    aiService.pollTask.mockReturnValue(new Promise((resolve) => { finish = resolve }))
+
+    const first = resumeGenerationJob(inFlight)
+    const second = resumeGenerationJob(inFlight)
+    finish({ status: 'completed', outputs: ['https://cdn.example/out.png'] })
+
+    const [a, b] = await Promise.all([first, second])
+    expect(aiService.pollTask).toHaveBeenCalledTimes(1)
+    expect(a).toEqual(b)
+    expect(a).toMatchObject({ status: 'completed', outputs: ['https://cdn.example/out.png'] })
+    expect(data.storageService.uploadFromUrl).toHaveBeenCalledTimes(1)
+  })
+
+  it('can resume a task again once its last resume has settled', async () => {
+    aiService.pollTask.mockResolvedValue({ status: 'completed', outputs: [] })
+
+    await resumeGenerationJob(inFlight)
+    await resumeGenerationJob(inFlight)
+
+    expect(aiService.pollTask).toHaveBeenCalledTimes(2)
+  })
+
+  it('fails tasks the provider never accepted', async () => {
+    await expect(resumeGenerationJob({ ...inFlight, providerTaskId: undefined, status: 'pending' }))
+      .rejects.toThrow('interrupted before the provider accepted it')
+
+    expect(saved.get('t1')).toMatchObject({ status: 'failed' })
+    expect(aiService.pollTask).not.toHaveBeenCalled()
+  })
+})
+
+function rateLimited(retryAfter) {
+  return Object.assign(new Error('API error: 429'), { status: 429, retryAfter })
+}
+
+describe('withRetry', () => {
+  it('waits out a Retry-After and reports it', async () => {
+    const fn = vi.fn().mockRejectedValueOnce(rateLimited(5)).mockResolvedValue('done')
+    const onRateLimit = vi.fn()
+
+    await expect(withRetry(fn, { onRateLimit })).resolves.toBe('done')
+    expect(onRateLimit).toHaveBeenCalledWith(5)
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  it('backs off on server errors without reporting a rate limit', async () => {
+    const serverError = Object.assign(new Error('API error: 503'), { status: 503 })
+    const fn = vi.fn().mockRejectedValueOnce(serverError).mockResolvedValue('done')
+    const onRateLimit = vi.fn()
+
+    await withRetry(fn, { baseDelay: 1, onRateLimit })
+    expect(onRateLimit).not.toHaveBeenCalled()
+  })
+
+  it('gives up on errors that are not transient, and after the retries', async () => {
+    const badRequest = Object.assign(new Error('API error: 400'), { status: 400 })
+    const fn = vi.fn().mockRejectedValue(badRequest)
+    await expect(withRetry(fn)).rejects.toBe(badRequest)
+    expect(fn).toHaveBeenCalledTimes(1)
+
+    const limited = vi.fn().mockRejectedValue(rateLimited(1))
+    await expect(withRetry(limited, { retries: 2 })).rejects.toThrow('429')
+    expect(limited).toHaveBeenCalledTimes(3)
+  })
+})
+
+describe('runGenerationJob', () => {
+  const submitted = { taskId: 'w1', provider: 'wavespeed', status: 'completed', outputs: [] }
+
+  it('pauses the provider in the queue on a Retry-After', async () => {
+    const pause = vi.spyOn(generationQueue, 'pause')
+    aiService.generateImage.mockRejectedValueOnce(rateLimited(5)).mockResolvedValue(submitted)
+
+    const task = await runGenerationJob('image', { projectId: 'p1', prompt: 'A pier at night' })
+
+    expect(pause).toHaveBeenCalledWith('wavespeed', 5)
+    expect(task).toMatchObject({ status: 'completed', providerTaskId: 'w1', estimatedCost: 0.04 })
+    pause.mockRestore()
+  })
+
+  it('settles an aborted job as cancelled and asks the provider to stop it', async () => {
+    aiService.generateImage.mockResolvedValue({ ...submitted, status: 'processing' })
+    aiService.pollTask.mockImplementation((taskId, provider, { signal }) => new Promise((resolve, reject) => {
+      if (signal.aborted) reject(signal.reason)
+      signal.addEventListener('abort', () => reject(signal.reason))
+    }))
+
+    let taskId
+    const job = runGenerationJob('image', { projectId: 'p1', prompt: 'A pier at night' }, {
+      onUpdate: (task) => {
+        taskId = task.id
+        if (task.status === 'processing') cancelGenerationJob(task.id)
+      },
+    })
+
+    await expect(job).rejects.toMatchObject({ name: 'AbortError' })
+    expect(saved.get(taskId)).toMatchObject({ status: 'cancelled', providerTaskId: 'w1' })
+    expect(aiService.cancelTask).toHaveBeenCalledWith('w1', 'wavespeed')
+    expect(cancelGenerationJob(taskId)).toBe(false)
+  })
+
+  it('checks jobs started together against the cap one at a time', async () => {
+    // Each check sees the tasks saved by the checks before it
+    dataService.checkBudget.mockImplementation(async (projectId, estimate) => {
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      if (totalCost([...saved.values()]) + estimate > 0.1) throw new Error('past its spending cap')
+    })
+    aiService.generateImage.mockResolvedValue(submitted)
+
+    const results = await Promise.allSettled(
+      [1, 2, 3].map(() => runGenerationJob('image', { projectId: 'p1', prompt: 'A pier at night' }))
+    )
+
+    expect(results.map((result) => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected'])
+    expect(results[2].reason.message).toContain('spending cap')
+    expect(aiService.generateImage).toHaveBeenCalledTimes(2)
+  })
+
+  it('submits local source media as URLs the provider can fetch', async () => {
+    dataService.checkBudget.mockImplementation(async () => {})
+    data.storageService.shareableUrl.mockImplementation(async (url) =>
+      url.startsWith('local-asset:') ? `https://storage.example.com/${url.slice(12)}.png` : url
+    )
+    aiService.editImage.mockResolvedValue({ ...submitted, status: 'completed', outputs: ['https://cdn.example.com/out.png'] })
+
+    await runGenerationJob('edit', {
+      projectId: 'p1',
+      prompt: 'Make it night',
+      images: ['local-asset:a1', 'https://cdn.example.com/b.png'],
+    })
+
+    expect(aiService.editImage.mock.calls[0][0].images).toEqual([
+      'https://storage.example.com/a1.png',
+      'https://cdn.example.com/b.png',
+    ])
+    expect(data.storageService.shareableUrl).toHaveBeenCalledWith('local-asset:a1', 'p1')
+  })
+})
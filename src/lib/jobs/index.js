@@ -0,0 +1,14 @@
+export {
+  runGenerationJob,
+  runTextJob,
+  resumeGenerationJob,
+  cancelGenerationJob,
+  prioritizeGenerationJob,
+  withRetry,
+  isRetryableError,
+  persistTask,
+  cancelOnProvider,
+} from './engine'
+export { jobSteps, registerJobStep, getJobStep } from './steps'
+export { generationQueue, DEFAULT_QUEUE_LIMITS } from './queue'
+export { findAndCopyMedia, applyMediaReplacements } from './mediaRepair'
@@ -0,0 +1,60 @@
+/**
+ * Media Repair - Copy a project's provider-hosted media into project storage
+ * Projects made before outputs were stored on completion still point at
+ * provider URLs, which expire. Repair copies the ones that still load and
+ * reports the ones that are already gone.
+ */
+
+import { storageService } from '../supabase'
+import { replaceStrings, isMediaUrl } from '../utils'
+
+/**
+ * Find and copy a project's media that isn't in project storage yet
+ * @param {Object} project
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with { done, total }
+ * @returns {Promise<{ replacements: Map<string, string>, missing: string[] }>}
+ *   Stored URL for each copied URL, and the URLs that could not be copied
+ */
+export async function findAndCopyMedia(project, { signal, onProgress } = {}) {
+  const urls = new Set()
+  replaceStrings(project, (value, key) => {
+    if (/^https?:\/\//.test(value) && isMediaUrl(value, key) && !storageService.isStoredUrl(value)) {
+      urls.add(value)
+    }
+    return value
+  })
+
+  const replacements = new Map()
+  const missing = []
+  let done = 0
+  onProgress?.({ done, total: urls.size })
+
+  for (const url of urls) {
+    signal?.throwIfAborted()
+    try {
+      const stored = await storageService.mirrorUrl(url, null, project.id)
+      replacements.set(url, stored.url)
+    } catch (error) {
+      console.warn('Could not copy media into project storage:', url, error)
+      missing.push(url)
+    }
+    onProgress?.({ done: ++done, total: urls.size })
+  }
+
+  return { replacements, missing }
+}
+
+/**
+ * Apply copied media to a project
+ * @returns {Object} Updates holding only the top-level fields that changed
+ */
+export function applyMediaReplacements(project, replacements) {
+  const updates = {}
+  for (const [key, value] of Object.entries(project)) {
+    const next = replaceStrings(value, (s) => replacements.get(s) ?? s)
+    if (next !== value) updates[key] = next
+  }
+  return updates
+}
@@ -0,0 +1,172 @@
+/**
+ * Generation Queue - Concurrency limits in front of the providers
+ * Jobs wait here until their provider and category both have a free slot.
+ * Higher priority runs first, then first-come-first-served.
+ */
+
+export const DEFAULT_QUEUE_LIMITS = {
+  // Max concurrent jobs per provider
+  providers: {
+    wavespeed: 3,
+    mock: 4,
+  },
+  // Max concurrent jobs per model category
+  categories: {
+    imageGeneration: 2,
+    imageEdit: 2,
+    imageToVideo: 2,
+    frameToVideo: 2,
+    voice: 2,
+    lipsync: 1,
+  },
+}
+
+// Fallback for providers/categories with no configured limit
+const DEFAULT_LIMIT = 2
+
+export class GenerationQueue {
+  constructor() {
+    this.limits = DEFAULT_QUEUE_LIMITS
+    this.waiting = []
+    this.running = []
+    this.pausedUntil = {}
+    this.resumeTimers = {}
+    this.sequence = 0
+  }
+
+  /**
+   * Override concurrency limits (merged over the defaults)
+   */
+  configure(limits = {}) {
+    this.limits = {
+      providers: { ...DEFAULT_QUEUE_LIMITS.providers, ...limits.providers },
+      categories: { ...DEFAULT_QUEUE_LIMITS.categories, ...limits.categories },
+    }
+    this.pump()
+  }
+
+  /**
+   * Wait for a slot
+   * @param {Object} entry
+   * @param {string} entry.taskId
+   * @param {string} entry.provider
+   * @param {string} entry.category
+   * @param {number} entry.priority - Higher runs first (default 0)
+   * @param {AbortSignal} entry.signal - Removes the entry from the queue when aborted
+   * @param {Function} entry.onPosition - Called with the 1-based queue position while waiting
+   * @returns {Promise<Function>} Resolves with a release() function once the job may run
+   */
+  acquire({ taskId, provider, category, priority = 0, signal, onPosition }) {
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted()
+
+      const entry = {
+        taskId,
+        provider,
+        category,
+        priority,
+        seq: this.sequence++,
+        onPosition,
+        resolve,
+        reject,
+      }
+
+      if (signal) {
+        entry.onAbort = () => {
+          this.remove(entry)
+          reject(signal.reason)
+        }
+        entry.signal = signal
+        signal.addEventListener('abort', entry.onAbort, { once: true })
+      }
+
+      this.waiting.push(entry)
+      this.pump()
+    })
+  }
+
+  /**
+   * Move a waiting job ahead of everything else in the queue
+   * Returns false if the job isn't waiting
+   */
+  prioritize(taskId) {
+    const entry = this.waiting.find((e) => e.taskId === taskId)
+    if (!entry) {
+      return false
+    }
+
+    const top = Math.max(...this.waiting.map((e) => e.priority))
+    entry.priority = top + 1
+    this.pump()
+    return true
+  }
+
+  /**
+   * Hold back new jobs for a provider, e.g. after a 429 with Retry-After
+   */
+  pause(provider, ms) {
+    const until = Date.now() + ms
+    if ((this.pausedUntil[provider] || 0) >= until) return
+
+    this.pausedUntil[provider] = until
+    clearTimeout(this.resumeTimers[provider])
+    this.resumeTimers[provider] = setTimeout(() => {
+      delete this.pausedUntil[provider]
+      delete this.resumeTimers[provider]
+      this.pump()
+    }, ms)
+  }
+
+  /**
+   * Start every waiting job that fits within the limits
+   */
+  pump() {
+    this.waiting.sort((a, b) => b.priority - a.priority || a.seq - b.seq)
+
+    for (const entry of [...this.waiting]) {
+      if (this.hasSlot(entry)) {
+        this.start(entry)
+      }
+    }
+
+    this.waiting.forEach((entry, index) => {
+      if (entry.position === index + 1) return
+      entry.position = index + 1
+      entry.onPosition?.(entry.position)
+    })
+  }
+
+  hasSlot({ provider, category }) {
+    if (this.pausedUntil[provider] > Date.now()) {
+      return false
+    }
+
+    const providerLimit = this.limits.providers[provider] ?? DEFAULT_LIMIT
+    const categoryLimit = this.limits.categories[category] ?? DEFAULT_LIMIT
+    const providerCount = this.running.filter((e) => e.provider === provider).length
+    const categoryCount = this.running.filter((e) => e.category === category).length
+
+    return providerCount < providerLimit && categoryCount < categoryLimit
+  }
+
+  start(entry) {
+    this.waiting = this.waiting.filter((e) => e !== entry)
+    this.running.push(entry)
+    entry.signal?.removeEventListener('abort', entry.onAbort)
+
+    let released = false
+    entry.resolve(() => {
+      if (released) return
+      released = true
+      this.running = this.running.filter((e) => e !== entry)
+      this.pump()
+    })
+  }
+
+  remove(entry) {
+    this.waiting = this.waiting.filter((e) => e !== entry)
+    this.pump()
+  }
+}
+
+export const generationQueue = new GenerationQueue()
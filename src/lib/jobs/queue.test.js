@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { GenerationQueue } from './queue'
+
+let queue
+
+// Let resolved acquire() promises run their callbacks
+async function settle() {
+  for (let i = 0; i < 5; i++) await Promise.resolve()
+}
+
+// Queue a job and track whether it has started
+function enqueue(taskId, { provider = 'wavespeed', category = 'imageGeneration', ...rest } = {}) {
+  const job = { taskId, started: false, release: null, positions: [] }
+  job.promise = queue.acquire({
+    taskId,
+    provider,
+    category,
+    onPosition: (position) => job.positions.push(position),
+    ...rest,
+  }).then((release) => {
+    job.started = true
+    job.release = release
+    return release
+  })
+  return job
+}
+
+beforeEach(() => {
+  queue = new GenerationQueue()
+  queue.configure({
+    providers: { wavespeed: 2, mock: 10 },
+    categories: { imageGeneration: 10, lipsync: 1 },
+  })
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('GenerationQueue limits', () => {
+  it('runs up to the provider limit and waits for a release', async () => {
+    const jobs = ['a', 'b', 'c'].map((id) => enqueue(id))
+    await settle()
+
+    expect(jobs.map((job) => job.started)).toEqual([true, true, false])
+    expect(jobs[2].positions).toEqual([1])
+
+    jobs[0].release()
+    await settle()
+    expect(jobs[2].started).toBe(true)
+  })
+
+  it('also limits each category, across providers', async () => {
+    const first = enqueue('a', { provider: 'mock', category: 'lipsync' })
+    const second = enqueue('b', { provider: 'wavespeed', category: 'lipsync' })
+    const other = enqueue('c', { provider: 'mock', category: 'imageGeneration' })
+    await settle()
+
+    expect([first.started, second.started, other.started]).toEqual([true, false, true])
+    expect(queue.hasSlot({ provider: 'mock', category: 'lipsync' })).toBe(false)
+    expect(queue.hasSlot({ provider: 'mock', category: 'voice' })).toBe(true)
+  })
+
+  it('uses a limit of two for unconfigured providers and categories', async () => {
+    const jobs = ['a', 'b', 'c'].map((id) => enqueue(id, { provider: 'other', category: 'imageGeneration' }))
+    await settle()
+
+    expect(jobs.map((job) => job.started)).toEqual([true, true, false])
+  })
+
+  it('ignores a second release of the same slot', async () => {
+    const jobs = ['a', 'b', 'c', 'd'].map((id) => enqueue(id))
+    await settle()
+
+    jobs[0].release()
+    jobs[0].release()
+    await settle()
+    expect(jobs.map((job) => job.started)).toEqual([true, true, true, false])
+  })
+})
+
+describe('GenerationQueue ordering', () => {
+  it('starts higher priority first, then in arrival order', async () => {
+    const running = ['a', 'b'].map((id) => enqueue(id))
+    const low = enqueue('low')
+    const high = enqueue('high', { priority: 5 })
+    const later = enqueue('later')
+    await settle()
+
+    expect([low.positions.at(-1), high.positions.at(-1), later.positions.at(-1)]).toEqual([2, 1, 3])
+
+    running[0].release()
+    await settle()
+    expect([high.started, low.started, later.started]).toEqual([true, false, false])
+
+    running[1].release()
+    await settle()
+    expect([low.started, later.started]).toEqual([true, false])
+  })
+
+  it('moves a prioritized job to the front', async () => {
+    const running = ['a', 'b'].map((id) => enqueue(id))
+    const waiting = ['c', 'd', 'e'].map((id) => enqueue(id, { priority: 1 }))
+    await settle()
+
+    expect(queue.prioritize('e')).toBe(true)
+    expect(queue.prioritize('a')).toBe(false)
+    await settle()
+    expect(waiting[2].positions.at(-1)).toBe(1)
+
+    running[0].release()
+    await settle()
+    expect(waiting.map((job) => job.started)).toEqual([false, false, true])
+  })
+
+  it('drops an aborted job from the queue', async () => {
+    const controller = new AbortController()
+    ;['a', 'b'].forEach((id) => enqueue(id))
+    const aborted = enqueue('c', { signal: controller.signal })
+    const next = enqueue('d')
+    await settle()
+
+    controller.abort()
+    await expect(aborted.promise).rejects.toThrow()
+    await settle()
+    expect(next.positions.at(-1)).toBe(1)
+  })
+})
+
+describe('GenerationQueue pause', () => {
+  it('holds back a paused provider until its Retry-After passes', async () => {
+    vi.useFakeTimers()
+    queue.pause('wavespeed', 1000)
+
+    const paused = enqueue('a')
+    const other = enqueue('b', { provider: 'mock' })
+    await settle()
+    expect([paused.started, other.started]).toEqual([false, true])
+
+    await vi.advanceTimersByTimeAsync(999)
+    expect(paused.started).toBe(false)
+
+    await vi.advanceTimersByTimeAsync(1)
+    await settle()
+    expect(paused.started).toBe(true)
+  })
+
+  it('keeps the longer of two pauses', async () => {
+    vi.useFakeTimers()
+    queue.pause('wavespeed', 5000)
+    queue.pause('wavespeed', 1000)
+
+    const job = enqueue('a')
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(job.started).toBe(false)
+
+    await vi.advanceTimersByTimeAsync(4000)
+    await settle()
+    expect(job.started).toBe(true)
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Job Steps - Per-media-type hooks for the generation job engine
+ * Adding a new media type = just register a step here
+ *
+ * Each step defines:
+ *   category     - modelRegistry category used to resolve the default model
+ *   bucket       - storage bucket completed outputs are copied into
+ *   describe     - picks the request fields recorded on the task (prompt, text...)
+ *   submit       - starts the generation and returns { taskId, provider, status, outputs? }
+ *   statusMethod - provider method used to poll (defaults to getTaskStatus)
+ *   poll         - polling options passed to aiService.pollTask
+ *   costParams   - picks the request's pricing params (defaults to costParams in lib/models)
+ *
+ * Text steps (category textGeneration) run with runTextJob: submit
+ * resolves with what the model returned, and there's nothing to poll or store.
+ */
+
+import { aiService } from '../providers'
+import { estimateTokens } from '../models'
+
+export const jobSteps = {
+  image: {
+    category: 'imageGeneration',
+    bucket: 'images',
+    describe: ({ prompt }) => ({ prompt }),
+    submit: (request) => aiService.generateImage(request),
+  },
+
+  video: {
+    category: 'imageToVideo',
+    bucket: 'videos',
+    poll: { interval: 3000, maxAttempts: 120 },
+    describe: ({ prompt }) => ({ prompt }),
+    submit: (request) => aiService.generateVideo(request),
+  },
+
+  voice: {
+    category: 'voice',
+    bucket: 'audio',
+    describe: ({ text }) => ({ text }),
+    submit: (request) => aiService.generateVoice(request),
+  },
+
+  lipsync: {
+    category: 'lipsync',
+    bucket: 'videos',
+    poll: { interval: 3000, maxAttempts: 120 },
+    describe: () => ({}),
+    submit: (request) => aiService.generateLipsync(request),
+  },
+
+  edit: {
+    category: 'imageEdit',
+    bucket: 'images',
+    statusMethod: 'getProxyTaskStatus',
+    poll: { interval: 2000, maxAttempts: 120 },
+    describe: ({ prompt }) => ({ prompt }),
+    submit: (request) => aiService.editImage(request),
+  },
+
+  frameVideo: {
+    category: 'frameToVideo',
+    bucket: 'videos',
+    statusMethod: 'getProxyTaskStatus',
+    poll: { interval: 3000, maxAttempts: 180 },
+    describe: ({ prompt }) => ({ prompt }),
+    submit: (request) => aiService.generateFrameVideo(request),
+  },
+
+  // Output tokens are priced at the provider's max_tokens for the call
+  scriptAnalysis: {
+    category: 'textGeneration',
+    describe: () => ({}),
+    costParams: ({ script }) => ({ inputTokens: estimateTokens(script), outputTokens: 8192 }),
+    submit: (request) => aiService.analyzeScript(request),
+  },
+
+  shotList: {
+    category: 'textGeneration',
+    describe: () => ({}),
+    costParams: ({ scene }) => ({ inputTokens: estimateTokens(JSON.stringify(scene)), outputTokens: 4096 }),
+    submit: (request) => aiService.generateShotList(request),
+  },
+}
+
+/**
+ * Register (or replace) the step for a media type
+ */
+export function registerJobStep(type, step) {
+  jobSteps[type] = step
+}
+
+/**
+ * Get the step for a media type
+ */
+export function getJobStep(type) {
+  const step = jobSteps[type]
+  if (!step) {
+    throw new Error(`Unknown generation type: ${type}`)
+  }
+  return step
+}
@@ -1,2 +1,3 @@
 export * from './registry'
 export * from './schemas'
+export * from './pricing'
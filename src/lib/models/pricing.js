@@ -0,0 +1,112 @@
+/**
+ * Pricing - What generations cost, from the registry's pricing entries
+ * Also imported by the server functions in api/, so it has no imports.
+ */
+
+// Seconds billed when a per-second request doesn't say how long
+const DEFAULT_DURATION = 5
+
+// Statuses of generations the provider is still working on
+const ACTIVE_STATUSES = ['pending', 'processing']
+
+// Rough size of a token in English text, for estimates before a call
+const CHARS_PER_TOKEN = 4
+
+function round(amount) {
+  return Math.round(amount * 10000) / 10000
+}
+
+function rateFor(pricing, resolution) {
+  const key = resolution && Object.keys(pricing.resolutions || {})
+    .find((r) => r.toLowerCase() === String(resolution).toLowerCase())
+  return key ? pricing.resolutions[key] : pricing.rate
+}
+
+/**
+ * Pick the request fields pricing depends on
+ * @param {Object} request - Generation request params
+ * @returns {{ resolution?: string, duration?: number, chars?: number }}
+ */
+export function costParams(request = {}) {
+  return {
+    ...(request.resolution && { resolution: request.resolution }),
+    ...(request.duration && { duration: Number(request.duration) }),
+    ...(request.text && { chars: request.text.length }),
+  }
+}
+
+/**
+ * Rough token count of text, for estimating 'mtok' costs before a call
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Cost of a generation in USD
+ * @param {Object} model - Registry entry
+ * @param {Object} params - From costParams, plus inputTokens/outputTokens for 'mtok'
+ * @returns {number|null} null when the model has no price for it
+ */
+export function estimateCost(model, params = {}) {
+  const pricing = model?.pricing
+  if (!pricing) return null
+
+  const rate = rateFor(pricing, params.resolution)
+  switch (pricing.unit) {
+    case 'run':
+    case 'image':
+      return round(rate)
+    case 'second':
+      return round(rate * (params.duration || DEFAULT_DURATION))
+    case 'kchars':
+      return round(rate * Math.max(1, Math.ceil((params.chars || 0) / 1000)))
+    case 'mtok':
+      if (params.inputTokens === undefined) return null
+      return round((params.inputTokens * pricing.input + (params.outputTokens || 0) * pricing.output) / 1e6)
+    default:
+      return null
+  }
+}
+
+// Whether the provider is working on, or has done, the generation
+function isBillable({ status, providerTaskId }) {
+  return ACTIVE_STATUSES.includes(status) ||
+    status === 'completed' ||
+    (status === 'cancelled' && !!providerTaskId)
+}
+
+/**
+ * What a generation record counts against the budget
+ * Its actual cost when the provider reported what it used; otherwise its
+ * estimate while running, once completed, or once cancelled after the
+ * provider accepted it (it may still bill). Failed ones and ones cancelled
+ * before they were accepted cost nothing.
+ */
+export function generationCost(generation) {
+  if (generation.actualCost != null) return generation.actualCost
+  return isBillable(generation) ? generation.estimatedCost || 0 : 0
+}
+
+/**
+ * Whether a generation's cost is an estimate rather than what it used
+ */
+export function isEstimatedCost(generation) {
+  return generation.actualCost == null && generationCost(generation) > 0
+}
+
+/**
+ * Total cost of generation records
+ */
+export function totalCost(generations) {
+  return round(generations.reduce((sum, generation) => sum + generationCost(generation), 0))
+}
+
+/**
+ * Format a USD amount, keeping cents-and-below precision for small amounts
+ */
+export function formatCost(amount) {
+  if (amount == null) return '—'
+  const digits = amount !== 0 && Math.abs(amount) < 1 ? 3 : 2
+  return `$${amount.toFixed(digits)}`
+}
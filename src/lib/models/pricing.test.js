@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { estimateCost, generationCost, isEstimatedCost, totalCost } from './pricing'
+
+const claude = { pricing: { unit: 'mtok', input: 3, output: 15 } }
+
+describe('estimateCost', () => {
+  it('prices text models by the tokens used', () => {
+    expect(estimateCost(claude, { inputTokens: 10000, outputTokens: 2000 })).toBe(0.06)
+  })
+
+  it('has no price for a text call without token counts', () => {
+    expect(estimateCost(claude, {})).toBeNull()
+  })
+
+  it('prices per-second models by duration, with a default', () => {
+    const video = { pricing: { unit: 'second', rate: 0.1, resolutions: { '1080p': 0.2 } } }
+    expect(estimateCost(video, { duration: 10 })).toBe(1)
+    expect(estimateCost(video, { resolution: '1080P' })).toBe(1)
+  })
+})
+
+describe('generationCost', () => {
+  it('counts the actual cost when the provider reported one', () => {
+    const generation = { status: 'completed', estimatedCost: 0.5, actualCost: 0.2 }
+    expect(generationCost(generation)).toBe(0.2)
+    expect(isEstimatedCost(generation)).toBe(false)
+  })
+
+  it('counts the estimate for running and completed generations without one', () => {
+    expect(generationCost({ status: 'processing', estimatedCost: 0.5 })).toBe(0.5)
+    expect(generationCost({ status: 'completed', estimatedCost: 0.5 })).toBe(0.5)
+    expect(isEstimatedCost({ status: 'completed', estimatedCost: 0.5 })).toBe(true)
+  })
+
+  it('counts cancelled generations only once the provider accepted them', () => {
+    expect(generationCost({ status: 'cancelled', estimatedCost: 0.5, providerTaskId: 't1' })).toBe(0.5)
+    expect(generationCost({ status: 'cancelled', estimatedCost: 0.5 })).toBe(0)
+  })
+
+  it('counts nothing for failed generations', () => {
+    expect(generationCost({ status: 'failed', estimatedCost: 0.5 })).toBe(0)
+    expect(isEstimatedCost({ status: 'failed', estimatedCost: 0.5 })).toBe(false)
+  })
+
+  it('totals generation costs', () => {
+    expect(totalCost([
+      { status: 'completed', estimatedCost: 0.1 },
+      { status: 'completed', estimatedCost: 0.5, actualCost: 0.25 },
+      { status: 'failed', estimatedCost: 1 },
+    ])).toBe(0.35)
+  })
+})
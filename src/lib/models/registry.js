@@ -2,6 +2,11 @@
  * Model Registry - Config-driven model definitions
  * Adding a new model = just add an entry here
  * UI dropdowns automatically populate from this registry
+ *
+ * pricing is the provider's list price in USD (see pricing.js):
+ *   unit        - 'image', 'second' (of output), 'kchars' (of text), 'mtok', 'run'
+ *   rate        - price per unit
+ *   resolutions - rates that replace it at other resolutions
  */
 
 export const modelRegistry = {
@@ -11,6 +16,7 @@ export const modelRegistry = {
       name: 'Seedream 4.5',
       provider: 'wavespeed',
       endpoint: 'bytedance/seedream-v4.5',
+      pricing: { unit: 'image', rate: 0.04 },
       default: true,
       description: 'High-quality 4K cinematic stills',
     },
@@ -19,6 +25,7 @@ export const modelRegistry = {
       name: 'Flux Dev',
       provider: 'wavespeed',
       endpoint: 'black-forest-labs/flux-dev',
+      pricing: { unit: 'image', rate: 0.025 },
       description: 'Fast, high-quality image generation',
     },
     {
@@ -26,6 +33,7 @@ export const modelRegistry = {
       name: 'WAN 2.6',
       provider: 'wavespeed',
       endpoint: 'alibaba/wan-2.6/text-to-image',
+      pricing: { unit: 'image', rate: 0.03 },
       description: 'Different aesthetic style',
     },
     {
@@ -33,6 +41,7 @@ export const modelRegistry = {
       name: 'Kling Image',
       provider: 'wavespeed',
       endpoint: 'kwaivgi/kling-image-o3/text-to-image',
+      pricing: { unit: 'image', rate: 0.028 },
       description: 'Optimized for cinematic frames',
     },
   ],
@@ -43,6 +52,7 @@ export const modelRegistry = {
       name: 'Kling Pro I2V',
       provider: 'wavespeed',
       endpoint: 'kwaivgi/kling-video-o3-pro/image-to-video',
+      pricing: { unit: 'second', rate: 0.112 },
       default: true,
       description: 'Best quality image-to-video',
     },
@@ -51,6 +61,7 @@ export const modelRegistry = {
       name: 'WAN 2.6 I2V',
       provider: 'wavespeed',
       endpoint: 'alibaba/wan-2.6/image-to-video-pro',
+      pricing: { unit: 'second', rate: 0.1, resolutions: { '1080p': 0.15 } },
       description: 'Alternative style I2V',
     },
     {
@@ -58,6 +69,7 @@ export const modelRegistry = {
       name: 'Sora 2 I2V',
       provider: 'wavespeed',
       endpoint: 'openai/sora-2/image-to-video-pro',
+      pricing: { unit: 'second', rate: 0.3, resolutions: { '1080p': 0.5 } },
       description: 'Includes audio generation',
     },
     {
@@ -65,27 +77,81 @@ export const modelRegistry = {
       name: 'Vidu Q3 I2V',
       provider: 'wavespeed',
       endpoint: 'vidu/q3/image-to-video-pro',
+      pricing: { unit: 'second', rate: 0.07, resolutions: { '1080p': 0.1 } },
       description: 'Fast video generation',
     },
   ],
 
+  imageEdit: [
+    {
+      id: 'nano-banana-pro-edit',
+      name: 'Nano Banana Pro Edit',
+      provider: 'wavespeed',
+      endpoint: 'google/nano-banana-pro/edit',
+      pricing: { unit: 'image', rate: 0.14, resolutions: { '4k': 0.24 } },
+      default: true,
+      description: 'Edit and combine reference images',
+    },
+  ],
+
+  frameToVideo: [
+    {
+      id: 'seedance-1.5-pro',
+      name: 'Seedance 1.5 Pro',
+      provider: 'wavespeed',
+      endpoint: 'bytedance/seedance-v1.5-pro/image-to-video-spicy',
+      pricing: { unit: 'second', rate: 0.052 },
+      default: true,
+      description: 'Frame-to-video with optional audio',
+    },
+  ],
+
   voice: [
     {
       id: 'gemini-tts',
       name: 'Gemini TTS',
       provider: 'wavespeed',
       endpoint: 'google/gemini-2.5-flash/text-to-speech',
+      pricing: { unit: 'kchars', rate: 0.01 },
       default: true,
       description: '30+ voices, 24 languages',
     },
   ],
 
+  textGeneration: [
+    {
+      id: 'claude-sonnet-4-5',
+      name: 'Claude Sonnet 4.5',
+      provider: 'anthropic',
+      endpoint: 'claude-sonnet-4-5',
+      pricing: { unit: 'mtok', input: 3, output: 15 },
+      default: true,
+      description: 'Script analysis and shot lists',
+    },
+    {
+      id: 'claude-haiku-4-5',
+      name: 'Claude Haiku 4.5',
+      provider: 'anthropic',
+      endpoint: 'claude-haiku-4-5',
+      pricing: { unit: 'mtok', input: 1, output: 5 },
+      description: 'Faster, cheaper analysis',
+    },
+    {
+      id: 'screenplay-parser',
+      name: 'Built-in Parser',
+      provider: 'mock',
+      pricing: { unit: 'run', rate: 0 },
+      description: 'Offline, rule-based; template shot lists',
+    },
+  ],
+
   lipsync: [
     {
       id: 'longcat',
       name: 'Longcat Avatar',
       provider: 'wavespeed',
       endpoint: 'wavespeed-ai/longcat-avatar',
+      pricing: { unit: 'second', rate: 0.15 },
       default: true,
       description: 'Realistic lipsync',
     },
@@ -94,6 +160,7 @@ export const modelRegistry = {
       name: 'InfiniteTalk',
       provider: 'wavespeed',
       endpoint: 'wavespeed-ai/infinitetalk',
+      pricing: { unit: 'second', rate: 0.03, resolutions: { '720p': 0.06 } },
       description: 'Different lipsync style',
     },
   ],
@@ -0,0 +1,8 @@
+export {
+  PACKAGE_FORMAT,
+  PACKAGE_SCHEMA_VERSION,
+  PACKAGE_EXTENSION,
+  exportProjectPackage,
+  importProjectPackage,
+} from './projectPackage'
+export { createZip, readZip } from './zip'
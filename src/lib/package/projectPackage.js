@@ -0,0 +1,216 @@
+/**
+ * Project package - Single-file (.studio) project export and import
+ *
+ * A package is a zip containing:
+ *   manifest.json  - format, schema version, asset list
+ *   project.json   - the project with media URLs replaced by asset refs
+ *   assets.json    - the project's asset records (same replacement)
+ *   assets/...     - every referenced image, video, audio and PLY file
+ *
+ * Import gives every record new IDs, so a package never collides with the
+ * rows it was exported from, makes the importer its owner, uploads the
+ * media through storageService (Supabase Storage, or IndexedDB blobs when
+ * running locally), then saves through dataService.
+ */
+
+import { v4 as uuid } from 'uuid'
+import { dataService, storageService } from '../supabase'
+import { createZip, readZip } from './zip'
+import { isMediaUrl, replaceStrings } from '../utils'
+
+export const PACKAGE_FORMAT = 'ai-native-studio-project'
+export const PACKAGE_SCHEMA_VERSION = 1
+export const PACKAGE_EXTENSION = 'studio'
+
+const ASSET_REF = 'studio-asset:'
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+}
+
+/**
+ * Asset kind (storage bucket) for a file
+ */
+function assetKind(mimeType, url) {
+  if (/\.(ply|splat)(\?|#|$)/i.test(url) || mimeType === 'application/ply') return 'ply'
+  if (mimeType.startsWith('video/')) return 'videos'
+  if (mimeType.startsWith('audio/')) return 'audio'
+  return 'images'
+}
+
+function extensionFor(mimeType, url) {
+  if (!url.startsWith('data:') && !url.startsWith('blob:')) {
+    const match = url.split(/[?#]/)[0].match(/\.(\w{2,5})$/)
+    if (match) return match[1].toLowerCase()
+  }
+  return EXTENSIONS[mimeType] || (assetKind(mimeType, url) === 'ply' ? 'ply' : 'bin')
+}
+
+/**
+ * Export a project as a .studio package
+ * Media that can't be fetched (expired or blocked by CORS) keeps its
+ * original URL and is listed under manifest.missing.
+ * @param {Object} listedProject - A project or project list entry
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { done, total } as media is fetched
+ * @returns {Promise<Blob>}
+ */
+export async function exportProjectPackage(listedProject, { onProgress } = {}) {
+  // Project lists don't carry the scene tree, so package the saved project
+  const project = (await dataService.getProject(listedProject.id)) || listedProject
+  const records = await dataService.getAssetsByProject(project.id).catch(() => [])
+
+  // Collect every distinct media URL
+  const urls = new Set()
+  replaceStrings({ project, records }, (value, key) => {
+    if (isMediaUrl(value, key)) urls.add(value)
+    return value
+  })
+
+  const files = []
+  const manifestAssets = []
+  const missing = []
+  const refs = new Map()
+  let done = 0
+  onProgress?.({ done, total: urls.size })
+
+  for (const url of urls) {
+    try {
+      const response = await fetch(url)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      const blob = await response.blob()
+      const mimeType = blob.type || 'application/octet-stream'
+      const path = `assets/${manifestAssets.length + 1}.${extensionFor(mimeType, url)}`
+
+      files.push({ path, data: blob })
+      manifestAssets.push({
+        path,
+        mimeType,
+        size: blob.size,
+        kind: assetKind(mimeType, url),
+        // Inline data is already in the package; keep remote origins for reference
+        ...(/^https?:/.test(url) && { sourceUrl: url }),
+      })
+      refs.set(url, `${ASSET_REF}${path}`)
+    } catch (error) {
+      console.warn('Could not package asset, keeping its URL:', error)
+      if (!url.startsWith('blob:')) missing.push(url.startsWith('data:') ? url.slice(0, 64) : url)
+    }
+    onProgress?.({ done: ++done, total: urls.size })
+  }
+
+  const withRefs = (value) => replaceStrings(value, (s) => refs.get(s) ?? s)
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    schemaVersion: PACKAGE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: { id: project.id, name: project.name },
+    assets: manifestAssets,
+    missing,
+  }
+
+  return createZip([
+    { path: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+    { path: 'project.json', data: JSON.stringify(withRefs(project)) },
+    { path: 'assets.json', data: JSON.stringify(withRefs(records)) },
+    ...files,
+  ])
+}
+
+/**
+ * Give every id in the project (and the records pointing at it) a fresh value
+ * References are plain strings equal to an id, so they are swapped wherever
+ * they appear.
+ */
+function remapIds(project, records) {
+  const ids = new Map()
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect)
+    } else if (value && typeof value === 'object') {
+      if (typeof value.id === 'string') ids.set(value.id, uuid())
+      Object.values(value).forEach(collect)
+    }
+  }
+  collect(project)
+  collect(records)
+
+  const swap = (value) => replaceStrings(value, (s) => ids.get(s) ?? s)
+  return { project: swap(project), records: swap(records) }
+}
+
+/**
+ * Import a .studio package
+ * @param {Blob} file
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { done, total } as media is stored
+ * @returns {Promise<{ project: Object, missing: string[] }>} The saved project
+ */
+export async function importProjectPackage(file, { onProgress } = {}) {
+  const entries = await readZip(file)
+  const read = async (path) => {
+    const entry = entries.get(path)
+    if (!entry) throw new Error(`Package is missing ${path}`)
+    return JSON.parse(await entry.text())
+  }
+
+  const manifest = await read('manifest.json')
+  if (manifest.format !== PACKAGE_FORMAT) {
+    throw new Error('Not an AI Native Studio project package')
+  }
+  if (manifest.schemaVersion > PACKAGE_SCHEMA_VERSION) {
+    throw new Error('This package was made by a newer version of the app')
+  }
+
+  const packaged = await read('project.json')
+  const packagedRecords = entries.has('assets.json') ? await read('assets.json') : []
+
+  let { project, records } = remapIds(packaged, packagedRecords)
+  // The importer owns the copy; it isn't shared until they share it
+  project = { ...project, ownerId: undefined, workspaceId: null }
+
+  const existing = await dataService.getProject(packaged.id).catch(() => null)
+  if (existing) {
+    project.name = `${project.name} (Imported)`
+  }
+
+  // Store each file and point its refs at the stored URL
+  const urls = new Map()
+  let done = 0
+  onProgress?.({ done, total: manifest.assets.length })
+
+  for (const asset of manifest.assets) {
+    const blob = await entries.get(asset.path)?.blob()
+    if (blob) {
+      const name = asset.path.split('/').pop()
+      const stored = await storageService.uploadFile(
+        new File([blob], name, { type: asset.mimeType }),
+        asset.kind,
+        project.id
+      )
+      urls.set(`${ASSET_REF}${asset.path}`, stored.url)
+    }
+    onProgress?.({ done: ++done, total: manifest.assets.length })
+  }
+
+  const withUrls = (value) => replaceStrings(value, (s) => urls.get(s) ?? s)
+  const now = new Date().toISOString()
+  project = { ...withUrls(project), updatedAt: now }
+
+  await dataService.createProject(project)
+  for (const record of withUrls(records)) {
+    await dataService.saveAsset({ ...record, projectId: project.id })
+  }
+
+  return { project, missing: manifest.missing || [] }
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const stored = vi.hoisted(() => ({ projects: new Map(), assets: [], created: [], uploads: [] }))
+
+vi.mock('../supabase', () => ({
+  dataService: {
+    getProject: async (id) => stored.projects.get(id) ?? null,
+    getAssetsByProject: async (projectId) => stored.assets.filter((a) => a.projectId === projectId),
+    createProject: async (project) => { stored.created.push(project); return project },
+    saveAsset: async (asset) => { stored.assets.push(asset); return asset },
+  },
+  storageService: {
+    uploadFile: async (file, kind, projectId) => {
+      stored.uploads.push({ name: file.name, type: file.type, kind, projectId, text: await file.text() })
+      return { url: `https://storage.example/${projectId}/${kind}/${file.name}` }
+    },
+  },
+}))
+
+const { exportProjectPackage, importProjectPackage } = await import('./projectPackage')
+const { readZip } = await import('./zip')
+
+const MEDIA = {
+  'https://cdn.example/sarah.png': new Blob(['sarah'], { type: 'image/png' }),
+  'https://cdn.example/take.mp4': new Blob(['take'], { type: 'video/mp4' }),
+}
+const EXPIRED = 'https://cdn.example/expired.png'
+
+const project = {
+  id: 'p1',
+  name: 'Night Pier',
+  ownerId: 'user-1',
+  workspaceId: 'w1',
+  characters: [{ id: 'c1', name: 'Sarah', referenceImages: ['https://cdn.example/sarah.png'] }],
+  scenes: [{
+    id: 's1',
+    characterIds: ['c1'],
+    shots: [{
+      id: 'sh1',
+      keyframes: [
+        { id: 'k1', url: 'data:image/png;base64,aGVsbG8=' },
+        { id: 'k2', url: EXPIRED },
+      ],
+      selectedKeyframeId: 'k1',
+      videos: [{ id: 'v1', url: 'https://cdn.example/take.mp4' }],
+    }],
+  }],
+}
+const asset = { id: 'a1', projectId: 'p1', name: 'Sarah turnaround', url: 'https://cdn.example/sarah.png' }
+
+beforeEach(() => {
+  stored.projects = new Map([['p1', project]])
+  stored.assets = [asset]
+  stored.created = []
+  stored.uploads = []
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+  vi.stubGlobal('fetch', async (url) => {
+    if (url.startsWith('data:')) return new Response(new Blob(['hello'], { type: 'image/png' }))
+    return MEDIA[url] ? new Response(MEDIA[url]) : new Response('gone', { status: 404 })
+  })
+})
+
+describe('project packages', () => {
+  it('packages media once each, with refs in place of URLs', async () => {
+    const entries = await readZip(await exportProjectPackage({ id: 'p1' }))
+    const manifest = JSON.parse(await entries.get('manifest.json').text())
+    const packaged = await entries.get('project.json').text()
+
+    expect(manifest.assets.map((a) => [a.path, a.kind])).toEqual([
+      ['assets/1.png', 'images'],
+      ['assets/2.png', 'images'],
+      ['assets/3.mp4', 'videos'],
+    ])
+    expect(manifest.missing).toEqual([EXPIRED])
+    expect(packaged).not.toContain('https://cdn.example/sarah.png')
+    expect(packaged).toContain('studio-asset:assets/1.png')
+    expect(packaged).toContain(EXPIRED)
+  })
+
+  it('re-imports a package with new IDs, restored media and the importer as owner', async () => {
+    const file = await exportProjectPackage({ id: 'p1' })
+    const { project: imported, missing } = await importProjectPackage(file)
+
+    expect(missing).toEqual([EXPIRED])
+    expect(stored.created).toEqual([imported])
+
+    // Every id is new, and references follow their records
+    const [scene] = imported.scenes
+    const [shot] = scene.shots
+    expect(imported.id).not.toBe('p1')
+    expect([imported.characters[0].id, scene.id, shot.id, shot.keyframes[0].id]).not.toContain('c1')
+    expect(scene.characterIds).toEqual([imported.characters[0].id])
+    expect(shot.selectedKeyframeId).toBe(shot.keyframes[0].id)
+
+    // Media refs point at the stored copies; unpackaged media keeps its URL
+    const storedUrl = (kind, name) => `https://storage.example/${imported.id}/${kind}/${name}`
+    expect(imported.characters[0].referenceImages).toEqual([storedUrl('images', '1.png')])
+    expect(shot.keyframes.map((k) => k.url)).toEqual([storedUrl('images', '2.png'), EXPIRED])
+    expect(shot.videos[0].url).toBe(storedUrl('videos', '3.mp4'))
+    expect(stored.uploads.map((u) => [u.name, u.type, u.text])).toEqual([
+      ['1.png', 'image/png', 'sarah'],
+      ['2.png', 'image/png', 'hello'],
+      ['3.mp4', 'video/mp4', 'take'],
+    ])
+
+    expect(imported).toMatchObject({ ownerId: undefined, workspaceId: null, name: 'Night Pier (Imported)' })
+
+    const importedAsset = stored.assets.at(-1)
+    expect(importedAsset).toMatchObject({ projectId: imported.id, url: storedUrl('images', '1.png') })
+    expect(importedAsset.id).not.toBe('a1')
+  })
+
+  it('keeps the name when the original project is not on this device', async () => {
+    const file = await exportProjectPackage({ id: 'p1' })
+    stored.projects.clear()
+
+    const { project: imported } = await importProjectPackage(file)
+    expect(imported.name).toBe('Night Pier')
+  })
+
+  it('refuses other zips and packages from newer versions', async () => {
+    const { createZip } = await import('./zip')
+    const other = await createZip([{ path: 'manifest.json', data: '{"format":"something-else"}' }])
+    await expect(importProjectPackage(other)).rejects.toThrow('Not an AI Native Studio project package')
+
+    const newer = await createZip([
+      { path: 'manifest.json', data: '{"format":"ai-native-studio-project","schemaVersion":99}' },
+    ])
+    await expect(importProjectPackage(newer)).rejects.toThrow('newer version')
+  })
+})
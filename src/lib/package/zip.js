@@ -0,0 +1,184 @@
+/**
+ * Zip - Minimal reader/writer for project packages
+ * Writes uncompressed (stored) entries, since packaged media is already
+ * compressed. Reads stored and deflated entries so archives re-zipped by
+ * other tools still import. No ZIP64: archives are limited to 4 GB.
+ */
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+const LOCAL_HEADER = 0x04034b50
+const CENTRAL_HEADER = 0x02014b50
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const UTF8_FLAG = 0x0800
+const MAX_SIZE = 0xffffffff
+
+let crcTable = null
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * MS-DOS date/time fields for a Date
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+/**
+ * Build a zip archive
+ * @param {{ path: string, data: Blob | string | Uint8Array }[]} entries
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(entries) {
+  const parts = []
+  const central = []
+  const { time, date } = dosDateTime(new Date())
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path)
+    const data = typeof entry.data === 'string'
+      ? encoder.encode(entry.data)
+      : entry.data instanceof Uint8Array
+        ? entry.data
+        : new Uint8Array(await entry.data.arrayBuffer())
+    const crc = crc32(data)
+
+    if (offset + data.length > MAX_SIZE) {
+      throw new Error('Package is too large (over 4 GB)')
+    }
+
+    const header = new DataView(new ArrayBuffer(30))
+    header.setUint32(0, LOCAL_HEADER, true)
+    header.setUint16(4, 20, true) // version needed
+    header.setUint16(6, UTF8_FLAG, true)
+    header.setUint16(8, 0, true) // stored
+    header.setUint16(10, time, true)
+    header.setUint16(12, date, true)
+    header.setUint32(14, crc, true)
+    header.setUint32(18, data.length, true)
+    header.setUint32(22, data.length, true)
+    header.setUint16(26, name.length, true)
+    header.setUint16(28, 0, true)
+
+    const record = new DataView(new ArrayBuffer(46))
+    record.setUint32(0, CENTRAL_HEADER, true)
+    record.setUint16(4, 20, true) // version made by
+    record.setUint16(6, 20, true) // version needed
+    record.setUint16(8, UTF8_FLAG, true)
+    record.setUint16(10, 0, true)
+    record.setUint16(12, time, true)
+    record.setUint16(14, date, true)
+    record.setUint32(16, crc, true)
+    record.setUint32(20, data.length, true)
+    record.setUint32(24, data.length, true)
+    record.setUint16(28, name.length, true)
+    record.setUint32(42, offset, true)
+
+    parts.push(header, name, data)
+    central.push(record, name)
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true)
+  end.setUint16(8, entries.length, true)
+  end.setUint16(10, entries.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
+
+async function inflate(blob) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed zip entries')
+  }
+  const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Response(stream).blob()
+}
+
+/**
+ * Read a zip archive's entries
+ * Entry data is read lazily from the archive blob.
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, { blob: () => Promise<Blob>, text: () => Promise<string> }>>}
+ */
+export async function readZip(blob) {
+  // The end record sits in the last 22 bytes plus an optional comment
+  const tailStart = Math.max(0, blob.size - 65557)
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer())
+  let endOffset = -1
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive')
+  }
+
+  const count = tail.getUint16(endOffset + 10, true)
+  const centralSize = tail.getUint32(endOffset + 12, true)
+  const centralOffset = tail.getUint32(endOffset + 16, true)
+  const directory = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer())
+  const entries = new Map()
+  let position = 0
+
+  for (let i = 0; i < count; i++) {
+    if (directory.getUint32(position, true) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip directory')
+    }
+
+    const method = directory.getUint16(position + 10, true)
+    const compressedSize = directory.getUint32(position + 20, true)
+    const nameLength = directory.getUint16(position + 28, true)
+    const extraLength = directory.getUint16(position + 30, true)
+    const commentLength = directory.getUint16(position + 32, true)
+    const localOffset = directory.getUint32(position + 42, true)
+    const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength))
+    position += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+
+    const read = async () => {
+      const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer())
+      const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true)
+      const data = blob.slice(dataStart, dataStart + compressedSize)
+
+      if (method === 0) return data
+      if (method === 8) return inflate(data)
+      throw new Error(`Unsupported compression in ${name}`)
+    }
+
+    entries.set(name, {
+      blob: read,
+      text: async () => (await read()).text(),
+    })
+  }
+
+  return entries
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { createZip, readZip } from './zip'
+
+// Written by Python's zipfile: notes/hello.txt deflated, plus a directory entry
+const DEFLATED_ZIP = 'UEsDBBQAAAAIAHhCU10v+vhICwAAAHgAAAAPAAAAbm90ZXMvaGVsbG8udHh0y0jNyclXyKA7CQBQSwMEFAAAAAgAeEJTXQAAAAACAAAAAAAAAAQAAABkaXIvAwBQSwECFAMUAAAACAB4QlNdL/r4SAsAAAB4AAAADwAAAAAAAAAAAAAAgAEAAAAAbm90ZXMvaGVsbG8udHh0UEsBAhQDFAAAAAgAeEJTXQAAAAACAAAAAAAAAAQAAAAAAAAAAAAQAP1BOAAAAGRpci9QSwUGAAAAAAIAAgBvAAAAXAAAAAAA'
+
+describe('zip', () => {
+  it('round-trips text and binary entries', async () => {
+    const bytes = new Uint8Array([0, 1, 2, 253, 254, 255])
+    const zip = await createZip([
+      { path: 'manifest.json', data: '{"name":"Café"}' },
+      { path: 'assets/1.bin', data: new Blob([bytes]) },
+    ])
+
+    expect(zip.type).toBe('application/zip')
+    const entries = await readZip(zip)
+    expect([...entries.keys()]).toEqual(['manifest.json', 'assets/1.bin'])
+    expect(await entries.get('manifest.json').text()).toBe('{"name":"Café"}')
+    expect(new Uint8Array(await (await entries.get('assets/1.bin').blob()).arrayBuffer())).toEqual(bytes)
+  })
+
+  it('writes the CRC-32 of each entry', async () => {
+    const zip = await createZip([{ path: 'a.txt', data: 'The quick brown fox jumps over the lazy dog' }])
+    const header = new DataView(await zip.slice(0, 30).arrayBuffer())
+
+    expect(header.getUint32(0, true)).toBe(0x04034b50)
+    expect(header.getUint32(14, true)).toBe(0x414fa339)
+  })
+
+  it('reads deflated entries from other tools and skips directories', async () => {
+    const bytes = Uint8Array.from(atob(DEFLATED_ZIP), (c) => c.charCodeAt(0))
+    const entries = await readZip(new Blob([bytes]))
+
+    expect([...entries.keys()]).toEqual(['notes/hello.txt'])
+    expect(await entries.get('notes/hello.txt').text()).toBe('hello '.repeat(20))
+  })
+
+  it('rejects files that are not zip archives', async () => {
+    await expect(readZip(new Blob(['not a zip']))).rejects.toThrow('Not a zip archive')
+  })
+})
@@ -0,0 +1,177 @@
+/**
+ * Anthropic Provider - Claude for script analysis and shot lists
+ * Requests go through the /api/llm proxy, which holds the API key.
+ * Structured output comes from forcing a single tool call whose
+ * input_schema is the shape we want back.
+ */
+
+import { SHOT_TYPES, CAMERA_ANGLES, CAMERA_MOVEMENTS } from '../script/shots'
+import { LENS_PRESETS } from '../camera/lensPresets'
+import { callServer } from './server'
+
+const PROXY_ENDPOINT = '/api/llm'
+
+const SCRIPT_ANALYSIS_TOOL = {
+  name: 'submit_scenes',
+  description: 'Submit the scene-by-scene breakdown of the screenplay.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      scenes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            heading: { type: 'string', description: 'Scene heading as written, e.g. "INT. COFFEE SHOP - DAY"' },
+            setting: { type: 'string', enum: ['INT', 'EXT', 'INT/EXT', ''] },
+            location: { type: 'string', description: 'Location without INT/EXT or time of day' },
+            timeOfDay: { type: 'string', enum: ['day', 'night', 'dawn', 'dusk'] },
+            mood: { type: 'string', description: 'One to three words describing the tone' },
+            content: {
+              type: 'array',
+              description: 'Action, dialogue and transitions in script order',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['action', 'dialogue', 'transition'] },
+                  text: { type: 'string' },
+                  character: { type: 'string', description: 'Speaking character (dialogue only)' },
+                  extensions: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Cue extensions such as V.O. or O.S. (dialogue only)',
+                  },
+                  parenthetical: { type: 'string', description: 'Wryly, without parentheses (dialogue only)' },
+                },
+                required: ['type', 'text'],
+              },
+            },
+          },
+          required: ['location', 'timeOfDay', 'content'],
+        },
+      },
+    },
+    required: ['scenes'],
+  },
+}
+
+const SHOT_LIST_TOOL = {
+  name: 'submit_shots',
+  description: 'Submit the shot list for the scene.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      shots: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            shotType: { type: 'string', enum: SHOT_TYPES.map((t) => t.value) },
+            cameraAngle: { type: 'string', enum: CAMERA_ANGLES.map((a) => a.value) },
+            lens: { type: 'string', enum: Object.keys(LENS_PRESETS) },
+            movement: { type: 'string', enum: CAMERA_MOVEMENTS.map((m) => m.value) },
+            description: { type: 'string', description: 'What the frame shows, written as an image prompt' },
+            characters: { type: 'array', items: { type: 'string' }, description: 'Characters in frame' },
+          },
+          required: ['shotType', 'cameraAngle', 'lens', 'movement', 'description'],
+        },
+      },
+    },
+    required: ['shots'],
+  },
+}
+
+export class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic'
+  }
+
+  /**
+   * Call the Messages API through the proxy
+   * projectId picks the workspace key the proxy uses
+   */
+  async request(body, { signal, projectId } = {}) {
+    const response = await callServer(PROXY_ENDPOINT, { ...body, projectId }, { signal, projectId })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      const requestError = new Error(error.error || `LLM request failed: ${response.status}`)
+      requestError.status = response.status
+      throw requestError
+    }
+
+    return response.json()
+  }
+
+  /**
+   * Force a single tool call and return its input
+   * onUsage is called with the tokens the call used, which is what it's billed for
+   */
+  async callTool({ model, system, prompt, tool, maxTokens = 8192, signal, projectId, onUsage }) {
+    const result = await this.request({
+      model: model.endpoint,
+      system,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name },
+    }, { signal, projectId })
+
+    if (result.usage) {
+      onUsage?.({ inputTokens: result.usage.input_tokens, outputTokens: result.usage.output_tokens })
+    }
+
+    const toolUse = result.content?.find((block) => block.type === 'tool_use')
+    if (!toolUse) {
+      throw new Error('Model did not return structured output')
+    }
+    return toolUse.input
+  }
+
+  /**
+   * Break a screenplay into scenes with dialogue
+   */
+  async analyzeScript({ model, script, signal, projectId, onUsage }) {
+    return this.callTool({
+      model,
+      signal,
+      projectId,
+      onUsage,
+      tool: SCRIPT_ANALYSIS_TOOL,
+      system:
+        'You are a script supervisor breaking down a screenplay for pre-production. ' +
+        'Preserve the writer\'s text exactly; do not summarise action or dialogue.',
+      prompt: `Break this screenplay into scenes:\n\n${script}`,
+    })
+  }
+
+  /**
+   * Propose a shot list for a scene
+   */
+  async generateShotList({ model, scene, characters = [], signal, projectId, onUsage }) {
+    const dialogue = (scene.dialogueLines || [])
+      .map((line) => `${line.characterName}: ${line.text}`)
+      .join('\n')
+
+    return this.callTool({
+      model,
+      signal,
+      projectId,
+      onUsage,
+      tool: SHOT_LIST_TOOL,
+      maxTokens: 4096,
+      system:
+        'You are a cinematographer planning coverage for a scene. ' +
+        'Propose a practical shot list that covers the action and every line of dialogue.',
+      prompt: [
+        `Location: ${scene.location || 'unspecified'} (${scene.timeOfDay || 'day'})`,
+        scene.mood && `Mood: ${scene.mood}`,
+        characters.length > 0 && `Characters: ${characters.join(', ')}`,
+        scene.description && `Action:\n${scene.description}`,
+        dialogue && `Dialogue:\n${dialogue}`,
+      ].filter(Boolean).join('\n\n'),
+    })
+  }
+}
+
+export const anthropicProvider = new AnthropicProvider()
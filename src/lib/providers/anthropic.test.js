@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const server = vi.hoisted(() => ({ callServer: vi.fn() }))
+vi.mock('./server', () => server)
+
+const { AnthropicProvider } = await import('./anthropic')
+
+const model = { endpoint: 'claude-haiku-4-5' }
+
+function respond(body, status = 200) {
+  server.callServer.mockResolvedValueOnce({
+    ok: status < 400,
+    status,
+    json: async () => body,
+  })
+}
+
+function toolResult(name, input) {
+  return {
+    content: [{ type: 'text', text: 'Here you go' }, { type: 'tool_use', name, input }],
+    usage: { input_tokens: 1200, output_tokens: 300 },
+  }
+}
+
+beforeEach(() => {
+  server.callServer.mockReset()
+})
+
+describe('AnthropicProvider', () => {
+  it('forces the analysis tool and returns its input', async () => {
+    const scenes = [{ location: 'KITCHEN', timeOfDay: 'night', content: [] }]
+    respond(toolResult('submit_scenes', { scenes }))
+
+    const result = await new AnthropicProvider().analyzeScript({ model, script: 'INT. KITCHEN - NIGHT', projectId: 'p1' })
+
+    expect(result).toEqual({ scenes })
+    const [path, body, options] = server.callServer.mock.calls[0]
+    expect(path).toBe('/api/llm')
+    expect(body).toMatchObject({
+      model: 'claude-haiku-4-5',
+      max_tokens: 8192,
+      projectId: 'p1',
+      tool_choice: { type: 'tool', name: 'submit_scenes' },
+    })
+    expect(body.tools.map((tool) => tool.name)).toEqual(['submit_scenes'])
+    expect(body.messages[0].content).toContain('INT. KITCHEN - NIGHT')
+    expect(options.projectId).toBe('p1')
+  })
+
+  it('reports the tokens a call used', async () => {
+    respond(toolResult('submit_shots', { shots: [] }))
+    const onUsage = vi.fn()
+
+    await new AnthropicProvider().generateShotList({ model, scene: { location: 'PIER' }, onUsage })
+
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 1200, outputTokens: 300 })
+    expect(server.callServer.mock.calls[0][1].max_tokens).toBe(4096)
+  })
+
+  it('describes the scene in the shot list prompt', async () => {
+    respond(toolResult('submit_shots', { shots: [] }))
+    const scene = {
+      location: 'PIER',
+      timeOfDay: 'night',
+      mood: 'tense',
+      description: 'Fog rolls in.',
+      dialogueLines: [{ characterName: 'Sarah', text: 'Who is there?' }],
+    }
+
+    await new AnthropicProvider().generateShotList({ model, scene, characters: ['Sarah'] })
+
+    const prompt = server.callServer.mock.calls[0][1].messages[0].content
+    expect(prompt).toContain('Location: PIER (night)')
+    expect(prompt).toContain('Characters: Sarah')
+    expect(prompt).toContain('Sarah: Who is there?')
+  })
+
+  it('fails when the model answers without the tool', async () => {
+    respond({ content: [{ type: 'text', text: 'Sorry' }], usage: { input_tokens: 10, output_tokens: 5 } })
+    const onUsage = vi.fn()
+
+    await expect(new AnthropicProvider().analyzeScript({ model, script: 'x', onUsage }))
+      .rejects.toThrow('Model did not return structured output')
+    expect(onUsage).toHaveBeenCalled()
+  })
+
+  it('passes on the proxy error and status', async () => {
+    respond({ error: 'This would take the project past its $5.00 spending cap' }, 402)
+
+    const error = await new AnthropicProvider().analyzeScript({ model, script: 'x' }).catch((e) => e)
+
+    expect(error.message).toContain('spending cap')
+    expect(error.status).toBe(402)
+  })
+})
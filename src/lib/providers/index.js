@@ -5,11 +5,14 @@
 
 import { WavespeedProvider } from './wavespeed'
 import { MockProvider } from './mock'
+import { AnthropicProvider } from './anthropic'
 import { getModelById } from '../models'
+import { delay } from '../utils'
 
 // Provider instances
 const providers = {
   wavespeed: new WavespeedProvider(),
+  anthropic: new AnthropicProvider(),
   mock: new MockProvider(),
 }
 
@@ -77,23 +80,96 @@ export const aiService = {
     return provider.generateLipsync({ ...rest, model })
   },
 
+  /**
+   * Edit images (Nano Banana Pro Edit)
+   */
+  async editImage(params) {
+    const { modelId = 'nano-banana-pro-edit', ...rest } = params
+    const provider = getProviderForModel('imageEdit', modelId)
+    const model = getModelById('imageEdit', modelId)
+    return provider.editImage({ ...rest, model })
+  },
+
+  /**
+   * Generate video from a canvas frame (Seedance)
+   */
+  async generateFrameVideo(params) {
+    const { modelId = 'seedance-1.5-pro', ...rest } = params
+    const provider = getProviderForModel('frameToVideo', modelId)
+    const model = getModelById('frameToVideo', modelId)
+    return provider.generateFrameVideo({ ...rest, model })
+  },
+
+  /**
+   * Break a screenplay into scenes with dialogue
+   * Returns the analysis shape described in lib/script/analysis.js
+   */
+  async analyzeScript(params) {
+    const { modelId = 'claude-sonnet-4-5', ...rest } = params
+    const provider = getProviderForModel('textGeneration', modelId)
+    const model = getModelById('textGeneration', modelId)
+    return provider.analyzeScript({ ...rest, model })
+  },
+
+  /**
+   * Propose a shot list for a scene
+   * Returns { shots: [{ shotType, cameraAngle, lens, movement, description, characters }] }
+   */
+  async generateShotList(params) {
+    const { modelId = 'claude-sonnet-4-5', ...rest } = params
+    const provider = getProviderForModel('textGeneration', modelId)
+    const model = getModelById('textGeneration', modelId)
+    return provider.generateShotList({ ...rest, model })
+  },
+
   /**
    * Get task status
+   * statusMethod selects the provider lookup (e.g. 'getProxyTaskStatus' for v3 tasks);
+   * projectId picks the workspace key the proxy uses
    */
-  async getTaskStatus(taskId, providerName = 'wavespeed') {
+  async getTaskStatus(taskId, providerName = 'wavespeed', options = {}) {
+    const { statusMethod = 'getTaskStatus', signal, projectId } = options
     const provider = getProvider(providerName)
-    return provider.getTaskStatus(taskId)
+    return provider[statusMethod](taskId, { signal, projectId })
+  },
+
+  /**
+   * Whether a provider can stop a task it has accepted
+   * Wavespeed can't: cancelling only stops tracking, and it may still bill.
+   */
+  canCancel(providerName) {
+    return typeof getProvider(providerName).cancelTask === 'function'
+  },
+
+  /**
+   * Ask the provider to cancel a task
+   * Returns false when the provider doesn't support cancellation
+   */
+  async cancelTask(taskId, providerName = 'wavespeed') {
+    const provider = getProvider(providerName)
+    if (typeof provider.cancelTask !== 'function') {
+      return false
+    }
+    await provider.cancelTask(taskId)
+    return true
   },
 
   /**
    * Poll for task completion
+   * Stops with an AbortError when options.signal fires
    */
   async pollTask(taskId, providerName = 'wavespeed', options = {}) {
-    const { interval = 2000, maxAttempts = 60, onProgress } = options
-    const provider = getProvider(providerName)
+    const {
+      interval = 2000,
+      maxAttempts = 60,
+      signal,
+      getStatus = (id) => this.getTaskStatus(id, providerName, { signal }),
+      onProgress,
+    } = options
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const status = await provider.getTaskStatus(taskId)
+      signal?.throwIfAborted()
+      const status = await getStatus(taskId)
 
       if (onProgress) {
         onProgress(status)
@@ -107,7 +183,7 @@ export const aiService = {
         throw new Error(status.error || 'Task failed')
       }
 
-      await new Promise((resolve) => setTimeout(resolve, interval))
+      await delay(interval, signal)
     }
 
     throw new Error('Task timed out')
@@ -116,4 +192,6 @@ export const aiService = {
 
 export { WavespeedProvider } from './wavespeed'
 export { MockProvider } from './mock'
+export { AnthropicProvider } from './anthropic'
 export { ModalProvider, modalProvider } from './modal'
+export { getProviderKeys, saveProviderKey, removeProviderKey, testProviderKey } from './keys'
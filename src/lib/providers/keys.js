@@ -0,0 +1,49 @@
+/**
+ * Provider keys - Manage a workspace's keys through /api/provider-keys
+ * The browser only ever sends keys; it can't read them back.
+ */
+
+import { callServer } from './server'
+
+const ENDPOINT = '/api/provider-keys'
+
+async function send(method, body, path = ENDPOINT) {
+  const response = await callServer(path, body, { method })
+  const result = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed: ${response.status}`)
+  }
+  return result
+}
+
+/**
+ * Which keys are set for a workspace (or, without one, on the server)
+ * @returns {Promise<{ storage: boolean, keys: Object<string, { workspace: boolean, server: boolean, updatedAt: string|null }> }>}
+ */
+export async function getProviderKeys(workspaceId) {
+  const query = workspaceId ? `?workspaceId=${encodeURIComponent(workspaceId)}` : ''
+  return send('GET', undefined, `${ENDPOINT}${query}`)
+}
+
+/**
+ * Verify a key with the provider and save it for the workspace
+ * @returns {Promise<Object>} The workspace's updated key status
+ */
+export async function saveProviderKey(workspaceId, provider, apiKey) {
+  const { keys } = await send('PUT', { workspaceId, provider, apiKey })
+  return keys
+}
+
+export async function removeProviderKey(workspaceId, provider) {
+  const { keys } = await send('DELETE', { workspaceId, provider })
+  return keys
+}
+
+/**
+ * Check a key with the provider: the one given, else the workspace's,
+ * else the server's
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+export function testProviderKey(workspaceId, provider, apiKey) {
+  return send('POST', { workspaceId, provider, apiKey })
+}
@@ -3,6 +3,8 @@
  * For testing and offline development
  */
 
+import { parseFountain, toScriptAnalysis } from '../script'
+
 const PLACEHOLDER_IMAGE = 'data:image/svg+xml,' + encodeURIComponent(`
 <svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080">
   <defs>
@@ -77,6 +79,54 @@ export class MockProvider {
     return this.createMockTask('lipsync', 4000)
   }
 
+  /**
+   * Edit image (mock)
+   */
+  async editImage(params) {
+    console.log('[MockProvider] editImage:', params)
+    return this.createMockTask('image', 2000)
+  }
+
+  /**
+   * Generate frame video (mock)
+   */
+  async generateFrameVideo(params) {
+    console.log('[MockProvider] generateFrameVideo:', params)
+    return this.createMockTask('video', 5000)
+  }
+
+  /**
+   * Analyze script (offline) - rule-based screenplay parser
+   */
+  async analyzeScript({ script }) {
+    return toScriptAnalysis(parseFountain(script))
+  }
+
+  /**
+   * Generate shot list (mock) - standard coverage templates
+   */
+  async generateShotList({ scene, characters = [] }) {
+    const location = scene.location || 'the location'
+    const [lead, other] = characters
+
+    const templates = [
+      { shotType: 'establishing', cameraAngle: 'high', lens: '24mm', movement: 'static', description: `Wide establishing shot of ${location}` },
+      { shotType: 'wide', cameraAngle: 'eye-level', lens: '35mm', movement: 'dolly', description: `Wide master shot of ${location}` },
+      { shotType: 'medium', cameraAngle: 'eye-level', lens: '50mm', movement: 'static', description: lead ? `Medium shot of ${lead}` : 'Medium shot of main character' },
+      { shotType: 'close', cameraAngle: 'eye-level', lens: '85mm', movement: 'static', description: lead ? `Close up reaction shot of ${lead}` : 'Close up reaction shot' },
+      { shotType: 'over-shoulder', cameraAngle: 'eye-level', lens: '50mm', movement: 'static', description: other ? `Over the shoulder of ${other} onto ${lead}` : 'Over the shoulder dialogue coverage' },
+    ]
+
+    // Dialogue scenes get coverage; action-only scenes get the first three
+    const count = scene.dialogueLines?.length > 0 ? templates.length : 3
+    return {
+      shots: templates.slice(0, count).map((shot) => ({
+        ...shot,
+        characters: characters.slice(0, 2),
+      })),
+    }
+  }
+
   /**
    * Get task status (mock)
    */
@@ -112,6 +162,20 @@ export class MockProvider {
     }
   }
 
+  /**
+   * Cancel task (mock)
+   */
+  async cancelTask(taskId) {
+    tasks.delete(taskId)
+  }
+
+  /**
+   * Proxy tasks share the same mock task store
+   */
+  async getProxyTaskStatus(taskId) {
+    return this.getTaskStatus(taskId)
+  }
+
   /**
    * Get mock outputs based on type
    */
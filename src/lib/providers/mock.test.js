@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { MockProvider } from './mock'
+
+describe('MockProvider text generation', () => {
+  it('analyzes a screenplay offline in analysis shape', async () => {
+    const analysis = await new MockProvider().analyzeScript({
+      script: 'INT. KITCHEN - NIGHT\n\nSARAH\nHello?\n\nEXT. GARDEN - DAY\n\nBirds sing.\n',
+    })
+
+    expect(analysis.scenes.map((s) => [s.location, s.timeOfDay])).toEqual([['KITCHEN', 'night'], ['GARDEN', 'day']])
+    expect(analysis.scenes[0].content).toEqual([
+      expect.objectContaining({ type: 'dialogue', character: 'Sarah', text: 'Hello?' }),
+    ])
+  })
+
+  it('covers dialogue scenes with five shots', async () => {
+    const { shots } = await new MockProvider().generateShotList({
+      scene: { location: 'KITCHEN', dialogueLines: [{ text: 'Hello?' }] },
+      characters: ['Sarah', 'Tom', 'Ann'],
+    })
+
+    expect(shots).toHaveLength(5)
+    expect(shots[0].description).toContain('KITCHEN')
+    expect(shots[4].description).toBe('Over the shoulder of Tom onto Sarah')
+    expect(shots.every((shot) => shot.characters.join() === 'Sarah,Tom')).toBe(true)
+  })
+
+  it('gives action-only scenes three shots', async () => {
+    const { shots } = await new MockProvider().generateShotList({ scene: {} })
+
+    expect(shots.map((shot) => shot.shotType)).toEqual(['establishing', 'wide', 'medium'])
+    expect(shots[2].description).toBe('Medium shot of main character')
+  })
+})
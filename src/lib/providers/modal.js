@@ -5,6 +5,8 @@
  * Modal endpoint returns base64-encoded PLY which we convert to blob URL
  */
 
+import { callServer } from './server'
+
 // Use relative path for Vercel serverless function
 const PROXY_ENDPOINT = '/api/reconstruct'
 
@@ -60,13 +62,7 @@ export class ModalProvider {
       throw new Error('Either imageUrl or imageBase64 is required')
     }
 
-    const response = await fetch(PROXY_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    })
+    const response = await callServer(PROXY_ENDPOINT, body)
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}))
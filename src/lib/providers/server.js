@@ -0,0 +1,39 @@
+/**
+ * Server functions - Calls to the provider proxies in api/
+ * Provider keys stay on the server. Requests carry the user's session so
+ * the server can use the keys of the project's workspace.
+ */
+
+import { authService, syncService } from '../supabase'
+
+/**
+ * Headers identifying the signed-in user, if any
+ */
+export function authHeaders() {
+  const token = authService.session?.access_token
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+/**
+ * Call a server function
+ * @param {string} path - e.g. '/api/wavespeed'
+ * @param {Object} [body] - JSON body (omitted for GET)
+ * @param {Object} [options]
+ * @param {string} [options.method] - Defaults to POST
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.projectId] - Project the call is for, pushed first if the server doesn't have it yet
+ * @returns {Promise<Response>} The raw response; callers handle errors
+ */
+export async function callServer(path, body, { method = 'POST', signal, projectId } = {}) {
+  if (projectId) await syncService.pushProject(projectId)
+
+  return fetch(path, {
+    method,
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) }),
+  })
+}
@@ -1,25 +1,20 @@
 /**
  * Wavespeed.ai Provider Implementation
  * Handles all media generation via Wavespeed API
- * Includes Nano Banana Pro Edit for image editing
+ * Includes Nano Banana Pro Edit and Seedance on the v3 API
+ * Every call goes through the /api/wavespeed proxy, which holds the key.
+ * The API has no way to cancel a prediction, so there's no cancelTask:
+ * cancelled tasks stop being tracked but keep running (and billing) there.
  */
 
-const BASE_URL = 'https://api.wavespeed.ai/api/v2'
-const BASE_URL_V3 = 'https://api.wavespeed.ai/api/v3'
-const WAVESPEED_API_KEY = 'df60bb6a3229d10abe24f8947d49c43aa93102628557fc33a31980c9c662dc3e'
+import { callServer } from './server'
+import { getLocalBlob, isLocalMediaUrl } from '../db'
 
 export class WavespeedProvider {
   constructor() {
     this.name = 'wavespeed'
   }
 
-  /**
-   * Get API key - use hardcoded key or fallback to localStorage
-   */
-  getApiKey() {
-    return WAVESPEED_API_KEY || localStorage.getItem('wavespeed_api_key')
-  }
-
   /**
    * Convert file to base64 data URL
    */
@@ -33,53 +28,38 @@ export class WavespeedProvider {
   }
 
   /**
-   * Prepare image URL from various sources
+   * Prepare an image, video or audio source for a request
+   * Wavespeed fetches http URLs itself and takes data URLs inline. Files
+   * and local media (object URLs, asset refs) only this browser can read
+   * are sent as data URLs.
    */
-  async prepareImageUrl(imageSource) {
-    if (typeof imageSource === 'string' && imageSource.startsWith('http')) {
-      return imageSource
+  async prepareMediaUrl(source) {
+    if (typeof source === 'string' && (source.startsWith('http') || source.startsWith('data:'))) {
+      return source
     }
-    if (typeof imageSource === 'string' && imageSource.startsWith('data:')) {
-      return imageSource
+    if (source instanceof Blob) {
+      return await this.fileToBase64(source)
     }
-    if (imageSource instanceof File || imageSource instanceof Blob) {
-      return await this.fileToBase64(imageSource)
+    if (isLocalMediaUrl(source)) {
+      const blob = await getLocalBlob(source)
+      if (!blob) throw new Error('Local media is no longer available')
+      return await this.fileToBase64(blob)
     }
-    throw new Error('Invalid image source')
+    throw new Error('Invalid media source')
   }
 
   /**
-   * Make authenticated request to Wavespeed API
+   * Make a v2 API request (through the proxy)
    */
-  async request(endpoint, options = {}) {
-    const apiKey = this.getApiKey()
-    if (!apiKey) {
-      throw new Error('Wavespeed API key not configured. Please add it in Settings.')
-    }
-
-    const url = `${BASE_URL}/${endpoint}`
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    })
-
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}))
-      throw new Error(error.message || `API request failed: ${response.status}`)
-    }
-
-    return response.json()
+  async request(endpoint, body, { method = 'POST', signal, projectId } = {}) {
+    return this.proxyRequest(endpoint, body, { method, signal, projectId, version: 'v2' })
   }
 
   /**
    * Generate image from text prompt
    */
   async generateImage(params) {
-    const { model, prompt, negativePrompt, aspectRatio, resolution, guidanceScale, seed } = params
+    const { model, prompt, negativePrompt, aspectRatio, resolution, guidanceScale, seed, signal, projectId } = params
 
     const payload = {
       prompt,
@@ -90,10 +70,7 @@ export class WavespeedProvider {
       ...(seed && { seed }),
     }
 
-    const result = await this.request(model.endpoint, {
-      method: 'POST',
-      body: JSON.stringify(payload),
-    })
+    const result = await this.request(model.endpoint, payload, { signal, projectId })
 
     return {
       taskId: result.id || result.task_id,
@@ -116,11 +93,13 @@ export class WavespeedProvider {
       duration,
       aspectRatio,
       resolution,
+      signal,
+      projectId,
     } = params
 
     const payload = {
       prompt,
-      ...(imageUrl && { image_url: imageUrl }),
+      ...(imageUrl && { image_url: await this.prepareMediaUrl(imageUrl) }),
       ...(imageBase64 && { image: imageBase64 }),
       ...(negativePrompt && { negative_prompt: negativePrompt }),
       ...(motionType && { motion_type: motionType }),
@@ -129,10 +108,7 @@ export class WavespeedProvider {
       ...(resolution && { resolution }),
     }
 
-    const result = await this.request(model.endpoint, {
-      method: 'POST',
-      body: JSON.stringify(payload),
-    })
+    const result = await this.request(model.endpoint, payload, { signal, projectId })
 
     return {
       taskId: result.id || result.task_id,
@@ -145,7 +121,7 @@ export class WavespeedProvider {
    * Generate voice from text
    */
   async generateVoice(params) {
-    const { model, text, voice, language, emotion, pace } = params
+    const { model, text, voice, language, emotion, pace, signal, projectId } = params
 
     const payload = {
       text,
@@ -155,10 +131,7 @@ export class WavespeedProvider {
       ...(pace && { pace }),
     }
 
-    const result = await this.request(model.endpoint, {
-      method: 'POST',
-      body: JSON.stringify(payload),
-    })
+    const result = await this.request(model.endpoint, payload, { signal, projectId })
 
     return {
       taskId: result.id || result.task_id,
@@ -171,19 +144,16 @@ export class WavespeedProvider {
    * Generate lipsync video
    */
   async generateLipsync(params) {
-    const { model, videoUrl, videoBase64, audioUrl, audioBase64 } = params
+    const { model, videoUrl, videoBase64, audioUrl, audioBase64, signal, projectId } = params
 
     const payload = {
-      ...(videoUrl && { video_url: videoUrl }),
+      ...(videoUrl && { video_url: await this.prepareMediaUrl(videoUrl) }),
       ...(videoBase64 && { video: videoBase64 }),
-      ...(audioUrl && { audio_url: audioUrl }),
+      ...(audioUrl && { audio_url: await this.prepareMediaUrl(audioUrl) }),
       ...(audioBase64 && { audio: audioBase64 }),
     }
 
-    const result = await this.request(model.endpoint, {
-      method: 'POST',
-      body: JSON.stringify(payload),
-    })
+    const result = await this.request(model.endpoint, payload, { signal, projectId })
 
     return {
       taskId: result.id || result.task_id,
@@ -195,10 +165,8 @@ export class WavespeedProvider {
   /**
    * Get task status
    */
-  async getTaskStatus(taskId) {
-    const result = await this.request(`predictions/${taskId}`, {
-      method: 'GET',
-    })
+  async getTaskStatus(taskId, { signal, projectId } = {}) {
+    const result = await this.request(`predictions/${taskId}`, {}, { method: 'GET', signal, projectId })
 
     // Normalize status response
     const status = result.status?.toLowerCase() || 'processing'
@@ -219,16 +187,64 @@ export class WavespeedProvider {
     }
   }
 
+  /**
+   * Make a request through the /api/wavespeed proxy (v3 unless given)
+   * projectId tells the proxy whose workspace key to use
+   */
+  async proxyRequest(endpoint, body = {}, { method = 'POST', signal, projectId, version = 'v3' } = {}) {
+    const response = await callServer('/api/wavespeed', {
+      endpoint,
+      ...(method !== 'POST' && { _method: method }),
+      ...(version !== 'v3' && { _version: version }),
+      ...(projectId && { _projectId: projectId }),
+      ...body,
+    }, { signal, projectId })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw createRequestError(`API error: ${response.status} - ${errorText}`, response)
+    }
+
+    return response.json()
+  }
+
+  /**
+   * Normalize a v3 submit response into a task
+   * Sync-mode responses already carry their outputs
+   */
+  normalizeProxyTask(result) {
+    const output = result.data?.output?.url || result.data?.outputs?.[0]
+    if (output) {
+      return {
+        taskId: result.data?.id,
+        status: 'completed',
+        outputs: [output],
+        provider: this.name,
+      }
+    }
+
+    if (result.data?.id) {
+      return {
+        taskId: result.data.id,
+        status: 'processing',
+        provider: this.name,
+      }
+    }
+
+    throw new Error('Unexpected response format from Wavespeed API')
+  }
+
   /**
    * Nano Banana Pro Edit - Edit images with AI
    * @param {Object} params
+   * @param {Object} params.model - Model entry from the imageEdit registry
    * @param {string} params.prompt - The editing prompt
    * @param {Array<string|File>} params.images - Array of image URLs or files
    * @param {string} params.aspectRatio - '16:9' or '9:16'
-   * @returns {Promise<{imageUrl: string, status: string}>}
+   * @returns {Promise<{taskId: string, status: string, outputs?: string[]}>}
    */
-  async editImageWithNanoBanana(params) {
-    const { prompt, images, aspectRatio = '16:9' } = params
+  async editImage(params) {
+    const { model, prompt, images, aspectRatio = '16:9', signal, projectId } = params
 
     if (!prompt) {
       throw new Error('Prompt is required')
@@ -240,99 +256,52 @@ export class WavespeedProvider {
 
     // Prepare image URLs
     const imageUrls = await Promise.all(
-      images.map(img => this.prepareImageUrl(img))
+      images.map(img => this.prepareMediaUrl(img))
     )
 
-    const requestBody = {
+    const result = await this.proxyRequest(model.endpoint, {
       prompt,
       images: imageUrls,
       aspect_ratio: aspectRatio,
       resolution: '2k',
       output_format: 'png',
       enable_sync_mode: true,
-    }
-
-    console.log('Nano Banana Edit Request:', {
-      prompt: prompt.substring(0, 50) + '...',
-      imageCount: imageUrls.length,
-      aspectRatio,
-    })
-
-    // Use proxy to avoid CORS issues
-    const response = await fetch('/api/wavespeed', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        endpoint: 'google/nano-banana-pro/edit',
-        ...requestBody,
-      }),
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('Nano Banana API Error:', response.status, errorText)
-      throw new Error(`API error: ${response.status} - ${errorText}`)
-    }
-
-    const result = await response.json()
-    console.log('Nano Banana Response:', result)
-
-    // Handle sync mode response
-    if (result.data?.output?.url) {
-      return {
-        imageUrl: result.data.output.url,
-        status: 'completed',
-        provider: this.name,
-      }
-    }
-
-    if (result.data?.outputs?.[0]) {
-      return {
-        imageUrl: result.data.outputs[0],
-        status: 'completed',
-        provider: this.name,
-      }
-    }
+    }, { signal, projectId })
 
-    // Handle async mode - need to poll
-    if (result.data?.id) {
-      return await this.pollForResult(result.data.id)
-    }
-
-    throw new Error('Unexpected response format from Wavespeed API')
+    return this.normalizeProxyTask(result)
   }
 
   /**
    * Seedance 1.5 Pro - Generate video from image
    * @param {Object} params
+   * @param {Object} params.model - Model entry from the frameToVideo registry
    * @param {string} params.imageUrl - Source image URL
    * @param {string} params.prompt - Motion/video description
    * @param {string} params.aspectRatio - '16:9', '9:16', '1:1', etc.
    * @param {number} params.duration - 4-12 seconds
    * @param {boolean} params.generateAudio - Whether to generate audio
    * @param {boolean} params.cameraFixed - Whether camera is fixed
-   * @param {Function} params.onProgress - Progress callback
-   * @returns {Promise<{videoUrl: string, status: string}>}
+   * @returns {Promise<{taskId: string, status: string}>}
    */
-  async generateVideoWithSeedance(params) {
+  async generateFrameVideo(params) {
     const {
+      model,
       imageUrl,
       prompt,
       aspectRatio = '16:9',
       duration = 5,
       generateAudio = false,
       cameraFixed = false,
-      onProgress,
+      signal,
+      projectId,
     } = params
 
     if (!imageUrl) {
       throw new Error('Image URL is required')
     }
 
-    const requestBody = {
-      image: imageUrl,
+    const result = await this.proxyRequest(model.endpoint, {
+      image: await this.prepareMediaUrl(imageUrl),
       prompt: prompt || '',
       aspect_ratio: aspectRatio,
       duration: Math.min(12, Math.max(4, duration)),
@@ -340,151 +309,65 @@ export class WavespeedProvider {
       generate_audio: generateAudio,
       camera_fixed: cameraFixed,
       seed: -1,
-    }
-
-    console.log('Seedance Video Request:', {
-      prompt: prompt?.substring(0, 50) + '...',
-      aspectRatio,
-      duration,
-      generateAudio,
-      cameraFixed,
-    })
-
-    // Use proxy to avoid CORS
-    const response = await fetch('/api/wavespeed', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        endpoint: 'bytedance/seedance-v1.5-pro/image-to-video-spicy',
-        ...requestBody,
-      }),
-    })
+    }, { signal, projectId })
 
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('Seedance API Error:', response.status, errorText)
-      throw new Error(`API error: ${response.status} - ${errorText}`)
-    }
-
-    const result = await response.json()
-    console.log('Seedance Response:', result)
-
-    // Handle async response - need to poll for video
-    if (result.data?.id) {
-      return await this.pollForVideoResult(result.data.id, onProgress)
-    }
-
-    // Handle sync response (unlikely for video)
-    if (result.data?.output?.url) {
-      return {
-        videoUrl: result.data.output.url,
-        status: 'completed',
-        provider: this.name,
-      }
-    }
-
-    throw new Error('Unexpected response format from Wavespeed API')
+    return this.normalizeProxyTask(result)
   }
 
   /**
-   * Poll for video result (longer timeout for video generation)
+   * Get status of a v3 prediction (via proxy)
    */
-  async pollForVideoResult(requestId, onProgress, maxAttempts = 180, intervalMs = 3000) {
-    for (let i = 0; i < maxAttempts; i++) {
-      await new Promise(resolve => setTimeout(resolve, intervalMs))
-
-      const response = await fetch('/api/wavespeed', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          endpoint: `predictions/${requestId}/result`,
-          _method: 'GET',
-        }),
-      })
-
-      if (!response.ok) {
-        continue
-      }
+  async getProxyTaskStatus(taskId, { signal, projectId } = {}) {
+    const result = await this.proxyRequest(`predictions/${taskId}/result`, {}, { method: 'GET', signal, projectId })
 
-      const result = await response.json()
-      const status = result.data?.status || result.status
-      const progress = result.data?.progress || Math.round((i / maxAttempts) * 100)
-
-      if (onProgress) {
-        onProgress({ status, progress })
-      }
-
-      if (status === 'completed' || status === 'succeeded') {
-        const videoUrl = result.data?.output?.url || result.output?.url || result.data?.outputs?.[0]
-        if (videoUrl) {
-          return {
-            videoUrl,
-            status: 'completed',
-            provider: this.name,
-          }
-        }
-      }
-
-      if (status === 'failed') {
-        throw new Error(result.data?.error || result.error || 'Video generation failed')
-      }
+    const status = (result.data?.status || result.status || 'processing').toLowerCase()
+    const output = result.data?.output?.url || result.output?.url || result.data?.outputs?.[0]
+    const normalizedStatus =
+      (status === 'completed' || status === 'succeeded') && output
+        ? 'completed'
+        : status === 'failed' || status === 'error'
+          ? 'failed'
+          : 'processing'
 
-      console.log(`Video polling attempt ${i + 1}/${maxAttempts}, status: ${status}, progress: ${progress}%`)
+    return {
+      taskId,
+      status: normalizedStatus,
+      outputs: output ? [output] : [],
+      error: result.data?.error || result.error,
+      progress: result.data?.progress,
+      provider: this.name,
     }
-
-    throw new Error('Timeout waiting for video result')
   }
+}
 
-  /**
-   * Poll for async result
-   */
-  async pollForResult(requestId, maxAttempts = 120, intervalMs = 2000) {
-    for (let i = 0; i < maxAttempts; i++) {
-      await new Promise(resolve => setTimeout(resolve, intervalMs))
-
-      // Use proxy for polling too
-      const response = await fetch('/api/wavespeed', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          endpoint: `predictions/${requestId}/result`,
-          _method: 'GET',
-        }),
-      })
-
-      if (!response.ok) {
-        continue
-      }
-
-      const result = await response.json()
-      const status = result.data?.status || result.status
-
-      if (status === 'completed' || status === 'succeeded') {
-        const imageUrl = result.data?.output?.url || result.output?.url || result.data?.outputs?.[0]
-        if (imageUrl) {
-          return {
-            imageUrl,
-            status: 'completed',
-            provider: this.name,
-          }
-        }
-      }
+/**
+ * Attach the HTTP status (and Retry-After, in ms) so callers can tell
+ * transient failures apart and back off as long as the API asks
+ */
+function createRequestError(message, response) {
+  const error = new Error(message)
+  error.status = response.status
 
-      if (status === 'failed') {
-        throw new Error(result.data?.error || result.error || 'Generation failed')
-      }
+  const retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+  if (retryAfter !== null) {
+    error.retryAfter = retryAfter
+  }
+  return error
+}
 
-      console.log(`Polling attempt ${i + 1}/${maxAttempts}, status: ${status}`)
-    }
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
 
-    throw new Error('Timeout waiting for result')
+  const seconds = Number(value)
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000)
   }
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
 }
 
 export const wavespeedProvider = new WavespeedProvider()
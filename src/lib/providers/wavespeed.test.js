@@ -0,0 +1,89 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const server = vi.hoisted(() => ({ callServer: vi.fn() }))
+vi.mock('./server', () => server)
+
+// Local media: asset refs and object URLs whose blobs are in the store
+const blobs = vi.hoisted(() => new Map())
+vi.mock('../db', () => ({
+  isLocalMediaUrl: (url) => typeof url === 'string' && (url.startsWith('local-asset:') || url.startsWith('blob:')),
+  getLocalBlob: async (url) => blobs.get(url) ?? null,
+}))
+
+const { WavespeedProvider } = await import('./wavespeed')
+
+const model = { endpoint: 'some/model' }
+const PNG = 'data:image/png;base64,aW1n'
+
+function respond(body) {
+  server.callServer.mockResolvedValueOnce({ ok: true, status: 200, json: async () => body })
+}
+
+const sentBody = () => server.callServer.mock.calls[0][1]
+
+beforeEach(() => {
+  server.callServer.mockReset()
+  blobs.clear()
+  blobs.set('local-asset:a1', new Blob(['img'], { type: 'image/png' }))
+  blobs.set('blob:http://localhost/v1', new Blob(['vid'], { type: 'video/mp4' }))
+  blobs.set('blob:http://localhost/au1', new Blob(['aud'], { type: 'audio/mpeg' }))
+})
+
+describe('WavespeedProvider media', () => {
+  it('passes http and data URLs through', async () => {
+    const provider = new WavespeedProvider()
+    expect(await provider.prepareMediaUrl('https://cdn.example.com/a.png')).toBe('https://cdn.example.com/a.png')
+    expect(await provider.prepareMediaUrl(PNG)).toBe(PNG)
+  })
+
+  it('inlines asset refs and object URLs as data URLs', async () => {
+    const provider = new WavespeedProvider()
+    expect(await provider.prepareMediaUrl('local-asset:a1')).toBe(PNG)
+    expect(await provider.prepareMediaUrl('blob:http://localhost/v1')).toMatch(/^data:video\/mp4;base64,/)
+  })
+
+  it('refuses local media whose blob is gone, and anything else', async () => {
+    const provider = new WavespeedProvider()
+    await expect(provider.prepareMediaUrl('local-asset:gone')).rejects.toThrow('no longer available')
+    await expect(provider.prepareMediaUrl('ftp://example.com/a.png')).rejects.toThrow('Invalid media source')
+  })
+
+  it('edits local frames', async () => {
+    respond({ data: { id: 't1', outputs: ['https://cdn.example.com/out.png'] } })
+
+    const result = await new WavespeedProvider().editImage({
+      model, prompt: 'Make it night', images: ['local-asset:a1', 'https://cdn.example.com/b.png'], projectId: 'p1',
+    })
+
+    expect(result).toMatchObject({ status: 'completed', outputs: ['https://cdn.example.com/out.png'] })
+    expect(sentBody().images).toEqual([PNG, 'https://cdn.example.com/b.png'])
+  })
+
+  it('inlines the frame for frame-to-video', async () => {
+    respond({ data: { id: 't2' } })
+
+    await new WavespeedProvider().generateFrameVideo({ model, imageUrl: 'local-asset:a1', projectId: 'p1' })
+
+    expect(sentBody().image).toBe(PNG)
+  })
+
+  it('inlines the keyframe for image-to-video', async () => {
+    respond({ id: 't3' })
+
+    await new WavespeedProvider().generateVideo({ model, imageUrl: 'local-asset:a1', prompt: 'Pan left', projectId: 'p1' })
+
+    expect(sentBody().image_url).toBe(PNG)
+  })
+
+  it('inlines the video and audio for lipsync', async () => {
+    respond({ id: 't4' })
+
+    await new WavespeedProvider().generateLipsync({
+      model, videoUrl: 'blob:http://localhost/v1', audioUrl: 'blob:http://localhost/au1', projectId: 'p1',
+    })
+
+    expect(sentBody().video_url).toMatch(/^data:video\/mp4;base64,/)
+    expect(sentBody().audio_url).toMatch(/^data:audio\/mpeg;base64,/)
+  })
+})
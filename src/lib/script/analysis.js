@@ -0,0 +1,98 @@
+/**
+ * Script analysis - Convert textGeneration analysis results into
+ * parsed-screenplay form so they go through the same entity resolution
+ * as the rule-based parser.
+ *
+ * Analysis shape (returned by every textGeneration provider):
+ *   { scenes: [{ heading, setting, location, timeOfDay, mood,
+ *                content: [{ type: 'action' | 'transition', text }
+ *                        | { type: 'dialogue', character, extensions, parenthetical, text }] }] }
+ */
+
+import { v4 as uuid } from 'uuid'
+import { formatCharacterName } from './parser'
+
+const TIMES_OF_DAY = ['day', 'night', 'dawn', 'dusk']
+
+/**
+ * Build parseScreenplay-style output from an analysis result
+ */
+export function fromScriptAnalysis(analysis) {
+  const scenes = (analysis.scenes || []).map((scene, index) => {
+    const elements = []
+    const dialogueLines = []
+
+    for (const item of scene.content || []) {
+      if (item.type === 'dialogue') {
+        const line = {
+          id: uuid(),
+          characterName: formatCharacterName(item.character || 'Unknown'),
+          extensions: item.extensions || [],
+          parenthetical: item.parenthetical || '',
+          text: item.text || '',
+        }
+        dialogueLines.push(line)
+        elements.push({ type: 'dialogue', dialogueLineId: line.id })
+      } else if (item.text) {
+        elements.push({ type: item.type === 'transition' ? 'transition' : 'action', text: item.text })
+      }
+    }
+
+    const timeOfDay = (scene.timeOfDay || '').toLowerCase()
+
+    return {
+      id: uuid(),
+      sceneNumber: index + 1,
+      heading: scene.heading || '',
+      setting: scene.setting || '',
+      location: scene.location || '',
+      timeOfDay: TIMES_OF_DAY.includes(timeOfDay) ? timeOfDay : 'day',
+      mood: scene.mood || '',
+      description: elements
+        .filter((el) => el.type === 'action')
+        .map((el) => el.text)
+        .join('\n\n'),
+      elements,
+      dialogueLines,
+      characterNames: [...new Set(dialogueLines.map((line) => line.characterName))],
+      shots: [],
+    }
+  })
+
+  return {
+    scenes,
+    characterNames: [...new Set(scenes.flatMap((s) => s.characterNames))],
+    locationNames: [...new Set(scenes.map((s) => s.location).filter(Boolean))],
+  }
+}
+
+/**
+ * Describe parsed scenes in analysis shape (used by the offline provider)
+ */
+export function toScriptAnalysis(parsed) {
+  return {
+    scenes: parsed.scenes.map((scene) => {
+      const byId = new Map(scene.dialogueLines.map((line) => [line.id, line]))
+
+      return {
+        heading: scene.heading,
+        setting: scene.setting,
+        location: scene.location,
+        timeOfDay: scene.timeOfDay,
+        mood: scene.mood,
+        content: scene.elements.map((el) => {
+          if (el.type !== 'dialogue') return el
+
+          const line = byId.get(el.dialogueLineId)
+          return {
+            type: 'dialogue',
+            character: line.characterName,
+            extensions: line.extensions,
+            parenthetical: line.parenthetical,
+            text: line.text,
+          }
+        }),
+      }
+    }),
+  }
+}
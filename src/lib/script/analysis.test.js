@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { parseScreenplay } from './parser'
+import { fromScriptAnalysis, toScriptAnalysis } from './analysis'
+
+const SCRIPT = `INT. HOUSE - KITCHEN - NIGHT
+
+Rain hammers the window.
+
+SARAH
+(quietly)
+He's late again.
+
+MRS. O'NEIL (V.O.)
+Give him time.
+
+EXT. GARDEN - DAWN
+
+Mist over the lawn.
+`
+
+describe('script analysis', () => {
+  it('round-trips parsed scenes through the analysis shape', () => {
+    const parsed = parseScreenplay(SCRIPT)
+    const restored = fromScriptAnalysis(toScriptAnalysis(parsed))
+
+    expect(restored.characterNames).toEqual(parsed.characterNames)
+    expect(restored.locationNames).toEqual(parsed.locationNames)
+    expect(restored.scenes.map((s) => s.description)).toEqual(parsed.scenes.map((s) => s.description))
+    expect(restored.scenes[0].dialogueLines.map((l) => l.text)).toEqual(
+      parsed.scenes[0].dialogueLines.map((l) => l.text)
+    )
+  })
+
+  it('fills in what a model leaves out or gets wrong', () => {
+    const { scenes, characterNames, locationNames } = fromScriptAnalysis({
+      scenes: [{
+        location: 'PIER',
+        timeOfDay: 'Sunset',
+        content: [
+          { type: 'dialogue', text: 'Who goes there?' },
+          { type: 'shot', text: 'Fog rolls in.' },
+          { type: 'action', text: '' },
+        ],
+      }],
+    })
+
+    expect(scenes[0]).toMatchObject({ sceneNumber: 1, timeOfDay: 'day', heading: '', description: 'Fog rolls in.' })
+    expect(scenes[0].elements.map((el) => el.type)).toEqual(['dialogue', 'action'])
+    expect(characterNames).toEqual(['Unknown'])
+    expect(locationNames).toEqual(['PIER'])
+  })
+
+  it('links dialogue elements to their lines', () => {
+    const [scene] = fromScriptAnalysis({
+      scenes: [{ content: [{ type: 'dialogue', character: 'SARAH', extensions: ['O.S.'], text: 'Hello?' }] }],
+    }).scenes
+
+    expect(scene.elements[0].dialogueLineId).toBe(scene.dialogueLines[0].id)
+    expect(scene.dialogueLines[0]).toMatchObject({ characterName: 'Sarah', extensions: ['O.S.'], parenthetical: '' })
+  })
+
+  it('handles an empty analysis', () => {
+    expect(fromScriptAnalysis({})).toEqual({ scenes: [], characterNames: [], locationNames: [] })
+  })
+})
@@ -0,0 +1,64 @@
+/**
+ * Screenplay entities - Match parsed names to project characters/locations
+ * Existing records are kept (matched case-insensitively), new names are
+ * added, and parsed scenes get characterId / locationId references.
+ */
+
+import { v4 as uuid } from 'uuid'
+
+/**
+ * Find or create a record per name, reusing existing ones by name
+ * Existing records without a name are kept but never matched.
+ */
+function mergeByName(existing, names, create) {
+  const records = [...existing]
+  const byName = new Map(records.filter((r) => r.name).map((r) => [r.name.toLowerCase(), r]))
+
+  for (const name of names) {
+    const key = name.toLowerCase()
+    if (!byName.has(key)) {
+      const record = create(name)
+      records.push(record)
+      byName.set(key, record)
+    }
+  }
+
+  return { records, byName }
+}
+
+/**
+ * Resolve a parsed screenplay against a project
+ * @param {Object} parsed - Result of parseScreenplay
+ * @param {Object} project - Project with characters and locations
+ * @returns {{ scenes: Object[], characters: Object[], locations: Object[] }}
+ */
+export function resolveScreenplayEntities(parsed, project) {
+  const characters = mergeByName(project.characters || [], parsed.characterNames, (name) => ({
+    id: uuid(),
+    name,
+    role: '',
+    referenceImages: [],
+  }))
+
+  const locations = mergeByName(project.locations || [], parsed.locationNames, (name) => ({
+    id: uuid(),
+    name,
+    referenceImages: [],
+  }))
+
+  const scenes = parsed.scenes.map(({ characterNames, ...scene }) => ({
+    ...scene,
+    locationId: locations.byName.get(scene.location.toLowerCase())?.id || null,
+    characterIds: characterNames.map((name) => characters.byName.get(name.toLowerCase()).id),
+    dialogueLines: scene.dialogueLines.map((line) => ({
+      ...line,
+      characterId: characters.byName.get(line.characterName.toLowerCase()).id,
+    })),
+  }))
+
+  return {
+    scenes,
+    characters: characters.records,
+    locations: locations.records,
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Final Draft - Import/export for .fdx screenplays
+ * Imported paragraphs are converted to Fountain, which becomes project.script
+ * and goes through the same parser as pasted scripts.
+ */
+
+import { paragraphsToFountain } from './fountain'
+import { screenplayParagraphs } from './paragraphs'
+
+// FDX paragraph types ↔ screenplay paragraph types
+const FDX_TYPES = {
+  'Scene Heading': 'heading',
+  Action: 'action',
+  Character: 'character',
+  Parenthetical: 'parenthetical',
+  Dialogue: 'dialogue',
+  Transition: 'transition',
+  Shot: 'action',
+  General: 'action',
+}
+
+const PARAGRAPH_TYPES = {
+  heading: 'Scene Heading',
+  action: 'Action',
+  character: 'Character',
+  parenthetical: 'Parenthetical',
+  dialogue: 'Dialogue',
+  transition: 'Transition',
+}
+
+function parseFdxDocument(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  if (doc.querySelector('parsererror') || !doc.querySelector('FinalDraft')) {
+    throw new Error('Not a valid Final Draft (.fdx) file')
+  }
+  return doc
+}
+
+function documentParagraphs(doc) {
+  return [...doc.querySelectorAll('FinalDraft > Content > Paragraph')]
+    .map((paragraph) => ({
+      type: FDX_TYPES[paragraph.getAttribute('Type')] || 'action',
+      text: [...paragraph.querySelectorAll('Text')]
+        .map((node) => node.textContent)
+        .join('')
+        .trim(),
+    }))
+    .filter((paragraph) => paragraph.text)
+}
+
+/**
+ * Read the typed script paragraphs from an FDX document
+ */
+export function readFdxParagraphs(xml) {
+  return documentParagraphs(parseFdxDocument(xml))
+}
+
+/**
+ * Convert an FDX document to Fountain text
+ */
+export function fdxToFountain(xml) {
+  const doc = parseFdxDocument(xml)
+  const title = doc.querySelector('TitlePage Paragraph Text')?.textContent.trim()
+  return paragraphsToFountain(documentParagraphs(doc), title)
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Export a project's scenes as a Final Draft document
+ */
+export function toFdx(project) {
+  const paragraphs = screenplayParagraphs(project)
+    .map(({ type, text }) =>
+      `    <Paragraph Type="${PARAGRAPH_TYPES[type]}">\n      <Text>${escapeXml(text)}</Text>\n    </Paragraph>`
+    )
+    .join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<FinalDraft DocumentType="Script" Template="No" Version="5">
+  <Content>
+${paragraphs}
+  </Content>
+  <TitlePage>
+    <Content>
+      <Paragraph Type="Action">
+        <Text>${escapeXml(project.name || 'Untitled')}</Text>
+      </Paragraph>
+    </Content>
+  </TitlePage>
+</FinalDraft>
+`
+}
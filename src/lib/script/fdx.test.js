@@ -0,0 +1,63 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { readFdxParagraphs, fdxToFountain, toFdx } from './fdx'
+import { parseFountain } from './fountain'
+
+const FDX = `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<FinalDraft DocumentType="Script" Template="No" Version="5">
+  <Content>
+    <Paragraph Type="Scene Heading"><Text>INT. OFFICE - DAY</Text></Paragraph>
+    <Paragraph Type="Action"><Text>Phones </Text><Text>ring.</Text></Paragraph>
+    <Paragraph Type="Character"><Text>DANA</Text></Paragraph>
+    <Paragraph Type="Parenthetical"><Text>(into phone)</Text></Paragraph>
+    <Paragraph Type="Dialogue"><Text>Not today.</Text></Paragraph>
+    <Paragraph Type="Shot"><Text>CLOSE ON THE PHONE</Text></Paragraph>
+    <Paragraph Type="Action"><Text>  </Text></Paragraph>
+  </Content>
+  <TitlePage>
+    <Content>
+      <Paragraph Type="Action"><Text>Office Hours</Text></Paragraph>
+    </Content>
+  </TitlePage>
+</FinalDraft>
+`
+
+describe('readFdxParagraphs', () => {
+  it('reads typed paragraphs, joining text runs and skipping empty ones', () => {
+    expect(readFdxParagraphs(FDX)).toEqual([
+      { type: 'heading', text: 'INT. OFFICE - DAY' },
+      { type: 'action', text: 'Phones ring.' },
+      { type: 'character', text: 'DANA' },
+      { type: 'parenthetical', text: '(into phone)' },
+      { type: 'dialogue', text: 'Not today.' },
+      { type: 'action', text: 'CLOSE ON THE PHONE' },
+    ])
+  })
+
+  it('rejects files that are not Final Draft documents', () => {
+    expect(() => readFdxParagraphs('<html></html>')).toThrow('Not a valid Final Draft')
+    expect(() => readFdxParagraphs('not xml')).toThrow('Not a valid Final Draft')
+  })
+})
+
+describe('fdxToFountain', () => {
+  it('converts to Fountain the parser reads as the same scene', () => {
+    const text = fdxToFountain(FDX)
+    const [scene] = parseFountain(text).scenes
+
+    expect(text.startsWith('Title: Office Hours\n')).toBe(true)
+    expect(scene.location).toBe('OFFICE')
+    expect(scene.dialogueLines[0]).toMatchObject({ characterName: 'Dana', parenthetical: 'into phone', text: 'Not today.' })
+    expect(scene.elements.map((el) => el.type)).toEqual(['action', 'dialogue', 'action'])
+  })
+})
+
+describe('toFdx', () => {
+  it('writes a document that reads back to the same paragraphs', () => {
+    const { scenes } = parseFountain(fdxToFountain(FDX))
+    const xml = toFdx({ name: 'Office <Hours>', scenes })
+
+    expect(xml).toContain('Office &lt;Hours&gt;')
+    expect(readFdxParagraphs(xml)).toEqual(readFdxParagraphs(FDX))
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * Fountain - Import/export for .fountain screenplays (https://fountain.io)
+ * Import strips Fountain-only markup and hands the body to parseScreenplay;
+ * export writes forced markers wherever plain formatting would be ambiguous.
+ */
+
+import { classifyContent } from '../utils'
+import { parseScreenplay, parseSceneHeading } from './parser'
+import { screenplayParagraphs } from './paragraphs'
+
+const TITLE_PAGE_KEYS = /^(title|credit|author|authors|source|draft date|date|contact|copyright|notes|revision)\s*:/i
+
+/**
+ * Split off the title page ("Title: ...", "Author: ...") if there is one
+ * @returns {{ titlePage: Object, body: string }}
+ */
+export function splitTitlePage(text) {
+  const normalized = text.replace(/\r\n?/g, '\n').replace(/^\s+/, '')
+  if (!TITLE_PAGE_KEYS.test(normalized)) {
+    return { titlePage: {}, body: normalized }
+  }
+
+  const end = normalized.search(/\n\s*\n/)
+  const header = end === -1 ? normalized : normalized.slice(0, end)
+  const body = end === -1 ? '' : normalized.slice(end)
+  const titlePage = {}
+  let key = null
+
+  for (const line of header.split('\n')) {
+    const match = line.match(/^([A-Za-z][A-Za-z ]*):\s*(.*)$/)
+    if (match) {
+      key = match[1].trim().toLowerCase()
+      titlePage[key] = match[2].trim()
+    } else if (key) {
+      // Indented continuation lines
+      titlePage[key] = [titlePage[key], line.trim()].filter(Boolean).join('\n')
+    }
+  }
+
+  return { titlePage, body }
+}
+
+/**
+ * Remove boneyard, notes, sections, synopses and page breaks
+ */
+function stripMarkup(text) {
+  return text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\[\[[\s\S]*?\]\]/g, '')
+    .split('\n')
+    .filter((line) => !/^\s*(#|=(?!=)|===+\s*$)/.test(line))
+    .map((line) => line.replace(/^\s*>\s*(.*?)\s*<\s*$/, '$1'))
+    .join('\n')
+}
+
+/**
+ * Parse a .fountain file
+ * @returns Same shape as parseScreenplay, plus titlePage
+ */
+export function parseFountain(text) {
+  const { titlePage, body } = splitTitlePage(text)
+  return {
+    ...parseScreenplay(stripMarkup(body)),
+    titlePage,
+  }
+}
+
+/**
+ * Write a paragraph so it reads back as the same element type
+ */
+function formatParagraph({ type, text }) {
+  switch (type) {
+    case 'heading': {
+      const heading = parseSceneHeading(text)
+      return heading?.setting ? text : `.${text}`
+    }
+    case 'character':
+      return classifyContent(text) === 'character' ? text : `@${text}`
+    case 'transition':
+      return classifyContent(text) === 'transition' ? text : `> ${text}`
+    case 'action':
+      return classifyContent(text.split('\n')[0]) === 'action' ? text : `!${text}`
+    default:
+      return text
+  }
+}
+
+/**
+ * Write typed paragraphs (see paragraphs.js) as Fountain text
+ */
+export function paragraphsToFountain(paragraphs, title) {
+  const blocks = title ? [`Title: ${title}`] : []
+  let dialogueBlock = null
+
+  for (const paragraph of paragraphs) {
+    const text = formatParagraph(paragraph)
+
+    // Cue, parenthetical and dialogue sit together without blank lines
+    if (paragraph.type === 'character') {
+      dialogueBlock = [text]
+      blocks.push(dialogueBlock)
+    } else if (dialogueBlock && (paragraph.type === 'parenthetical' || paragraph.type === 'dialogue')) {
+      dialogueBlock.push(text)
+    } else {
+      dialogueBlock = null
+      blocks.push(text)
+    }
+  }
+
+  return blocks.map((block) => (Array.isArray(block) ? block.join('\n') : block)).join('\n\n') + '\n'
+}
+
+/**
+ * Export a project's scenes as Fountain text
+ */
+export function toFountain(project) {
+  return paragraphsToFountain(screenplayParagraphs(project), project.name || 'Untitled')
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest'
+import { parseFountain, splitTitlePage, toFountain } from './fountain'
+
+describe('splitTitlePage', () => {
+  it('reads title page keys, including continuation lines', () => {
+    const { titlePage, body } = splitTitlePage('Title: The Heist\nAuthor: Jo\nContact:\n    jo@example.com\n\nINT. BANK - DAY\n')
+
+    expect(titlePage).toEqual({ title: 'The Heist', author: 'Jo', contact: 'jo@example.com' })
+    expect(body.trim()).toBe('INT. BANK - DAY')
+  })
+
+  it('leaves scripts without a title page alone', () => {
+    expect(splitTitlePage('INT. BANK - DAY').titlePage).toEqual({})
+  })
+})
+
+describe('parseFountain', () => {
+  it('strips notes, boneyard, sections and synopses', () => {
+    const { scenes, titlePage } = parseFountain(`Title: Notes
+
+# Act One
+
+= The heist begins
+
+INT. BANK - DAY
+
+The vault door [[check the prop]] swings open.
+
+/* An old scene
+that was cut */
+
+>THE END<
+`)
+
+    expect(titlePage.title).toBe('Notes')
+    expect(scenes).toHaveLength(1)
+    expect(scenes[0].elements).toEqual([
+      { type: 'action', text: 'The vault door  swings open.' },
+      { type: 'action', text: 'THE END' },
+    ])
+  })
+
+  it('honours forced headings, cues, transitions and action', () => {
+    const { scenes } = parseFountain(`.DREAM SEQUENCE
+
+@McCLANE
+Yippee-ki-yay.
+
+> SMASH CUT
+
+!SILENCE.
+`)
+
+    expect(scenes[0].location).toBe('DREAM SEQUENCE')
+    expect(scenes[0].dialogueLines[0]).toMatchObject({ characterName: 'Mcclane', text: 'Yippee-ki-yay.' })
+    expect(scenes[0].elements.slice(1)).toEqual([
+      { type: 'transition', text: 'SMASH CUT' },
+      { type: 'action', text: 'SILENCE.' },
+    ])
+  })
+})
+
+describe('toFountain', () => {
+  it('writes scenes that parse back to the same script', () => {
+    const source = parseFountain(`INT. HOUSE - NIGHT
+
+Quiet.
+
+SARAH (V.O.)
+(whispering)
+Who's there?
+
+BANG
+
+CUT TO:
+`)
+    const project = { name: 'Night', scenes: source.scenes }
+    const text = toFountain(project)
+    const reparsed = parseFountain(text)
+
+    expect(text.startsWith('Title: Night\n')).toBe(true)
+    // The all-caps action line is forced so it isn't read as a cue
+    expect(text).toContain('!BANG')
+    expect(reparsed.scenes[0].elements.map((el) => el.type)).toEqual(
+      source.scenes[0].elements.map((el) => el.type)
+    )
+    expect(reparsed.scenes[0].dialogueLines[0]).toMatchObject({
+      characterName: 'Sarah',
+      extensions: ['V.O.'],
+      parenthetical: 'whispering',
+      text: "Who's there?",
+    })
+  })
+
+  it('writes headings for scenes made by hand', () => {
+    const text = toFountain({
+      name: 'Manual',
+      scenes: [{ sceneNumber: 1, location: 'Roof', timeOfDay: 'dusk', description: 'Wind.' }],
+    })
+    expect(text).toContain('INT. ROOF - DUSK\n\nWind.')
+  })
+})
@@ -0,0 +1,12 @@
+export {
+  parseScreenplay,
+  parseSceneHeading,
+  parseCharacterCue,
+  formatCharacterName,
+} from './parser'
+export { resolveScreenplayEntities } from './entities'
+export { sceneParagraphs, screenplayParagraphs, formatSceneHeading, formatCharacterCue } from './paragraphs'
+export { parseFountain, splitTitlePage, paragraphsToFountain, toFountain } from './fountain'
+export { readFdxParagraphs, fdxToFountain, toFdx } from './fdx'
+export { fromScriptAnalysis, toScriptAnalysis } from './analysis'
+export { SHOT_TYPES, CAMERA_ANGLES, CAMERA_MOVEMENTS } from './shots'
@@ -0,0 +1,69 @@
+/**
+ * Screenplay paragraphs - Flatten project scenes into typed paragraphs
+ * Shared by the Fountain and FDX writers so both export the same script.
+ */
+
+/**
+ * Rebuild a scene heading for scenes that weren't parsed from a script
+ */
+export function formatSceneHeading(scene) {
+  if (scene.heading) return scene.heading
+
+  const location = (scene.location || 'UNTITLED').toUpperCase()
+  const time = (scene.timeOfDay || 'day').toUpperCase()
+  return `${scene.setting || 'INT'}. ${location} - ${time}`
+}
+
+/**
+ * Format a character cue with its extensions: SARAH (V.O.)
+ */
+export function formatCharacterCue(line) {
+  const extensions = (line.extensions || []).map((ext) => ` (${ext})`).join('')
+  return `${line.characterName.toUpperCase()}${extensions}`
+}
+
+/**
+ * Paragraphs for one scene
+ * Parsed scenes keep their element order; manual scenes fall back to
+ * their description followed by any dialogue lines.
+ * @returns {{ type: string, text: string }[]} Types: heading, action,
+ *   character, parenthetical, dialogue, transition
+ */
+export function sceneParagraphs(scene) {
+  const paragraphs = [{ type: 'heading', text: formatSceneHeading(scene) }]
+  const dialogueLines = scene.dialogueLines || []
+  const byId = new Map(dialogueLines.map((line) => [line.id, line]))
+
+  const elements = scene.elements?.length
+    ? scene.elements
+    : [
+        ...(scene.description ? [{ type: 'action', text: scene.description }] : []),
+        ...dialogueLines.map((line) => ({ type: 'dialogue', dialogueLineId: line.id })),
+      ]
+
+  for (const element of elements) {
+    if (element.type === 'dialogue') {
+      const line = byId.get(element.dialogueLineId)
+      if (!line) continue
+
+      paragraphs.push({ type: 'character', text: formatCharacterCue(line) })
+      if (line.parenthetical) {
+        paragraphs.push({ type: 'parenthetical', text: `(${line.parenthetical})` })
+      }
+      paragraphs.push({ type: 'dialogue', text: line.text })
+    } else {
+      paragraphs.push({ type: element.type, text: element.text })
+    }
+  }
+
+  return paragraphs
+}
+
+/**
+ * Paragraphs for every scene in a project, in scene order
+ */
+export function screenplayParagraphs(project) {
+  return [...(project.scenes || [])]
+    .sort((a, b) => a.sceneNumber - b.sceneNumber)
+    .flatMap(sceneParagraphs)
+}
@@ -0,0 +1,216 @@
+/**
+ * Screenplay Parser - Plain-text / Fountain-style screenplay to scenes
+ * Recognises scene headings, action, character cues, parentheticals,
+ * dialogue and transitions, plus Fountain's forced markers
+ * (.HEADING, @CUE, >TRANSITION, !Action). Output is plain data; see
+ * entities.js for turning character and location names into project records.
+ */
+
+import { v4 as uuid } from 'uuid'
+import { classifyContent } from '../utils'
+
+// Heading time-of-day words mapped onto the scene timeOfDay options
+const TIME_OF_DAY = {
+  day: 'day',
+  morning: 'dawn',
+  dawn: 'dawn',
+  sunrise: 'dawn',
+  afternoon: 'day',
+  evening: 'dusk',
+  dusk: 'dusk',
+  sunset: 'dusk',
+  night: 'night',
+  midnight: 'night',
+}
+
+// Cue extensions like (V.O.) and (O.S.); (CONT'D) is dropped
+const CONTINUED = /^CONT['’]?D$/i
+
+/**
+ * Classify a line, honouring Fountain's forced markers before the
+ * formatting rules in classifyContent
+ */
+function classifyLine(line) {
+  if (/^\.[^.]/.test(line)) return 'scene'
+  if (line.startsWith('@')) return 'character'
+  if (line.startsWith('>') && !line.endsWith('<')) return 'transition'
+  if (line.startsWith('!')) return 'action'
+  return classifyContent(line)
+}
+
+/**
+ * Parse a scene heading such as "INT. HOUSE - KITCHEN - NIGHT #12#"
+ * Forced headings (".FLASHBACK") have no INT/EXT setting
+ */
+export function parseSceneHeading(line) {
+  let heading = line.trim().replace(/\s*#[^#]*#\s*$/, '')
+  const forced = /^\.[^.]/.test(heading)
+  if (forced) heading = heading.slice(1).trim()
+
+  const match = heading.match(/^(INT\.?\/EXT|EXT\.?\/INT|I\/E|INT|EXT|EST)\.?\s*(.*)$/i)
+  if (!match && !forced) return null
+
+  const setting = match ? match[1].toUpperCase().replace('.', '') : ''
+  const parts = (match ? match[2] : heading).split(/\s+[-–—]\s+/)
+  const timeLabel = parts.length > 1 ? parts[parts.length - 1].trim() : ''
+  const timeOfDay = TIME_OF_DAY[timeLabel.toLowerCase()]
+
+  return {
+    heading,
+    setting,
+    location: (timeOfDay ? parts.slice(0, -1) : parts).join(' - ').trim(),
+    timeOfDay: timeOfDay || 'day',
+    timeLabel,
+  }
+}
+
+/**
+ * Split a character cue into name and extensions: "SARAH (V.O.)" → SARAH, ['V.O.']
+ */
+export function parseCharacterCue(line) {
+  const cue = line.trim().replace(/^@/, '').replace(/\s*\^$/, '')
+  const extensions = [...cue.matchAll(/\(([^)]*)\)/g)]
+    .map((m) => m[1].trim())
+    .filter((ext) => ext && !CONTINUED.test(ext))
+
+  return {
+    name: cue.replace(/\([^)]*\)/g, '').trim(),
+    extensions,
+  }
+}
+
+/**
+ * Turn an all-caps cue name into a display name: "MRS. O'NEIL" → "Mrs. O'Neil"
+ */
+export function formatCharacterName(name) {
+  return name
+    .toLowerCase()
+    .replace(/(^|[\s\-'.])([a-z])/g, (_, sep, letter) => sep + letter.toUpperCase())
+}
+
+function createParsedScene(sceneNumber, heading) {
+  return {
+    id: uuid(),
+    sceneNumber,
+    heading: heading?.heading || '',
+    setting: heading?.setting || '',
+    location: heading?.location || '',
+    timeOfDay: heading?.timeOfDay || 'day',
+    mood: '',
+    description: '',
+    elements: [],
+    dialogueLines: [],
+    characterNames: [],
+    shots: [],
+  }
+}
+
+/**
+ * Group lines into blocks separated by blank lines
+ */
+function toBlocks(text) {
+  const blocks = []
+  let current = []
+
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim()
+    if (line) {
+      current.push(line)
+    } else if (current.length) {
+      blocks.push(current)
+      current = []
+    }
+  }
+  if (current.length) blocks.push(current)
+
+  return blocks
+}
+
+/**
+ * Add a block's elements to a scene
+ */
+function parseBlock(scene, lines) {
+  const [first, ...rest] = lines
+  const kind = classifyLine(first)
+
+  // A cue only counts as one when dialogue follows it
+  if (kind === 'character' && rest.length > 0) {
+    const { name, extensions } = parseCharacterCue(first)
+    const dialogue = []
+    let parenthetical = ''
+
+    for (const line of rest) {
+      if (classifyLine(line) === 'parenthetical' && dialogue.length === 0 && !parenthetical) {
+        parenthetical = line.slice(1, -1).trim()
+      } else {
+        dialogue.push(line)
+      }
+    }
+
+    const dialogueLine = {
+      id: uuid(),
+      characterName: formatCharacterName(name),
+      extensions,
+      parenthetical,
+      text: dialogue.join(' '),
+    }
+
+    scene.dialogueLines.push(dialogueLine)
+    scene.elements.push({ type: 'dialogue', dialogueLineId: dialogueLine.id })
+    if (!scene.characterNames.includes(dialogueLine.characterName)) {
+      scene.characterNames.push(dialogueLine.characterName)
+    }
+    return
+  }
+
+  if (kind === 'transition' && rest.length === 0) {
+    scene.elements.push({ type: 'transition', text: first.replace(/^>\s*/, '') })
+    return
+  }
+
+  scene.elements.push({ type: 'action', text: lines.join('\n').replace(/^!/, '') })
+}
+
+/**
+ * Parse screenplay text into scenes
+ * Text before the first scene heading (title page, FADE IN:) is ignored
+ * unless the script has no headings at all.
+ * @param {string} text
+ * @returns {{ scenes: Object[], characterNames: string[], locationNames: string[] }}
+ */
+export function parseScreenplay(text) {
+  const scenes = []
+  const preamble = createParsedScene(1, null)
+  let scene = null
+
+  for (const block of toBlocks(text)) {
+    // Headings usually stand alone, but allow action straight after them
+    if (classifyLine(block[0]) === 'scene') {
+      const heading = parseSceneHeading(block[0])
+      if (heading) {
+        scene = createParsedScene(scenes.length + 1, heading)
+        scenes.push(scene)
+        if (block.length > 1) parseBlock(scene, block.slice(1))
+        continue
+      }
+    }
+
+    parseBlock(scene || preamble, block)
+  }
+
+  if (scenes.length === 0 && preamble.elements.length > 0) {
+    scenes.push(preamble)
+  }
+
+  for (const parsed of scenes) {
+    parsed.description = parsed.elements
+      .filter((el) => el.type === 'action')
+      .map((el) => el.text.replace(/\n/g, ' '))
+      .join('\n\n')
+  }
+
+  const characterNames = [...new Set(scenes.flatMap((s) => s.characterNames))]
+  const locationNames = [...new Set(scenes.map((s) => s.location).filter(Boolean))]
+
+  return { scenes, characterNames, locationNames }
+}
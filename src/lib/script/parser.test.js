@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest'
+import { parseScreenplay, parseSceneHeading, parseCharacterCue, formatCharacterName } from './parser'
+import { resolveScreenplayEntities } from './entities'
+
+const SCRIPT = `FADE IN:
+
+INT. HOUSE - KITCHEN - NIGHT
+
+Rain hammers the window. SARAH (30s) stirs a pot.
+
+SARAH
+(quietly)
+He's late again.
+
+MRS. O'NEIL (V.O.)
+Give him time.
+
+CUT TO:
+
+EXT. GARDEN - DAWN
+
+Mist over the lawn.
+`
+
+describe('parseSceneHeading', () => {
+  it('splits setting, location and time of day', () => {
+    expect(parseSceneHeading('INT. HOUSE - KITCHEN - NIGHT')).toMatchObject({
+      setting: 'INT',
+      location: 'HOUSE - KITCHEN',
+      timeOfDay: 'night',
+      timeLabel: 'NIGHT',
+    })
+  })
+
+  it('maps other time words onto the scene options', () => {
+    expect(parseSceneHeading('EXT. PIER - SUNSET').timeOfDay).toBe('dusk')
+    expect(parseSceneHeading('EXT. PIER - LATER').timeOfDay).toBe('day')
+  })
+
+  it('accepts forced headings and drops scene numbers', () => {
+    expect(parseSceneHeading('.FLASHBACK #12#')).toMatchObject({ setting: '', location: 'FLASHBACK' })
+  })
+
+  it('rejects lines that are not headings', () => {
+    expect(parseSceneHeading('She walks in.')).toBeNull()
+  })
+})
+
+describe('parseCharacterCue', () => {
+  it('separates extensions and drops CONT\'D', () => {
+    expect(parseCharacterCue("SARAH (V.O.) (CONT'D)")).toEqual({ name: 'SARAH', extensions: ['V.O.'] })
+    expect(parseCharacterCue('@McCLANE')).toEqual({ name: 'McCLANE', extensions: [] })
+  })
+
+  it('formats names for display', () => {
+    expect(formatCharacterName("MRS. O'NEIL")).toBe("Mrs. O'Neil")
+  })
+})
+
+describe('parseScreenplay', () => {
+  it('splits scenes at headings and ignores the preamble', () => {
+    const { scenes, locationNames } = parseScreenplay(SCRIPT)
+
+    expect(scenes.map((s) => [s.sceneNumber, s.location, s.timeOfDay])).toEqual([
+      [1, 'HOUSE - KITCHEN', 'night'],
+      [2, 'GARDEN', 'dawn'],
+    ])
+    expect(locationNames).toEqual(['HOUSE - KITCHEN', 'GARDEN'])
+  })
+
+  it('reads dialogue with parentheticals and extensions', () => {
+    const { scenes, characterNames } = parseScreenplay(SCRIPT)
+    const [first, second] = scenes[0].dialogueLines
+
+    expect(first).toMatchObject({ characterName: 'Sarah', parenthetical: 'quietly', text: "He's late again." })
+    expect(second).toMatchObject({ characterName: "Mrs. O'Neil", extensions: ['V.O.'], text: 'Give him time.' })
+    expect(characterNames).toEqual(['Sarah', "Mrs. O'Neil"])
+  })
+
+  it('keeps element order and builds the description from action', () => {
+    const [scene] = parseScreenplay(SCRIPT).scenes
+
+    expect(scene.elements.map((el) => el.type)).toEqual(['action', 'dialogue', 'dialogue', 'transition'])
+    expect(scene.description).toBe('Rain hammers the window. SARAH (30s) stirs a pot.')
+  })
+
+  it('treats an all-caps line without dialogue as action', () => {
+    const [scene] = parseScreenplay('INT. ROOM - DAY\n\nBANG\n').scenes
+    expect(scene.elements).toEqual([{ type: 'action', text: 'BANG' }])
+  })
+
+  it('keeps text without headings as a single scene', () => {
+    const { scenes } = parseScreenplay('A man walks into a bar.')
+    expect(scenes).toHaveLength(1)
+    expect(scenes[0].description).toBe('A man walks into a bar.')
+  })
+})
+
+describe('resolveScreenplayEntities', () => {
+  it('reuses existing characters and locations by name and links scenes to them', () => {
+    const project = {
+      characters: [{ id: 'sarah', name: 'SARAH', referenceImages: [] }],
+      locations: [],
+    }
+    const { scenes, characters, locations } = resolveScreenplayEntities(parseScreenplay(SCRIPT), project)
+
+    expect(characters.map((c) => c.name)).toEqual(['SARAH', "Mrs. O'Neil"])
+    expect(locations.map((l) => l.name)).toEqual(['HOUSE - KITCHEN', 'GARDEN'])
+    expect(scenes[0].characterIds[0]).toBe('sarah')
+    expect(scenes[0].dialogueLines[0].characterId).toBe('sarah')
+    expect(scenes[1].locationId).toBe(locations[1].id)
+  })
+
+  it('keeps existing records without a name and creates named ones', () => {
+    const project = {
+      characters: [{ id: 'blank', referenceImages: [] }],
+      locations: [{ id: 'unnamed', name: '' }],
+    }
+    const { characters, locations } = resolveScreenplayEntities(parseScreenplay(SCRIPT), project)
+
+    expect(characters[0].id).toBe('blank')
+    expect(characters.map((c) => c.name).slice(1)).toEqual(['Sarah', "Mrs. O'Neil"])
+    expect(locations.map((l) => l.name)).toEqual(['', 'HOUSE - KITCHEN', 'GARDEN'])
+  })
+})
@@ -0,0 +1,35 @@
+/**
+ * Shot vocabulary - Options for shot breakdown fields
+ * Used by the scene breakdown UI and as the allowed values for LLM shot lists
+ */
+
+export const SHOT_TYPES = [
+  { value: 'wide', label: 'Wide Shot' },
+  { value: 'medium', label: 'Medium Shot' },
+  { value: 'close', label: 'Close Up' },
+  { value: 'extreme-close', label: 'Extreme Close Up' },
+  { value: 'over-shoulder', label: 'Over the Shoulder' },
+  { value: 'pov', label: 'POV' },
+  { value: 'two-shot', label: 'Two Shot' },
+  { value: 'establishing', label: 'Establishing Shot' },
+]
+
+export const CAMERA_ANGLES = [
+  { value: 'eye-level', label: 'Eye Level' },
+  { value: 'high', label: 'High Angle' },
+  { value: 'low', label: 'Low Angle' },
+  { value: 'birds-eye', label: "Bird's Eye" },
+  { value: 'worms-eye', label: "Worm's Eye" },
+  { value: 'dutch', label: 'Dutch Angle' },
+]
+
+export const CAMERA_MOVEMENTS = [
+  { value: 'static', label: 'Static' },
+  { value: 'pan', label: 'Pan' },
+  { value: 'tilt', label: 'Tilt' },
+  { value: 'dolly', label: 'Dolly' },
+  { value: 'tracking', label: 'Tracking' },
+  { value: 'handheld', label: 'Handheld' },
+  { value: 'crane', label: 'Crane' },
+  { value: 'zoom', label: 'Zoom' },
+]
@@ -0,0 +1,87 @@
+/**
+ * Auth Store - Zustand store for the signed-in user
+ */
+
+import { create } from 'zustand'
+import { authService, syncService } from '../supabase'
+import { clearAllData } from '../db'
+import { useWorkspaceStore } from './workspaceStore'
+
+// Last user signed in on this device, whose projects the local copy holds
+const LAST_USER_KEY = 'ai-native-studio-user'
+
+/**
+ * Empty the local copy if it belongs to someone else
+ */
+async function claimLocalData(session) {
+  if (!session) return
+  const lastUser = localStorage.getItem(LAST_USER_KEY)
+  if (lastUser && lastUser !== session.user.id) {
+    await clearAllData()
+    syncService.resetCursors()
+    useWorkspaceStore.getState().clear()
+  }
+  localStorage.setItem(LAST_USER_KEY, session.user.id)
+}
+
+export const useAuthStore = create((set, get) => ({
+  // State
+  enabled: authService.isEnabled(),
+  session: null,
+  user: null,
+  loading: true,
+  error: null,
+
+  // Load the saved session and follow sign in / sign out
+  // Returns a cleanup function
+  init: () => {
+    if (!get().enabled) {
+      set({ loading: false })
+      return () => {}
+    }
+
+    authService.getSession()
+      .then(async (session) => {
+        await claimLocalData(session)
+        set({ session, user: session?.user ?? null, loading: false })
+      })
+      .catch((error) => set({ error: error.message, loading: false }))
+
+    return authService.onSessionChange(async (session, event) => {
+      if (event === 'SIGNED_IN') await claimLocalData(session)
+      set({ session, user: session?.user ?? null })
+    })
+  },
+
+  signIn: async (email, password) => {
+    set({ error: null })
+    try {
+      await authService.signIn(email, password)
+    } catch (error) {
+      set({ error: error.message })
+      throw error
+    }
+  },
+
+  // Resolves with whether the account still needs its email confirmed
+  signUp: async (email, password) => {
+    set({ error: null })
+    try {
+      const session = await authService.signUp(email, password)
+      return { needsConfirmation: !session }
+    } catch (error) {
+      set({ error: error.message })
+      throw error
+    }
+  },
+
+  // Sign out and remove this user's projects from the device
+  signOut: async () => {
+    await authService.signOut()
+    await clearAllData()
+    syncService.resetCursors()
+    useWorkspaceStore.getState().clear()
+    localStorage.removeItem(LAST_USER_KEY)
+    set({ session: null, user: null })
+  },
+}))
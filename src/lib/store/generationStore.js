@@ -3,15 +3,48 @@
  */
 
 import { create } from 'zustand'
-import { v4 as uuid } from 'uuid'
+import {
+  runGenerationJob,
+  resumeGenerationJob,
+  cancelGenerationJob,
+  prioritizeGenerationJob,
+  cancelOnProvider,
+} from '../jobs'
 import { aiService } from '../providers'
 import * as db from '../db'
+import { dataService } from '../supabase'
+import { getDefaultModel } from '../models'
+import { buildShotPrompt } from '../utils'
+import { useProjectStore } from './projectStore'
+import { useUIStore } from './uiStore'
+import { usePresenceStore } from './presenceStore'
+
+/**
+ * Job engine hooks that mirror a task into activeTasks / taskHistory
+ */
+function createJobHooks(set) {
+  return {
+    onUpdate: (task) => {
+      set((state) => ({
+        activeTasks: state.activeTasks.some((t) => t.id === task.id)
+          ? state.activeTasks.map((t) => (t.id === task.id ? task : t))
+          : [...state.activeTasks, task],
+      }))
+    },
+    onSettled: (task) => {
+      set((state) => ({
+        activeTasks: state.activeTasks.filter((t) => t.id !== task.id),
+        taskHistory: [task, ...state.taskHistory],
+      }))
+    },
+  }
+}
 
 export const useGenerationStore = create((set, get) => ({
   // Active tasks (currently generating)
   activeTasks: [],
 
-  // Task history (completed/failed)
+  // Task history (completed/failed/cancelled)
   taskHistory: [],
 
   // Loading state
@@ -21,443 +54,202 @@ export const useGenerationStore = create((set, get) => ({
   loadHistory: async (projectId) => {
     try {
       const history = await db.getGenerationsByProject(projectId)
-      set({ taskHistory: history })
+      set({
+        taskHistory: history.filter(
+          (t) => t.status !== 'pending' && t.status !== 'processing'
+        ),
+      })
     } catch (error) {
       console.error('Failed to load generation history:', error)
     }
   },
 
-  // Start image generation
-  generateImage: async (params) => {
-    const {
-      projectId,
-      sceneId,
-      shotId,
-      modelId,
-      prompt,
-      negativePrompt,
-      aspectRatio,
-      resolution,
-      guidanceScale,
-    } = params
-
-    const taskId = uuid()
-
-    // Create task record
-    const task = {
-      id: taskId,
-      projectId,
-      sceneId,
-      shotId,
-      type: 'image',
-      modelId,
-      prompt,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-    }
-
-    // Add to active tasks
-    set((state) => ({
-      activeTasks: [...state.activeTasks, task],
-    }))
-
-    try {
-      // Start generation
-      const result = await aiService.generateImage({
-        modelId,
-        prompt,
-        negativePrompt,
-        aspectRatio,
-        resolution,
-        guidanceScale,
+  // Run a generation job of any registered type through the job engine
+  // params.attach ({ as, data }) says where the output lands once completed
+  // params.priority (higher first) orders it in the generation queue
+  runJob: async (type, params) => {
+    if (params.projectId) await dataService.assertCan(params.projectId, 'generate')
+
+    // Soft lock: another user's generation for the shot doesn't block this one
+    const lock = usePresenceStore.getState().lockFor(params.shotId)
+    if (lock) {
+      useUIStore.getState().addNotification({
+        type: 'warning',
+        message: `${lock.name} is already generating for this shot`,
       })
+    }
 
-      // Update task with provider task ID
-      const updatedTask = {
-        ...task,
-        providerTaskId: result.taskId,
-        provider: result.provider,
-        status: 'processing',
-      }
-
-      set((state) => ({
-        activeTasks: state.activeTasks.map((t) =>
-          t.id === taskId ? updatedTask : t
-        ),
-      }))
-
-      // Poll for completion
-      const finalResult = await aiService.pollTask(
-        result.taskId,
-        result.provider,
-        {
-          onProgress: (status) => {
-            set((state) => ({
-              activeTasks: state.activeTasks.map((t) =>
-                t.id === taskId
-                  ? { ...t, progress: status.progress }
-                  : t
-              ),
-            }))
-          },
-        }
-      )
-
-      // Mark as completed
-      const completedTask = {
-        ...updatedTask,
-        status: 'completed',
-        outputs: finalResult.outputs,
-        completedAt: new Date().toISOString(),
-      }
-
-      // Save to history
-      await db.saveGeneration(completedTask)
-
-      // Remove from active, add to history
-      set((state) => ({
-        activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [completedTask, ...state.taskHistory],
-      }))
-
-      return completedTask
-    } catch (error) {
-      // Mark as failed
-      const failedTask = {
-        ...task,
-        status: 'failed',
-        error: error.message,
-        completedAt: new Date().toISOString(),
-      }
-
-      // Save to history
-      await db.saveGeneration(failedTask)
-
-      // Remove from active, add to history
-      set((state) => ({
-        activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [failedTask, ...state.taskHistory],
-      }))
+    const task = await runGenerationJob(type, params, createJobHooks(set))
+    await useProjectStore.getState().attachGenerationOutput(task)
+    return task
+  },
 
-      throw error
+  // Resume tasks that were still in flight when the app was closed
+  resumeActiveTasks: async () => {
+    const tasks = await db.getActiveGenerations()
+
+    for (const task of tasks) {
+      // Already resumed (e.g. effect ran twice)
+      if (get().activeTasks.some((t) => t.id === task.id)) continue
+
+      resumeGenerationJob(task, createJobHooks(set))
+        .then(async (completed) => {
+          await useProjectStore.getState().attachGenerationOutput(completed)
+          useUIStore.getState().addNotification({
+            type: 'success',
+            message: `Resumed ${completed.type} generation finished`,
+          })
+        })
+        .catch((error) => {
+          if (error.name === 'AbortError') return
+          console.error('Failed to resume generation:', error)
+        })
     }
   },
 
-  // Start video generation
-  generateVideo: async (params) => {
+  // Start image generation
+  generateImage: (params) => get().runJob('image', params),
+
+  // Generate keyframes for every shot without one, in one scene or the whole project
+  // Runs below interactive priority; onProgress({ done, total }) fires as jobs settle
+  // Resolves with a summary: { shots, total, succeeded, cancelled, failed: [{ label, error }] }
+  generateMissingKeyframes: async (options = {}) => {
     const {
-      projectId,
       sceneId,
-      shotId,
-      modelId,
-      imageUrl,
-      imageBase64,
-      prompt,
-      negativePrompt,
-      motionType,
-      duration,
-      aspectRatio,
-      resolution,
-    } = params
-
-    const taskId = uuid()
-
-    const task = {
-      id: taskId,
-      projectId,
-      sceneId,
-      shotId,
-      type: 'video',
-      modelId,
-      prompt,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
+      variations = 1,
+      modelId = getDefaultModel('imageGeneration')?.id,
+      aspectRatio = '16:9',
+      resolution = '2K',
+      onProgress,
+    } = options
+
+    const project = useProjectStore.getState().currentProject
+    if (!project) {
+      throw new Error('No project selected')
     }
-
-    set((state) => ({
-      activeTasks: [...state.activeTasks, task],
-    }))
-
-    try {
-      const result = await aiService.generateVideo({
-        modelId,
-        imageUrl,
-        imageBase64,
-        prompt,
-        negativePrompt,
-        motionType,
-        duration,
-        aspectRatio,
-        resolution,
-      })
-
-      const updatedTask = {
-        ...task,
-        providerTaskId: result.taskId,
-        provider: result.provider,
-        status: 'processing',
+    dataService.checkRole(project, 'generate')
+
+    const scenes = sceneId ? project.scenes.filter((s) => s.id === sceneId) : project.scenes
+    const shots = scenes.flatMap((scene) =>
+      (scene.shots || [])
+        .filter((shot) => !shot.keyframes?.length)
+        .map((shot) => ({
+          scene,
+          shot,
+          label: `Scene ${scene.sceneNumber} / Shot ${shot.shotNumber}`,
+          prompt: buildShotPrompt(scene, shot),
+        }))
+    )
+
+    const summary = { shots: shots.length, total: 0, succeeded: 0, cancelled: 0, failed: [] }
+    const jobs = []
+
+    for (const { scene, shot, label, prompt } of shots) {
+      if (!prompt) {
+        summary.failed.push({ label, error: 'Shot has no details to build a prompt from' })
+        continue
       }
-
-      set((state) => ({
-        activeTasks: state.activeTasks.map((t) =>
-          t.id === taskId ? updatedTask : t
-        ),
-      }))
-
-      const finalResult = await aiService.pollTask(
-        result.taskId,
-        result.provider,
-        {
-          interval: 3000,
-          maxAttempts: 120,
-          onProgress: (status) => {
-            set((state) => ({
-              activeTasks: state.activeTasks.map((t) =>
-                t.id === taskId
-                  ? { ...t, progress: status.progress }
-                  : t
-              ),
-            }))
-          },
-        }
-      )
-
-      const completedTask = {
-        ...updatedTask,
-        status: 'completed',
-        outputs: finalResult.outputs,
-        completedAt: new Date().toISOString(),
+      const lock = usePresenceStore.getState().lockFor(shot.id)
+      if (lock) {
+        summary.failed.push({ label, error: `${lock.name} is already generating for this shot` })
+        continue
       }
 
-      await db.saveGeneration(completedTask)
-
-      set((state) => ({
-        activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [completedTask, ...state.taskHistory],
-      }))
-
-      return completedTask
-    } catch (error) {
-      const failedTask = {
-        ...task,
-        status: 'failed',
-        error: error.message,
-        completedAt: new Date().toISOString(),
+      for (let i = 0; i < variations; i++) {
+        const job = get().runJob('image', {
+          projectId: project.id,
+          sceneId: scene.id,
+          shotId: shot.id,
+          modelId,
+          prompt,
+          aspectRatio,
+          resolution,
+          priority: -1,
+          attach: {
+            as: 'keyframe',
+            data: {
+              prompt,
+              modelId,
+              settings: { aspectRatio, resolution, batch: true },
+            },
+          },
+        })
+        jobs.push({ label, job })
       }
-
-      await db.saveGeneration(failedTask)
-
-      set((state) => ({
-        activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [failedTask, ...state.taskHistory],
-      }))
-
-      throw error
-    }
-  },
-
-  // Start voice generation
-  generateVoice: async (params) => {
-    const {
-      projectId,
-      sceneId,
-      shotId,
-      modelId,
-      text,
-      voice,
-      language,
-      emotion,
-      pace,
-    } = params
-
-    const taskId = uuid()
-
-    const task = {
-      id: taskId,
-      projectId,
-      sceneId,
-      shotId,
-      type: 'voice',
-      modelId,
-      text,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
     }
 
-    set((state) => ({
-      activeTasks: [...state.activeTasks, task],
-    }))
-
-    try {
-      const result = await aiService.generateVoice({
-        modelId,
-        text,
-        voice,
-        language,
-        emotion,
-        pace,
-      })
-
-      const updatedTask = {
-        ...task,
-        providerTaskId: result.taskId,
-        provider: result.provider,
-        status: 'processing',
-      }
-
-      set((state) => ({
-        activeTasks: state.activeTasks.map((t) =>
-          t.id === taskId ? updatedTask : t
-        ),
-      }))
-
-      const finalResult = await aiService.pollTask(
-        result.taskId,
-        result.provider,
-        {
-          onProgress: (status) => {
-            set((state) => ({
-              activeTasks: state.activeTasks.map((t) =>
-                t.id === taskId
-                  ? { ...t, progress: status.progress }
-                  : t
-              ),
-            }))
-          },
+    summary.total = jobs.length
+    let done = 0
+    onProgress?.({ done, total: jobs.length })
+
+    await Promise.all(jobs.map(async ({ label, job }) => {
+      try {
+        await job
+        summary.succeeded++
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          summary.cancelled++
+        } else {
+          summary.failed.push({ label, error: error.message })
         }
-      )
-
-      const completedTask = {
-        ...updatedTask,
-        status: 'completed',
-        outputs: finalResult.outputs,
-        completedAt: new Date().toISOString(),
-      }
-
-      await db.saveGeneration(completedTask)
-
-      set((state) => ({
-        activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [completedTask, ...state.taskHistory],
-      }))
-
-      return completedTask
-    } catch (error) {
-      const failedTask = {
-        ...task,
-        status: 'failed',
-        error: error.message,
-        completedAt: new Date().toISOString(),
       }
+      onProgress?.({ done: ++done, total: jobs.length })
+    }))
 
-      await db.saveGeneration(failedTask)
+    return summary
+  },
 
-      set((state) => ({
-        activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [failedTask, ...state.taskHistory],
-      }))
+  // Start video generation
+  generateVideo: (params) => get().runJob('video', params),
 
-      throw error
-    }
-  },
+  // Start voice generation
+  generateVoice: (params) => get().runJob('voice', params),
 
   // Start lipsync generation
-  generateLipsync: async (params) => {
-    const { projectId, sceneId, shotId, modelId, videoUrl, audioUrl } = params
+  generateLipsync: (params) => get().runJob('lipsync', params),
 
-    const taskId = uuid()
+  // Start Nano Banana image edit (Frames canvas)
+  editImage: (params) => get().runJob('edit', params),
 
-    const task = {
-      id: taskId,
-      projectId,
-      sceneId,
-      shotId,
-      type: 'lipsync',
-      modelId,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-    }
+  // Start Seedance video from a canvas frame
+  generateFrameVideo: (params) => get().runJob('frameVideo', params),
 
-    set((state) => ({
-      activeTasks: [...state.activeTasks, task],
-    }))
+  // Move a queued task to the front of the generation queue
+  prioritizeTask: (taskId) => prioritizeGenerationJob(taskId),
 
-    try {
-      const result = await aiService.generateLipsync({
-        modelId,
-        videoUrl,
-        audioUrl,
+  // Cancel active task
+  // Aborts polling (and asks the provider to stop); the job settles as 'cancelled'
+  // Providers that can't stop a task keep running it, so the user is told
+  cancelTask: async (taskId) => {
+    const active = get().activeTasks.find((t) => t.id === taskId)
+    const notifyIfStillRunning = (task) => {
+      if (!task?.providerTaskId || aiService.canCancel(task.provider)) return
+      useUIStore.getState().addNotification({
+        type: 'warning',
+        message: 'Stopped tracking this generation. The provider can\'t cancel it, so it may still finish and be billed.',
+        duration: 8000,
       })
+    }
 
-      const updatedTask = {
-        ...task,
-        providerTaskId: result.taskId,
-        provider: result.provider,
-        status: 'processing',
-      }
-
-      set((state) => ({
-        activeTasks: state.activeTasks.map((t) =>
-          t.id === taskId ? updatedTask : t
-        ),
-      }))
-
-      const finalResult = await aiService.pollTask(
-        result.taskId,
-        result.provider,
-        {
-          interval: 3000,
-          maxAttempts: 120,
-          onProgress: (status) => {
-            set((state) => ({
-              activeTasks: state.activeTasks.map((t) =>
-                t.id === taskId
-                  ? { ...t, progress: status.progress }
-                  : t
-              ),
-            }))
-          },
-        }
-      )
-
-      const completedTask = {
-        ...updatedTask,
-        status: 'completed',
-        outputs: finalResult.outputs,
-        completedAt: new Date().toISOString(),
-      }
-
-      await db.saveGeneration(completedTask)
-
-      set((state) => ({
-        activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [completedTask, ...state.taskHistory],
-      }))
-
-      return completedTask
-    } catch (error) {
-      const failedTask = {
-        ...task,
-        status: 'failed',
-        error: error.message,
-        completedAt: new Date().toISOString(),
-      }
-
-      await db.saveGeneration(failedTask)
+    if (cancelGenerationJob(taskId)) {
+      notifyIfStillRunning(active)
+      return
+    }
 
+    // Not running in this tab - settle the stored record directly
+    const task = await db.getGeneration(taskId)
+    if (task && (task.status === 'pending' || task.status === 'processing')) {
+      const cancelled = { ...task, status: 'cancelled', completedAt: new Date().toISOString() }
+      await cancelOnProvider(cancelled)
+      await dataService.saveGeneration(cancelled)
+      notifyIfStillRunning(cancelled)
       set((state) => ({
         activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
-        taskHistory: [failedTask, ...state.taskHistory],
+        taskHistory: [cancelled, ...state.taskHistory],
       }))
-
-      throw error
+      return
     }
-  },
 
-  // Cancel active task
-  cancelTask: async (taskId) => {
-    // Note: Most providers don't support cancellation
-    // We just remove from active tasks
     set((state) => ({
       activeTasks: state.activeTasks.filter((t) => t.id !== taskId),
     }))
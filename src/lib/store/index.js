@@ -2,3 +2,7 @@ export { useProjectStore } from './projectStore'
 export { useUIStore } from './uiStore'
 export { useGenerationStore } from './generationStore'
 export { useCameraExplorerStore } from './cameraExplorerStore'
+export { useSyncStore } from './syncStore'
+export { usePresenceStore } from './presenceStore'
+export { useAuthStore } from './authStore'
+export { useWorkspaceStore } from './workspaceStore'
@@ -0,0 +1,91 @@
+/**
+ * Presence Store - Zustand store for who else is in the current project
+ * Each open tab shares its page, selected shot and the shots it is
+ * generating for. A shot someone else is generating for is soft-locked:
+ * the UI flags it and warns before starting another generation.
+ */
+
+import { create } from 'zustand'
+import { realtimeService, authService } from '../supabase'
+import { getSettings } from '../db'
+
+const COLORS = ['#f97316', '#22c55e', '#3b82f6', '#a855f7', '#ec4899', '#eab308', '#14b8a6']
+
+// One presence key per open tab
+const tabKey = crypto.randomUUID()
+
+function colorFor(key) {
+  let hash = 0
+  for (const char of key) hash = (hash * 31 + char.charCodeAt(0)) | 0
+  return COLORS[Math.abs(hash) % COLORS.length]
+}
+
+// Name shown to other users, for presence and reviews
+export function userDisplayName() {
+  return getSettings().displayName || authService.session?.user?.email?.split('@')[0] || 'Guest'
+}
+
+// Presence handle for the joined project
+let presence = null
+
+export const usePresenceStore = create((set, get) => ({
+  // State
+  projectId: null,
+  peers: [], // { key, userId, name, color, page, shotId, generating: shotIds }
+  page: null,
+  shotId: null,
+  generating: [],
+
+  // Join a project's presence channel
+  // Returns a function that leaves it
+  join: (projectId) => {
+    presence?.leave()
+    presence = realtimeService.joinPresence(projectId, tabKey, (peers) => set({ peers }))
+    set({ projectId, peers: [] })
+    get().track()
+
+    return () => {
+      if (get().projectId !== projectId) return
+      presence?.leave()
+      presence = null
+      set({ projectId: null, peers: [], generating: [] })
+    }
+  },
+
+  // Share this tab's current state
+  track: () => {
+    const { page, shotId, generating } = get()
+    presence?.track({
+      userId: authService.userId,
+      name: userDisplayName(),
+      color: colorFor(tabKey),
+      page,
+      shotId,
+      generating,
+    })
+  },
+
+  setLocation: (page, shotId = null) => {
+    const state = get()
+    if (state.page === page && state.shotId === shotId) return
+    set({ page, shotId })
+    get().track()
+  },
+
+  // Shots this tab has generations running for
+  setGenerating: (shotIds) => {
+    const generating = [...new Set(shotIds)].sort()
+    if (generating.join() === get().generating.join()) return
+    set({ generating })
+    get().track()
+  },
+
+  // Peer holding the soft lock on a shot, if any
+  lockFor: (shotId) => {
+    if (!shotId) return null
+    return get().peers.find((peer) => peer.generating?.includes(shotId)) || null
+  },
+
+  // Peers with a shot selected
+  viewersOf: (shotId) => get().peers.filter((peer) => peer.shotId === shotId),
+}))
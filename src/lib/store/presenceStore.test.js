@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const supabase = vi.hoisted(() => {
+  const handle = { track: vi.fn(), leave: vi.fn() }
+  return {
+    handle,
+    realtimeService: { joinPresence: vi.fn(() => handle) },
+    authService: { userId: 'u1', session: { user: { email: 'sam@example.com' } } },
+  }
+})
+vi.mock('../supabase', () => supabase)
+vi.mock('../db', () => ({ getSettings: () => ({}) }))
+
+const { usePresenceStore, userDisplayName } = await import('./presenceStore')
+const { handle, realtimeService } = supabase
+
+// Report other tabs as the presence channel would
+const syncPeers = (peers) => realtimeService.joinPresence.mock.calls.at(-1)[2](peers)
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  usePresenceStore.setState({ projectId: null, peers: [], page: null, shotId: null, generating: [] })
+})
+
+describe('usePresenceStore', () => {
+  it('joins with this tab\'s state and leaves on cleanup', () => {
+    usePresenceStore.getState().setLocation('frames', 'shot-1')
+    const leave = usePresenceStore.getState().join('p1')
+
+    expect(realtimeService.joinPresence).toHaveBeenCalledWith('p1', expect.any(String), expect.any(Function))
+    expect(handle.track).toHaveBeenLastCalledWith(expect.objectContaining({
+      userId: 'u1', name: 'sam', page: 'frames', shotId: 'shot-1', generating: [],
+    }))
+
+    leave()
+    expect(handle.leave).toHaveBeenCalled()
+    expect(usePresenceStore.getState()).toMatchObject({ projectId: null, peers: [] })
+  })
+
+  it('leaves the old project when joining another, and ignores its stale cleanup', () => {
+    const leaveFirst = usePresenceStore.getState().join('p1')
+    usePresenceStore.getState().join('p2')
+    expect(handle.leave).toHaveBeenCalledTimes(1)
+
+    leaveFirst()
+    expect(handle.leave).toHaveBeenCalledTimes(1)
+    expect(usePresenceStore.getState().projectId).toBe('p2')
+  })
+
+  it('shares location and generating shots only when they change', () => {
+    usePresenceStore.getState().join('p1')
+    handle.track.mockClear()
+
+    usePresenceStore.getState().setLocation('video', 'shot-1')
+    usePresenceStore.getState().setLocation('video', 'shot-1')
+    usePresenceStore.getState().setGenerating(['shot-2', 'shot-1', 'shot-2'])
+    usePresenceStore.getState().setGenerating(['shot-1', 'shot-2'])
+
+    expect(handle.track).toHaveBeenCalledTimes(2)
+    expect(handle.track).toHaveBeenLastCalledWith(expect.objectContaining({ generating: ['shot-1', 'shot-2'] }))
+  })
+
+  it('finds the peer holding a shot\'s soft lock and who is viewing it', () => {
+    usePresenceStore.getState().join('p1')
+    syncPeers([
+      { key: 'b', name: 'Ana', shotId: 'shot-1', generating: ['shot-2'] },
+      { key: 'c', name: 'Lee', shotId: 'shot-1', generating: [] },
+    ])
+
+    const { lockFor, viewersOf } = usePresenceStore.getState()
+    expect(lockFor('shot-2')).toMatchObject({ name: 'Ana' })
+    expect(lockFor('shot-1')).toBeNull()
+    expect(lockFor(null)).toBeNull()
+    expect(viewersOf('shot-1').map((peer) => peer.name)).toEqual(['Ana', 'Lee'])
+  })
+
+  it('names users without a display name by their email, else Guest', () => {
+    expect(userDisplayName()).toBe('sam')
+    supabase.authService.session = null
+    expect(userDisplayName()).toBe('Guest')
+  })
+})
@@ -4,7 +4,19 @@
 
 import { create } from 'zustand'
 import { v4 as uuid } from 'uuid'
-import { dataService } from '../supabase'
+import { dataService, realtimeService, authService } from '../supabase'
+import { releaseAssetUrls } from '../db'
+import { importProjectPackage } from '../package'
+import { findAndCopyMedia, applyMediaReplacements } from '../jobs'
+import { parseFountain, resolveScreenplayEntities } from '../script'
+import { debounce } from '../utils'
+import { userDisplayName } from './presenceStore'
+
+// Tail of the serialized generation-output attach chain
+let attachQueue = Promise.resolve()
+
+// Saves of the current project that haven't finished
+const pendingSaves = new Set()
 
 /**
  * Create initial project structure
@@ -66,12 +78,79 @@ function createShot(shotNumber) {
   }
 }
 
+/**
+ * Build the project updates that attach a completed generation's output
+ * to the shot, frame or clip it was made for (task.attach.as)
+ */
+function buildOutputUpdates(project, task) {
+  const { attach, shotId } = task
+  const url = task.outputs[0]
+  const item = {
+    id: uuid(),
+    ...attach.data,
+    generationId: task.id,
+    createdAt: new Date().toISOString(),
+  }
+
+  // Matched by shot ID alone - the shot may have moved scenes since the task started
+  const updateTargetShot = (updater) => ({
+    scenes: project.scenes.map((scene) =>
+      scene.shots.some((s) => s.id === shotId)
+        ? { ...scene, shots: scene.shots.map((s) => (s.id === shotId ? updater(s) : s)) }
+        : scene
+    ),
+  })
+
+  switch (attach.as) {
+    case 'keyframe':
+      return updateTargetShot((shot) => ({
+        ...shot,
+        keyframes: [...(shot.keyframes || []), { ...item, url }],
+      }))
+    case 'videoTake':
+      return updateTargetShot((shot) => ({
+        ...shot,
+        videoTakes: [...(shot.videoTakes || []), { ...item, url }],
+      }))
+    case 'audioTake':
+      return updateTargetShot((shot) => ({
+        ...shot,
+        audioTakes: [...(shot.audioTakes || []), { ...item, url }],
+      }))
+    case 'lipsync':
+      return updateTargetShot((shot) => ({ ...shot, lipsyncVideo: url }))
+    case 'frame':
+      return { frames: [...(project.frames || []), { ...item, imageUrl: url }] }
+    case 'clip':
+      return { clips: [...(project.clips || []), { ...item, videoUrl: url }] }
+    default:
+      return null
+  }
+}
+
+/**
+ * Save the changes between two versions of a project
+ * Scene edits are diffed, so only the scenes, shots, keyframes and takes
+ * that changed are written; other fields go through the project record.
+ */
+async function saveProjectChanges(before, after, updates) {
+  if (updates.scenes) {
+    await dataService.updateScenes(after.id, before.scenes, after.scenes)
+  }
+  if (Object.keys(updates).some((key) => key !== 'scenes')) {
+    await dataService.updateProject(after)
+  } else {
+    await dataService.touchProject(after.id)
+  }
+}
+
 export const useProjectStore = create((set, get) => ({
   // State
   projects: [],
   currentProject: null,
   currentScene: null,
   currentShot: null,
+  reviews: [], // Review comments and approvals on the current project's shots
   loading: false,
   error: null,
 
@@ -104,6 +183,13 @@ export const useProjectStore = create((set, get) => ({
     }
   },
 
+  // Import a .studio package as a new project
+  importProject: async (file, options) => {
+    const result = await importProjectPackage(file, options)
+    set((state) => ({ projects: [result.project, ...state.projects] }))
+    return result
+  },
+
   // Load project by ID
   loadProject: async (id) => {
     set({ loading: true, error: null })
@@ -112,7 +198,8 @@ export const useProjectStore = create((set, get) => ({
       if (!project) {
         throw new Error('Project not found')
       }
-      set({ currentProject: project, loading: false })
+      const reviews = await dataService.getReviewsByProject(id)
+      set({ currentProject: project, reviews, loading: false })
       return project
     } catch (error) {
       set({ error: error.message, loading: false })
@@ -120,17 +207,85 @@ export const useProjectStore = create((set, get) => ({
     }
   },
 
+  // Merge other users' edits to a project as they arrive
+  // Returns a function that stops listening
+  subscribeToProject: (projectId) => {
+    // A single save arrives as a burst of record changes
+    const refresh = debounce(() => {
+      if (get().currentProject?.id === projectId) get().refreshProject()
+    }, 300)
+    return realtimeService.subscribeToProject(projectId, refresh)
+  },
+
+  // Reload the current project after sync pulled changes to it
+  refreshProject: async () => {
+    const { currentProject } = get()
+    if (!currentProject) return
+
+    // Local edits are read back rather than rolled back
+    await Promise.allSettled([...pendingSaves])
+    const project = await dataService.getProject(currentProject.id)
+    if (get().currentProject !== currentProject) {
+      // Edited again while reading; read again once that edit is saved
+      return get().refreshProject()
+    }
+
+    const { currentScene, currentShot } = get()
+    if (!project) {
+      set({ currentProject: null, currentScene: null, currentShot: null, reviews: [], error: 'This project was deleted' })
+      return
+    }
+    const reviews = await dataService.getReviewsByProject(project.id)
+
+    const scene = project.scenes.find((s) => s.id === currentScene?.id) || null
+    const shot = project.scenes
+      .flatMap((s) => s.shots)
+      .find((s) => s.id === currentShot?.id) || null
+    set({ currentProject: project, currentScene: scene, currentShot: shot, reviews })
+  },
+
   // Update current project
+  // State is updated before saving so back-to-back edits build on each other
   updateProject: async (updates) => {
     const { currentProject } = get()
     if (!currentProject) return
+    // Checked up front so a refused edit never shows
+    dataService.checkRole(currentProject, 'edit')
 
-    const updated = { ...currentProject, ...updates }
-    await dataService.updateProject(updated)
+    const updated = { ...currentProject, ...updates, updatedAt: new Date().toISOString() }
     set((state) => ({
       currentProject: updated,
       projects: state.projects.map((p) => (p.id === updated.id ? updated : p)),
     }))
+    const save = saveProjectChanges(currentProject, updated, updates)
+    pendingSaves.add(save)
+    try {
+      await save
+    } finally {
+      pendingSaves.delete(save)
+    }
+  },
+
+  // Share a project with a workspace, or stop sharing it (null)
+  shareProject: async (id, workspaceId) => {
+    const { currentProject } = get()
+    if (currentProject?.id === id) {
+      await get().updateProject({ workspaceId })
+      return
+    }
+
+    const project = await dataService.getProject(id)
+    const updated = { ...project, workspaceId }
+    await dataService.updateProject(updated)
+    set((state) => ({
+      projects: state.projects.map((p) => (p.id === id ? { ...p, workspaceId } : p)),
+    }))
+  },
+
+  // Set the current project's spending cap in USD, or remove it (null)
+  setSpendingCap: async (spendingCap) => {
+    dataService.checkRole(get().currentProject, 'budget')
+    await get().updateProject({ spendingCap })
   },
 
   // Delete project
@@ -232,6 +387,53 @@ export const useProjectStore = create((set, get) => ({
     return shot
   },
 
+  // Append shots to a scene, e.g. from a generated shot list
+  // Each entry overrides the defaults of a new shot
+  addShots: async (sceneId, shotData) => {
+    const { currentProject } = get()
+    if (!currentProject) return
+
+    const scene = currentProject.scenes.find((s) => s.id === sceneId)
+    if (!scene) return
+
+    const shots = shotData.map((data, i) => ({
+      ...createShot(scene.shots.length + i + 1),
+      ...data,
+    }))
+
+    await get().updateScene(sceneId, { shots: [...scene.shots, ...shots] })
+    return shots
+  },
+
+  // Move a shot to a position in the same or another scene
+  // Both scenes are renumbered and saved in a single project update
+  moveShot: async (shotId, toSceneId, toIndex) => {
+    const { currentProject, currentScene } = get()
+    if (!currentProject) return
+
+    const fromScene = currentProject.scenes.find((s) => s.shots.some((shot) => shot.id === shotId))
+    if (!fromScene) return
+    const shot = fromScene.shots.find((s) => s.id === shotId)
+
+    const renumber = (shots) => shots.map((s, i) => ({ ...s, shotNumber: i + 1 }))
+    const scenes = currentProject.scenes.map((scene) => {
+      let shots = scene.shots
+      if (scene.id === fromScene.id) {
+        shots = shots.filter((s) => s.id !== shotId)
+      }
+      if (scene.id === toSceneId) {
+        shots = [...shots]
+        shots.splice(Math.min(toIndex, shots.length), 0, shot)
+      }
+      return shots === scene.shots ? scene : { ...scene, shots: renumber(shots) }
+    })
+
+    await get().updateProject({ scenes })
+    if (currentScene) {
+      set({ currentScene: scenes.find((s) => s.id === currentScene.id) || null })
+    }
+  },
+
   // Update shot
   updateShot: async (sceneId, shotId, updates) => {
     const { currentProject, currentShot } = get()
@@ -354,6 +556,20 @@ export const useProjectStore = create((set, get) => ({
     return newCharacter
   },
 
+  // Replace scenes with those parsed from a screenplay (plain text or Fountain)
+  // Characters and locations found in the script are added to the project
+  importScreenplay: async (script, parsed = parseFountain(script)) => {
+    const { currentProject } = get()
+    if (!currentProject) return
+
+    const { scenes, characters, locations } = resolveScreenplayEntities(parsed, currentProject)
+
+    await get().updateProject({ script, scenes, characters, locations })
+    set({ currentScene: null, currentShot: null })
+
+    return { scenes, characters, locations }
+  },
+
   // Add location
   addLocation: async (location) => {
     const { currentProject } = get()
@@ -460,8 +676,114 @@ export const useProjectStore = create((set, get) => ({
     await get().updateProject({ clips })
   },
 
+  // ==================== Reviews ====================
+
+  // Comment on a shot, or approve it / request changes
+  // kind: 'comment' | 'approval'; status for approvals: 'approved' | 'changes_requested'
+  addReview: async (shotId, { kind, body = '', status = null }) => {
+    const { currentProject } = get()
+    if (!currentProject) return
+
+    const now = new Date().toISOString()
+    const review = await dataService.saveReview({
+      id: uuid(),
+      projectId: currentProject.id,
+      shotId,
+      authorId: authService.userId,
+      authorName: userDisplayName(),
+      kind,
+      body,
+      status,
+      createdAt: now,
+    })
+    set((state) => ({ reviews: [...state.reviews, review] }))
+    return review
+  },
+
+  deleteReview: async (review) => {
+    await dataService.deleteReview(review)
+    set((state) => ({ reviews: state.reviews.filter((r) => r.id !== review.id) }))
+  },
+
+  // ==================== Generation Outputs ====================
+
+  // Attach a completed generation's output where it was requested
+  // Runs one at a time so concurrent completions (e.g. batch runs) don't
+  // build their updates from the same stale project
+  attachGenerationOutput: (task) => {
+    const run = attachQueue.then(() => get().applyGenerationOutput(task))
+    attachQueue = run.catch(() => {})
+    return run
+  },
+
+  // Apply a completed generation's output to its project
+  // Also handles tasks resumed after reload whose project isn't open
+  applyGenerationOutput: async (task) => {
+    if (!task.attach || !task.outputs?.length) return
+
+    const { currentProject } = get()
+
+    if (currentProject?.id === task.projectId) {
+      const updates = buildOutputUpdates(currentProject, task)
+      if (!updates) return
+
+      await get().updateProject(updates)
+
+      // Keep the selected scene/shot in sync with the new output
+      const scene = updates.scenes?.find((s) => s.id === task.sceneId)
+      const shot = scene?.shots.find((s) => s.id === task.shotId)
+      set((state) => ({
+        currentScene: scene && state.currentScene?.id === scene.id ? scene : state.currentScene,
+        currentShot: shot && state.currentShot?.id === shot.id ? shot : state.currentShot,
+      }))
+      return
+    }
+
+    const project = await dataService.getProject(task.projectId)
+    if (!project) return
+
+    const updates = buildOutputUpdates(project, task)
+    if (!updates) return
+
+    const updated = { ...project, ...updates }
+    await saveProjectChanges(project, updated, updates)
+    set((state) => ({
+      projects: state.projects.map((p) => (p.id === updated.id ? updated : p)),
+    }))
+  },
+
+  // ==================== Media Repair ====================
+
+  // Copy a project's provider-hosted media into project storage
+  // Copies are applied to the latest state, so edits made meanwhile are kept
+  repairMedia: async (projectId, options) => {
+    const { currentProject } = get()
+    const project = currentProject?.id === projectId
+      ? currentProject
+      : await dataService.getProject(projectId)
+    if (!project) return
+
+    const { replacements, missing } = await findAndCopyMedia(project, options)
+
+    if (replacements.size > 0) {
+      const latest = get().currentProject
+      if (latest?.id === projectId) {
+        const updates = applyMediaReplacements(latest, replacements)
+        await get().updateProject(updates)
+      } else {
+        const saved = await dataService.getProject(projectId)
+        const updates = applyMediaReplacements(saved, replacements)
+        await saveProjectChanges(saved, { ...saved, ...updates }, updates)
+      }
+    }
+
+    return { repaired: replacements.size, missing }
+  },
+
   // Clear current project
+  // Also frees the object URLs its local media was resolved to
   clearCurrentProject: () => {
-    set({ currentProject: null, currentScene: null, currentShot: null })
+    releaseAssetUrls()
+    set({ currentProject: null, currentScene: null, currentShot: null, reviews: [] })
   },
 }))
@@ -0,0 +1,100 @@
+/**
+ * Sync Store - Zustand store for background cloud sync
+ */
+
+import { create } from 'zustand'
+import { syncService } from '../supabase'
+import { debounce } from '../utils'
+import { useProjectStore } from './projectStore'
+import { useWorkspaceStore } from './workspaceStore'
+
+const SYNC_INTERVAL = 60 * 1000
+const CHANGE_DELAY = 2000
+
+// Set when a sync is asked for while one is running
+let resync = false
+
+export const useSyncStore = create((set, get) => ({
+  // State
+  enabled: syncService.isEnabled(),
+  online: navigator.onLine,
+  status: 'idle', // 'idle' | 'syncing' | 'error'
+  pending: 0,
+  lastSyncedAt: null,
+  error: null,
+
+  // Start syncing in the background
+  // Returns a cleanup function
+  start: () => {
+    if (!get().enabled) return () => {}
+
+    const syncSoon = debounce(() => get().syncNow(), CHANGE_DELAY)
+    const handleOnline = () => {
+      set({ online: true })
+      get().syncNow()
+    }
+    const handleOffline = () => set({ online: false })
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    const unsubscribe = syncService.onLocalChange(() => {
+      get().refreshPending()
+      syncSoon()
+    })
+    const interval = setInterval(() => get().syncNow(), SYNC_INTERVAL)
+    get().syncNow()
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+      unsubscribe()
+      clearInterval(interval)
+    }
+  },
+
+  refreshPending: async () => {
+    set({ pending: await syncService.pendingCount() })
+  },
+
+  // Push local changes and pull remote ones, then reload what changed
+  syncNow: async () => {
+    const { enabled, online, status } = get()
+    if (!enabled || !online) return
+    if (status === 'syncing') {
+      resync = true
+      return
+    }
+
+    set({ status: 'syncing', error: null })
+    try {
+      // Roles first, so they're current for what the pull brings in
+      await useWorkspaceStore.getState().load()
+      const changed = await syncService.sync()
+      set({ status: 'idle', lastSyncedAt: new Date().toISOString() })
+
+      if (changed.size > 0) {
+        const projectStore = useProjectStore.getState()
+        await projectStore.loadProjects()
+        if (changed.has(projectStore.currentProject?.id)) {
+          await projectStore.refreshProject()
+        }
+      }
+    } catch (error) {
+      console.error('Sync failed:', error)
+      set({ status: 'error', error: error.message })
+    }
+    await get().refreshPending()
+
+    if (resync && get().status === 'idle') {
+      resync = false
+      await get().syncNow()
+    }
+  },
+
+  // Queue every local project for upload, then sync
+  uploadLocalProjects: async () => {
+    const count = await syncService.queueLocalProjects()
+    await get().syncNow()
+    return count
+  },
+}))
@@ -0,0 +1,49 @@
+/**
+ * Workspace Store - Zustand store for the user's workspaces and roles
+ */
+
+import { create } from 'zustand'
+import { workspaceService, syncService, dataService, can } from '../supabase'
+import { useProjectStore } from './projectStore'
+
+export const useWorkspaceStore = create((set, get) => ({
+  // State
+  enabled: workspaceService.isEnabled(),
+  workspaces: workspaceService.workspaces, // { id, name, role }
+  error: null,
+
+  // Reload the user's workspaces and roles
+  load: async () => {
+    if (!get().enabled) return
+    try {
+      set({ workspaces: await workspaceService.load(), error: null })
+    } catch (error) {
+      set({ error: error.message })
+    }
+  },
+
+  createWorkspace: async (name) => {
+    const workspace = await workspaceService.createWorkspace(name)
+    set({ workspaces: workspaceService.workspaces })
+    return workspace
+  },
+
+  // Join a workspace from an invite link, then fetch its projects
+  acceptInvite: async (token) => {
+    const workspaceId = await workspaceService.acceptInvite(token)
+    set({ workspaces: workspaceService.workspaces })
+    await syncService.pullWorkspace(workspaceId)
+    await useProjectStore.getState().loadProjects()
+    return workspaceService.workspaces.find((w) => w.id === workspaceId)
+  },
+
+  clear: () => {
+    workspaceService.clear()
+    set({ workspaces: [] })
+  },
+
+  // The user's role in a project (see dataService.roleFor)
+  roleFor: (project) => dataService.roleFor(project),
+
+  can: (project, action) => can(get().roleFor(project), action),
+}))
@@ -0,0 +1,74 @@
+/**
+ * Auth Service - Supabase Auth sessions
+ * The Supabase client sends the signed-in user's token with every request,
+ * so row-level security sees who is asking.
+ */
+
+import { supabase, isSupabaseConfigured } from './client'
+
+class AuthService {
+  constructor() {
+    this.session = null
+  }
+
+  isEnabled() {
+    return isSupabaseConfigured()
+  }
+
+  async getSession() {
+    if (!this.isEnabled()) return null
+    const { data, error } = await supabase.auth.getSession()
+    if (error) throw error
+    this.session = data.session
+    return this.session
+  }
+
+  /**
+   * Subscribe to sign in, sign out and token refresh
+   * @param {Function} listener - Called with the new session (or null)
+   * @returns {Function} Unsubscribe
+   */
+  onSessionChange(listener) {
+    if (!this.isEnabled()) return () => {}
+    const { data } = supabase.auth.onAuthStateChange((event, session) => {
+      this.session = session
+      listener(session, event)
+    })
+    return () => data.subscription.unsubscribe()
+  }
+
+  // ID of the signed-in user, if any
+  get userId() {
+    return this.session?.user?.id ?? null
+  }
+
+  async signIn(email, password) {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password })
+    if (error) throw error
+    this.session = data.session
+    return data.session
+  }
+
+  /**
+   * Create an account
+   * @returns {Promise<Object|null>} The session, or null if the email must be confirmed first
+   */
+  async signUp(email, password) {
+    const { data, error } = await supabase.auth.signUp({
+      email,
+      password,
+      options: { emailRedirectTo: window.location.origin },
+    })
+    if (error) throw error
+    this.session = data.session
+    return data.session
+  }
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut()
+    if (error) throw error
+    this.session = null
+  }
+}
+
+export const authService = new AuthService()
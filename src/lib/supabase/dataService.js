@@ -1,274 +1,277 @@
 /**
  * Data Service - Abstraction layer for storage
- * Uses Supabase when available, falls back to IndexedDB
+ * IndexedDB is the working copy. When Supabase is configured, each write
+ * is also logged for syncService to push in the background.
+ * Writes are checked against the user's role in the project first, as
+ * row-level security would reject them when pushed.
  */
 
-import { supabase, isSupabaseConfigured } from './client'
 import * as localDb from '../db'
+import { SCENE_STORES, flattenScenes, diffScenes, hasChanges, assembleScenes } from '../db/sceneRecords'
+import { syncService, SETTLED_STATUSES } from './syncService'
+import { authService } from './authService'
+import { workspaceService } from './workspaceService'
+import { can } from './permissions'
+import { totalCost, formatCost } from '../models/pricing'
+
+const ACTION_NAMES = {
+  edit: 'edit',
+  generate: 'generate media in',
+  review: 'review',
+  share: 'share',
+  delete: 'delete',
+  budget: 'change the spending cap of',
+}
+
+// Log entries for a scene change set
+function sceneEntries(projectId, changes) {
+  return SCENE_STORES.flatMap((store) => [
+    ...changes.put[store].map((record) => ({ store, id: record.id, op: 'put', projectId })),
+    ...changes.remove[store].map((id) => ({ store, id, op: 'delete', projectId })),
+  ])
+}
+
+// Replace the item with the same ID, or add it at the end
+function upsert(items, item) {
+  return items.some((i) => i.id === item.id)
+    ? items.map((i) => (i.id === item.id ? item : i))
+    : [...items, item]
+}
 
 class DataService {
+  // Queue local writes for the next sync
+  async logChanges(entries) {
+    if (!syncService.isEnabled()) return
+    await localDb.logChanges(entries)
+    syncService.notifyLocalChange()
+  }
+
+  // ==================== Roles ====================
+
+  /**
+   * The signed-in user's role in a project
+   * Without accounts, and for projects made before them, everyone is owner.
+   * @param {Object} project - Needs ownerId and workspaceId
+   * @returns {string|null}
+   */
+  roleFor(project) {
+    if (!project || !authService.isEnabled()) return 'owner'
+    if (!project.ownerId || project.ownerId === authService.userId) return 'owner'
+    return workspaceService.roleIn(project.workspaceId)
+  }
+
+  /**
+   * Throw unless the signed-in user's role allows an action in a project
+   * @param {Object} project
+   * @param {'edit'|'generate'|'review'|'share'|'delete'|'budget'} action
+   */
+  checkRole(project, action) {
+    if (!project || can(this.roleFor(project), action)) return
+    throw new Error(`Your role in this project doesn't allow you to ${ACTION_NAMES[action]} it`)
+  }
+
+  // checkRole against the stored project, given it or its ID
+  async assertCan(project, action) {
+    const record = typeof project === 'string' ? await localDb.getRecord('projects', project) : project
+    this.checkRole(record, action)
+  }
+
   // ==================== Projects ====================
 
+  // New projects belong to the signed-in user (the database sets owner_id too)
   async createProject(project) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('projects')
-        .insert({
-          id: project.id,
-          name: project.name,
-          script: project.script || '',
-          characters: project.characters || [],
-          locations: project.locations || [],
-          scenes: project.scenes || [],
-          assembly: project.assembly || { timeline: [] },
-          created_at: project.createdAt,
-          updated_at: project.updatedAt,
-        })
-        .select()
-        .single()
-
-      if (error) throw error
-      return this.normalizeProject(data)
-    }
-    return localDb.createProject(project)
+    const owned = { ...project, ownerId: project.ownerId ?? authService.userId }
+    const saved = await localDb.createProject(owned)
+    await this.logChanges([
+      { store: 'projects', id: project.id, op: 'put', projectId: project.id },
+      ...sceneEntries(project.id, flattenScenes(project.id, project.scenes)),
+    ])
+    return saved
   }
 
   async getProject(id) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('projects')
-        .select('*')
-        .eq('id', id)
-        .single()
-
-      if (error) throw error
-      return this.normalizeProject(data)
-    }
+    const project = await localDb.getProject(id)
+    if (project || !syncService.isEnabled() || !navigator.onLine) return project
+
+    // Opened from a link before this device has pulled it
+    await syncService.pull()
     return localDb.getProject(id)
   }
 
   async getAllProjects() {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('projects')
-        .select('*')
-        .order('updated_at', { ascending: false })
-
-      if (error) throw error
-      return data.map(p => this.normalizeProject(p))
-    }
     return localDb.getAllProjects()
   }
 
   async updateProject(project) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('projects')
-        .update({
-          name: project.name,
-          script: project.script,
-          characters: project.characters,
-          locations: project.locations,
-          scenes: project.scenes,
-          assembly: project.assembly,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', project.id)
-        .select()
-        .single()
-
-      if (error) throw error
-      return this.normalizeProject(data)
+    const stored = await localDb.getRecord('projects', project.id)
+    this.checkRole(stored, 'edit')
+    if ((project.workspaceId ?? null) !== (stored?.workspaceId ?? null)) {
+      this.checkRole(stored, 'share')
     }
-    return localDb.updateProject(project)
+    if ((project.spendingCap ?? null) !== (stored?.spendingCap ?? null)) {
+      this.checkRole(stored, 'budget')
+    }
+    const saved = await localDb.updateProject(project)
+    await this.logChanges([{ store: 'projects', id: project.id, op: 'put', projectId: project.id }])
+    return saved
+  }
+
+  // Bump updatedAt after an edit that only touched scene records
+  async touchProject(id) {
+    await this.assertCan(id, 'edit')
+    await localDb.touchProject(id)
+    await this.logChanges([{ store: 'projects', id, op: 'put', projectId: id }])
   }
 
   async deleteProject(id) {
-    if (isSupabaseConfigured()) {
-      // Delete associated assets first
-      await supabase.from('assets').delete().eq('project_id', id)
-      await supabase.from('generations').delete().eq('project_id', id)
-
-      const { error } = await supabase
-        .from('projects')
-        .delete()
-        .eq('id', id)
-
-      if (error) throw error
-      return
-    }
-    return localDb.deleteProject(id)
+    await this.assertCan(id, 'delete')
+    await localDb.deleteProject(id)
+    // The cloud removes the project's records along with it
+    await this.logChanges([{ store: 'projects', id, op: 'delete', projectId: id }])
   }
 
-  // Normalize Supabase snake_case to camelCase
-  normalizeProject(data) {
-    if (!data) return null
-    return {
-      id: data.id,
-      name: data.name,
-      script: data.script || '',
-      characters: data.characters || [],
-      locations: data.locations || [],
-      scenes: data.scenes || [],
-      assembly: data.assembly || { timeline: [] },
-      createdAt: data.created_at,
-      updatedAt: data.updated_at,
-    }
+  // ==================== Scenes, Shots, Keyframes, Takes ====================
+
+  // Save the difference between two versions of a project's scene tree
+  // Only scenes, shots, keyframes and takes that changed are written
+  async updateScenes(projectId, before, after) {
+    const changes = diffScenes(projectId, before, after)
+    if (!hasChanges(changes)) return
+
+    await this.assertCan(projectId, 'edit')
+    const entries = sceneEntries(projectId, changes)
+    await localDb.applySceneChanges(changes)
+    await this.logChanges(entries)
+  }
+
+  // A project's scene tree as stored
+  async getScenes(projectId) {
+    const records = Object.fromEntries(await Promise.all(
+      SCENE_STORES.map(async (store) => [store, await localDb.getRecordsByProject(store, projectId)])
+    ))
+    return assembleScenes(records)
+  }
+
+  // Apply an edit to the stored scene tree, writing only what it changed
+  async editScenes(projectId, edit) {
+    const before = await this.getScenes(projectId)
+    await this.updateScenes(projectId, before, edit(before))
+  }
+
+  // Create or update one scene with its shots; shots it no longer has are deleted
+  async saveScene(projectId, scene) {
+    await this.editScenes(projectId, (scenes) => upsert(scenes, scene))
+  }
+
+  // Delete a scene with its shots, keyframes and takes
+  async deleteScene(projectId, sceneId) {
+    await this.editScenes(projectId, (scenes) => scenes.filter((s) => s.id !== sceneId))
+  }
+
+  // Create or update one shot (with its keyframes and takes) in a scene
+  async saveShot(projectId, sceneId, shot) {
+    await this.editScenes(projectId, (scenes) => {
+      if (!scenes.some((s) => s.id === sceneId)) throw new Error(`Scene not found: ${sceneId}`)
+      return scenes.map((s) => (s.id === sceneId ? { ...s, shots: upsert(s.shots, shot) } : s))
+    })
+  }
+
+  // Delete a shot with its keyframes and takes
+  async deleteShot(projectId, shotId) {
+    await this.editScenes(projectId, (scenes) => scenes.map((s) => (
+      s.shots.some((shot) => shot.id === shotId)
+        ? { ...s, shots: s.shots.filter((shot) => shot.id !== shotId) }
+        : s
+    )))
   }
 
   // ==================== Assets ====================
 
   async saveAsset(asset) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('assets')
-        .upsert({
-          id: asset.id,
-          project_id: asset.projectId,
-          type: asset.type,
-          url: asset.url,
-          metadata: asset.metadata || {},
-          created_at: asset.createdAt || new Date().toISOString(),
-        })
-        .select()
-        .single()
-
-      if (error) throw error
-      return this.normalizeAsset(data)
-    }
-    return localDb.saveAsset(asset)
+    if (asset.projectId) await this.assertCan(asset.projectId, 'edit')
+    const saved = await localDb.saveAsset(asset)
+    await this.logChanges([{ store: 'assets', id: asset.id, op: 'put', projectId: asset.projectId }])
+    return saved
   }
 
   async getAsset(id) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('assets')
-        .select('*')
-        .eq('id', id)
-        .single()
-
-      if (error) throw error
-      return this.normalizeAsset(data)
-    }
     return localDb.getAsset(id)
   }
 
   async getAssetsByProject(projectId) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('assets')
-        .select('*')
-        .eq('project_id', projectId)
-        .order('created_at', { ascending: false })
-
-      if (error) throw error
-      return data.map(a => this.normalizeAsset(a))
-    }
     return localDb.getAssetsByProject(projectId)
   }
 
   async deleteAsset(id) {
-    if (isSupabaseConfigured()) {
-      const { error } = await supabase
-        .from('assets')
-        .delete()
-        .eq('id', id)
-
-      if (error) throw error
-      return
-    }
-    return localDb.deleteAsset(id)
-  }
-
-  normalizeAsset(data) {
-    if (!data) return null
-    return {
-      id: data.id,
-      projectId: data.project_id,
-      type: data.type,
-      url: data.url,
-      metadata: data.metadata || {},
-      createdAt: data.created_at,
-    }
+    const asset = await localDb.getAsset(id)
+    if (asset?.projectId) await this.assertCan(asset.projectId, 'edit')
+    await localDb.deleteAsset(id)
+    await this.logChanges([{ store: 'assets', id, op: 'delete', projectId: asset?.projectId }])
   }
 
   // ==================== Generations ====================
 
+  // Generations in flight stay local until they settle
   async saveGeneration(generation) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('generations')
-        .upsert({
-          id: generation.id,
-          project_id: generation.projectId,
-          shot_id: generation.shotId,
-          type: generation.type,
-          prompt: generation.prompt,
-          model: generation.model,
-          provider: generation.provider,
-          status: generation.status,
-          output_url: generation.outputUrl,
-          metadata: generation.metadata || {},
-          created_at: generation.createdAt || new Date().toISOString(),
-        })
-        .select()
-        .single()
-
-      if (error) throw error
-      return this.normalizeGeneration(data)
+    const saved = await localDb.saveGeneration(generation)
+    if (SETTLED_STATUSES.includes(generation.status)) {
+      await this.logChanges([
+        { store: 'generations', id: generation.id, op: 'put', projectId: generation.projectId },
+      ])
     }
-    return localDb.saveGeneration(generation)
+    return saved
   }
 
   async getGenerationsByProject(projectId) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('generations')
-        .select('*')
-        .eq('project_id', projectId)
-        .order('created_at', { ascending: false })
-
-      if (error) throw error
-      return data.map(g => this.normalizeGeneration(g))
-    }
     return localDb.getGenerationsByProject(projectId)
   }
 
   async getGenerationsByShot(shotId) {
-    if (isSupabaseConfigured()) {
-      const { data, error } = await supabase
-        .from('generations')
-        .select('*')
-        .eq('shot_id', shotId)
-        .order('created_at', { ascending: false })
-
-      if (error) throw error
-      return data.map(g => this.normalizeGeneration(g))
-    }
     return localDb.getGenerationsByShot(shotId)
   }
 
-  normalizeGeneration(data) {
-    if (!data) return null
-    return {
-      id: data.id,
-      projectId: data.project_id,
-      shotId: data.shot_id,
-      type: data.type,
-      prompt: data.prompt,
-      model: data.model,
-      provider: data.provider,
-      status: data.status,
-      outputUrl: data.output_url,
-      metadata: data.metadata || {},
-      createdAt: data.created_at,
+  /**
+   * Throw if a generation costing estimate would take a project past its
+   * spending cap; running generations count their estimates
+   * @param {string} projectId
+   * @param {number|null} estimate - USD
+   */
+  async checkBudget(projectId, estimate) {
+    if (!projectId) return
+    const project = await localDb.getRecord('projects', projectId)
+    if (project?.spendingCap == null) return
+
+    const spent = totalCost(await localDb.getGenerationsByProject(projectId))
+    if (spent + (estimate || 0) > project.spendingCap) {
+      throw new Error(
+        `This would take the project past its ${formatCost(project.spendingCap)} spending cap (${formatCost(spent)} spent)`
+      )
     }
   }
 
+  // ==================== Reviews ====================
+
+  async saveReview(review) {
+    await this.assertCan(review.projectId, 'review')
+    const saved = await localDb.saveReview(review)
+    await this.logChanges([{ store: 'reviews', id: review.id, op: 'put', projectId: review.projectId }])
+    return saved
+  }
+
+  async getReviewsByProject(projectId) {
+    return localDb.getReviewsByProject(projectId)
+  }
+
+  async deleteReview(review) {
+    await this.assertCan(review.projectId, 'review')
+    await localDb.deleteReview(review.id)
+    await this.logChanges([{ store: 'reviews', id: review.id, op: 'delete', projectId: review.projectId }])
+  }
+
   // ==================== Utility ====================
 
   isCloudEnabled() {
-    return isSupabaseConfigured()
+    return syncService.isEnabled()
   }
 }
 
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// In-memory stand-in for IndexedDB
+const local = vi.hoisted(() => ({ stores: new Map(), logged: [] }))
+
+vi.mock('../db', () => {
+  const store = (name) => {
+    if (!local.stores.has(name)) local.stores.set(name, new Map())
+    return local.stores.get(name)
+  }
+  return {
+    getRecord: async (name, id) => store(name).get(id),
+    getRecordsByProject: async (name, projectId) =>
+      [...store(name).values()].filter((r) => r.projectId === projectId),
+    applySceneChanges: async (changes) => {
+      for (const [name, records] of Object.entries(changes.put)) {
+        for (const record of records) store(name).set(record.id, record)
+      }
+      for (const [name, ids] of Object.entries(changes.remove)) {
+        for (const id of ids) store(name).delete(id)
+      }
+    },
+    logChanges: async (entries) => { local.logged.push(...entries) },
+  }
+})
+
+vi.mock('./syncService', () => ({
+  syncService: { isEnabled: () => true, notifyLocalChange: () => {} },
+  SETTLED_STATUSES: ['completed', 'failed', 'cancelled'],
+}))
+vi.mock('./authService', () => ({ authService: { isEnabled: () => false } }))
+vi.mock('./workspaceService', () => ({ workspaceService: {} }))
+
+const { dataService } = await import('./dataService')
+
+const shot = (id, extra = {}) => ({ id, description: id, keyframes: [], videoTakes: [], audioTakes: [], ...extra })
+const scene = (id, shots = [], extra = {}) => ({ id, heading: id, shots, ...extra })
+
+async function seed(scenes) {
+  await dataService.updateScenes('p1', [], scenes)
+  local.logged.length = 0
+}
+
+const logged = () => local.logged.map(({ store, id, op }) => `${op} ${store}/${id}`).sort()
+
+beforeEach(() => {
+  local.stores.clear()
+  local.logged.length = 0
+  local.stores.set('projects', new Map([['p1', { id: 'p1' }]]))
+})
+
+describe('per-record scene and shot writes', () => {
+  it('adds a scene at the end with its shots', async () => {
+    await seed([scene('s1')])
+    await dataService.saveScene('p1', scene('s2', [shot('a')]))
+
+    const scenes = await dataService.getScenes('p1')
+    expect(scenes.map((s) => s.id)).toEqual(['s1', 's2'])
+    expect(scenes[1].shots.map((s) => s.id)).toEqual(['a'])
+    expect(logged()).toEqual(['put scenes/s2', 'put shots/a'])
+  })
+
+  it('updates a scene in place and deletes the shots it dropped', async () => {
+    await seed([scene('s1', [shot('a', { keyframes: [{ id: 'k1' }] }), shot('b')]), scene('s2')])
+    const [stored] = await dataService.getScenes('p1')
+    await dataService.saveScene('p1', { ...stored, heading: 'INT. HOUSE', shots: [stored.shots[1]] })
+
+    const scenes = await dataService.getScenes('p1')
+    expect(scenes.map((s) => s.heading)).toEqual(['INT. HOUSE', 's2'])
+    expect(scenes[0].shots.map((s) => s.id)).toEqual(['b'])
+    expect(logged()).toEqual(['delete keyframes/k1', 'delete shots/a', 'put scenes/s1'])
+  })
+
+  it('deletes a scene with everything under it', async () => {
+    await seed([scene('s1', [shot('a', { videoTakes: [{ id: 'v1' }] })]), scene('s2')])
+    await dataService.deleteScene('p1', 's1')
+
+    expect((await dataService.getScenes('p1')).map((s) => s.id)).toEqual(['s2'])
+    expect(logged()).toEqual(['delete scenes/s1', 'delete shots/a', 'delete videoTakes/v1'])
+  })
+
+  it('saves one shot without rewriting its scene or siblings', async () => {
+    await seed([scene('s1', [shot('a'), shot('b')])])
+    await dataService.saveShot('p1', 's1', shot('a', { description: 'Wide', keyframes: [{ id: 'k1' }] }))
+    await dataService.saveShot('p1', 's1', shot('c'))
+
+    const [stored] = await dataService.getScenes('p1')
+    expect(stored.shots.map((s) => s.description)).toEqual(['Wide', 'b', 'c'])
+    expect(stored.shots[0].keyframes.map((k) => k.id)).toEqual(['k1'])
+    expect(logged()).toEqual(['put keyframes/k1', 'put shots/a', 'put shots/c'])
+  })
+
+  it('refuses a shot for a scene that does not exist', async () => {
+    await seed([scene('s1')])
+    await expect(dataService.saveShot('p1', 'nope', shot('a'))).rejects.toThrow('Scene not found')
+  })
+
+  it('deletes one shot with its takes', async () => {
+    await seed([scene('s1', [shot('a', { audioTakes: [{ id: 'au1' }] }), shot('b')])])
+    await dataService.deleteShot('p1', 'a')
+
+    const [stored] = await dataService.getScenes('p1')
+    expect(stored.shots.map((s) => s.id)).toEqual(['b'])
+    expect(logged()).toEqual(['delete audioTakes/au1', 'delete shots/a'])
+  })
+})
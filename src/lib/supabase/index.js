@@ -1,3 +1,8 @@
 export { supabase, isSupabaseConfigured } from './client'
+export { authService } from './authService'
 export { dataService } from './dataService'
 export { storageService } from './storageService'
+export { syncService } from './syncService'
+export { realtimeService } from './realtimeService'
+export { workspaceService } from './workspaceService'
+export { can, ROLES, ROLE_LABELS } from './permissions'
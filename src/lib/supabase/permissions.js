@@ -0,0 +1,34 @@
+/**
+ * Permissions - What each workspace role can do in a project
+ * Mirrors the row-level security policies in supabase/schema.sql.
+ */
+
+export const ROLES = ['owner', 'editor', 'reviewer', 'viewer']
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  reviewer: 'Reviewer',
+  viewer: 'Viewer',
+}
+
+// edit: change the project and delete its records
+// generate: run generations
+// review: comment on and approve shots
+// share, delete: change who it's shared with, delete the project
+// budget: set the project's spending cap
+const ACTIONS = {
+  owner: ['edit', 'generate', 'review', 'share', 'delete', 'budget'],
+  editor: ['edit', 'generate', 'review'],
+  reviewer: ['review'],
+  viewer: [],
+}
+
+/**
+ * Whether a role allows an action
+ * @param {string|null} role
+ * @param {'edit'|'generate'|'review'|'share'|'delete'|'budget'} action
+ */
+export function can(role, action) {
+  return ACTIONS[role]?.includes(action) ?? false
+}
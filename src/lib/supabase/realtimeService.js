@@ -0,0 +1,93 @@
+/**
+ * Realtime Service - Live project changes and presence over Supabase Realtime
+ *
+ * Row changes from other users are written to IndexedDB through
+ * syncService, with the same updated_at rule as a pull, so edits merge
+ * record by record. Deletes arrive as rows of the deletions table, since
+ * Realtime can't filter delete events by project.
+ */
+
+import { supabase, isSupabaseConfigured } from './client'
+import { syncService } from './syncService'
+import { SYNC_TABLES } from './rows'
+
+class RealtimeService {
+  isEnabled() {
+    return isSupabaseConfigured()
+  }
+
+  /**
+   * Apply other users' changes to a project as they happen
+   * @param {string} projectId
+   * @param {Function} onChange - Called after a remote change was applied locally
+   * @returns {Function} Unsubscribe
+   */
+  subscribeToProject(projectId, onChange) {
+    if (!this.isEnabled()) return () => {}
+
+    const channel = supabase.channel(`project-changes:${projectId}`)
+    const apply = async (task) => {
+      try {
+        if (await task()) onChange()
+      } catch (error) {
+        console.error('Failed to apply remote change:', error)
+      }
+    }
+
+    for (const [store, table] of Object.entries(SYNC_TABLES)) {
+      const filter = store === 'projects' ? `id=eq.${projectId}` : `project_id=eq.${projectId}`
+      for (const event of ['INSERT', 'UPDATE']) {
+        channel.on('postgres_changes', { event, schema: 'public', table, filter }, (payload) =>
+          apply(() => syncService.applyRemoteRow(store, payload.new))
+        )
+      }
+    }
+    channel.on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'deletions', filter: `project_id=eq.${projectId}` },
+      (payload) => apply(() => syncService.applyRemoteDeletion(payload.new))
+    )
+
+    channel.subscribe()
+    return () => supabase.removeChannel(channel)
+  }
+
+  /**
+   * Share this user's state with everyone else in a project
+   * @param {string} projectId
+   * @param {string} key - Unique per open tab
+   * @param {Function} onSync - Called with the other users' states, each with its key
+   * @returns {{ track: Function, leave: Function }}
+   */
+  joinPresence(projectId, key, onSync) {
+    if (!this.isEnabled()) return { track: () => {}, leave: () => {} }
+
+    const channel = supabase.channel(`project-presence:${projectId}`, {
+      config: { presence: { key } },
+    })
+    let state = {}
+    let subscribed = false
+
+    channel.on('presence', { event: 'sync' }, () => {
+      const peers = Object.entries(channel.presenceState())
+        .filter(([peerKey]) => peerKey !== key)
+        .map(([peerKey, metas]) => ({ ...metas[metas.length - 1], key: peerKey }))
+      onSync(peers)
+    })
+    channel.subscribe((status) => {
+      if (status !== 'SUBSCRIBED') return
+      subscribed = true
+      channel.track(state)
+    })
+
+    return {
+      track: (next) => {
+        state = next
+        if (subscribed) channel.track(state)
+      },
+      leave: () => supabase.removeChannel(channel),
+    }
+  }
+}
+
+export const realtimeService = new RealtimeService()
@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// A stand-in Realtime channel that records its handlers
+const realtime = vi.hoisted(() => {
+  const channels = []
+  const channel = (name, options) => {
+    const handlers = []
+    const made = {
+      name,
+      options,
+      handlers,
+      presence: {},
+      on: vi.fn((type, filter, handler) => {
+        handlers.push({ type, filter, handler })
+        return made
+      }),
+      subscribe: vi.fn(),
+      track: vi.fn(),
+      presenceState: () => made.presence,
+      emit: (type, match, payload) => Promise.all(handlers
+        .filter((h) => h.type === type && Object.entries(match).every(([k, v]) => h.filter[k] === v))
+        .map((h) => h.handler(payload))),
+    }
+    channels.push(made)
+    return made
+  }
+  return {
+    channels,
+    client: {
+      isSupabaseConfigured: () => true,
+      supabase: { channel: vi.fn(channel), removeChannel: vi.fn() },
+    },
+    sync: {
+      syncService: { applyRemoteRow: vi.fn(async () => true), applyRemoteDeletion: vi.fn(async () => true) },
+    },
+  }
+})
+vi.mock('./client', () => realtime.client)
+vi.mock('./syncService', () => realtime.sync)
+
+const { realtimeService } = await import('./realtimeService')
+const { supabase } = realtime.client
+const { syncService } = realtime.sync
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  realtime.channels.length = 0
+})
+
+describe('subscribeToProject', () => {
+  it('listens for the project\'s own rows in every synced table', () => {
+    realtimeService.subscribeToProject('p1', () => {})
+    const [channel] = realtime.channels
+
+    const filters = channel.handlers.map((h) => `${h.filter.event} ${h.filter.table} ${h.filter.filter}`)
+    expect(filters).toContain('UPDATE projects id=eq.p1')
+    expect(filters).toContain('INSERT shots project_id=eq.p1')
+    expect(filters).toContain('INSERT shot_reviews project_id=eq.p1')
+    expect(filters).toContain('INSERT deletions project_id=eq.p1')
+    expect(filters.some((f) => f.startsWith('DELETE'))).toBe(false)
+    expect(channel.subscribe).toHaveBeenCalled()
+  })
+
+  it('applies remote rows and deletions, and reports only those that changed something', async () => {
+    const onChange = vi.fn()
+    realtimeService.subscribeToProject('p1', onChange)
+    const [channel] = realtime.channels
+
+    await channel.emit('postgres_changes', { event: 'UPDATE', table: 'video_takes' }, { new: { id: 't1' } })
+    expect(syncService.applyRemoteRow).toHaveBeenCalledWith('videoTakes', { id: 't1' })
+
+    syncService.applyRemoteDeletion.mockResolvedValueOnce(false)
+    await channel.emit('postgres_changes', { table: 'deletions' }, { new: { record_id: 's1' } })
+    expect(syncService.applyRemoteDeletion).toHaveBeenCalledWith({ record_id: 's1' })
+
+    expect(onChange).toHaveBeenCalledTimes(1)
+  })
+
+  it('keeps listening after a change fails to apply', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const onChange = vi.fn()
+    realtimeService.subscribeToProject('p1', onChange)
+    const [channel] = realtime.channels
+
+    syncService.applyRemoteRow.mockRejectedValueOnce(new Error('IndexedDB closed'))
+    await channel.emit('postgres_changes', { event: 'INSERT', table: 'scenes' }, { new: { id: 's1' } })
+    await channel.emit('postgres_changes', { event: 'INSERT', table: 'scenes' }, { new: { id: 's2' } })
+
+    expect(onChange).toHaveBeenCalledTimes(1)
+    console.error.mockRestore()
+  })
+
+  it('removes the channel to unsubscribe', () => {
+    const unsubscribe = realtimeService.subscribeToProject('p1', () => {})
+    unsubscribe()
+    expect(supabase.removeChannel).toHaveBeenCalledWith(realtime.channels[0])
+  })
+})
+
+describe('joinPresence', () => {
+  it('tracks the latest state once subscribed', () => {
+    const presence = realtimeService.joinPresence('p1', 'tab-a', () => {})
+    const [channel] = realtime.channels
+    expect(channel.options).toEqual({ config: { presence: { key: 'tab-a' } } })
+
+    presence.track({ page: 'frames' })
+    expect(channel.track).not.toHaveBeenCalled()
+
+    const onStatus = channel.subscribe.mock.calls[0][0]
+    onStatus('SUBSCRIBED')
+    expect(channel.track).toHaveBeenLastCalledWith({ page: 'frames' })
+
+    presence.track({ page: 'video' })
+    expect(channel.track).toHaveBeenLastCalledWith({ page: 'video' })
+  })
+
+  it('reports the other tabs with their latest state', async () => {
+    const onSync = vi.fn()
+    realtimeService.joinPresence('p1', 'tab-a', onSync)
+    const [channel] = realtime.channels
+
+    channel.presence = {
+      'tab-a': [{ name: 'Me' }],
+      'tab-b': [{ name: 'Sam', page: 'frames' }, { name: 'Sam', page: 'video' }],
+    }
+    await channel.emit('presence', { event: 'sync' })
+
+    expect(onSync).toHaveBeenCalledWith([{ name: 'Sam', page: 'video', key: 'tab-b' }])
+  })
+
+  it('removes the channel to leave', () => {
+    realtimeService.joinPresence('p1', 'tab-a', () => {}).leave()
+    expect(supabase.removeChannel).toHaveBeenCalledWith(realtime.channels[0])
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * Rows - Map local IndexedDB records to Supabase rows and back
+ * Scene, shot and take fields live in each row's data column.
+ */
+
+import { SCENE_STORES } from '../db/sceneRecords'
+
+// Local store -> Supabase table, parents before children
+export const SYNC_TABLES = {
+  projects: 'projects',
+  scenes: 'scenes',
+  shots: 'shots',
+  keyframes: 'keyframes',
+  videoTakes: 'video_takes',
+  audioTakes: 'audio_takes',
+  assets: 'assets',
+  generations: 'generations',
+  reviews: 'shot_reviews',
+}
+
+export const SYNC_STORES = Object.keys(SYNC_TABLES)
+
+/**
+ * Supabase row for a local record
+ * Project and review authorship (owner_id, author_id) is left to the database.
+ */
+export function toRow(store, record) {
+  if (SCENE_STORES.includes(store)) {
+    const { id, projectId, sceneId, shotId, position, updatedAt, ...data } = record
+    return {
+      id,
+      project_id: projectId,
+      ...(store === 'shots' && { scene_id: sceneId }),
+      ...(store !== 'scenes' && store !== 'shots' && { shot_id: shotId }),
+      position,
+      data,
+      updated_at: updatedAt,
+    }
+  }
+
+  switch (store) {
+    case 'projects':
+      return {
+        id: record.id,
+        name: record.name,
+        script: record.script || '',
+        characters: record.characters || [],
+        locations: record.locations || [],
+        assembly: record.assembly || { timeline: [] },
+        frames: record.frames || [],
+        clips: record.clips || [],
+        workspace_id: record.workspaceId ?? null,
+        spending_cap: record.spendingCap ?? null,
+        created_at: record.createdAt,
+        updated_at: record.updatedAt,
+      }
+    case 'assets':
+      return {
+        id: record.id,
+        project_id: record.projectId,
+        type: record.type,
+        url: record.url,
+        metadata: record.metadata || {},
+        created_at: record.createdAt || new Date().toISOString(),
+        updated_at: record.updatedAt,
+      }
+    case 'generations': {
+      // Task fields without a column of their own go in metadata
+      const {
+        id, projectId, shotId, type, prompt, modelId, provider, status,
+        outputs, estimatedCost, actualCost, createdAt, updatedAt, ...metadata
+      } = record
+      return {
+        id,
+        project_id: projectId ?? null,
+        shot_id: shotId ?? null,
+        type,
+        prompt,
+        model: modelId,
+        provider,
+        status,
+        output_url: outputs?.[0] ?? null,
+        estimated_cost: estimatedCost ?? null,
+        actual_cost: actualCost ?? null,
+        metadata: { ...metadata, outputs },
+        created_at: createdAt || new Date().toISOString(),
+        updated_at: updatedAt,
+      }
+    }
+    case 'reviews':
+      return {
+        id: record.id,
+        project_id: record.projectId,
+        shot_id: record.shotId,
+        author_name: record.authorName,
+        kind: record.kind,
+        body: record.body || '',
+        status: record.status ?? null,
+        created_at: record.createdAt,
+        updated_at: record.updatedAt,
+      }
+    default:
+      throw new Error(`Unknown sync store: ${store}`)
+  }
+}
+
+/**
+ * Local record for a Supabase row (snake_case to camelCase)
+ */
+export function fromRow(store, row) {
+  if (SCENE_STORES.includes(store)) {
+    return {
+      ...row.data,
+      id: row.id,
+      projectId: row.project_id,
+      ...(row.scene_id && { sceneId: row.scene_id }),
+      ...(row.shot_id && { shotId: row.shot_id }),
+      position: row.position,
+      updatedAt: row.updated_at,
+    }
+  }
+
+  switch (store) {
+    case 'projects':
+      return {
+        id: row.id,
+        name: row.name,
+        script: row.script || '',
+        characters: row.characters || [],
+        locations: row.locations || [],
+        assembly: row.assembly || { timeline: [] },
+        frames: row.frames || [],
+        clips: row.clips || [],
+        ownerId: row.owner_id,
+        workspaceId: row.workspace_id,
+        spendingCap: row.spending_cap == null ? null : Number(row.spending_cap),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+      }
+    case 'assets':
+      return {
+        id: row.id,
+        projectId: row.project_id,
+        type: row.type,
+        url: row.url,
+        metadata: row.metadata || {},
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+      }
+    case 'generations':
+      return {
+        ...row.metadata,
+        id: row.id,
+        projectId: row.project_id,
+        shotId: row.shot_id,
+        type: row.type,
+        prompt: row.prompt,
+        modelId: row.model,
+        provider: row.provider,
+        status: row.status,
+        outputs: row.metadata?.outputs ?? (row.output_url ? [row.output_url] : []),
+        // NUMERIC columns come back as strings
+        estimatedCost: row.estimated_cost == null ? null : Number(row.estimated_cost),
+        actualCost: row.actual_cost == null ? null : Number(row.actual_cost),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+      }
+    case 'reviews':
+      return {
+        id: row.id,
+        projectId: row.project_id,
+        shotId: row.shot_id,
+        authorId: row.author_id,
+        authorName: row.author_name,
+        kind: row.kind,
+        body: row.body || '',
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+      }
+    default:
+      throw new Error(`Unknown sync store: ${store}`)
+  }
+}
@@ -2,8 +2,9 @@
  * Storage Service - Handle file uploads to Supabase Storage
  */
 
-import { supabase, isSupabaseConfigured } from './client'
+import { supabase, supabaseUrl, isSupabaseConfigured } from './client'
 import { v4 as uuid } from 'uuid'
+import * as localDb from '../db'
 
 const BUCKETS = {
   images: 'images',
@@ -12,6 +13,20 @@ const BUCKETS = {
   ply: 'ply-files',
 }
 
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+}
+
 class StorageService {
   /**
    * Upload a file to Supabase Storage
@@ -21,11 +36,26 @@ class StorageService {
    * @returns {Promise<{url: string, path: string}>}
    */
   async uploadFile(file, bucket, projectId) {
-    if (!isSupabaseConfigured()) {
-      // Return data URL for local mode
-      return this.fileToDataUrl(file)
+    // Offline, the blob store holds the file until sync uploads it
+    if (!isSupabaseConfigured() || !navigator.onLine) {
+      return this.saveLocalBlob(file, projectId)
+    }
+
+    try {
+      return await this.uploadToCloud(file, bucket, projectId)
+    } catch (error) {
+      // Storage only takes files for projects already in the cloud, so a
+      // project that hasn't synced yet keeps them locally until it has
+      console.warn('Cloud upload failed, keeping the file locally:', error)
+      return this.saveLocalBlob(file, projectId)
     }
+  }
 
+  /**
+   * Upload a file to Supabase Storage, even when offline uploads would be kept locally
+   * @returns {Promise<{url: string, path: string}>}
+   */
+  async uploadToCloud(file, bucket, projectId) {
     const bucketName = BUCKETS[bucket] || bucket
     const ext = file.name?.split('.').pop() || 'bin'
     const fileName = `${projectId}/${uuid()}.${ext}`
@@ -55,14 +85,14 @@ class StorageService {
    * Upload image from data URL
    */
   async uploadDataUrl(dataUrl, bucket, projectId, fileName) {
-    if (!isSupabaseConfigured()) {
-      return { url: dataUrl, path: null, bucket: null }
-    }
-
     // Convert data URL to blob
     const response = await fetch(dataUrl)
     const blob = await response.blob()
 
+    if (!isSupabaseConfigured() || !navigator.onLine) {
+      return this.saveLocalBlob(blob, projectId)
+    }
+
     const bucketName = BUCKETS[bucket] || bucket
     const ext = fileName?.split('.').pop() || 'png'
     const path = `${projectId}/${uuid()}.${ext}`
@@ -90,28 +120,96 @@ class StorageService {
 
   /**
    * Upload from external URL (download and re-upload)
+   * Falls back to the original URL if it can't be copied
    */
   async uploadFromUrl(url, bucket, projectId) {
-    if (!isSupabaseConfigured()) {
+    try {
+      return await this.mirrorUrl(url, bucket, projectId)
+    } catch (error) {
+      console.warn('Failed to re-upload from URL, using original:', error)
+      return { url, path: null, bucket: null }
+    }
+  }
+
+  /**
+   * Copy a URL's file into project storage (Supabase or the local blob store)
+   * Throws if the file can't be downloaded, e.g. an expired provider URL
+   * @param {string} url
+   * @param {string} [bucket] - Defaults to one matching the file's type
+   * @param {string} projectId
+   * @returns {Promise<{url: string, path: string}>}
+   */
+  async mirrorUrl(url, bucket, projectId) {
+    if (this.isStoredUrl(url)) {
       return { url, path: null, bucket: null }
     }
 
+    const response = await fetch(url)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    const blob = await response.blob()
+    const target = bucket || this.bucketFor(blob.type, url)
+
+    return this.uploadFile(
+      new File([blob], `download.${this.extensionFor(blob.type, url)}`, { type: blob.type }),
+      target,
+      projectId
+    )
+  }
+
+  /**
+   * A URL a provider can fetch for a generation's source media
+   * Local media (asset refs, object URLs) is uploaded to cloud storage when
+   * it's available. Otherwise, or if that fails, the URL is returned as is
+   * and the provider sends the file inline.
+   */
+  async shareableUrl(url, projectId) {
+    if (!localDb.isLocalMediaUrl(url) || !isSupabaseConfigured() || !navigator.onLine) {
+      return url
+    }
+
     try {
-      const response = await fetch(url)
-      const blob = await response.blob()
-      const ext = url.split('.').pop()?.split('?')[0] || 'bin'
-
-      return this.uploadFile(
-        new File([blob], `download.${ext}`, { type: blob.type }),
-        bucket,
-        projectId
-      )
+      const blob = await localDb.getLocalBlob(url)
+      if (!blob) return url
+      const file = new File([blob], `source.${this.extensionFor(blob.type)}`, { type: blob.type })
+      const stored = await this.uploadToCloud(file, this.bucketFor(blob.type), projectId)
+      return stored.url
     } catch (error) {
-      console.warn('Failed to re-upload from URL, using original:', error)
-      return { url, path: null, bucket: null }
+      console.warn('Could not upload local media, sending it inline:', error)
+      return url
     }
   }
 
+  /**
+   * File extension for a download, from its URL or else its type
+   */
+  extensionFor(mimeType, url = '') {
+    const match = url.startsWith('data:') || url.startsWith('blob:')
+      ? null
+      : url.split(/[?#]/)[0].match(/\.(\w{2,5})$/)
+    return match?.[1] || EXTENSIONS[mimeType] || (this.bucketFor(mimeType, url) === 'ply' ? 'ply' : 'bin')
+  }
+
+  /**
+   * Whether a URL already points at project storage
+   */
+  isStoredUrl(url) {
+    // Blob store files are uploaded by sync when Supabase is configured
+    if (url.startsWith(localDb.ASSET_REF) || localDb.hasAssetRef(url)) return true
+    return isSupabaseConfigured() && url.startsWith(`${supabaseUrl}/storage/`)
+  }
+
+  /**
+   * Bucket for a file type (images, videos, audio, ply)
+   */
+  bucketFor(mimeType, url = '') {
+    if (/\.(ply|splat)([?#]|$)/i.test(url)) return 'ply'
+    if (mimeType.startsWith('video/')) return 'videos'
+    if (mimeType.startsWith('audio/')) return 'audio'
+    return 'images'
+  }
+
   /**
    * Delete a file from storage
    */
@@ -142,19 +240,12 @@ class StorageService {
   }
 
   /**
-   * Convert file to data URL (for local fallback)
+   * Store a file as a blob asset in IndexedDB (local fallback)
+   * The URL is an object URL; projects save it as the asset ref in path.
    */
-  async fileToDataUrl(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.onload = () => resolve({
-        url: reader.result,
-        path: null,
-        bucket: null,
-      })
-      reader.onerror = reject
-      reader.readAsDataURL(file)
-    })
+  async saveLocalBlob(file, projectId) {
+    const { ref, url } = await localDb.saveBlob(file, projectId)
+    return { url, path: ref, bucket: null }
   }
 
   /**
@@ -0,0 +1,436 @@
+/**
+ * Sync Service - Background sync between IndexedDB and Supabase
+ *
+ * IndexedDB is the working copy. Local writes are logged (see
+ * localDb.logChanges) and pushed from the log; remote changes are pulled
+ * by each table's synced_at, which the database sets on every write.
+ * Conflicts go to the newer updated_at: a push skips records that are
+ * newer remotely, and a pull skips records that are newer locally.
+ * Deletes are pushed to the deletions table so other devices see them.
+ */
+
+import { supabase, isSupabaseConfigured } from './client'
+import { storageService } from './storageService'
+import { authService } from './authService'
+import { SYNC_TABLES, SYNC_STORES, toRow, fromRow } from './rows'
+import * as localDb from '../db'
+import { SCENE_STORES, flattenScenes } from '../db/sceneRecords'
+import { replaceStrings } from '../utils'
+
+const CURSORS_KEY = 'ai-native-studio-sync'
+const PAGE_SIZE = 1000
+const CHUNK_SIZE = 100
+// Re-read a little before each cursor, for writes that committed late
+const CURSOR_OVERLAP = 60 * 1000
+
+// Generations are synced once they stop changing
+export const SETTLED_STATUSES = ['completed', 'failed', 'cancelled']
+
+function chunk(items, size) {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size))
+  return chunks
+}
+
+function isNewer(a, b) {
+  return new Date(a).getTime() > new Date(b || 0).getTime()
+}
+
+function getCursors() {
+  const stored = localStorage.getItem(CURSORS_KEY)
+  return stored ? JSON.parse(stored) : {}
+}
+
+function saveCursor(name, value) {
+  localStorage.setItem(CURSORS_KEY, JSON.stringify({ ...getCursors(), [name]: value }))
+}
+
+class SyncService {
+  constructor() {
+    this.queue = Promise.resolve()
+    this.listeners = new Set()
+    // Projects the server functions can find, as far as this tab knows
+    this.pushedProjects = new Set()
+  }
+
+  isEnabled() {
+    return isSupabaseConfigured()
+  }
+
+  /**
+   * Subscribe to local changes being logged
+   * @returns {Function} Unsubscribe
+   */
+  onLocalChange(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notifyLocalChange() {
+    for (const listener of this.listeners) listener()
+  }
+
+  // One push or pull at a time
+  run(task) {
+    const result = this.queue.then(task)
+    this.queue = result.catch(() => {})
+    return result
+  }
+
+  /**
+   * Push local changes, then pull remote ones
+   * @returns {Promise<Set<string>>} IDs of projects changed by the pull
+   */
+  async sync() {
+    // Row-level security only lets a signed-in user see their projects
+    if (!(await authService.getSession())) return new Set()
+    await this.push()
+    return this.pull()
+  }
+
+  // Forget how far each table was pulled, e.g. after signing out
+  resetCursors() {
+    localStorage.removeItem(CURSORS_KEY)
+  }
+
+  async pendingCount() {
+    return this.isEnabled() ? localDb.countLoggedChanges() : 0
+  }
+
+  // ==================== Push ====================
+
+  push() {
+    return this.run(async () => {
+      const entries = await localDb.getLoggedChanges()
+      const byStore = (op, store) => entries.filter((e) => e.op === op && e.store === store)
+
+      // Parents before children on write, children before parents on delete
+      for (const store of SYNC_STORES) {
+        for (const batch of chunk(byStore('put', store), CHUNK_SIZE)) {
+          await this.pushPuts(store, batch)
+        }
+      }
+      for (const store of [...SYNC_STORES].reverse()) {
+        for (const batch of chunk(byStore('delete', store), CHUNK_SIZE)) {
+          await this.pushDeletes(store, batch)
+        }
+      }
+    })
+  }
+
+  /**
+   * Push local changes if a project's own changes haven't synced yet
+   * The server functions only act for projects in the database, so a
+   * project created offline is pushed before it's generated for.
+   */
+  async pushProject(projectId) {
+    if (!this.isEnabled() || !projectId || this.pushedProjects.has(projectId)) return
+
+    const entries = await localDb.getLoggedChanges()
+    if (entries.some((e) => e.store === 'projects' && e.id === projectId && e.op === 'put')) {
+      await this.push()
+    }
+    this.pushedProjects.add(projectId)
+  }
+
+  async pushPuts(store, entries) {
+    const table = SYNC_TABLES[store]
+    const { data: remote, error } = await supabase
+      .from(table)
+      .select('id, updated_at')
+      .in('id', entries.map((e) => e.id))
+
+    if (error) throw error
+    const remoteUpdatedAt = new Map(remote.map((row) => [row.id, row.updated_at]))
+    if (store === 'projects') {
+      await this.createProjects(entries.filter((e) => !remoteUpdatedAt.has(e.id)))
+    }
+
+    const rows = []
+    for (const entry of entries) {
+      const record = await localDb.getRecord(store, entry.id)
+      // Gone locally (a delete is logged for it or its project), or changed remotely since
+      if (!record) continue
+      if (store !== 'projects' && record.projectId && !(await localDb.getRecord('projects', record.projectId))) continue
+      if (isNewer(remoteUpdatedAt.get(entry.id), record.updatedAt)) continue
+      rows.push(toRow(store, await this.uploadBlobs(record)))
+    }
+
+    if (rows.length > 0) {
+      const { error: upsertError } = await supabase.from(table).upsert(rows)
+      if (upsertError) throw upsertError
+    }
+    await localDb.removeLoggedChanges(entries)
+  }
+
+  /**
+   * Create projects new to the cloud before their media is uploaded, as
+   * storage only takes files for existing projects; the full rows follow
+   */
+  async createProjects(entries) {
+    const rows = []
+    for (const entry of entries) {
+      const record = await localDb.getRecord('projects', entry.id)
+      if (!record) continue
+      rows.push({
+        id: record.id,
+        name: record.name,
+        workspace_id: record.workspaceId ?? null,
+        created_at: record.createdAt,
+        // Older than the record, so the full row that follows replaces it
+        updated_at: record.createdAt,
+      })
+    }
+
+    if (rows.length > 0) {
+      const { error } = await supabase.from('projects').insert(rows)
+      if (error) throw error
+    }
+  }
+
+  /**
+   * Replace blob store refs in a record with uploaded Supabase URLs
+   * Each blob is uploaded once; its asset record keeps the URL.
+   */
+  async uploadBlobs(record) {
+    const urls = new Map()
+    const refs = new Set()
+    replaceStrings(record, (s) => {
+      if (s.startsWith(localDb.ASSET_REF)) refs.add(s)
+      return s
+    })
+
+    for (const ref of refs) {
+      const asset = await localDb.getRecord('assets', ref.slice(localDb.ASSET_REF.length))
+      if (!asset?.blob) continue
+      if (!asset.remoteUrl) {
+        const file = new File(
+          [asset.blob],
+          `upload.${storageService.extensionFor(asset.mimeType)}`,
+          { type: asset.mimeType }
+        )
+        const stored = await storageService.uploadToCloud(
+          file,
+          storageService.bucketFor(asset.mimeType),
+          asset.projectId
+        )
+        asset.remoteUrl = stored.url
+        await localDb.putRecord('assets', asset)
+      }
+      urls.set(ref, asset.remoteUrl)
+    }
+
+    return replaceStrings(record, (s) => urls.get(s) ?? s)
+  }
+
+  async pushDeletes(store, entries) {
+    const table = SYNC_TABLES[store]
+
+    // Logged first, while row-level security can still see the project
+    const { error: logError } = await supabase.from('deletions').insert(
+      entries.map((e) => ({ table_name: table, record_id: e.id, project_id: e.projectId ?? null }))
+    )
+    if (logError) throw logError
+
+    const { error } = await supabase.from(table).delete().in('id', entries.map((e) => e.id))
+    if (error) throw error
+    await localDb.removeLoggedChanges(entries)
+  }
+
+  // ==================== Pull ====================
+
+  pull() {
+    return this.run(async () => {
+      const changed = new Set()
+      for (const store of SYNC_STORES) {
+        await this.pullTable(store, changed)
+      }
+      await this.pullDeletions(changed)
+      return changed
+    })
+  }
+
+  /**
+   * Fetch a table's rows written since its cursor, a page at a time
+   */
+  async fetchSince(table, column, onPage) {
+    const cursor = getCursors()[table] || new Date(0).toISOString()
+    const since = new Date(new Date(cursor).getTime() - CURSOR_OVERLAP).toISOString()
+    let latest = cursor
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .gte(column, since)
+        .order(column, { ascending: true })
+        .range(from, from + PAGE_SIZE - 1)
+
+      if (error) throw error
+      await onPage(data)
+      if (data.length > 0) latest = data[data.length - 1][column]
+      if (data.length < PAGE_SIZE) break
+    }
+    saveCursor(table, latest)
+  }
+
+  async pullTable(store, changed) {
+    await this.fetchSince(SYNC_TABLES[store], 'synced_at', async (rows) => {
+      for (const row of rows) {
+        const projectId = await this.applyRow(store, row)
+        if (projectId) changed.add(projectId)
+      }
+    })
+  }
+
+  /**
+   * Write a remote row locally, unless the local record is as new
+   * @returns {Promise<string|null>} ID of the project changed, if any
+   */
+  async applyRow(store, row) {
+    const local = await localDb.getRecord(store, row.id)
+    if (local && !isNewer(row.updated_at, local.updatedAt)) return null
+
+    const record = fromRow(store, row)
+    await localDb.putRecord(store, record)
+    if (store === 'projects' && row.scenes?.length > 0) {
+      await this.migrateRowScenes(row)
+    }
+    if (store === 'projects' && !local) {
+      await this.pullProjectRecords(row.id)
+    }
+    return store === 'projects' ? record.id : record.projectId
+  }
+
+  /**
+   * Fetch all of a project new to this device, e.g. one just shared with
+   * the user, whose records may be older than the tables' cursors
+   * Tables not pulled yet are skipped; their first pull fetches everything.
+   */
+  async pullProjectRecords(projectId) {
+    const cursors = getCursors()
+    for (const store of SYNC_STORES) {
+      const table = SYNC_TABLES[store]
+      if (store === 'projects' || !cursors[table]) continue
+
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from(table)
+          .select('*')
+          .eq('project_id', projectId)
+          .order('id', { ascending: true })
+          .range(from, from + PAGE_SIZE - 1)
+
+        if (error) throw error
+        for (const row of data) await this.applyRow(store, row)
+        if (data.length < PAGE_SIZE) break
+      }
+    }
+  }
+
+  /**
+   * Fetch the projects of a workspace the user just joined
+   * @returns {Promise<Set<string>>} IDs of projects changed
+   */
+  pullWorkspace(workspaceId) {
+    return this.run(async () => {
+      const { data, error } = await supabase.from('projects').select('*').eq('workspace_id', workspaceId)
+      if (error) throw error
+
+      const changed = new Set()
+      for (const row of data) {
+        const projectId = await this.applyRow('projects', row)
+        if (projectId) changed.add(projectId)
+      }
+      return changed
+    })
+  }
+
+  /**
+   * Apply a row written elsewhere, e.g. one received over Realtime
+   * @returns {Promise<string|null>} ID of the project changed, if any
+   */
+  applyRemoteRow(store, row) {
+    return this.run(() => this.applyRow(store, row))
+  }
+
+  /**
+   * Apply a row of the deletions table received over Realtime
+   * @returns {Promise<string|null>} ID of the project changed, if any
+   */
+  applyRemoteDeletion(row) {
+    return this.run(async () => {
+      const changed = new Set()
+      await this.applyDeletions([row], changed)
+      return [...changed][0] ?? null
+    })
+  }
+
+  /**
+   * Projects saved before scenes had their own tables keep them inline
+   * They become local scene records, which the next push uploads.
+   */
+  async migrateRowScenes(row) {
+    const existing = await localDb.getRecordsByProject('scenes', row.id)
+    if (existing.length > 0) return
+
+    const changes = flattenScenes(row.id, row.scenes)
+    await localDb.applySceneChanges(changes)
+    await localDb.logChanges(SCENE_STORES.flatMap((store) =>
+      changes.put[store].map((record) => ({ store, id: record.id, op: 'put', projectId: row.id }))
+    ))
+    const { error } = await supabase.from('projects').update({ scenes: [] }).eq('id', row.id)
+    if (error) console.warn('Could not clear inline scenes:', error)
+  }
+
+  async pullDeletions(changed) {
+    await this.fetchSince('deletions', 'deleted_at', (rows) => this.applyDeletions(rows, changed))
+  }
+
+  async applyDeletions(rows, changed) {
+    const stores = new Map(Object.entries(SYNC_TABLES).map(([store, table]) => [table, store]))
+    const deleted = []
+    for (const row of rows) {
+      const store = stores.get(row.table_name)
+      if (!store || !(await localDb.getRecord(store, row.record_id))) continue
+
+      if (store === 'projects') {
+        await localDb.deleteProject(row.record_id)
+      } else {
+        await localDb.deleteRecord(store, row.record_id)
+      }
+      deleted.push(`${store}:${row.record_id}`)
+      if (row.project_id) changed.add(row.project_id)
+    }
+
+    // Local edits to a deleted record have nothing left to sync
+    if (deleted.length > 0) {
+      const entries = await localDb.getLoggedChanges()
+      await localDb.removeLoggedChanges(entries.filter((e) => deleted.includes(e.key)))
+    }
+  }
+
+  // ==================== Upload ====================
+
+  /**
+   * Log every local project and its records, so the next push uploads them
+   * @returns {Promise<number>} Number of projects queued
+   */
+  async queueLocalProjects() {
+    const projects = await localDb.getAllProjects()
+    for (const project of projects) {
+      const entries = [{ store: 'projects', id: project.id, op: 'put', projectId: project.id }]
+      for (const store of [...SCENE_STORES, 'assets', 'generations', 'reviews']) {
+        for (const record of await localDb.getRecordsByProject(store, project.id)) {
+          if (store === 'assets' && record.type === 'blob') continue
+          if (store === 'generations' && !SETTLED_STATUSES.includes(record.status)) continue
+          entries.push({ store, id: record.id, op: 'put', projectId: project.id })
+        }
+      }
+      await localDb.logChanges(entries)
+    }
+    this.notifyLocalChange()
+    return projects.length
+  }
+}
+
+export const syncService = new SyncService()
@@ -0,0 +1,247 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// In-memory stand-ins for IndexedDB and the Supabase client
+const local = vi.hoisted(() => ({ stores: new Map(), changes: new Map() }))
+const remote = vi.hoisted(() => ({ tables: new Map(), calls: [] }))
+
+vi.mock('../db', () => {
+  const store = (name) => {
+    if (!local.stores.has(name)) local.stores.set(name, new Map())
+    return local.stores.get(name)
+  }
+  return {
+    ASSET_REF: 'idb-asset:',
+    getRecord: async (name, id) => store(name).get(id),
+    putRecord: async (name, record) => { store(name).set(record.id, record) },
+    deleteRecord: async (name, id) => { store(name).delete(id) },
+    deleteProject: async (id) => {
+      for (const records of local.stores.values()) {
+        for (const [key, record] of records) {
+          if (key === id || record.projectId === id) records.delete(key)
+        }
+      }
+    },
+    getRecordsByProject: async (name, projectId) =>
+      [...store(name).values()].filter((r) => r.projectId === projectId),
+    logChanges: async (entries) => {
+      for (const entry of entries) {
+        local.changes.set(`${entry.store}:${entry.id}`, { ...entry, key: `${entry.store}:${entry.id}`, at: 'now' })
+      }
+    },
+    getLoggedChanges: async () => [...local.changes.values()],
+    removeLoggedChanges: async (entries) => {
+      for (const entry of entries) local.changes.delete(entry.key)
+    },
+    countLoggedChanges: async () => local.changes.size,
+    applySceneChanges: async () => {},
+  }
+})
+
+vi.mock('./client', () => {
+  const rows = (table) => {
+    if (!remote.tables.has(table)) remote.tables.set(table, [])
+    return remote.tables.get(table)
+  }
+
+  // Just enough of the query builder for syncService
+  function query(table) {
+    const filters = []
+    let action = 'select'
+    let payload = null
+    const builder = {
+      select: () => builder,
+      in: (column, values) => { filters.push((row) => values.includes(row[column])); return builder },
+      eq: (column, value) => { filters.push((row) => row[column] === value); return builder },
+      gte: (column, value) => { filters.push((row) => row[column] >= value); return builder },
+      order: () => builder,
+      range: () => builder,
+      upsert: (data) => { action = 'upsert'; payload = data; return builder },
+      insert: (data) => { action = 'insert'; payload = data; return builder },
+      update: (data) => { action = 'update'; payload = data; return builder },
+      delete: () => { action = 'delete'; return builder },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    }
+
+    function run() {
+      remote.calls.push({ table, action, payload })
+      const matches = (row) => filters.every((filter) => filter(row))
+      const tableRows = rows(table)
+
+      switch (action) {
+        case 'upsert':
+          for (const row of payload) {
+            const index = tableRows.findIndex((r) => r.id === row.id)
+            if (index === -1) tableRows.push(row)
+            else tableRows[index] = row
+          }
+          return { error: null }
+        case 'insert':
+          tableRows.push(...payload)
+          return { error: null }
+        case 'delete':
+          remote.tables.set(table, tableRows.filter((row) => !matches(row)))
+          return { error: null }
+        case 'update':
+          return { error: null }
+        default:
+          return { data: tableRows.filter(matches), error: null }
+      }
+    }
+
+    return builder
+  }
+
+  return {
+    supabase: { from: query },
+    isSupabaseConfigured: () => true,
+  }
+})
+
+vi.mock('./storageService', () => ({ storageService: {} }))
+vi.mock('./authService', () => ({ authService: { getSession: async () => ({ user: { id: 'user-1' } }) } }))
+
+const { syncService } = await import('./syncService')
+
+const EARLIER = '2026-01-01T10:00:00.000Z'
+const LATER = '2026-01-01T11:00:00.000Z'
+
+function project(id, updatedAt, name = 'Local') {
+  return { id, name, script: '', updatedAt, createdAt: EARLIER }
+}
+
+function projectRow(id, updatedAt, name = 'Remote') {
+  return { id, name, script: '', owner_id: 'user-1', updated_at: updatedAt, synced_at: updatedAt, created_at: EARLIER }
+}
+
+function upserts(table) {
+  return remote.calls.filter((call) => call.table === table && call.action === 'upsert')
+}
+
+beforeEach(() => {
+  local.stores.clear()
+  local.changes.clear()
+  remote.tables.clear()
+  remote.calls.length = 0
+
+  const storage = new Map()
+  vi.stubGlobal('localStorage', {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value),
+    removeItem: (key) => storage.delete(key),
+  })
+})
+
+describe('conflict resolution', () => {
+  it('pushes a local record that is newer than the remote row', async () => {
+    local.stores.set('projects', new Map([['p1', project('p1', LATER)]]))
+    remote.tables.set('projects', [projectRow('p1', EARLIER)])
+    local.changes.set('projects:p1', { store: 'projects', id: 'p1', op: 'put', key: 'projects:p1' })
+
+    await syncService.push()
+
+    expect(remote.tables.get('projects')[0]).toMatchObject({ name: 'Local', updated_at: LATER })
+    expect(local.changes.size).toBe(0)
+  })
+
+  it('skips pushing a record that changed remotely since, and drops its log entry', async () => {
+    local.stores.set('projects', new Map([['p1', project('p1', EARLIER)]]))
+    remote.tables.set('projects', [projectRow('p1', LATER)])
+    local.changes.set('projects:p1', { store: 'projects', id: 'p1', op: 'put', key: 'projects:p1' })
+
+    await syncService.push()
+
+    expect(upserts('projects')).toHaveLength(0)
+    expect(remote.tables.get('projects')[0].name).toBe('Remote')
+    expect(local.changes.size).toBe(0)
+  })
+
+  it('pulls a remote row that is newer than the local record', async () => {
+    local.stores.set('projects', new Map([['p1', project('p1', EARLIER)]]))
+
+    const changed = await syncService.applyRemoteRow('projects', projectRow('p1', LATER))
+
+    expect(changed).toBe('p1')
+    expect(local.stores.get('projects').get('p1')).toMatchObject({ name: 'Remote', updatedAt: LATER })
+  })
+
+  it('keeps a local record that is as new as or newer than the remote row', async () => {
+    local.stores.set('projects', new Map([['p1', project('p1', LATER)]]))
+
+    expect(await syncService.applyRemoteRow('projects', projectRow('p1', EARLIER))).toBeNull()
+    expect(await syncService.applyRemoteRow('projects', projectRow('p1', LATER))).toBeNull()
+    expect(local.stores.get('projects').get('p1').name).toBe('Local')
+  })
+
+  it('creates a project new to the cloud before pushing its full row', async () => {
+    local.stores.set('projects', new Map([['p2', project('p2', LATER)]]))
+    local.changes.set('projects:p2', { store: 'projects', id: 'p2', op: 'put', key: 'projects:p2' })
+
+    await syncService.push()
+
+    const writes = remote.calls.filter((call) => call.action !== 'select').map((call) => [call.table, call.action])
+    expect(writes).toEqual([['projects', 'insert'], ['projects', 'upsert']])
+    expect(remote.tables.get('projects')).toHaveLength(1)
+    expect(remote.tables.get('projects')[0]).toMatchObject({ name: 'Local', updated_at: LATER })
+  })
+
+  it('reports the project a pulled child record belongs to', async () => {
+    const row = { id: 'r1', project_id: 'p1', shot_id: 's1', kind: 'comment', body: 'Nice', updated_at: LATER }
+
+    expect(await syncService.applyRemoteRow('reviews', row)).toBe('p1')
+    expect(local.stores.get('reviews').get('r1')).toMatchObject({ projectId: 'p1', body: 'Nice' })
+  })
+})
+
+describe('deletions', () => {
+  it('logs deletes in the deletions table before removing the rows', async () => {
+    remote.tables.set('shot_reviews', [{ id: 'r1', project_id: 'p1' }])
+    local.changes.set('reviews:r1', { store: 'reviews', id: 'r1', op: 'delete', projectId: 'p1', key: 'reviews:r1' })
+
+    await syncService.push()
+
+    const actions = remote.calls.filter((call) => call.action !== 'select').map((call) => [call.table, call.action])
+    expect(actions).toEqual([['deletions', 'insert'], ['shot_reviews', 'delete']])
+    expect(remote.tables.get('deletions')).toEqual([
+      { table_name: 'shot_reviews', record_id: 'r1', project_id: 'p1' },
+    ])
+    expect(remote.tables.get('shot_reviews')).toEqual([])
+  })
+
+  it('applies a remote deletion and drops local edits to the deleted record', async () => {
+    local.stores.set('reviews', new Map([['r1', { id: 'r1', projectId: 'p1' }]]))
+    local.changes.set('reviews:r1', { store: 'reviews', id: 'r1', op: 'put', key: 'reviews:r1' })
+    local.changes.set('reviews:r2', { store: 'reviews', id: 'r2', op: 'put', key: 'reviews:r2' })
+
+    const changed = await syncService.applyRemoteDeletion({ table_name: 'shot_reviews', record_id: 'r1', project_id: 'p1' })
+
+    expect(changed).toBe('p1')
+    expect(local.stores.get('reviews').has('r1')).toBe(false)
+    expect([...local.changes.keys()]).toEqual(['reviews:r2'])
+  })
+
+  it('deletes a project with its records', async () => {
+    local.stores.set('projects', new Map([['p1', project('p1', EARLIER)]]))
+    local.stores.set('shots', new Map([['s1', { id: 's1', projectId: 'p1' }]]))
+
+    await syncService.applyRemoteDeletion({ table_name: 'projects', record_id: 'p1', project_id: 'p1' })
+
+    expect(local.stores.get('projects').size).toBe(0)
+    expect(local.stores.get('shots').size).toBe(0)
+  })
+
+  it('ignores deletions of records this device never had', async () => {
+    expect(await syncService.applyRemoteDeletion({ table_name: 'shots', record_id: 'missing', project_id: 'p1' })).toBeNull()
+  })
+
+  it('applies deletions found by a pull', async () => {
+    local.stores.set('reviews', new Map([['r1', { id: 'r1', projectId: 'p1' }]]))
+    remote.tables.set('deletions', [
+      { table_name: 'shot_reviews', record_id: 'r1', project_id: 'p1', deleted_at: LATER },
+    ])
+
+    const changed = await syncService.pull()
+
+    expect([...changed]).toEqual(['p1'])
+    expect(local.stores.get('reviews').has('r1')).toBe(false)
+  })
+})
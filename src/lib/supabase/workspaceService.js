@@ -0,0 +1,135 @@
+/**
+ * Workspace Service - Workspaces, their members and invite links
+ *
+ * The signed-in user's workspaces and roles are kept in localStorage, so
+ * role checks (see dataService.roleFor) work offline and without waiting
+ * on the network.
+ */
+
+import { supabase, isSupabaseConfigured } from './client'
+import { authService } from './authService'
+
+const WORKSPACES_KEY = 'ai-native-studio-workspaces'
+
+class WorkspaceService {
+  constructor() {
+    const stored = localStorage.getItem(WORKSPACES_KEY)
+    this.workspaces = stored ? JSON.parse(stored) : []
+  }
+
+  isEnabled() {
+    return isSupabaseConfigured()
+  }
+
+  // The signed-in user's role in a workspace, if a member
+  roleIn(workspaceId) {
+    return this.workspaces.find((w) => w.id === workspaceId)?.role ?? null
+  }
+
+  /**
+   * Load the signed-in user's workspaces
+   * @returns {Promise<{ id: string, name: string, role: string }[]>}
+   */
+  async load() {
+    if (!this.isEnabled() || !authService.userId) return this.workspaces
+
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('role, workspace:workspaces(id, name)')
+      .eq('user_id', authService.userId)
+
+    if (error) throw error
+    this.workspaces = data
+      .filter((row) => row.workspace)
+      .map((row) => ({ ...row.workspace, role: row.role }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+    localStorage.setItem(WORKSPACES_KEY, JSON.stringify(this.workspaces))
+    return this.workspaces
+  }
+
+  // Forget the cached workspaces, e.g. after signing out
+  clear() {
+    this.workspaces = []
+    localStorage.removeItem(WORKSPACES_KEY)
+  }
+
+  /**
+   * Create a workspace; the database adds its creator as owner
+   */
+  async createWorkspace(name) {
+    const { data, error } = await supabase
+      .from('workspaces')
+      .insert({ name, created_by: authService.userId })
+      .select('id, name')
+      .single()
+
+    if (error) throw error
+    await this.load()
+    return data
+  }
+
+  async getMembers(workspaceId) {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('user_id, role, email, created_at')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data.map((row) => ({
+      userId: row.user_id,
+      role: row.role,
+      email: row.email,
+      joinedAt: row.created_at,
+    }))
+  }
+
+  async setMemberRole(workspaceId, userId, role) {
+    const { error } = await supabase
+      .from('workspace_members')
+      .update({ role })
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+
+    if (error) throw error
+  }
+
+  async removeMember(workspaceId, userId) {
+    const { error } = await supabase
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+
+    if (error) throw error
+    if (userId === authService.userId) await this.load()
+  }
+
+  /**
+   * Create an invite link that adds whoever opens it with a role
+   * @returns {Promise<string>} The link
+   */
+  async createInvite(workspaceId, role) {
+    const { data, error } = await supabase
+      .from('workspace_invites')
+      .insert({ workspace_id: workspaceId, role })
+      .select('token')
+      .single()
+
+    if (error) throw error
+    return `${window.location.origin}/invite/${data.token}`
+  }
+
+  /**
+   * Join a workspace from an invite link's token
+   * @returns {Promise<string>} ID of the workspace joined
+   */
+  async acceptInvite(token) {
+    const { data, error } = await supabase.rpc('accept_workspace_invite', { invite_token: token })
+    if (error) throw error
+    await this.load()
+    return data
+  }
+}
+
+export const workspaceService = new WorkspaceService()
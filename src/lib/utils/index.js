@@ -57,9 +57,27 @@ export function formatTimecode(seconds) {
 
 /**
  * Delay for specified milliseconds
+ * Rejects with the abort reason if the optional signal fires first
  */
-export function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms))
+export function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    function onAbort() {
+      clearTimeout(timeout)
+      reject(signal.reason)
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
 }
 
 /**
@@ -81,6 +99,41 @@ export function fileToBase64(file) {
   })
 }
 
+/**
+ * Copy a JSON value, replacing strings via replace(value, key)
+ * Objects and arrays with nothing replaced are returned as-is, so callers
+ * can tell what changed by identity.
+ */
+export function replaceStrings(value, replace, key = '') {
+  if (typeof value === 'string') return replace(value, key)
+  if (Array.isArray(value)) {
+    const items = value.map((item) => replaceStrings(item, replace, key))
+    return items.some((item, i) => item !== value[i]) ? items : value
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    let changed = false
+    const entries = Object.entries(value).map(([k, item]) => {
+      const next = replaceStrings(item, replace, k)
+      if (next !== item) changed = true
+      return [k, next]
+    })
+    return changed ? Object.fromEntries(entries) : value
+  }
+  return value
+}
+
+const MEDIA_KEY = /url|outputs|image|video|audio|ply|reference/i
+const MEDIA_EXTENSION = /\.(png|jpe?g|webp|gif|mp4|webm|mov|mp3|wav|ogg|m4a|ply|splat)$/i
+
+/**
+ * Whether a string value found under key in project data is media
+ */
+export function isMediaUrl(value, key = '') {
+  if (value.startsWith('data:') || value.startsWith('blob:')) return true
+  if (!/^https?:\/\//.test(value)) return false
+  return MEDIA_KEY.test(key) || MEDIA_EXTENSION.test(value.split(/[?#]/)[0])
+}
+
 /**
  * Download a blob as a file
  */
@@ -129,17 +182,38 @@ export function throttle(fn, limit) {
 }
 
 /**
- * Classify a string by common patterns
+ * Classify a single screenplay line by its formatting
+ * Returns 'scene' | 'transition' | 'parenthetical' | 'character' | 'action'.
+ * 'character' only means the line looks like a cue; the parser confirms it
+ * by checking that dialogue follows.
  */
 export function classifyContent(text) {
+  const line = text.trim()
   const patterns = {
-    sceneHeading: /^(INT\.|EXT\.|INT\/EXT\.)/i,
-    character: /^[A-Z][A-Z\s]+$/,
-    dialogue: /^\([^)]+\)$|^.{1,200}$/,
-    action: /.{50,}/,
+    sceneHeading: /^(INT\.?\/EXT|EXT\.?\/INT|I\/E|INT|EXT|EST)[.\s]/i,
+    transition: /^([A-Z\s]+TO:|FADE IN:|FADE OUT\.?|FADE TO BLACK\.?|CUT TO BLACK\.?)$/,
+    parenthetical: /^\(.*\)$/,
+    character: /^\p{Lu}[\p{Lu}\d\s.'’\-#]*(\s*\([^)]*\))*\s*\^?$/u,
   }
 
-  if (patterns.sceneHeading.test(text.trim())) return 'scene'
-  if (patterns.character.test(text.trim())) return 'character'
+  if (patterns.sceneHeading.test(line)) return 'scene'
+  if (patterns.transition.test(line)) return 'transition'
+  if (patterns.parenthetical.test(line)) return 'parenthetical'
+  if (patterns.character.test(line)) return 'character'
   return 'action'
 }
+
+/**
+ * Build an image prompt from a scene's and shot's descriptive fields
+ */
+export function buildShotPrompt(scene, shot) {
+  const parts = []
+
+  if (scene?.location) parts.push(scene.location)
+  if (scene?.timeOfDay) parts.push(scene.timeOfDay)
+  if (scene?.mood) parts.push(scene.mood + ' mood')
+  if (shot?.shotType) parts.push(shot.shotType + ' shot')
+  if (shot?.description) parts.push(shot.description)
+
+  return parts.filter(Boolean).join(', ')
+}
@@ -2,15 +2,15 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App'
-import { AccessGate } from './components/auth'
+import { AuthGate } from './components/auth'
 import './styles/global.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <AccessGate>
+    <AuthGate>
       <BrowserRouter>
         <App />
       </BrowserRouter>
-    </AccessGate>
+    </AuthGate>
   </React.StrictMode>,
 )
@@ -0,0 +1,12 @@
+-- Migration 001: Persist Frames and Shots canvases
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- (new databases already get these columns from schema.sql)
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS frames JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS clips JSONB DEFAULT '[]'::jsonb;
+
+-- Existing rows get empty collections rather than NULL
+UPDATE projects SET frames = '[]'::jsonb WHERE frames IS NULL;
+UPDATE projects SET clips = '[]'::jsonb WHERE clips IS NULL;
+
+SELECT 'Migration 001 applied' as status;
@@ -0,0 +1,89 @@
+-- Migration 002: Scenes, shots, keyframes and takes as their own tables
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- Each project's inline projects.scenes JSON is moved into these tables the
+-- first time the app opens it, after which the column is left empty.
+
+-- Scenes table (record fields are columns, the rest of the scene is in data)
+CREATE TABLE IF NOT EXISTS scenes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Shots table
+CREATE TABLE IF NOT EXISTS shots (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  scene_id UUID REFERENCES scenes(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Keyframes, video takes and audio takes (one row per generated take)
+CREATE TABLE IF NOT EXISTS keyframes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID REFERENCES shots(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS video_takes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID REFERENCES shots(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS audio_takes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID REFERENCES shots(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scenes_project_id ON scenes(project_id);
+CREATE INDEX IF NOT EXISTS idx_shots_project_id ON shots(project_id);
+CREATE INDEX IF NOT EXISTS idx_shots_scene_id ON shots(scene_id);
+CREATE INDEX IF NOT EXISTS idx_keyframes_project_id ON keyframes(project_id);
+CREATE INDEX IF NOT EXISTS idx_keyframes_shot_id ON keyframes(shot_id);
+CREATE INDEX IF NOT EXISTS idx_video_takes_project_id ON video_takes(project_id);
+CREATE INDEX IF NOT EXISTS idx_video_takes_shot_id ON video_takes(shot_id);
+CREATE INDEX IF NOT EXISTS idx_audio_takes_project_id ON audio_takes(project_id);
+CREATE INDEX IF NOT EXISTS idx_audio_takes_shot_id ON audio_takes(shot_id);
+
+ALTER TABLE scenes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE keyframes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE video_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audio_takes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on scenes" ON scenes;
+CREATE POLICY "Allow all operations on scenes" ON scenes
+  FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow all operations on shots" ON shots;
+CREATE POLICY "Allow all operations on shots" ON shots
+  FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow all operations on keyframes" ON keyframes;
+CREATE POLICY "Allow all operations on keyframes" ON keyframes
+  FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow all operations on video_takes" ON video_takes;
+CREATE POLICY "Allow all operations on video_takes" ON video_takes
+  FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow all operations on audio_takes" ON audio_takes;
+CREATE POLICY "Allow all operations on audio_takes" ON audio_takes
+  FOR ALL USING (true) WITH CHECK (true);
+
+SELECT 'Migration 002 applied' as status;
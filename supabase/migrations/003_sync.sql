@@ -0,0 +1,158 @@
+-- Migration 003: Local-first sync
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- Every synced table gets updated_at (the client's edit time, used to settle
+-- conflicts) and synced_at (set by the database on each write, used by
+-- clients to pull what changed). Deletes are recorded in the deletions table.
+
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE shots ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE keyframes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE video_takes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE audio_takes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE shots ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE keyframes ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE video_takes ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE audio_takes ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Deleted records, so other devices can remove their copies
+CREATE TABLE IF NOT EXISTS deletions (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  record_id UUID NOT NULL,
+  project_id UUID,
+  deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_projects_synced_at ON projects(synced_at);
+CREATE INDEX IF NOT EXISTS idx_scenes_synced_at ON scenes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_shots_synced_at ON shots(synced_at);
+CREATE INDEX IF NOT EXISTS idx_keyframes_synced_at ON keyframes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_video_takes_synced_at ON video_takes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_audio_takes_synced_at ON audio_takes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_assets_synced_at ON assets(synced_at);
+CREATE INDEX IF NOT EXISTS idx_generations_synced_at ON generations(synced_at);
+CREATE INDEX IF NOT EXISTS idx_deletions_deleted_at ON deletions(deleted_at);
+
+-- Keep an updated_at sent by the client; set it when the client didn't
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.updated_at IS NULL OR NEW.updated_at = OLD.updated_at THEN
+    NEW.updated_at = NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE FUNCTION update_synced_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.synced_at = NOW();
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_scenes_updated_at ON scenes;
+CREATE TRIGGER update_scenes_updated_at
+  BEFORE UPDATE ON scenes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_shots_updated_at ON shots;
+CREATE TRIGGER update_shots_updated_at
+  BEFORE UPDATE ON shots
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_keyframes_updated_at ON keyframes;
+CREATE TRIGGER update_keyframes_updated_at
+  BEFORE UPDATE ON keyframes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_video_takes_updated_at ON video_takes;
+CREATE TRIGGER update_video_takes_updated_at
+  BEFORE UPDATE ON video_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_audio_takes_updated_at ON audio_takes;
+CREATE TRIGGER update_audio_takes_updated_at
+  BEFORE UPDATE ON audio_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_assets_updated_at ON assets;
+CREATE TRIGGER update_assets_updated_at
+  BEFORE UPDATE ON assets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_generations_updated_at ON generations;
+CREATE TRIGGER update_generations_updated_at
+  BEFORE UPDATE ON generations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_projects_synced_at ON projects;
+CREATE TRIGGER update_projects_synced_at
+  BEFORE INSERT OR UPDATE ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_scenes_synced_at ON scenes;
+CREATE TRIGGER update_scenes_synced_at
+  BEFORE INSERT OR UPDATE ON scenes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_shots_synced_at ON shots;
+CREATE TRIGGER update_shots_synced_at
+  BEFORE INSERT OR UPDATE ON shots
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_keyframes_synced_at ON keyframes;
+CREATE TRIGGER update_keyframes_synced_at
+  BEFORE INSERT OR UPDATE ON keyframes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_video_takes_synced_at ON video_takes;
+CREATE TRIGGER update_video_takes_synced_at
+  BEFORE INSERT OR UPDATE ON video_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_audio_takes_synced_at ON audio_takes;
+CREATE TRIGGER update_audio_takes_synced_at
+  BEFORE INSERT OR UPDATE ON audio_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_assets_synced_at ON assets;
+CREATE TRIGGER update_assets_synced_at
+  BEFORE INSERT OR UPDATE ON assets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_generations_synced_at ON generations;
+CREATE TRIGGER update_generations_synced_at
+  BEFORE INSERT OR UPDATE ON generations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+ALTER TABLE deletions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on deletions" ON deletions;
+CREATE POLICY "Allow all operations on deletions" ON deletions
+  FOR ALL USING (true) WITH CHECK (true);
+
+SELECT 'Migration 003 applied' as status;
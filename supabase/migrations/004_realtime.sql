@@ -0,0 +1,23 @@
+-- Migration 004: Realtime collaboration
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- Streams row changes to clients with a project open, so edits from other
+-- users show up live. Deletes reach them as rows of the deletions table.
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'projects', 'scenes', 'shots', 'keyframes', 'video_takes', 'audio_takes',
+    'assets', 'generations', 'deletions'
+  ] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END $$;
+
+SELECT 'Migration 004 applied' as status;
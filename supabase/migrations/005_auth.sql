@@ -0,0 +1,299 @@
+-- Migration 005: User accounts and row-level security
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- Replaces the allow-all policies with policies scoped to each project's
+-- owner and team, for tables and storage buckets. Projects made before this
+-- have no owner and are hidden until claimed, e.g. after signing up:
+--   UPDATE projects SET owner_id = '<your user id>' WHERE owner_id IS NULL;
+--   UPDATE generations SET owner_id = '<your user id>' WHERE owner_id IS NULL;
+
+-- Teams (users who share projects)
+CREATE TABLE IF NOT EXISTS teams (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS team_members (
+  team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (team_id, user_id)
+);
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS owner_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS owner_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE deletions ADD COLUMN IF NOT EXISTS deleted_by UUID DEFAULT auth.uid();
+ALTER TABLE deletions ADD COLUMN IF NOT EXISTS owner_id UUID;
+ALTER TABLE deletions ADD COLUMN IF NOT EXISTS team_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_projects_owner_id ON projects(owner_id);
+CREATE INDEX IF NOT EXISTS idx_projects_team_id ON projects(team_id);
+CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members(user_id);
+
+-- Whether the signed-in user is in a team
+CREATE OR REPLACE FUNCTION is_team_member(tid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM team_members WHERE team_id = tid AND user_id = auth.uid()
+  )
+$$;
+
+-- Whether the signed-in user owns a project or is in its team
+CREATE OR REPLACE FUNCTION can_access_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM projects
+    WHERE id = pid AND (owner_id = auth.uid() OR is_team_member(team_id))
+  )
+$$;
+
+-- Project of a storage object, which is stored under "<project id>/"
+CREATE OR REPLACE FUNCTION storage_object_project(object_name TEXT)
+RETURNS UUID
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN split_part(object_name, '/', 1) ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+      THEN split_part(object_name, '/', 1)::UUID
+  END
+$$;
+
+-- Files can be uploaded for a project that hasn't synced yet
+CREATE OR REPLACE FUNCTION can_upload_to_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT pid IS NOT NULL AND (
+    can_access_project(pid) OR NOT EXISTS (SELECT 1 FROM projects WHERE id = pid)
+  )
+$$;
+
+-- Team creators join their team
+CREATE OR REPLACE FUNCTION add_team_creator()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NEW.created_by IS NOT NULL THEN
+    INSERT INTO team_members (team_id, user_id) VALUES (NEW.id, NEW.created_by)
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS add_team_creator ON teams;
+CREATE TRIGGER add_team_creator
+  AFTER INSERT ON teams
+  FOR EACH ROW
+  EXECUTE FUNCTION add_team_creator();
+
+-- Deletions keep who could see the project, since it may be gone when they're read
+CREATE OR REPLACE FUNCTION set_deletion_access()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  SELECT owner_id, team_id INTO NEW.owner_id, NEW.team_id
+  FROM projects WHERE id = NEW.project_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_deletion_access ON deletions;
+CREATE TRIGGER set_deletion_access
+  BEFORE INSERT ON deletions
+  FOR EACH ROW
+  EXECUTE FUNCTION set_deletion_access();
+
+-- Allow-all policies from the old schema
+DROP POLICY IF EXISTS "Allow all operations on projects" ON projects;
+DROP POLICY IF EXISTS "Allow all operations on assets" ON assets;
+DROP POLICY IF EXISTS "Allow all operations on generations" ON generations;
+DROP POLICY IF EXISTS "Allow all operations on scenes" ON scenes;
+DROP POLICY IF EXISTS "Allow all operations on shots" ON shots;
+DROP POLICY IF EXISTS "Allow all operations on keyframes" ON keyframes;
+DROP POLICY IF EXISTS "Allow all operations on video_takes" ON video_takes;
+DROP POLICY IF EXISTS "Allow all operations on audio_takes" ON audio_takes;
+DROP POLICY IF EXISTS "Allow all operations on deletions" ON deletions;
+
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE generations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scenes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE keyframes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE video_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audio_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deletions ENABLE ROW LEVEL SECURITY;
+
+-- Teams: members can see them, their creator manages them
+DROP POLICY IF EXISTS "Members can view teams" ON teams;
+CREATE POLICY "Members can view teams" ON teams
+  FOR SELECT USING (is_team_member(id) OR created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Users can create teams" ON teams;
+CREATE POLICY "Users can create teams" ON teams
+  FOR INSERT WITH CHECK (created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Creators can manage teams" ON teams;
+CREATE POLICY "Creators can manage teams" ON teams
+  FOR UPDATE USING (created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Creators can delete teams" ON teams;
+CREATE POLICY "Creators can delete teams" ON teams
+  FOR DELETE USING (created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Members can view team members" ON team_members;
+CREATE POLICY "Members can view team members" ON team_members
+  FOR SELECT USING (is_team_member(team_id));
+
+DROP POLICY IF EXISTS "Creators can add team members" ON team_members;
+CREATE POLICY "Creators can add team members" ON team_members
+  FOR INSERT WITH CHECK (
+    EXISTS (SELECT 1 FROM teams WHERE id = team_id AND created_by = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Creators and members can remove team members" ON team_members;
+CREATE POLICY "Creators and members can remove team members" ON team_members
+  FOR DELETE USING (
+    user_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM teams WHERE id = team_id AND created_by = auth.uid())
+  );
+
+-- Projects: the owner and the project's team
+DROP POLICY IF EXISTS "Owners and team members can view projects" ON projects;
+CREATE POLICY "Owners and team members can view projects" ON projects
+  FOR SELECT USING (owner_id = auth.uid() OR is_team_member(team_id));
+
+DROP POLICY IF EXISTS "Users can create their own projects" ON projects;
+CREATE POLICY "Users can create their own projects" ON projects
+  FOR INSERT WITH CHECK (
+    owner_id = auth.uid() AND (team_id IS NULL OR is_team_member(team_id))
+  );
+
+DROP POLICY IF EXISTS "Owners and team members can update projects" ON projects;
+CREATE POLICY "Owners and team members can update projects" ON projects
+  FOR UPDATE USING (owner_id = auth.uid() OR is_team_member(team_id))
+  WITH CHECK (owner_id = auth.uid() OR is_team_member(team_id));
+
+DROP POLICY IF EXISTS "Owners and team members can delete projects" ON projects;
+CREATE POLICY "Owners and team members can delete projects" ON projects
+  FOR DELETE USING (owner_id = auth.uid() OR is_team_member(team_id));
+
+-- Project records: whoever can access the project
+
+DROP POLICY IF EXISTS "Project members can access scenes" ON scenes;
+CREATE POLICY "Project members can access scenes" ON scenes
+  FOR ALL USING (can_access_project(project_id))
+  WITH CHECK (can_access_project(project_id));
+
+DROP POLICY IF EXISTS "Project members can access shots" ON shots;
+CREATE POLICY "Project members can access shots" ON shots
+  FOR ALL USING (can_access_project(project_id))
+  WITH CHECK (can_access_project(project_id));
+
+DROP POLICY IF EXISTS "Project members can access keyframes" ON keyframes;
+CREATE POLICY "Project members can access keyframes" ON keyframes
+  FOR ALL USING (can_access_project(project_id))
+  WITH CHECK (can_access_project(project_id));
+
+DROP POLICY IF EXISTS "Project members can access video_takes" ON video_takes;
+CREATE POLICY "Project members can access video_takes" ON video_takes
+  FOR ALL USING (can_access_project(project_id))
+  WITH CHECK (can_access_project(project_id));
+
+DROP POLICY IF EXISTS "Project members can access audio_takes" ON audio_takes;
+CREATE POLICY "Project members can access audio_takes" ON audio_takes
+  FOR ALL USING (can_access_project(project_id))
+  WITH CHECK (can_access_project(project_id));
+
+DROP POLICY IF EXISTS "Project members can access assets" ON assets;
+CREATE POLICY "Project members can access assets" ON assets
+  FOR ALL USING (can_access_project(project_id))
+  WITH CHECK (can_access_project(project_id));
+
+-- Generations without a project belong to whoever ran them
+DROP POLICY IF EXISTS "Project members can access generations" ON generations;
+CREATE POLICY "Project members can access generations" ON generations
+  FOR ALL USING (owner_id = auth.uid() OR can_access_project(project_id))
+  WITH CHECK (
+    owner_id = auth.uid() AND (project_id IS NULL OR can_access_project(project_id))
+  );
+
+DROP POLICY IF EXISTS "Project members can view deletions" ON deletions;
+CREATE POLICY "Project members can view deletions" ON deletions
+  FOR SELECT USING (
+    deleted_by = auth.uid()
+    OR owner_id = auth.uid()
+    OR is_team_member(team_id)
+    OR can_access_project(project_id)
+  );
+
+DROP POLICY IF EXISTS "Project members can record deletions" ON deletions;
+CREATE POLICY "Project members can record deletions" ON deletions
+  FOR INSERT WITH CHECK (
+    deleted_by = auth.uid() AND (project_id IS NULL OR can_access_project(project_id))
+  );
+
+-- Allow-all storage policies from the old storage-buckets.sql
+DROP POLICY IF EXISTS "Public read access for images" ON storage.objects;
+DROP POLICY IF EXISTS "Allow uploads to images" ON storage.objects;
+DROP POLICY IF EXISTS "Allow updates to images" ON storage.objects;
+DROP POLICY IF EXISTS "Allow deletes from images" ON storage.objects;
+DROP POLICY IF EXISTS "Public read access for videos" ON storage.objects;
+DROP POLICY IF EXISTS "Allow uploads to videos" ON storage.objects;
+DROP POLICY IF EXISTS "Allow updates to videos" ON storage.objects;
+DROP POLICY IF EXISTS "Allow deletes from videos" ON storage.objects;
+DROP POLICY IF EXISTS "Public read access for audio" ON storage.objects;
+DROP POLICY IF EXISTS "Allow uploads to audio" ON storage.objects;
+DROP POLICY IF EXISTS "Allow updates to audio" ON storage.objects;
+DROP POLICY IF EXISTS "Allow deletes from audio" ON storage.objects;
+DROP POLICY IF EXISTS "Public read access for ply-files" ON storage.objects;
+DROP POLICY IF EXISTS "Allow uploads to ply-files" ON storage.objects;
+DROP POLICY IF EXISTS "Allow updates to ply-files" ON storage.objects;
+DROP POLICY IF EXISTS "Allow deletes from ply-files" ON storage.objects;
+
+-- Storage policies - files are stored under "<project id>/" and can be
+-- listed, changed and removed by whoever can access that project.
+-- Buckets stay public so the app's stored URLs keep working: a file can be
+-- read by anyone who has its (random) URL, but not found by listing.
+
+DROP POLICY IF EXISTS "Project members can view files" ON storage.objects;
+CREATE POLICY "Project members can view files" ON storage.objects
+  FOR SELECT USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_access_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project members can upload files" ON storage.objects;
+CREATE POLICY "Project members can upload files" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND auth.uid() IS NOT NULL
+    AND can_upload_to_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project members can update files" ON storage.objects;
+CREATE POLICY "Project members can update files" ON storage.objects
+  FOR UPDATE USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_access_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project members can delete files" ON storage.objects;
+CREATE POLICY "Project members can delete files" ON storage.objects
+  FOR DELETE USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_access_project(storage_object_project(name))
+  );
+
+SELECT 'Migration 005 applied' as status;
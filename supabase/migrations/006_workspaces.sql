@@ -0,0 +1,462 @@
+-- Migration 006: Workspaces, roles and shot reviews
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- Teams become workspaces whose members have a role (owner, editor,
+-- reviewer or viewer), shared through invite links. Existing team creators
+-- become owners and other members editors. Reviewers' comments and
+-- approvals are kept in shot_reviews.
+
+-- Policies and helpers from migration 005, replaced below
+DROP POLICY IF EXISTS "Members can view teams" ON teams;
+DROP POLICY IF EXISTS "Users can create teams" ON teams;
+DROP POLICY IF EXISTS "Creators can manage teams" ON teams;
+DROP POLICY IF EXISTS "Creators can delete teams" ON teams;
+DROP POLICY IF EXISTS "Members can view team members" ON team_members;
+DROP POLICY IF EXISTS "Creators can add team members" ON team_members;
+DROP POLICY IF EXISTS "Creators and members can remove team members" ON team_members;
+DROP POLICY IF EXISTS "Owners and team members can view projects" ON projects;
+DROP POLICY IF EXISTS "Users can create their own projects" ON projects;
+DROP POLICY IF EXISTS "Owners and team members can update projects" ON projects;
+DROP POLICY IF EXISTS "Owners and team members can delete projects" ON projects;
+DROP POLICY IF EXISTS "Project members can access scenes" ON scenes;
+DROP POLICY IF EXISTS "Project members can access shots" ON shots;
+DROP POLICY IF EXISTS "Project members can access keyframes" ON keyframes;
+DROP POLICY IF EXISTS "Project members can access video_takes" ON video_takes;
+DROP POLICY IF EXISTS "Project members can access audio_takes" ON audio_takes;
+DROP POLICY IF EXISTS "Project members can access assets" ON assets;
+DROP POLICY IF EXISTS "Project members can access generations" ON generations;
+DROP POLICY IF EXISTS "Project members can view deletions" ON deletions;
+DROP POLICY IF EXISTS "Project members can record deletions" ON deletions;
+DROP POLICY IF EXISTS "Project members can upload files" ON storage.objects;
+DROP POLICY IF EXISTS "Project members can update files" ON storage.objects;
+DROP POLICY IF EXISTS "Project members can delete files" ON storage.objects;
+DROP TRIGGER IF EXISTS add_team_creator ON teams;
+DROP FUNCTION IF EXISTS add_team_creator();
+
+-- Teams -> workspaces
+ALTER TABLE IF EXISTS teams RENAME TO workspaces;
+ALTER TABLE IF EXISTS team_members RENAME TO workspace_members;
+ALTER TABLE workspace_members RENAME COLUMN team_id TO workspace_id;
+ALTER TABLE projects RENAME COLUMN team_id TO workspace_id;
+ALTER TABLE deletions RENAME COLUMN team_id TO workspace_id;
+ALTER INDEX IF EXISTS idx_projects_team_id RENAME TO idx_projects_workspace_id;
+ALTER INDEX IF EXISTS idx_team_members_user_id RENAME TO idx_workspace_members_user_id;
+
+ALTER TABLE workspace_members ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'editor'
+  CHECK (role IN ('owner', 'editor', 'reviewer', 'viewer'));
+ALTER TABLE workspace_members ADD COLUMN IF NOT EXISTS email TEXT;
+
+UPDATE workspace_members m SET role = 'owner'
+FROM workspaces w WHERE w.id = m.workspace_id AND w.created_by = m.user_id;
+UPDATE workspace_members m SET email = u.email
+FROM auth.users u WHERE u.id = m.user_id AND m.email IS NULL;
+
+DROP FUNCTION IF EXISTS is_team_member(UUID);
+
+-- Invite links, usable by anyone signed in until they expire
+CREATE TABLE IF NOT EXISTS workspace_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('editor', 'reviewer', 'viewer')),
+  token TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text, '-', ''),
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '7 days'
+);
+
+-- Review comments and approvals on shots
+CREATE TABLE IF NOT EXISTS shot_reviews (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID NOT NULL,
+  author_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  author_name TEXT,
+  kind TEXT NOT NULL CHECK (kind IN ('comment', 'approval')),
+  body TEXT DEFAULT '',
+  status TEXT CHECK (status IN ('approved', 'changes_requested')), -- Approvals only
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invites_workspace_id ON workspace_invites(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_shot_reviews_project_id ON shot_reviews(project_id);
+CREATE INDEX IF NOT EXISTS idx_shot_reviews_synced_at ON shot_reviews(synced_at);
+
+DROP TRIGGER IF EXISTS update_shot_reviews_updated_at ON shot_reviews;
+CREATE TRIGGER update_shot_reviews_updated_at
+  BEFORE UPDATE ON shot_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_shot_reviews_synced_at ON shot_reviews;
+CREATE TRIGGER update_shot_reviews_synced_at
+  BEFORE INSERT OR UPDATE ON shot_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+-- Projects belong to their owner (a Supabase Auth user) and are shared
+-- with the members of the project's workspace, by role:
+--   owner    - everything, including sharing and deleting the project
+--   editor   - edit, generate and delete records
+--   reviewer - comment on and approve shots
+--   viewer   - read only
+
+-- The signed-in user's role in a workspace, if a member
+CREATE OR REPLACE FUNCTION workspace_role(wid UUID)
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT role FROM workspace_members WHERE workspace_id = wid AND user_id = auth.uid()
+$$;
+
+-- The signed-in user's role in a project: owner of their own projects,
+-- otherwise their role in its workspace
+CREATE OR REPLACE FUNCTION project_role(pid UUID)
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT CASE WHEN owner_id = auth.uid() THEN 'owner' ELSE workspace_role(workspace_id) END
+  FROM projects WHERE id = pid
+$$;
+
+CREATE OR REPLACE FUNCTION can_access_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT project_role(pid) IS NOT NULL
+$$;
+
+CREATE OR REPLACE FUNCTION can_edit_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(project_role(pid) IN ('owner', 'editor'), FALSE)
+$$;
+
+CREATE OR REPLACE FUNCTION can_review_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(project_role(pid) IN ('owner', 'editor', 'reviewer'), FALSE)
+$$;
+
+-- Project of a storage object, which is stored under "<project id>/"
+CREATE OR REPLACE FUNCTION storage_object_project(object_name TEXT)
+RETURNS UUID
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN split_part(object_name, '/', 1) ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+      THEN split_part(object_name, '/', 1)::UUID
+  END
+$$;
+
+-- Files can only be uploaded for an existing project the user edits
+-- (sync creates a new project before uploading its media)
+CREATE OR REPLACE FUNCTION can_upload_to_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT pid IS NOT NULL AND can_edit_project(pid)
+$$;
+
+-- Workspace creators join their workspace as its owner
+CREATE OR REPLACE FUNCTION add_workspace_creator()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NEW.created_by IS NOT NULL THEN
+    INSERT INTO workspace_members (workspace_id, user_id, role, email)
+    SELECT NEW.id, NEW.created_by, 'owner', email FROM auth.users WHERE id = NEW.created_by
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS add_workspace_creator ON workspaces;
+CREATE TRIGGER add_workspace_creator
+  AFTER INSERT ON workspaces
+  FOR EACH ROW
+  EXECUTE FUNCTION add_workspace_creator();
+
+-- Join a workspace from an invite link
+-- Members who already belong keep their role.
+CREATE OR REPLACE FUNCTION accept_workspace_invite(invite_token TEXT)
+RETURNS UUID
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  invite workspace_invites%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to accept an invite';
+  END IF;
+
+  SELECT * INTO invite FROM workspace_invites
+  WHERE token = invite_token AND expires_at > NOW();
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This invite link is invalid or has expired';
+  END IF;
+
+  INSERT INTO workspace_members (workspace_id, user_id, role, email)
+  SELECT invite.workspace_id, auth.uid(), invite.role, email FROM auth.users WHERE id = auth.uid()
+  ON CONFLICT DO NOTHING;
+  RETURN invite.workspace_id;
+END;
+$$;
+
+-- Only a project's owners can change who it is shared with, and only to
+-- a workspace they can add projects to
+CREATE OR REPLACE FUNCTION check_project_sharing()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.owner_id IS DISTINCT FROM OLD.owner_id OR NEW.workspace_id IS DISTINCT FROM OLD.workspace_id THEN
+    IF project_role(OLD.id) IS DISTINCT FROM 'owner' THEN
+      RAISE EXCEPTION 'Only the project owner can change who it is shared with';
+    END IF;
+    IF NEW.workspace_id IS NOT NULL AND COALESCE(workspace_role(NEW.workspace_id), '') NOT IN ('owner', 'editor') THEN
+      RAISE EXCEPTION 'Projects can only be shared with workspaces you edit in';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_project_sharing ON projects;
+CREATE TRIGGER check_project_sharing
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION check_project_sharing();
+
+-- Deletions keep who could see the project, since it may be gone when they're read
+CREATE OR REPLACE FUNCTION set_deletion_access()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  SELECT owner_id, workspace_id INTO NEW.owner_id, NEW.workspace_id
+  FROM projects WHERE id = NEW.project_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_deletion_access ON deletions;
+CREATE TRIGGER set_deletion_access
+  BEFORE INSERT ON deletions
+  FOR EACH ROW
+  EXECUTE FUNCTION set_deletion_access();
+
+-- ==================== Row Level Security (RLS) ====================
+
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE generations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scenes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE keyframes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE video_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audio_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shot_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deletions ENABLE ROW LEVEL SECURITY;
+
+-- Workspaces: members can see them, owners manage them
+DROP POLICY IF EXISTS "Members can view workspaces" ON workspaces;
+CREATE POLICY "Members can view workspaces" ON workspaces
+  FOR SELECT USING (workspace_role(id) IS NOT NULL OR created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Users can create workspaces" ON workspaces;
+CREATE POLICY "Users can create workspaces" ON workspaces
+  FOR INSERT WITH CHECK (created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Owners can update workspaces" ON workspaces;
+CREATE POLICY "Owners can update workspaces" ON workspaces
+  FOR UPDATE USING (workspace_role(id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners can delete workspaces" ON workspaces;
+CREATE POLICY "Owners can delete workspaces" ON workspaces
+  FOR DELETE USING (workspace_role(id) = 'owner');
+
+-- Members join through invites (accept_workspace_invite)
+DROP POLICY IF EXISTS "Members can view workspace members" ON workspace_members;
+CREATE POLICY "Members can view workspace members" ON workspace_members
+  FOR SELECT USING (workspace_role(workspace_id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Owners can add workspace members" ON workspace_members;
+CREATE POLICY "Owners can add workspace members" ON workspace_members
+  FOR INSERT WITH CHECK (workspace_role(workspace_id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners can change member roles" ON workspace_members;
+CREATE POLICY "Owners can change member roles" ON workspace_members
+  FOR UPDATE USING (workspace_role(workspace_id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners and members can remove workspace members" ON workspace_members;
+CREATE POLICY "Owners and members can remove workspace members" ON workspace_members
+  FOR DELETE USING (user_id = auth.uid() OR workspace_role(workspace_id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners can manage invites" ON workspace_invites;
+CREATE POLICY "Owners can manage invites" ON workspace_invites
+  FOR ALL USING (workspace_role(workspace_id) = 'owner')
+  WITH CHECK (workspace_role(workspace_id) = 'owner');
+
+-- Projects: the owner and the project's workspace, by role
+DROP POLICY IF EXISTS "Members can view projects" ON projects;
+CREATE POLICY "Members can view projects" ON projects
+  FOR SELECT USING (can_access_project(id));
+
+DROP POLICY IF EXISTS "Users can create their own projects" ON projects;
+CREATE POLICY "Users can create their own projects" ON projects
+  FOR INSERT WITH CHECK (
+    owner_id = auth.uid()
+    AND (workspace_id IS NULL OR workspace_role(workspace_id) IN ('owner', 'editor'))
+  );
+
+DROP POLICY IF EXISTS "Editors can update projects" ON projects;
+CREATE POLICY "Editors can update projects" ON projects
+  FOR UPDATE USING (can_edit_project(id));
+
+DROP POLICY IF EXISTS "Owners can delete projects" ON projects;
+CREATE POLICY "Owners can delete projects" ON projects
+  FOR DELETE USING (project_role(id) = 'owner');
+
+-- Project records: anyone in the project can read, editors can write
+
+DROP POLICY IF EXISTS "Members can view scenes" ON scenes;
+CREATE POLICY "Members can view scenes" ON scenes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change scenes" ON scenes;
+CREATE POLICY "Editors can change scenes" ON scenes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view shots" ON shots;
+CREATE POLICY "Members can view shots" ON shots
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change shots" ON shots;
+CREATE POLICY "Editors can change shots" ON shots
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view keyframes" ON keyframes;
+CREATE POLICY "Members can view keyframes" ON keyframes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change keyframes" ON keyframes;
+CREATE POLICY "Editors can change keyframes" ON keyframes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view video_takes" ON video_takes;
+CREATE POLICY "Members can view video_takes" ON video_takes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change video_takes" ON video_takes;
+CREATE POLICY "Editors can change video_takes" ON video_takes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view audio_takes" ON audio_takes;
+CREATE POLICY "Members can view audio_takes" ON audio_takes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change audio_takes" ON audio_takes;
+CREATE POLICY "Editors can change audio_takes" ON audio_takes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view assets" ON assets;
+CREATE POLICY "Members can view assets" ON assets
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change assets" ON assets;
+CREATE POLICY "Editors can change assets" ON assets
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+-- Generations without a project belong to whoever ran them
+DROP POLICY IF EXISTS "Members can view generations" ON generations;
+CREATE POLICY "Members can view generations" ON generations
+  FOR SELECT USING (owner_id = auth.uid() OR can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can run generations" ON generations;
+CREATE POLICY "Editors can run generations" ON generations
+  FOR ALL USING (owner_id = auth.uid() AND (project_id IS NULL OR can_edit_project(project_id)))
+  WITH CHECK (owner_id = auth.uid() AND (project_id IS NULL OR can_edit_project(project_id)));
+
+-- Reviews: reviewers and editors add them, authors change or remove their own
+DROP POLICY IF EXISTS "Members can view shot_reviews" ON shot_reviews;
+CREATE POLICY "Members can view shot_reviews" ON shot_reviews
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Reviewers can write shot_reviews" ON shot_reviews;
+CREATE POLICY "Reviewers can write shot_reviews" ON shot_reviews
+  FOR ALL USING (author_id = auth.uid() AND can_review_project(project_id))
+  WITH CHECK (author_id = auth.uid() AND can_review_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view deletions" ON deletions;
+CREATE POLICY "Members can view deletions" ON deletions
+  FOR SELECT USING (
+    deleted_by = auth.uid()
+    OR owner_id = auth.uid()
+    OR workspace_role(workspace_id) IS NOT NULL
+    OR can_access_project(project_id)
+  );
+
+-- Deleting a project takes its owner; reviewers only remove their own reviews
+DROP POLICY IF EXISTS "Members can record deletions" ON deletions;
+CREATE POLICY "Members can record deletions" ON deletions
+  FOR INSERT WITH CHECK (
+    deleted_by = auth.uid() AND (
+      project_id IS NULL
+      OR (table_name = 'projects' AND project_role(project_id) = 'owner')
+      OR (table_name = 'shot_reviews' AND can_review_project(project_id))
+      OR (table_name NOT IN ('projects', 'shot_reviews') AND can_edit_project(project_id))
+    )
+  );
+
+-- Storage policies - files are stored under "<project id>/". Anyone in the
+-- project can list them; its owners and editors can change and remove them.
+-- Buckets stay public so the app's stored URLs keep working: a file can be
+-- read by anyone who has its (random) URL, but not found by listing.
+
+DROP POLICY IF EXISTS "Project members can view files" ON storage.objects;
+CREATE POLICY "Project members can view files" ON storage.objects
+  FOR SELECT USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_access_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project editors can upload files" ON storage.objects;
+CREATE POLICY "Project editors can upload files" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND auth.uid() IS NOT NULL
+    AND can_upload_to_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project editors can update files" ON storage.objects;
+CREATE POLICY "Project editors can update files" ON storage.objects
+  FOR UPDATE USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_edit_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project editors can delete files" ON storage.objects;
+CREATE POLICY "Project editors can delete files" ON storage.objects
+  FOR DELETE USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_edit_project(storage_object_project(name))
+  );
+
+-- Stream reviews to clients with the project open
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'shot_reviews'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.shot_reviews;
+  END IF;
+END $$;
+
+SELECT 'Migration 006 applied' as status;
@@ -0,0 +1,19 @@
+-- Migration 007: Server-side provider keys
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- Wavespeed and Claude keys are stored per workspace and read only by the
+-- server functions in api/, which use the service role key. Set
+-- SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in the deployment's environment.
+
+CREATE TABLE IF NOT EXISTS provider_keys (
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL CHECK (provider IN ('wavespeed', 'anthropic')),
+  api_key TEXT NOT NULL,
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, provider)
+);
+
+-- No policies: clients can't read or write keys
+ALTER TABLE provider_keys ENABLE ROW LEVEL SECURITY;
+
+SELECT 'Migration 007 applied' as status;
@@ -0,0 +1,45 @@
+-- Migration 008: Per-user rate limits for the server functions
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- api/wavespeed.js counts each user's requests here (with the service role
+-- key) and answers 429 once they pass the limit for the window.
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  bucket TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, bucket, window_start)
+);
+
+-- No policies: clients can't read or write counts
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- Count a request in the user's current window for a bucket and return the
+-- window's total; windows older than a day are cleared as it goes
+CREATE OR REPLACE FUNCTION hit_rate_limit(uid UUID, bucket_name TEXT, window_seconds INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  current_window TIMESTAMPTZ := to_timestamp(
+    floor(extract(epoch FROM NOW()) / window_seconds) * window_seconds
+  );
+  total INTEGER;
+BEGIN
+  INSERT INTO rate_limits (user_id, bucket, window_start, count)
+  VALUES (uid, bucket_name, current_window, 1)
+  ON CONFLICT (user_id, bucket, window_start)
+  DO UPDATE SET count = rate_limits.count + 1
+  RETURNING count INTO total;
+
+  DELETE FROM rate_limits
+  WHERE user_id = uid AND window_start < NOW() - INTERVAL '1 day';
+
+  RETURN total;
+END;
+$$;
+
+-- Only the service role counts requests
+REVOKE EXECUTE ON FUNCTION hit_rate_limit(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+SELECT 'Migration 008 applied' as status;
@@ -0,0 +1,37 @@
+-- Migration 009: Generation costs and project spending caps
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- Generations record what they were estimated to cost and what they cost,
+-- priced from the model registry. A project's owner can set a spending cap;
+-- the client and api/wavespeed.js refuse new generations past it.
+
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS estimated_cost NUMERIC;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS actual_cost NUMERIC;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS spending_cap NUMERIC;
+
+-- Only a project's owners can change who it is shared with, and only to
+-- a workspace they can add projects to, or change its spending cap
+CREATE OR REPLACE FUNCTION check_project_sharing()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.spending_cap IS DISTINCT FROM OLD.spending_cap AND project_role(OLD.id) IS DISTINCT FROM 'owner' THEN
+    RAISE EXCEPTION 'Only the project owner can change its spending cap';
+  END IF;
+  IF NEW.owner_id IS DISTINCT FROM OLD.owner_id OR NEW.workspace_id IS DISTINCT FROM OLD.workspace_id THEN
+    IF project_role(OLD.id) IS DISTINCT FROM 'owner' THEN
+      RAISE EXCEPTION 'Only the project owner can change who it is shared with';
+    END IF;
+    IF NEW.workspace_id IS NOT NULL AND COALESCE(workspace_role(NEW.workspace_id), '') NOT IN ('owner', 'editor') THEN
+      RAISE EXCEPTION 'Projects can only be shared with workspaces you edit in';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_project_sharing ON projects;
+CREATE TRIGGER check_project_sharing
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION check_project_sharing();
@@ -0,0 +1,68 @@
+-- Migration 010: Spending caps counted from server-side charges
+-- Run this in Supabase SQL Editor on databases created from an older schema.sql
+-- api/wavespeed.js and api/llm.js charge each call to its project here (with
+-- the service role key) and refuse calls past the project's spending cap.
+-- Clients can't write charges, unlike generations, so they can't lower them.
+
+CREATE TABLE IF NOT EXISTS project_charges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  source TEXT NOT NULL, -- The proxy that charged it: 'wavespeed' or 'llm'
+  amount NUMERIC NOT NULL, -- USD; the estimate until the call is settled
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_charges_project_id ON project_charges(project_id);
+
+-- No policies: clients can't read or write charges
+ALTER TABLE project_charges ENABLE ROW LEVEL SECURITY;
+
+-- Carry over what projects have spent so far, counted the way the client
+-- counts it (see generationCost in src/lib/models/pricing.js)
+INSERT INTO project_charges (project_id, source, amount)
+SELECT project_id, 'generations', SUM(COALESCE(actual_cost, estimated_cost, 0))
+FROM generations
+WHERE project_id IS NOT NULL
+  AND (
+    actual_cost IS NOT NULL
+    OR status IN ('pending', 'processing', 'completed')
+    OR (status = 'cancelled' AND metadata->>'providerTaskId' IS NOT NULL)
+  )
+  AND NOT EXISTS (SELECT 1 FROM project_charges c WHERE c.project_id = generations.project_id)
+GROUP BY project_id;
+
+-- Charge a project for a call unless that would take it past its spending
+-- cap. Charges lock the project's row, so calls made at the same time are
+-- checked one after another. Returns the charge's ID (null if refused),
+-- what the project had been charged before it and its cap; or null if
+-- there's no such project.
+CREATE OR REPLACE FUNCTION charge_project(pid UUID, uid UUID, charge_source TEXT, charge NUMERIC)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  cap NUMERIC;
+  spent NUMERIC;
+  charge_id UUID;
+BEGIN
+  SELECT spending_cap INTO cap FROM projects WHERE id = pid FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO spent FROM project_charges WHERE project_id = pid;
+  IF cap IS NULL OR spent + charge <= cap THEN
+    INSERT INTO project_charges (project_id, user_id, source, amount)
+    VALUES (pid, uid, charge_source, charge)
+    RETURNING id INTO charge_id;
+  END IF;
+
+  RETURN jsonb_build_object('id', charge_id, 'spent', spent, 'cap', cap);
+END;
+$$;
+
+-- Only the service role charges projects
+REVOKE EXECUTE ON FUNCTION charge_project(UUID, UUID, TEXT, NUMERIC) FROM PUBLIC, anon, authenticated;
+
+SELECT 'Migration 010 applied' as status;
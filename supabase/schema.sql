@@ -3,6 +3,58 @@
 
 -- ==================== Tables ====================
 
+-- Workspaces (users who share projects)
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Owners manage the workspace, editors edit and generate, reviewers comment
+-- and approve, viewers only look
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'reviewer', 'viewer')),
+  email TEXT, -- Shown to other members
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+-- Invite links, usable by anyone signed in until they expire
+CREATE TABLE IF NOT EXISTS workspace_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('editor', 'reviewer', 'viewer')),
+  token TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text, '-', ''),
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '7 days'
+);
+
+-- Provider API keys for a workspace's generations
+-- Only the server functions in api/ read these (with the service role key);
+-- RLS is on with no policies, so clients can't see them.
+CREATE TABLE IF NOT EXISTS provider_keys (
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL CHECK (provider IN ('wavespeed', 'anthropic')),
+  api_key TEXT NOT NULL,
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, provider)
+);
+
+-- Requests to the server functions per user, per fixed window
+-- Server-only like provider_keys; see hit_rate_limit
+CREATE TABLE IF NOT EXISTS rate_limits (
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  bucket TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, bucket, window_start)
+);
+
 -- Projects table
 CREATE TABLE IF NOT EXISTS projects (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -10,10 +62,72 @@ CREATE TABLE IF NOT EXISTS projects (
   script TEXT DEFAULT '',
   characters JSONB DEFAULT '[]'::jsonb,
   locations JSONB DEFAULT '[]'::jsonb,
-  scenes JSONB DEFAULT '[]'::jsonb,
   assembly JSONB DEFAULT '{"timeline": []}'::jsonb,
+  frames JSONB DEFAULT '[]'::jsonb, -- Frames canvas
+  clips JSONB DEFAULT '[]'::jsonb, -- Shots canvas
+  owner_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL, -- Shared with this workspace
+  spending_cap NUMERIC, -- USD; generations are refused once it's reached
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(), -- Last edit, sent by the client
+  synced_at TIMESTAMPTZ DEFAULT NOW() -- Last write, set by the database
+);
+
+-- Scenes table (record fields are columns, the rest of the scene is in data)
+CREATE TABLE IF NOT EXISTS scenes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Shots table
+CREATE TABLE IF NOT EXISTS shots (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  scene_id UUID REFERENCES scenes(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Keyframes, video takes and audio takes (one row per generated take)
+CREATE TABLE IF NOT EXISTS keyframes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID REFERENCES shots(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS video_takes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID REFERENCES shots(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
   created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS audio_takes (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID REFERENCES shots(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0,
+  data JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Assets table (images, videos, audio files)
@@ -23,38 +137,120 @@ CREATE TABLE IF NOT EXISTS assets (
   type TEXT NOT NULL, -- 'image', 'video', 'audio', 'ply'
   url TEXT NOT NULL,
   metadata JSONB DEFAULT '{}'::jsonb,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Generations table (AI generation history)
 CREATE TABLE IF NOT EXISTS generations (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  owner_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
   shot_id UUID,
-  type TEXT NOT NULL, -- 'image', 'video', 'audio', 'edit'
+  type TEXT NOT NULL, -- 'image', 'video', 'audio', 'edit', or a text call such as 'scriptAnalysis'
   prompt TEXT,
   model TEXT,
   provider TEXT,
   status TEXT DEFAULT 'pending', -- 'pending', 'processing', 'completed', 'failed'
   output_url TEXT,
+  estimated_cost NUMERIC, -- USD, from the model's pricing when submitted
+  actual_cost NUMERIC, -- USD, priced from what the provider reported it used; null if it didn't report
   metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- What each project has been charged for calls through the server functions
+-- Server-only like provider_keys; see charge_project
+CREATE TABLE IF NOT EXISTS project_charges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  source TEXT NOT NULL, -- The proxy that charged it: 'wavespeed' or 'llm'
+  amount NUMERIC NOT NULL, -- USD; the estimate until the call is settled
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Review comments and approvals on shots
+CREATE TABLE IF NOT EXISTS shot_reviews (
+  id UUID PRIMARY KEY,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  shot_id UUID NOT NULL,
+  author_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  author_name TEXT,
+  kind TEXT NOT NULL CHECK (kind IN ('comment', 'approval')),
+  body TEXT DEFAULT '',
+  status TEXT CHECK (status IN ('approved', 'changes_requested')), -- Approvals only
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  synced_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Deleted records, so other devices can remove their copies
+CREATE TABLE IF NOT EXISTS deletions (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  record_id UUID NOT NULL,
+  project_id UUID,
+  deleted_by UUID DEFAULT auth.uid(),
+  owner_id UUID, -- The project's owner and workspace, set on insert
+  workspace_id UUID,
+  deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ==================== Indexes ====================
 
 CREATE INDEX IF NOT EXISTS idx_assets_project_id ON assets(project_id);
 CREATE INDEX IF NOT EXISTS idx_assets_type ON assets(type);
 CREATE INDEX IF NOT EXISTS idx_generations_project_id ON generations(project_id);
 CREATE INDEX IF NOT EXISTS idx_generations_shot_id ON generations(shot_id);
+CREATE INDEX IF NOT EXISTS idx_project_charges_project_id ON project_charges(project_id);
 CREATE INDEX IF NOT EXISTS idx_projects_updated_at ON projects(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_projects_owner_id ON projects(owner_id);
+CREATE INDEX IF NOT EXISTS idx_projects_workspace_id ON projects(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_invites_workspace_id ON workspace_invites(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_scenes_project_id ON scenes(project_id);
+CREATE INDEX IF NOT EXISTS idx_shots_project_id ON shots(project_id);
+CREATE INDEX IF NOT EXISTS idx_shots_scene_id ON shots(scene_id);
+CREATE INDEX IF NOT EXISTS idx_keyframes_project_id ON keyframes(project_id);
+CREATE INDEX IF NOT EXISTS idx_keyframes_shot_id ON keyframes(shot_id);
+CREATE INDEX IF NOT EXISTS idx_video_takes_project_id ON video_takes(project_id);
+CREATE INDEX IF NOT EXISTS idx_video_takes_shot_id ON video_takes(shot_id);
+CREATE INDEX IF NOT EXISTS idx_audio_takes_project_id ON audio_takes(project_id);
+CREATE INDEX IF NOT EXISTS idx_audio_takes_shot_id ON audio_takes(shot_id);
+CREATE INDEX IF NOT EXISTS idx_projects_synced_at ON projects(synced_at);
+CREATE INDEX IF NOT EXISTS idx_scenes_synced_at ON scenes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_shots_synced_at ON shots(synced_at);
+CREATE INDEX IF NOT EXISTS idx_keyframes_synced_at ON keyframes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_video_takes_synced_at ON video_takes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_audio_takes_synced_at ON audio_takes(synced_at);
+CREATE INDEX IF NOT EXISTS idx_assets_synced_at ON assets(synced_at);
+CREATE INDEX IF NOT EXISTS idx_generations_synced_at ON generations(synced_at);
+CREATE INDEX IF NOT EXISTS idx_shot_reviews_project_id ON shot_reviews(project_id);
+CREATE INDEX IF NOT EXISTS idx_shot_reviews_synced_at ON shot_reviews(synced_at);
+CREATE INDEX IF NOT EXISTS idx_deletions_deleted_at ON deletions(deleted_at);
 
--- ==================== Updated At Trigger ====================
+-- ==================== Updated At / Synced At Triggers ====================
 
+-- Keep an updated_at sent by the client; set it when the client didn't
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
 BEGIN
-  NEW.updated_at = NOW();
+  IF NEW.updated_at IS NULL OR NEW.updated_at = OLD.updated_at THEN
+    NEW.updated_at = NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Clients pull the rows written since their last sync
+CREATE OR REPLACE FUNCTION update_synced_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.synced_at = NOW();
   RETURN NEW;
 END;
 $$ language 'plpgsql';
@@ -65,27 +261,522 @@ CREATE TRIGGER update_projects_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_scenes_updated_at ON scenes;
+CREATE TRIGGER update_scenes_updated_at
+  BEFORE UPDATE ON scenes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_shots_updated_at ON shots;
+CREATE TRIGGER update_shots_updated_at
+  BEFORE UPDATE ON shots
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_keyframes_updated_at ON keyframes;
+CREATE TRIGGER update_keyframes_updated_at
+  BEFORE UPDATE ON keyframes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_video_takes_updated_at ON video_takes;
+CREATE TRIGGER update_video_takes_updated_at
+  BEFORE UPDATE ON video_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_audio_takes_updated_at ON audio_takes;
+CREATE TRIGGER update_audio_takes_updated_at
+  BEFORE UPDATE ON audio_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_assets_updated_at ON assets;
+CREATE TRIGGER update_assets_updated_at
+  BEFORE UPDATE ON assets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_generations_updated_at ON generations;
+CREATE TRIGGER update_generations_updated_at
+  BEFORE UPDATE ON generations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_shot_reviews_updated_at ON shot_reviews;
+CREATE TRIGGER update_shot_reviews_updated_at
+  BEFORE UPDATE ON shot_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_projects_synced_at ON projects;
+CREATE TRIGGER update_projects_synced_at
+  BEFORE INSERT OR UPDATE ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_scenes_synced_at ON scenes;
+CREATE TRIGGER update_scenes_synced_at
+  BEFORE INSERT OR UPDATE ON scenes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_shots_synced_at ON shots;
+CREATE TRIGGER update_shots_synced_at
+  BEFORE INSERT OR UPDATE ON shots
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_keyframes_synced_at ON keyframes;
+CREATE TRIGGER update_keyframes_synced_at
+  BEFORE INSERT OR UPDATE ON keyframes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_video_takes_synced_at ON video_takes;
+CREATE TRIGGER update_video_takes_synced_at
+  BEFORE INSERT OR UPDATE ON video_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_audio_takes_synced_at ON audio_takes;
+CREATE TRIGGER update_audio_takes_synced_at
+  BEFORE INSERT OR UPDATE ON audio_takes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_assets_synced_at ON assets;
+CREATE TRIGGER update_assets_synced_at
+  BEFORE INSERT OR UPDATE ON assets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_generations_synced_at ON generations;
+CREATE TRIGGER update_generations_synced_at
+  BEFORE INSERT OR UPDATE ON generations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+DROP TRIGGER IF EXISTS update_shot_reviews_synced_at ON shot_reviews;
+CREATE TRIGGER update_shot_reviews_synced_at
+  BEFORE INSERT OR UPDATE ON shot_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_synced_at_column();
+
+-- ==================== Access Control ====================
+-- Projects belong to their owner (a Supabase Auth user) and are shared
+-- with the members of the project's workspace, by role:
+--   owner    - everything, including sharing and deleting the project
+--   editor   - edit, generate and delete records
+--   reviewer - comment on and approve shots
+--   viewer   - read only
+
+-- The signed-in user's role in a workspace, if a member
+CREATE OR REPLACE FUNCTION workspace_role(wid UUID)
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT role FROM workspace_members WHERE workspace_id = wid AND user_id = auth.uid()
+$$;
+
+-- The signed-in user's role in a project: owner of their own projects,
+-- otherwise their role in its workspace
+CREATE OR REPLACE FUNCTION project_role(pid UUID)
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT CASE WHEN owner_id = auth.uid() THEN 'owner' ELSE workspace_role(workspace_id) END
+  FROM projects WHERE id = pid
+$$;
+
+CREATE OR REPLACE FUNCTION can_access_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT project_role(pid) IS NOT NULL
+$$;
+
+CREATE OR REPLACE FUNCTION can_edit_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(project_role(pid) IN ('owner', 'editor'), FALSE)
+$$;
+
+CREATE OR REPLACE FUNCTION can_review_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(project_role(pid) IN ('owner', 'editor', 'reviewer'), FALSE)
+$$;
+
+-- Project of a storage object, which is stored under "<project id>/"
+CREATE OR REPLACE FUNCTION storage_object_project(object_name TEXT)
+RETURNS UUID
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN split_part(object_name, '/', 1) ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+      THEN split_part(object_name, '/', 1)::UUID
+  END
+$$;
+
+-- Files can only be uploaded for an existing project the user edits
+-- (sync creates a new project before uploading its media)
+CREATE OR REPLACE FUNCTION can_upload_to_project(pid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT pid IS NOT NULL AND can_edit_project(pid)
+$$;
+
+-- Workspace creators join their workspace as its owner
+CREATE OR REPLACE FUNCTION add_workspace_creator()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NEW.created_by IS NOT NULL THEN
+    INSERT INTO workspace_members (workspace_id, user_id, role, email)
+    SELECT NEW.id, NEW.created_by, 'owner', email FROM auth.users WHERE id = NEW.created_by
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS add_workspace_creator ON workspaces;
+CREATE TRIGGER add_workspace_creator
+  AFTER INSERT ON workspaces
+  FOR EACH ROW
+  EXECUTE FUNCTION add_workspace_creator();
+
+-- Join a workspace from an invite link
+-- Members who already belong keep their role.
+CREATE OR REPLACE FUNCTION accept_workspace_invite(invite_token TEXT)
+RETURNS UUID
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  invite workspace_invites%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to accept an invite';
+  END IF;
+
+  SELECT * INTO invite FROM workspace_invites
+  WHERE token = invite_token AND expires_at > NOW();
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This invite link is invalid or has expired';
+  END IF;
+
+  INSERT INTO workspace_members (workspace_id, user_id, role, email)
+  SELECT invite.workspace_id, auth.uid(), invite.role, email FROM auth.users WHERE id = auth.uid()
+  ON CONFLICT DO NOTHING;
+  RETURN invite.workspace_id;
+END;
+$$;
+
+-- Only a project's owners can change who it is shared with, and only to
+-- a workspace they can add projects to, or change its spending cap
+CREATE OR REPLACE FUNCTION check_project_sharing()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.spending_cap IS DISTINCT FROM OLD.spending_cap AND project_role(OLD.id) IS DISTINCT FROM 'owner' THEN
+    RAISE EXCEPTION 'Only the project owner can change its spending cap';
+  END IF;
+  IF NEW.owner_id IS DISTINCT FROM OLD.owner_id OR NEW.workspace_id IS DISTINCT FROM OLD.workspace_id THEN
+    IF project_role(OLD.id) IS DISTINCT FROM 'owner' THEN
+      RAISE EXCEPTION 'Only the project owner can change who it is shared with';
+    END IF;
+    IF NEW.workspace_id IS NOT NULL AND COALESCE(workspace_role(NEW.workspace_id), '') NOT IN ('owner', 'editor') THEN
+      RAISE EXCEPTION 'Projects can only be shared with workspaces you edit in';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_project_sharing ON projects;
+CREATE TRIGGER check_project_sharing
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION check_project_sharing();
+
+-- Deletions keep who could see the project, since it may be gone when they're read
+CREATE OR REPLACE FUNCTION set_deletion_access()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  SELECT owner_id, workspace_id INTO NEW.owner_id, NEW.workspace_id
+  FROM projects WHERE id = NEW.project_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_deletion_access ON deletions;
+CREATE TRIGGER set_deletion_access
+  BEFORE INSERT ON deletions
+  FOR EACH ROW
+  EXECUTE FUNCTION set_deletion_access();
+
 -- ==================== Row Level Security (RLS) ====================
--- For now, we allow all operations (no auth required)
--- When you add auth later, update these policies
 
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE provider_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE project_charges ENABLE ROW LEVEL SECURITY;
 ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
 ALTER TABLE assets ENABLE ROW LEVEL SECURITY;
 ALTER TABLE generations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scenes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE keyframes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE video_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audio_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shot_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deletions ENABLE ROW LEVEL SECURITY;
+
+-- Workspaces: members can see them, owners manage them
+DROP POLICY IF EXISTS "Members can view workspaces" ON workspaces;
+CREATE POLICY "Members can view workspaces" ON workspaces
+  FOR SELECT USING (workspace_role(id) IS NOT NULL OR created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Users can create workspaces" ON workspaces;
+CREATE POLICY "Users can create workspaces" ON workspaces
+  FOR INSERT WITH CHECK (created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Owners can update workspaces" ON workspaces;
+CREATE POLICY "Owners can update workspaces" ON workspaces
+  FOR UPDATE USING (workspace_role(id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners can delete workspaces" ON workspaces;
+CREATE POLICY "Owners can delete workspaces" ON workspaces
+  FOR DELETE USING (workspace_role(id) = 'owner');
+
+-- Members join through invites (accept_workspace_invite)
+DROP POLICY IF EXISTS "Members can view workspace members" ON workspace_members;
+CREATE POLICY "Members can view workspace members" ON workspace_members
+  FOR SELECT USING (workspace_role(workspace_id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Owners can add workspace members" ON workspace_members;
+CREATE POLICY "Owners can add workspace members" ON workspace_members
+  FOR INSERT WITH CHECK (workspace_role(workspace_id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners can change member roles" ON workspace_members;
+CREATE POLICY "Owners can change member roles" ON workspace_members
+  FOR UPDATE USING (workspace_role(workspace_id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners and members can remove workspace members" ON workspace_members;
+CREATE POLICY "Owners and members can remove workspace members" ON workspace_members
+  FOR DELETE USING (user_id = auth.uid() OR workspace_role(workspace_id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners can manage invites" ON workspace_invites;
+CREATE POLICY "Owners can manage invites" ON workspace_invites
+  FOR ALL USING (workspace_role(workspace_id) = 'owner')
+  WITH CHECK (workspace_role(workspace_id) = 'owner');
+
+-- provider_keys, rate_limits and project_charges have no policies: only the
+-- server functions in api/ use them
+
+-- Projects: the owner and the project's workspace, by role
+DROP POLICY IF EXISTS "Members can view projects" ON projects;
+CREATE POLICY "Members can view projects" ON projects
+  FOR SELECT USING (can_access_project(id));
+
+DROP POLICY IF EXISTS "Users can create their own projects" ON projects;
+CREATE POLICY "Users can create their own projects" ON projects
+  FOR INSERT WITH CHECK (
+    owner_id = auth.uid()
+    AND (workspace_id IS NULL OR workspace_role(workspace_id) IN ('owner', 'editor'))
+  );
+
+DROP POLICY IF EXISTS "Editors can update projects" ON projects;
+CREATE POLICY "Editors can update projects" ON projects
+  FOR UPDATE USING (can_edit_project(id));
+
+DROP POLICY IF EXISTS "Owners can delete projects" ON projects;
+CREATE POLICY "Owners can delete projects" ON projects
+  FOR DELETE USING (project_role(id) = 'owner');
+
+-- Project records: anyone in the project can read, editors can write
+
+DROP POLICY IF EXISTS "Members can view scenes" ON scenes;
+CREATE POLICY "Members can view scenes" ON scenes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change scenes" ON scenes;
+CREATE POLICY "Editors can change scenes" ON scenes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view shots" ON shots;
+CREATE POLICY "Members can view shots" ON shots
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change shots" ON shots;
+CREATE POLICY "Editors can change shots" ON shots
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view keyframes" ON keyframes;
+CREATE POLICY "Members can view keyframes" ON keyframes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change keyframes" ON keyframes;
+CREATE POLICY "Editors can change keyframes" ON keyframes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view video_takes" ON video_takes;
+CREATE POLICY "Members can view video_takes" ON video_takes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change video_takes" ON video_takes;
+CREATE POLICY "Editors can change video_takes" ON video_takes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
 
--- Public access policies (for development)
--- Replace these with user-specific policies when auth is added
-DROP POLICY IF EXISTS "Allow all operations on projects" ON projects;
-CREATE POLICY "Allow all operations on projects" ON projects
-  FOR ALL USING (true) WITH CHECK (true);
+DROP POLICY IF EXISTS "Members can view audio_takes" ON audio_takes;
+CREATE POLICY "Members can view audio_takes" ON audio_takes
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change audio_takes" ON audio_takes;
+CREATE POLICY "Editors can change audio_takes" ON audio_takes
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
 
-DROP POLICY IF EXISTS "Allow all operations on assets" ON assets;
-CREATE POLICY "Allow all operations on assets" ON assets
-  FOR ALL USING (true) WITH CHECK (true);
+DROP POLICY IF EXISTS "Members can view assets" ON assets;
+CREATE POLICY "Members can view assets" ON assets
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can change assets" ON assets;
+CREATE POLICY "Editors can change assets" ON assets
+  FOR ALL USING (can_edit_project(project_id))
+  WITH CHECK (can_edit_project(project_id));
 
-DROP POLICY IF EXISTS "Allow all operations on generations" ON generations;
-CREATE POLICY "Allow all operations on generations" ON generations
-  FOR ALL USING (true) WITH CHECK (true);
+-- Generations without a project belong to whoever ran them
+DROP POLICY IF EXISTS "Members can view generations" ON generations;
+CREATE POLICY "Members can view generations" ON generations
+  FOR SELECT USING (owner_id = auth.uid() OR can_access_project(project_id));
+DROP POLICY IF EXISTS "Editors can run generations" ON generations;
+CREATE POLICY "Editors can run generations" ON generations
+  FOR ALL USING (owner_id = auth.uid() AND (project_id IS NULL OR can_edit_project(project_id)))
+  WITH CHECK (owner_id = auth.uid() AND (project_id IS NULL OR can_edit_project(project_id)));
+
+-- Reviews: reviewers and editors add them, authors change or remove their own
+DROP POLICY IF EXISTS "Members can view shot_reviews" ON shot_reviews;
+CREATE POLICY "Members can view shot_reviews" ON shot_reviews
+  FOR SELECT USING (can_access_project(project_id));
+DROP POLICY IF EXISTS "Reviewers can write shot_reviews" ON shot_reviews;
+CREATE POLICY "Reviewers can write shot_reviews" ON shot_reviews
+  FOR ALL USING (author_id = auth.uid() AND can_review_project(project_id))
+  WITH CHECK (author_id = auth.uid() AND can_review_project(project_id));
+
+DROP POLICY IF EXISTS "Members can view deletions" ON deletions;
+CREATE POLICY "Members can view deletions" ON deletions
+  FOR SELECT USING (
+    deleted_by = auth.uid()
+    OR owner_id = auth.uid()
+    OR workspace_role(workspace_id) IS NOT NULL
+    OR can_access_project(project_id)
+  );
+
+-- Deleting a project takes its owner; reviewers only remove their own reviews
+DROP POLICY IF EXISTS "Members can record deletions" ON deletions;
+CREATE POLICY "Members can record deletions" ON deletions
+  FOR INSERT WITH CHECK (
+    deleted_by = auth.uid() AND (
+      project_id IS NULL
+      OR (table_name = 'projects' AND project_role(project_id) = 'owner')
+      OR (table_name = 'shot_reviews' AND can_review_project(project_id))
+      OR (table_name NOT IN ('projects', 'shot_reviews') AND can_edit_project(project_id))
+    )
+  );
+
+-- ==================== Rate Limits ====================
+
+-- Count a request in the user's current window for a bucket and return the
+-- window's total; windows older than a day are cleared as it goes
+CREATE OR REPLACE FUNCTION hit_rate_limit(uid UUID, bucket_name TEXT, window_seconds INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  current_window TIMESTAMPTZ := to_timestamp(
+    floor(extract(epoch FROM NOW()) / window_seconds) * window_seconds
+  );
+  total INTEGER;
+BEGIN
+  INSERT INTO rate_limits (user_id, bucket, window_start, count)
+  VALUES (uid, bucket_name, current_window, 1)
+  ON CONFLICT (user_id, bucket, window_start)
+  DO UPDATE SET count = rate_limits.count + 1
+  RETURNING count INTO total;
+
+  DELETE FROM rate_limits
+  WHERE user_id = uid AND window_start < NOW() - INTERVAL '1 day';
+
+  RETURN total;
+END;
+$$;
+
+-- Only the service role counts requests
+REVOKE EXECUTE ON FUNCTION hit_rate_limit(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- ==================== Spending Caps ====================
+
+-- Charge a project for a call unless that would take it past its spending
+-- cap. Charges lock the project's row, so calls made at the same time are
+-- checked one after another. Returns the charge's ID (null if refused),
+-- what the project had been charged before it and its cap; or null if
+-- there's no such project.
+CREATE OR REPLACE FUNCTION charge_project(pid UUID, uid UUID, charge_source TEXT, charge NUMERIC)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  cap NUMERIC;
+  spent NUMERIC;
+  charge_id UUID;
+BEGIN
+  SELECT spending_cap INTO cap FROM projects WHERE id = pid FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO spent FROM project_charges WHERE project_id = pid;
+  IF cap IS NULL OR spent + charge <= cap THEN
+    INSERT INTO project_charges (project_id, user_id, source, amount)
+    VALUES (pid, uid, charge_source, charge)
+    RETURNING id INTO charge_id;
+  END IF;
+
+  RETURN jsonb_build_object('id', charge_id, 'spent', spent, 'cap', cap);
+END;
+$$;
+
+-- Only the service role charges projects
+REVOKE EXECUTE ON FUNCTION charge_project(UUID, UUID, TEXT, NUMERIC) FROM PUBLIC, anon, authenticated;
+
+-- ==================== Realtime ====================
+-- Stream row changes to clients with the project open
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'projects', 'scenes', 'shots', 'keyframes', 'video_takes', 'audio_takes',
+    'assets', 'generations', 'shot_reviews', 'deletions'
+  ] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END $$;
 
 -- ==================== Success Message ====================
 SELECT 'Schema created successfully!' as status;
@@ -10,75 +10,38 @@ VALUES
   ('ply-files', 'ply-files', true)
 ON CONFLICT (id) DO NOTHING;
 
--- Storage policies - allow public read and authenticated upload
--- For development, we allow all operations
-
--- Images bucket policies
-DROP POLICY IF EXISTS "Public read access for images" ON storage.objects;
-CREATE POLICY "Public read access for images" ON storage.objects
-  FOR SELECT USING (bucket_id = 'images');
-
-DROP POLICY IF EXISTS "Allow uploads to images" ON storage.objects;
-CREATE POLICY "Allow uploads to images" ON storage.objects
-  FOR INSERT WITH CHECK (bucket_id = 'images');
-
-DROP POLICY IF EXISTS "Allow updates to images" ON storage.objects;
-CREATE POLICY "Allow updates to images" ON storage.objects
-  FOR UPDATE USING (bucket_id = 'images');
-
-DROP POLICY IF EXISTS "Allow deletes from images" ON storage.objects;
-CREATE POLICY "Allow deletes from images" ON storage.objects
-  FOR DELETE USING (bucket_id = 'images');
-
--- Videos bucket policies
-DROP POLICY IF EXISTS "Public read access for videos" ON storage.objects;
-CREATE POLICY "Public read access for videos" ON storage.objects
-  FOR SELECT USING (bucket_id = 'videos');
-
-DROP POLICY IF EXISTS "Allow uploads to videos" ON storage.objects;
-CREATE POLICY "Allow uploads to videos" ON storage.objects
-  FOR INSERT WITH CHECK (bucket_id = 'videos');
-
-DROP POLICY IF EXISTS "Allow updates to videos" ON storage.objects;
-CREATE POLICY "Allow updates to videos" ON storage.objects
-  FOR UPDATE USING (bucket_id = 'videos');
-
-DROP POLICY IF EXISTS "Allow deletes from videos" ON storage.objects;
-CREATE POLICY "Allow deletes from videos" ON storage.objects
-  FOR DELETE USING (bucket_id = 'videos');
-
--- Audio bucket policies
-DROP POLICY IF EXISTS "Public read access for audio" ON storage.objects;
-CREATE POLICY "Public read access for audio" ON storage.objects
-  FOR SELECT USING (bucket_id = 'audio');
-
-DROP POLICY IF EXISTS "Allow uploads to audio" ON storage.objects;
-CREATE POLICY "Allow uploads to audio" ON storage.objects
-  FOR INSERT WITH CHECK (bucket_id = 'audio');
-
-DROP POLICY IF EXISTS "Allow updates to audio" ON storage.objects;
-CREATE POLICY "Allow updates to audio" ON storage.objects
-  FOR UPDATE USING (bucket_id = 'audio');
-
-DROP POLICY IF EXISTS "Allow deletes from audio" ON storage.objects;
-CREATE POLICY "Allow deletes from audio" ON storage.objects
-  FOR DELETE USING (bucket_id = 'audio');
-
--- PLY files bucket policies
-DROP POLICY IF EXISTS "Public read access for ply-files" ON storage.objects;
-CREATE POLICY "Public read access for ply-files" ON storage.objects
-  FOR SELECT USING (bucket_id = 'ply-files');
-
-DROP POLICY IF EXISTS "Allow uploads to ply-files" ON storage.objects;
-CREATE POLICY "Allow uploads to ply-files" ON storage.objects
-  FOR INSERT WITH CHECK (bucket_id = 'ply-files');
-
-DROP POLICY IF EXISTS "Allow updates to ply-files" ON storage.objects;
-CREATE POLICY "Allow updates to ply-files" ON storage.objects
-  FOR UPDATE USING (bucket_id = 'ply-files');
-
-DROP POLICY IF EXISTS "Allow deletes from ply-files" ON storage.objects;
-CREATE POLICY "Allow deletes from ply-files" ON storage.objects
-  FOR DELETE USING (bucket_id = 'ply-files');
+-- Storage policies - files are stored under "<project id>/". Anyone in the
+-- project can list them; its owners and editors can change and remove them.
+-- Buckets stay public so the app's stored URLs keep working: a file can be
+-- read by anyone who has its (random) URL, but not found by listing.
+
+DROP POLICY IF EXISTS "Project members can view files" ON storage.objects;
+CREATE POLICY "Project members can view files" ON storage.objects
+  FOR SELECT USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_access_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project editors can upload files" ON storage.objects;
+CREATE POLICY "Project editors can upload files" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND auth.uid() IS NOT NULL
+    AND can_upload_to_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project editors can update files" ON storage.objects;
+CREATE POLICY "Project editors can update files" ON storage.objects
+  FOR UPDATE USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_edit_project(storage_object_project(name))
+  );
+
+DROP POLICY IF EXISTS "Project editors can delete files" ON storage.objects;
+CREATE POLICY "Project editors can delete files" ON storage.objects
+  FOR DELETE USING (
+    bucket_id IN ('images', 'videos', 'audio', 'ply-files')
+    AND can_edit_project(storage_object_project(name))
+  );
 
 SELECT 'Storage buckets created successfully!' as status;